@@ -69,9 +69,18 @@ function buildApp() {
   attachFlexible(app, ctx, "./routes/config", "attachConfigRoutes");
   attachFlexible(app, ctx, "./routes/query", "attachQueryProxy");
   attachFlexible(app, ctx, "./routes/pilot", "attachPilotRoutes");
+  attachFlexible(app, ctx, "./routes/pipelines", "attachPipelineRoutes");
+  attachFlexible(app, ctx, "./routes/profiles", "attachProfileRoutes");
   attachFlexible(app, ctx, "./routes/actions", "attachActionsRoutes");
+  attachFlexible(app, ctx, "./routes/batches", "attachBatchRoutes");
   attachFlexible(app, ctx, "./routes/actionsHelpers", "attachActionHelpers");
+  attachFlexible(app, ctx, "./routes/actionControl", "attachActionControlRoutes");
+  attachFlexible(app, ctx, "./routes/playbooks", "attachPlaybookRoutes");
   attachFlexible(app, ctx, "./routes/snValidate", "attachSnValidate");
+  attachFlexible(app, ctx, "./routes/snChange", "attachSnChangeRoutes");
+  attachFlexible(app, ctx, "./routes/postpatchJobs", "attachPostPatchJobRoutes");
+  attachFlexible(app, ctx, "./routes/webhooks", "attachWebhookRoutes");
+  attachFlexible(app, ctx, "./routes/mail", "attachMailRoutes");
   attachDeploymentsRoutes(app, ctx, "./routes/deployments", "attachDeploymentsRoutes");
   attachBaselineRoutes(app, ctx, "./routes/baseline", "attachBaselineRoutes");
   attachFlexible(app, ctx, "./routes/groups", "attachGroupRoutes");
@@ -121,6 +130,19 @@ function buildApp() {
 
   startPostPatchWatcher(ctx, { intervalMs });
 
+  const { startWebhookWorker } = require("./services/webhooks");
+  startWebhookWorker({ intervalMs: Number(process.env.WEBHOOK_POLL_MS) || 30_000 });
+
+  const { startMailOutbox } = require("./mail/outbox");
+  startMailOutbox(ctx.smtp, { intervalMs: Number(process.env.MAIL_OUTBOX_POLL_MS) || 60_000 });
+
+  const { startIdempotencyCleanup } = require("./services/triggerGuards");
+  startIdempotencyCleanup();
+
+  const { startVcenterTaskWatcher } = require("./services/vcenterTasks");
+  const { vcenterContext } = require("./routes/vcenter");
+  startVcenterTaskWatcher(vcenterContext(ctx), { intervalMs: Number(process.env.VCENTER_TASK_POLL_MS) || 60_000 });
+
   return app;
 }
 
@@ -0,0 +1,136 @@
+// src/bigfix/actionSettings.js
+// Validation for the optional BES action settings a trigger can carry (body.actionSettings).
+// Rendering into <Settings> lives in actionXml.js.
+const { getPatchWindowMs, msToXSDuration } = require("../utils/time");
+
+const RESTART_MODES = ["none", "force", "defer", "prompt"];
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Durations use the patchWindow shape ({ days, hours, minutes }) or plain hours
+function duration(value, label, errors) {
+  const ms = getPatchWindowMs(value);
+  if (ms <= 0) { errors.push(`${label} must be a duration greater than zero (e.g. { hours: 1 })`); return null; }
+  return msToXSDuration(ms);
+}
+
+function timeOfDay(value, label, errors) {
+  const m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value || "").trim());
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59 || Number(m[3] || 0) > 59) {
+    errors.push(`${label} must be a time of day like "22:00"`);
+    return null;
+  }
+  return `${m[1].padStart(2, "0")}:${m[2]}:${m[3] || "00"}`;
+}
+
+function text(value, label, errors, max = 4000) {
+  const s = String(value ?? "").trim();
+  if (s.length > max) errors.push(`${label} must be at most ${max} characters`);
+  return s;
+}
+
+function integer(value, label, errors, min, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) { errors.push(`${label} must be a whole number between ${min} and ${max}`); return null; }
+  return n;
+}
+
+/**
+ * Validate + normalize `actionSettings` from a trigger body or profile:
+ *   restart:    { mode: none|force|defer|prompt, shutdown?, title?, text?, deadline? }
+ *               force  - restart/shutdown right after the action, users cannot cancel
+ *               defer  - users may postpone; optional deadline
+ *               prompt - users are prompted and the restart is forced at `deadline` (required)
+ *   message:    { title?, text, deadline?, askToSaveWork?, allowCancel? }  (shown before running)
+ *   offer:      { category?, description? }  (offer instead of a policy action)
+ *   runBetween: { start: "22:00", end: "04:00", days?: ["Sat", "Sun"] }
+ *   retry:      { count, wait?: duration | "reboot" }
+ *   reapply:    { limit?, interval?: duration }
+ *   stagger:    duration  (temporal distribution of the start)
+ * Returns { settings } (null when nothing was given) or { error }.
+ */
+function normalizeActionSettings(input) {
+  if (input == null || input === "") return { settings: null };
+  if (typeof input !== "object" || Array.isArray(input)) return { error: "actionSettings must be an object" };
+
+  const errors = [];
+  const out = {};
+
+  if (input.restart != null) {
+    const r = typeof input.restart === "string" ? { mode: input.restart } : input.restart;
+    const mode = String(r.mode || "none").toLowerCase();
+    if (!RESTART_MODES.includes(mode)) errors.push(`restart.mode must be one of: ${RESTART_MODES.join(", ")}`);
+    else if (mode !== "none") {
+      out.restart = {
+        mode,
+        behavior: r.shutdown ? "Shutdown" : "Restart",
+        title: text(r.title, "restart.title", errors, 255),
+        text: text(r.text, "restart.text", errors),
+        deadline: null,
+      };
+      if (mode === "prompt" && r.deadline == null) errors.push("restart.deadline is required for mode \"prompt\"");
+      if (mode !== "force" && r.deadline != null) out.restart.deadline = duration(r.deadline, "restart.deadline", errors);
+    }
+  }
+
+  if (input.message != null) {
+    const m = typeof input.message === "string" ? { text: input.message } : input.message;
+    const body = text(m.text, "message.text", errors);
+    if (!body) errors.push("message.text is required");
+    out.message = {
+      title: text(m.title, "message.title", errors, 255),
+      text: body,
+      askToSaveWork: !!m.askToSaveWork,
+      allowCancel: m.allowCancel !== false,
+      deadline: m.deadline != null ? duration(m.deadline, "message.deadline", errors) : null,
+    };
+  }
+
+  if (input.offer != null && input.offer !== false) {
+    const o = input.offer === true ? {} : input.offer;
+    out.offer = {
+      category: text(o.category, "offer.category", errors, 255),
+      description: text(o.description, "offer.description", errors),
+    };
+  }
+
+  if (input.runBetween != null) {
+    const rb = input.runBetween;
+    const start = timeOfDay(rb.start, "runBetween.start", errors);
+    const end = timeOfDay(rb.end, "runBetween.end", errors);
+    if (start && end && start === end) errors.push("runBetween.start and runBetween.end must differ");
+    let days = null;
+    if (rb.days != null) {
+      days = (Array.isArray(rb.days) ? rb.days : [rb.days])
+        .map(d => WEEKDAYS.find(w => w.toLowerCase() === String(d).slice(0, 3).toLowerCase()));
+      if (!days.length || days.some(d => !d)) errors.push(`runBetween.days must list weekdays (${WEEKDAYS.join(", ")})`);
+    }
+    out.runBetween = { start, end, days };
+  }
+
+  if (input.retry != null) {
+    const rt = typeof input.retry === "object" ? input.retry : { count: input.retry };
+    const byReboot = String(rt.wait).toLowerCase() === "reboot";
+    out.retry = {
+      count: integer(rt.count, "retry.count", errors, 1, 99),
+      waitForReboot: byReboot,
+      wait: byReboot ? "PT1H" : (rt.wait != null ? duration(rt.wait, "retry.wait", errors) : "PT1H"),
+    };
+  }
+
+  if (input.reapply != null && input.reapply !== false) {
+    const ra = input.reapply === true ? {} : input.reapply;
+    out.reapply = {
+      limit: ra.limit != null ? integer(ra.limit, "reapply.limit", errors, 1, 9999) : null,
+      interval: ra.interval != null ? duration(ra.interval, "reapply.interval", errors) : null,
+    };
+  }
+
+  if (input.stagger != null && input.stagger !== false) {
+    out.stagger = duration(input.stagger, "stagger", errors);
+  }
+
+  if (errors.length) return { error: `Invalid actionSettings: ${errors.join("; ")}` };
+  return { settings: Object.keys(out).length ? out : null };
+}
+
+module.exports = { RESTART_MODES, normalizeActionSettings };
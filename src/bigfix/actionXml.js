@@ -0,0 +1,131 @@
+// src/bigfix/actionXml.js
+const { toLowerSafe } = require("../utils/http");
+
+function xmlEscape(str) {
+  if (str == null) return "";
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/** Custom relevance that targets the members of a computer group. */
+function groupTargetRelevance({ id, name, site, type }) {
+  const t = toLowerSafe(type);
+  const siteTokenForAutomatic = site === "ActionSite" ? `site "actionsite"` : `site "CustomSite_${site}"`;
+  if (t.includes("automatic")) {
+    return `exists true whose ( if true then ( member of group ${id} of ${siteTokenForAutomatic} ) else false)`;
+  }
+  if (t.includes("manual")) {
+    return `exists true whose ( if true then ( member of manual group "${name}" of client ) else false)`;
+  }
+  return `exists true whose ( if true then ( member of server based group "${name}" of client ) else false)`;
+}
+
+/** Narrow a target relevance so the named computers are skipped. */
+function excludeComputersRelevance(relevance, names) {
+  if (!names?.length) return relevance;
+  const set = names.map(n => `"${String(n).toLowerCase().replace(/"/g, '%22')}"`).join("; ");
+  return `(${relevance}) and not (computer name as lowercase is contained by set of (${set}))`;
+}
+
+const tag = (name, value) => `<${name}>${xmlEscape(value)}</${name}>`;
+
+/** PreAction UI: message shown before the action runs. */
+function preActionXml(m) {
+  return tag("ActionUITitle", m.title || "Software Update") +
+    tag("PreActionShowUI", "true") +
+    "<PreAction>" +
+    tag("Text", m.text) +
+    tag("AskToSaveWork", m.askToSaveWork) +
+    tag("ShowActionButton", "true") +
+    tag("ShowCancelButton", m.allowCancel) +
+    (m.deadline
+      ? tag("DeadlineBehavior", "RunAutomatically") + tag("DeadlineType", "Interval") + tag("DeadlineInterval", m.deadline)
+      : "") +
+    tag("ShowConfirmation", "false") +
+    "</PreAction>";
+}
+
+/** PostActionBehavior for restart.mode force / defer / prompt. */
+function postActionXml(r) {
+  return `<PostActionBehavior Behavior="${r.behavior}">` +
+    tag("AllowCancel", r.mode !== "force") +
+    (r.deadline
+      ? tag("PostActionDeadlineBehavior", "RunAutomatically") + tag("PostActionDeadlineType", "Interval") + tag("PostActionDeadlineInterval", r.deadline)
+      : tag("PostActionDeadlineType", "NoDeadline")) +
+    (r.title ? tag("Title", r.title) : "") +
+    (r.text ? tag("Text", r.text) : "") +
+    "</PostActionBehavior>";
+}
+
+/**
+ * <Settings> content in BES.xsd order. Times: absolute UTC (startDateTime/endDateTime, from an
+ * anchored window) win over offsets; start only when scheduled. `actionSettings` is the
+ * normalized object from actionSettings.js.
+ */
+function settingsXml({ startOffset, endOffset, startDateTime, endDateTime, actionSettings }) {
+  const s = actionSettings || {};
+  const startTime = startDateTime
+    ? tag("StartDateTimeLocal", startDateTime)
+    : startOffset && tag("StartDateTimeLocalOffset", startOffset);
+  const endTime = endDateTime ? tag("EndDateTimeLocal", endDateTime) : tag("EndDateTimeLocalOffset", endOffset);
+
+  let xml = "";
+  if (s.message) xml += preActionXml(s.message);
+  if (s.runBetween) {
+    xml += tag("HasTimeRange", "true") + "<TimeRange>" + tag("StartTime", s.runBetween.start) + tag("EndTime", s.runBetween.end) + "</TimeRange>";
+  }
+  if (startTime) xml += tag("HasStartTime", "true") + startTime;
+  xml += tag("HasEndTime", "true") + endTime;
+  if (s.runBetween?.days) {
+    xml += tag("HasDayOfWeekConstraint", "true") +
+      "<DayOfWeekConstraint>" + ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].map(d => tag(d, s.runBetween.days.includes(d))).join("") + "</DayOfWeekConstraint>";
+  }
+  xml += tag("UseUTCTime", "true");
+  if (s.reapply) {
+    xml += tag("Reapply", "true") +
+      tag("HasReapplyLimit", s.reapply.limit != null) + (s.reapply.limit != null ? tag("ReapplyLimit", s.reapply.limit) : "") +
+      tag("HasReapplyInterval", !!s.reapply.interval) + (s.reapply.interval ? tag("ReapplyInterval", s.reapply.interval) : "");
+  }
+  if (s.retry) {
+    xml += tag("HasRetry", "true") + tag("RetryCount", s.retry.count) +
+      `<RetryWait ByPolicy="${s.retry.waitForReboot}">${xmlEscape(s.retry.wait)}</RetryWait>`;
+  }
+  if (s.stagger) xml += tag("HasTemporalDistribution", "true") + tag("TemporalDistribution", s.stagger);
+  if (s.restart) xml += postActionXml(s.restart);
+  if (s.offer) {
+    xml += tag("IsOffer", "true") + tag("AnnounceOffer", "true") +
+      tag("OfferCategory", s.offer.category) + tag("OfferDescriptionHTML", s.offer.description);
+  }
+  return xml;
+}
+
+/** SourcedFixletAction for a baseline, targeted by relevance or by explicit ComputerIDs. */
+function buildBaselineActionXml({ siteName, fixletId, customRelevance, computerIds, title, startOffset, endOffset, startDateTime, endDateTime, actionSettings }) {
+  const target = computerIds?.length
+    ? computerIds.map(id => `<ComputerID>${xmlEscape(id)}</ComputerID>`).join("")
+    : `<CustomRelevance>${xmlEscape(customRelevance)}</CustomRelevance>`;
+  const settings = settingsXml({ startOffset, endOffset, startDateTime, endDateTime, actionSettings });
+
+  return `<?xml version="1.0" encoding="UTF-8"?><BES xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="BES.xsd"><SourcedFixletAction><SourceFixlet><Sitename>${xmlEscape(siteName)}</Sitename><FixletID>${xmlEscape(fixletId)}</FixletID><Action>Action1</Action></SourceFixlet><Target>${target}</Target><Settings>${settings}</Settings><Title>${xmlEscape(title)}</Title></SourcedFixletAction></BES>`;
+}
+
+/**
+ * SingleAction running `actionScript` wherever `relevance` holds, targeted like a baseline action.
+ * Without an end time the action has no <Settings> (open until stopped).
+ */
+function buildSingleActionXml({ title, relevance = "true", actionScript, customRelevance, computerIds, startOffset, endOffset, startDateTime, endDateTime, actionSettings }) {
+  const target = computerIds?.length
+    ? computerIds.map(id => `<ComputerID>${xmlEscape(id)}</ComputerID>`).join("")
+    : `<CustomRelevance>${xmlEscape(customRelevance)}</CustomRelevance>`;
+  const settings = endOffset || endDateTime
+    ? `<Settings>${settingsXml({ startOffset, endOffset, startDateTime, endDateTime, actionSettings })}</Settings>`
+    : "<Settings />";
+
+  return `<?xml version="1.0" encoding="UTF-8"?><BES xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="BES.xsd" SkipUI="true"><SingleAction><Title>${xmlEscape(title)}</Title><Relevance>${xmlEscape(relevance)}</Relevance><ActionScript>${xmlEscape(actionScript)}</ActionScript><SuccessCriteria Option="RunToCompletion"></SuccessCriteria>${settings}<SettingsLocks /><Target>${target}</Target></SingleAction></BES>`;
+}
+
+module.exports = { xmlEscape, groupTargetRelevance, excludeComputersRelevance, settingsXml, buildBaselineActionXml, buildSingleActionXml };
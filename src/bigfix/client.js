@@ -1,12 +1,9 @@
 // src/bigfix/client.js
-const axios = require("axios");
-const { joinUrl } = require("../utils/http");
+const { bigfixClient } = require("../services/bigfix");
 
-function makeBigFix() {
-  return {
-    joinUrl,
-    axios,
-  };
-}//
+// Kept for older imports; the client itself lives in services/bigfix.js
+function makeBigFix(ctx) {
+  return bigfixClient(ctx);
+}
 
 module.exports = { makeBigFix };
@@ -2,6 +2,7 @@
 const sql = require('mssql');
 const { getCfg } = require('../env');
 const { logger } = require('../services/logger');
+const { seedBuiltinPlaybooks } = require('../services/playbooks');
 
 async function runDatabaseSetup() {
   const cfg = getCfg();
@@ -126,7 +127,252 @@ async function runDatabaseSetup() {
       }
     } catch(e) { logger.warn("PatchSchedule migration check failed: " + e.message); }
 
-    // --- 7. Shared User Restoration ---
+    // ActionHistory: follow-up actions (retry / extend) link back to the action they came from
+    try {
+      const colCheck = await pool.request().query(`
+        SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS 
+        WHERE TABLE_NAME = 'ActionHistory' AND COLUMN_NAME = 'ParentActionID'
+      `);
+      if (colCheck.recordset.length === 0) {
+        logger.info("[DB Setup] Adding missing 'ParentActionID' column to ActionHistory...");
+        await pool.request().query(`ALTER TABLE dbo.ActionHistory ADD [ParentActionID] INT NULL`);
+      }
+    } catch(e) { logger.warn("ActionHistory migration check failed: " + e.message); }
+
+    // --- 7. Promotion Pipelines ---
+    // Stages is a JSON array: [{ name, groupName, patchWindow, requireChg, gate: { minSuccessRate, minBakeHours }, actionSettings }]
+    await pool.request().query(`
+      IF OBJECT_ID('dbo.PromotionPipeline', 'U') IS NULL
+      CREATE TABLE dbo.PromotionPipeline (
+          [Id] INT IDENTITY(1,1) PRIMARY KEY,
+          [Name] NVARCHAR(255) NOT NULL,
+          [Stages] NVARCHAR(MAX) NOT NULL,
+          [CreatedByRole] NVARCHAR(50) NOT NULL,
+          [CreatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          [UpdatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME()
+      );
+
+      IF OBJECT_ID('dbo.PromotionHistory', 'U') IS NULL
+      CREATE TABLE dbo.PromotionHistory (
+          [Id] INT IDENTITY(1,1) PRIMARY KEY,
+          [PipelineId] INT NOT NULL,
+          [StageIndex] INT NOT NULL,
+          [StageName] NVARCHAR(255) NOT NULL,
+          [BaselineName] NVARCHAR(255) NOT NULL,
+          [ActionID] INT NULL,
+          [PreviousActionID] INT NULL,
+          [Outcome] NVARCHAR(20) NOT NULL,
+          [Forced] BIT DEFAULT 0,
+          [RequestedBy] NVARCHAR(255) NULL,
+          [GateResult] NVARCHAR(MAX) NULL,
+          [CreatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME()
+      );
+    `);
+
+    // --- 8. Idempotency Keys (trigger routes) ---
+    await pool.request().query(`
+      IF OBJECT_ID('dbo.IdempotencyKey', 'U') IS NULL
+      CREATE TABLE dbo.IdempotencyKey (
+          [IdemKey] NVARCHAR(255) NOT NULL PRIMARY KEY,
+          [Route] NVARCHAR(255) NOT NULL,
+          [RequestHash] CHAR(64) NOT NULL,
+          [Status] NVARCHAR(20) NOT NULL,
+          [ResponseStatus] INT NULL,
+          [ResponseBody] NVARCHAR(MAX) NULL,
+          [CreatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          [CompletedAt] DATETIME2(3) NULL
+      );
+    `);
+
+    // --- 9. Deployment Profiles (saved trigger settings) ---
+    // Settings is a JSON object: { stage, baselineName, groupName, patchWindow, requireChg, autoMail, mailTo, ..., actionSettings }
+    await pool.request().query(`
+      IF OBJECT_ID('dbo.DeploymentProfile', 'U') IS NULL
+      CREATE TABLE dbo.DeploymentProfile (
+          [Id] INT IDENTITY(1,1) PRIMARY KEY,
+          [Name] NVARCHAR(255) NOT NULL,
+          [Settings] NVARCHAR(MAX) NOT NULL,
+          [CreatedByRole] NVARCHAR(50) NOT NULL,
+          [CreatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          [UpdatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME()
+      );
+    `);
+
+    // --- 10. Action Batches (bulk triggers) ---
+    // Items is a JSON array: [{ baselineName, groupName, actionId, status, error }]
+    await pool.request().query(`
+      IF OBJECT_ID('dbo.ActionBatch', 'U') IS NULL
+      CREATE TABLE dbo.ActionBatch (
+          [BatchId] NVARCHAR(64) NOT NULL PRIMARY KEY,
+          [Stage] NVARCHAR(50) NOT NULL,
+          [Items] NVARCHAR(MAX) NOT NULL,
+          [TriggeredBy] NVARCHAR(255) NULL,
+          [PostMailSent] BIT DEFAULT 0,
+          [CreatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME()
+      );
+    `);
+
+    // --- 11. Remediation Playbooks ---
+    // Parameters is a JSON array: [{ name, label, required, default, pattern }]; scripts use {{name}} placeholders
+    await pool.request().query(`
+      IF OBJECT_ID('dbo.Playbook', 'U') IS NULL
+      CREATE TABLE dbo.Playbook (
+          [Id] INT IDENTITY(1,1) PRIMARY KEY,
+          [Name] NVARCHAR(255) NOT NULL UNIQUE,
+          [Description] NVARCHAR(MAX) NULL,
+          [Category] NVARCHAR(100) NULL,
+          [Parameters] NVARCHAR(MAX) NULL,
+          [WindowsScript] NVARCHAR(MAX) NULL,
+          [LinuxScript] NVARCHAR(MAX) NULL,
+          [HealthIssues] NVARCHAR(MAX) NULL,
+          [BuiltIn] BIT DEFAULT 0,
+          [CreatedByRole] NVARCHAR(50) NOT NULL,
+          [CreatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          [UpdatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME()
+      );
+    `);
+    try {
+      await seedBuiltinPlaybooks(pool);
+    } catch(e) { logger.warn("Built-in playbook seeding failed: " + e.message); }
+
+    // --- 12. Post-patch job queue ---
+    // One job per expired-action follow-up (JobKey 'action:<id>' or 'batch:<batchId>'). State: pending | processing |
+    // done | failed (retry at NextRunAt) | dead. A worker owns a processing job until LeaseUntil; Steps holds the parts
+    // already done ({ mail, chgNote, incidents, webhook }) so a retry doesn't repeat them.
+    await pool.request().query(`
+      IF OBJECT_ID('dbo.PostPatchJob', 'U') IS NULL
+      CREATE TABLE dbo.PostPatchJob (
+          [Id] INT IDENTITY(1,1) PRIMARY KEY,
+          [JobKey] NVARCHAR(100) NOT NULL UNIQUE,
+          [ActionID] INT NULL,
+          [BatchId] NVARCHAR(64) NULL,
+          [State] NVARCHAR(20) NOT NULL DEFAULT 'pending',
+          [Attempts] INT NOT NULL DEFAULT 0,
+          [NextRunAt] DATETIME2(3) NOT NULL DEFAULT SYSUTCDATETIME(),
+          [LeaseOwner] NVARCHAR(200) NULL,
+          [LeaseUntil] DATETIME2(3) NULL,
+          [Steps] NVARCHAR(MAX) NULL,
+          [LastError] NVARCHAR(MAX) NULL,
+          [CreatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          [UpdatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          [CompletedAt] DATETIME2(3) NULL
+      );
+    `);
+
+    // --- 13. Outbound webhooks ---
+    // Events is a JSON array of event types (or ["*"]); Format: json | teams | slack. One WebhookDelivery row per
+    // event and webhook, State: pending | sending | delivered | failed (retry at NextRunAt) | dead.
+    await pool.request().query(`
+      IF OBJECT_ID('dbo.Webhook', 'U') IS NULL
+      CREATE TABLE dbo.Webhook (
+          [Id] INT IDENTITY(1,1) PRIMARY KEY,
+          [Name] NVARCHAR(255) NOT NULL UNIQUE,
+          [Url] NVARCHAR(2000) NOT NULL,
+          [Secret] NVARCHAR(255) NULL,
+          [Events] NVARCHAR(MAX) NOT NULL,
+          [Format] NVARCHAR(20) NOT NULL DEFAULT 'json',
+          [Enabled] BIT DEFAULT 1,
+          [CreatedByRole] NVARCHAR(50) NOT NULL,
+          [CreatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          [UpdatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME()
+      );
+
+      IF OBJECT_ID('dbo.WebhookDelivery', 'U') IS NULL
+      CREATE TABLE dbo.WebhookDelivery (
+          [Id] INT IDENTITY(1,1) PRIMARY KEY,
+          [WebhookId] INT NOT NULL,
+          [EventId] NVARCHAR(64) NOT NULL,
+          [EventType] NVARCHAR(100) NOT NULL,
+          [Payload] NVARCHAR(MAX) NOT NULL,
+          [State] NVARCHAR(20) NOT NULL DEFAULT 'pending',
+          [Attempts] INT NOT NULL DEFAULT 0,
+          [NextRunAt] DATETIME2(3) NOT NULL DEFAULT SYSUTCDATETIME(),
+          [LeaseUntil] DATETIME2(3) NULL,
+          [ResponseStatus] INT NULL,
+          [ResponseBody] NVARCHAR(MAX) NULL,
+          [LastError] NVARCHAR(MAX) NULL,
+          [DurationMs] INT NULL,
+          [CreatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          [UpdatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          [DeliveredAt] DATETIME2(3) NULL
+      );
+    `);
+
+    // --- 14. Email templates and distribution lists ---
+    // EmailTemplate: one row per TemplateKey (trigger | postpatch | batch-trigger | batch-post) and Stage (NULL = any
+    // stage); Details is a JSON array of { key, value }. DistributionList: Stages / Roles are JSON arrays ([] = any).
+    await pool.request().query(`
+      IF OBJECT_ID('dbo.EmailTemplate', 'U') IS NULL
+      CREATE TABLE dbo.EmailTemplate (
+          [Id] INT IDENTITY(1,1) PRIMARY KEY,
+          [TemplateKey] NVARCHAR(50) NOT NULL,
+          [Stage] NVARCHAR(50) NULL,
+          [Subject] NVARCHAR(500) NOT NULL,
+          [Title] NVARCHAR(500) NULL,
+          [Subtitle] NVARCHAR(500) NULL,
+          [StatusColor] NVARCHAR(20) NULL,
+          [Details] NVARCHAR(MAX) NULL,
+          [Html] NVARCHAR(MAX) NULL,
+          [UpdatedBy] NVARCHAR(255) NULL,
+          [CreatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          [UpdatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          CONSTRAINT UQ_EmailTemplate_Key_Stage UNIQUE (TemplateKey, Stage)
+      );
+
+      IF OBJECT_ID('dbo.DistributionList', 'U') IS NULL
+      CREATE TABLE dbo.DistributionList (
+          [Id] INT IDENTITY(1,1) PRIMARY KEY,
+          [Name] NVARCHAR(255) NOT NULL UNIQUE,
+          [ToAddresses] NVARCHAR(MAX) NULL,
+          [CcAddresses] NVARCHAR(MAX) NULL,
+          [BccAddresses] NVARCHAR(MAX) NULL,
+          [Stages] NVARCHAR(MAX) NULL,
+          [Roles] NVARCHAR(MAX) NULL,
+          [Enabled] BIT DEFAULT 1,
+          [CreatedByRole] NVARCHAR(50) NOT NULL,
+          [CreatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          [UpdatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME()
+      );
+    `);
+
+    // --- 15. Email outbox ---
+    // One row per message sent (or attempted), with the rendered body and CSV attachment so it can be resent.
+    // State: sending | sent | failed (retry at NextRunAt) | dead; ResendOf points at the message a resend copied.
+    await pool.request().query(`
+      IF OBJECT_ID('dbo.EmailOutbox', 'U') IS NULL
+      CREATE TABLE dbo.EmailOutbox (
+          [Id] INT IDENTITY(1,1) PRIMARY KEY,
+          [TemplateKey] NVARCHAR(50) NULL,
+          [Stage] NVARCHAR(50) NULL,
+          [ActionID] NVARCHAR(50) NULL,
+          [BatchId] NVARCHAR(64) NULL,
+          [FromAddress] NVARCHAR(500) NULL,
+          [ToAddresses] NVARCHAR(MAX) NULL,
+          [CcAddresses] NVARCHAR(MAX) NULL,
+          [BccAddresses] NVARCHAR(MAX) NULL,
+          [Lists] NVARCHAR(MAX) NULL,
+          [Subject] NVARCHAR(1000) NOT NULL,
+          [Html] NVARCHAR(MAX) NULL,
+          [TextBody] NVARCHAR(MAX) NULL,
+          [AttachmentName] NVARCHAR(255) NULL,
+          [Attachment] NVARCHAR(MAX) NULL,
+          [State] NVARCHAR(20) NOT NULL DEFAULT 'sending',
+          [Attempts] INT NOT NULL DEFAULT 0,
+          [NextRunAt] DATETIME2(3) NOT NULL DEFAULT SYSUTCDATETIME(),
+          [LeaseUntil] DATETIME2(3) NULL,
+          [MessageId] NVARCHAR(500) NULL,
+          [SmtpResponse] NVARCHAR(MAX) NULL,
+          [Rejected] NVARCHAR(MAX) NULL,
+          [LastError] NVARCHAR(MAX) NULL,
+          [ResendOf] INT NULL,
+          [RequestedBy] NVARCHAR(255) NULL,
+          [CreatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          [UpdatedAt] DATETIME2(3) DEFAULT SYSUTCDATETIME(),
+          [SentAt] DATETIME2(3) NULL
+      );
+    `);
+
+    // --- Shared User Restoration (keep last) ---
     if ((await pool.request().query(`SELECT 1 FROM dbo.USERS WHERE UserID = 9002`)).recordset.length === 0) {
       await pool.request().query(`INSERT INTO dbo.USERS (UserID, LoginName, HashAlgorithm, Role) VALUES (9002, 'shared_windows', 'PBKDF2', 'Windows')`);
     }
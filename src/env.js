@@ -43,7 +43,8 @@ function toEnvContent(dict, order = []) {
 const UI_KEYS = new Set([
   "PORT",
   "BIGFIX_ALLOW_SELF_SIGNED", "BIGFIX_BASE_URL", "BIGFIX_USER", "BIGFIX_PASS",
-  "SN_ALLOW_SELF_SIGNED", "SN_URL", "SN_USER", "SN_PASSWORD",
+  "SN_ALLOW_SELF_SIGNED", "SN_URL", "SN_USER", "SN_PASSWORD", "SN_STD_CHANGE_TEMPLATE",
+  "JSM_URL", "JSM_USER", "JSM_API_TOKEN", "JSM_ALLOW_SELF_SIGNED", "JSM_IMPLEMENT_STATUS", "JSM_START_FIELD", "JSM_END_FIELD",
   "VCENTER_URL", "VCENTER_USER", "VCENTER_PASSWORD", "VCENTER_ALLOW_SELF_SIGNED",
   "SMTP_ALLOW_SELF_SIGNED", "SMTP_HOST", "SMTP_PORT", "SMTP_SECURE",
   "SMTP_FROM", "SMTP_TO", "SMTP_CC", "SMTP_BCC",
@@ -65,7 +66,7 @@ function writeEnvFull(fullDict) {
 
 /* ---------------- runtime cfg + ctx ---------------- */
 const SECRET_KEYS = new Set([
-  "BIGFIX_PASS", "SN_PASSWORD", "SMTP_PASSWORD", "SQL_SERVER_AUTHENTICATION_PASSWORD", "VCENTER_PASSWORD", "PRISM_PASS"
+  "BIGFIX_PASS", "SN_PASSWORD", "JSM_API_TOKEN", "SMTP_PASSWORD", "SQL_SERVER_AUTHENTICATION_PASSWORD", "VCENTER_PASSWORD", "PRISM_PASS"
 ]);
 
 function b64d(val) {
@@ -122,6 +123,15 @@ function buildCfg(dictRaw) {
     SN_USER: decoded.SN_USER || "",
     SN_PASSWORD: decoded.SN_PASSWORD || "",
     SN_ALLOW_SELF_SIGNED: bool(decoded.SN_ALLOW_SELF_SIGNED, false),
+    SN_STD_CHANGE_TEMPLATE: decoded.SN_STD_CHANGE_TEMPLATE || "",
+
+    JSM_URL: decoded.JSM_URL || "",
+    JSM_USER: decoded.JSM_USER || "",
+    JSM_API_TOKEN: decoded.JSM_API_TOKEN || "",
+    JSM_ALLOW_SELF_SIGNED: bool(decoded.JSM_ALLOW_SELF_SIGNED, false),
+    JSM_IMPLEMENT_STATUS: decoded.JSM_IMPLEMENT_STATUS || "Implementing",
+    JSM_START_FIELD: decoded.JSM_START_FIELD || "",
+    JSM_END_FIELD: decoded.JSM_END_FIELD || "",
 
     VCENTER_URL: decoded.VCENTER_URL || "",
     VCENTER_USER: decoded.VCENTER_USER || "",
@@ -168,6 +178,12 @@ function buildCfg(dictRaw) {
     servicenow: {
       SN_URL: cfg.SN_URL, SN_USER: cfg.SN_USER, SN_PASSWORD: cfg.SN_PASSWORD,
       SN_ALLOW_SELF_SIGNED: cfg.SN_ALLOW_SELF_SIGNED,
+      SN_STD_CHANGE_TEMPLATE: cfg.SN_STD_CHANGE_TEMPLATE,
+    },
+    jsm: {
+      JSM_URL: cfg.JSM_URL, JSM_USER: cfg.JSM_USER, JSM_API_TOKEN: cfg.JSM_API_TOKEN,
+      JSM_ALLOW_SELF_SIGNED: cfg.JSM_ALLOW_SELF_SIGNED,
+      JSM_IMPLEMENT_STATUS: cfg.JSM_IMPLEMENT_STATUS, JSM_START_FIELD: cfg.JSM_START_FIELD, JSM_END_FIELD: cfg.JSM_END_FIELD,
     },
 
     prism: {
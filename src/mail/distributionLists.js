@@ -0,0 +1,84 @@
+// src/mail/distributionLists.js
+// Named distribution lists (dbo.DistributionList) and who a mail goes to. Recipients, per field:
+// addresses given on the request → the named lists (mailLists) → every enabled list for the
+// stage and the triggering role → SMTP_TO / SMTP_CC / SMTP_BCC.
+const { sql, getPool } = require("../db/mssql");
+const { splitEmails } = require("../utils/http");
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const nameList = (v) => (Array.isArray(v) ? v : String(v || "").split(/[;,]/)).map(s => String(s).trim()).filter(Boolean);
+
+/** Validate + normalize a distribution list from the request body. */
+function normalizeList(l) {
+  const name = String(l?.name || "").trim();
+  if (!name) return { error: "name is required" };
+  const to = splitEmails(Array.isArray(l.to) ? l.to.join(",") : l.to);
+  const cc = splitEmails(Array.isArray(l.cc) ? l.cc.join(",") : l.cc);
+  const bcc = splitEmails(Array.isArray(l.bcc) ? l.bcc.join(",") : l.bcc);
+  if (!to.length && !cc.length && !bcc.length) return { error: "A list needs at least one address (to, cc or bcc)" };
+  const invalid = [...to, ...cc, ...bcc].filter(a => !EMAIL_RE.test(a));
+  if (invalid.length) return { error: `Invalid email addresses: ${invalid.join(", ")}` };
+
+  return {
+    list: {
+      name, to, cc, bcc,
+      // Empty means any stage / any role
+      stages: nameList(l.stages),
+      roles: nameList(l.roles),
+      enabled: l.enabled === undefined ? true : ["true", "1", "yes", "on", true, 1].includes(String(l.enabled).toLowerCase()),
+    },
+  };
+}
+
+function toList(row) {
+  const parse = (v) => { try { return JSON.parse(v || "[]"); } catch { return []; } };
+  return {
+    id: row.Id, name: row.Name, to: splitEmails(row.ToAddresses), cc: splitEmails(row.CcAddresses), bcc: splitEmails(row.BccAddresses),
+    stages: parse(row.Stages), roles: parse(row.Roles), enabled: !!row.Enabled,
+    ownerRole: row.CreatedByRole, createdAt: row.CreatedAt, updatedAt: row.UpdatedAt,
+  };
+}
+
+async function listDistributionLists(pool) {
+  pool = pool || await getPool();
+  const r = await pool.request().query("SELECT Id, Name, ToAddresses, CcAddresses, BccAddresses, Stages, Roles, Enabled, CreatedByRole, CreatedAt, UpdatedAt FROM dbo.DistributionList ORDER BY Name");
+  return r.recordset.map(toList);
+}
+
+const matches = (values, v) => !values.length || values.some(x => x.toLowerCase() === String(v || "").toLowerCase());
+
+/** Lists a mail for `stage` / `role` goes to: the named ones when `names` is given, else the matching ones. */
+function pickLists(lists, { stage, role, names }) {
+  const enabled = lists.filter(l => l.enabled);
+  const wanted = nameList(names).map(n => n.toLowerCase());
+  if (wanted.length) return enabled.filter(l => wanted.includes(l.name.toLowerCase()));
+  return enabled.filter(l => matches(l.stages, stage) && matches(l.roles, role));
+}
+
+/**
+ * Recipients for one mail. `explicit` is { emailTo, emailCc, emailBcc } from the request, `smtp`
+ * the env fallback. Returns { to, cc, bcc, lists, source } with de-duplicated address arrays.
+ */
+async function resolveRecipients({ stage, role, names, explicit = {}, smtp = {} }) {
+  let lists = [];
+  try {
+    lists = pickLists(await listDistributionLists(), { stage, role, names });
+  } catch (e) {
+    console.warn(`[Mail] Distribution list lookup failed for ${stage || "?"}/${role || "?"}, using the env recipients:`, e.message);
+  }
+  const fromLists = (field) => [...new Set(lists.flatMap(l => l[field]))];
+  const pick = (given, field, envValue) => {
+    if (given) return splitEmails(given);
+    return lists.length ? fromLists(field) : splitEmails(envValue);
+  };
+  return {
+    to: pick(explicit.emailTo, "to", smtp.SMTP_TO),
+    cc: pick(explicit.emailCc, "cc", smtp.SMTP_CC),
+    bcc: pick(explicit.emailBcc, "bcc", smtp.SMTP_BCC),
+    lists: lists.map(l => l.name),
+    source: explicit.emailTo ? "request" : lists.length ? "lists" : "env",
+  };
+}
+
+module.exports = { normalizeList, listDistributionLists, pickLists, resolveRecipients };
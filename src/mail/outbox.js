@@ -0,0 +1,310 @@
+// src/mail/outbox.js
+// Every mail goes through dbo.EmailOutbox: the rendered message is stored, sent right away, and the
+// SMTP response or error recorded. A failed send is retried by the outbox worker with backoff until
+// it is sent or dead; any message can be resent (as a new row pointing at the original).
+const nodemailer = require("nodemailer");
+const { CONFIG } = require("../state/store");
+const { sql, getPool } = require("../db/mssql");
+const { splitEmails } = require("../utils/http");
+
+const OUTBOX_STATES = ["sending", "sent", "failed", "dead"];
+const MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 60_000;
+const BACKOFF_MAX_MS = 3_600_000;
+// nodemailer's defaults (2 min to connect, 10 min of socket silence) outlast any sensible lease, so a
+// message still being sent inline could be claimed and sent again by the worker. Every SMTP phase is
+// capped here and the lease is kept well above their sum.
+const SMTP_CONNECTION_TIMEOUT_MS = 20_000;
+const SMTP_GREETING_TIMEOUT_MS = 20_000;
+const SMTP_SOCKET_TIMEOUT_MS = 60_000;
+const LEASE_SECONDS = 300;
+const MESSAGES_PER_TICK = 20;
+
+function toBool(v) {
+  const s = String(v ?? "").toLowerCase();
+  return s === "true" || s === "1" || s === "yes" || s === "on"; //
+}
+
+function buildTransport(smtp) {
+  const {
+    SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+    SMTP_USER, SMTP_PASSWORD, SMTP_ALLOW_SELF_SIGNED,
+    SMTP_IGNORE_TLS, SMTP_REQUIRE_TLS, SMTP_TLS_REJECT_UNAUTH,
+  } = smtp || {};
+
+  const secure = toBool(SMTP_SECURE);
+  const allowSelfSigned = toBool(SMTP_ALLOW_SELF_SIGNED);
+  const ignoreTLS = toBool(SMTP_IGNORE_TLS);
+  const requireTLS = toBool(SMTP_REQUIRE_TLS);
+  const tlsRejectUnauth =
+    typeof SMTP_TLS_REJECT_UNAUTH !== "undefined"
+      ? toBool(SMTP_TLS_REJECT_UNAUTH)
+      : !allowSelfSigned;
+
+  const transportOpts = {
+    host: SMTP_HOST,
+    port: Number(SMTP_PORT),
+    secure,
+    ignoreTLS,
+    requireTLS,
+    tls: { rejectUnauthorized: tlsRejectUnauth },
+    connectionTimeout: SMTP_CONNECTION_TIMEOUT_MS,
+    greetingTimeout: SMTP_GREETING_TIMEOUT_MS,
+    socketTimeout: SMTP_SOCKET_TIMEOUT_MS,
+  };
+  if (SMTP_USER || SMTP_PASSWORD) {
+    transportOpts.auth = { user: SMTP_USER, pass: SMTP_PASSWORD };
+  }
+  return nodemailer.createTransport(transportOpts);
+}
+
+const SUMMARY_COLUMNS = `Id, TemplateKey, Stage, ActionID, BatchId, FromAddress, ToAddresses, CcAddresses, BccAddresses, Lists, Subject,
+  AttachmentName, State, Attempts, NextRunAt, MessageId, SmtpResponse, Rejected, LastError, ResendOf, RequestedBy, CreatedAt, UpdatedAt, SentAt`;
+
+function toMessage(row) {
+  let lists = [];
+  try { lists = JSON.parse(row.Lists || "[]"); } catch { /* keep empty */ }
+  const msg = {
+    id: row.Id, templateKey: row.TemplateKey, stage: row.Stage, actionId: row.ActionID, batchId: row.BatchId,
+    from: row.FromAddress, to: splitEmails(row.ToAddresses), cc: splitEmails(row.CcAddresses), bcc: splitEmails(row.BccAddresses), lists,
+    subject: row.Subject, attachmentName: row.AttachmentName || null,
+    state: row.State, attempts: row.Attempts, nextRunAt: row.NextRunAt,
+    messageId: row.MessageId || null, smtpResponse: row.SmtpResponse || null, rejected: splitEmails(row.Rejected), lastError: row.LastError || null,
+    resendOf: row.ResendOf || null, requestedBy: row.RequestedBy || null,
+    createdAt: row.CreatedAt, updatedAt: row.UpdatedAt, sentAt: row.SentAt,
+  };
+  if (row.Html !== undefined) Object.assign(msg, { html: row.Html, text: row.TextBody, attachment: row.Attachment || null });
+  return msg;
+}
+
+async function insertMessage(pool, m, state) {
+  const r = await pool.request()
+    .input('TemplateKey', sql.NVarChar(50), m.templateKey || null)
+    .input('Stage', sql.NVarChar(50), m.stage || null)
+    .input('ActionID', sql.NVarChar(50), m.actionId != null ? String(m.actionId) : null)
+    .input('BatchId', sql.NVarChar(64), m.batchId || null)
+    .input('From', sql.NVarChar(500), m.from || null)
+    .input('To', sql.NVarChar(sql.MAX), m.to.join(","))
+    .input('Cc', sql.NVarChar(sql.MAX), m.cc.join(","))
+    .input('Bcc', sql.NVarChar(sql.MAX), m.bcc.join(","))
+    .input('Lists', sql.NVarChar(sql.MAX), JSON.stringify(m.lists || []))
+    .input('Subject', sql.NVarChar(1000), m.subject)
+    .input('Html', sql.NVarChar(sql.MAX), m.html)
+    .input('Text', sql.NVarChar(sql.MAX), m.text || null)
+    .input('AttachmentName', sql.NVarChar(255), m.attachment ? m.attachmentName : null)
+    .input('Attachment', sql.NVarChar(sql.MAX), m.attachment || null)
+    .input('State', sql.NVarChar(20), state)
+    .input('Lease', sql.Int, LEASE_SECONDS)
+    .input('ResendOf', sql.Int, m.resendOf || null)
+    .input('RequestedBy', sql.NVarChar(255), m.requestedBy || null)
+    .query(`INSERT INTO dbo.EmailOutbox (TemplateKey, Stage, ActionID, BatchId, FromAddress, ToAddresses, CcAddresses, BccAddresses, Lists, Subject,
+              Html, TextBody, AttachmentName, Attachment, State, Attempts, NextRunAt, LeaseUntil, ResendOf, RequestedBy, CreatedAt, UpdatedAt)
+            OUTPUT INSERTED.Id
+            VALUES (@TemplateKey, @Stage, @ActionID, @BatchId, @From, @To, @Cc, @Bcc, @Lists, @Subject,
+              @Html, @Text, @AttachmentName, @Attachment, @State, 0, SYSUTCDATETIME(),
+              CASE WHEN @State = 'sending' THEN DATEADD(second, @Lease, SYSUTCDATETIME()) END, @ResendOf, @RequestedBy, SYSUTCDATETIME(), SYSUTCDATETIME())`);
+  return r.recordset[0].Id;
+}
+
+/** One SMTP attempt; never throws. */
+async function smtpSend(smtp, m) {
+  try {
+    const info = await buildTransport(smtp).sendMail({
+      from: m.from,
+      to: m.to.length ? m.to.join(", ") : undefined,
+      cc: m.cc.length ? m.cc.join(", ") : undefined,
+      bcc: m.bcc.length ? m.bcc.join(", ") : undefined,
+      subject: m.subject,
+      text: m.text || undefined,
+      html: m.html,
+      attachments: m.attachment ? [{ filename: m.attachmentName, content: m.attachment, contentType: "text/csv; charset=utf-8" }] : [],
+    });
+    return { ok: true, messageId: info.messageId, response: info.response, accepted: info.accepted, rejected: info.rejected || [], envelope: info.envelope };
+  } catch (e) {
+    return { ok: false, error: e.message || String(e), response: e.response || null };
+  }
+}
+
+async function recordAttempt(pool, id, attemptsBefore, result) {
+  const attempts = attemptsBefore + 1;
+  const dead = !result.ok && attempts >= MAX_ATTEMPTS;
+  const state = result.ok ? "sent" : dead ? "dead" : "failed";
+  const delayMs = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempts - 1));
+  await pool.request()
+    .input('Id', sql.Int, id)
+    .input('State', sql.NVarChar(20), state)
+    .input('Attempts', sql.Int, attempts)
+    .input('MessageId', sql.NVarChar(500), result.messageId || null)
+    .input('Response', sql.NVarChar(sql.MAX), result.response || null)
+    .input('Rejected', sql.NVarChar(sql.MAX), (result.rejected || []).join(",") || null)
+    .input('Error', sql.NVarChar(sql.MAX), result.error || null)
+    .input('Delay', sql.Int, Math.ceil(delayMs / 1000))
+    .query(`UPDATE dbo.EmailOutbox SET State = @State, Attempts = @Attempts, MessageId = COALESCE(@MessageId, MessageId),
+              SmtpResponse = @Response, Rejected = @Rejected, LastError = @Error, LeaseUntil = NULL, UpdatedAt = SYSUTCDATETIME(),
+              SentAt = CASE WHEN @State = 'sent' THEN SYSUTCDATETIME() ELSE SentAt END,
+              NextRunAt = CASE WHEN @State = 'failed' THEN DATEADD(second, @Delay, SYSUTCDATETIME()) ELSE NextRunAt END
+            WHERE Id = @Id`);
+  return { state, attempts, retryInMs: state === "failed" ? delayMs : null };
+}
+
+/**
+ * Store `message` ({ from, to[], cc[], bcc[], subject, html, text, attachmentName, attachment,
+ * templateKey, stage, actionId, batchId, lists, requestedBy, resendOf }) and send it now.
+ * Resolves with the SMTP info plus `outboxId`; a failed send throws with `outboxId` set and
+ * `willRetry` true while the worker still has attempts left. When the outbox table can't be
+ * written the mail is sent untracked (outboxId null) rather than not at all.
+ * `onStored(outboxId)` runs once the message is stored and before it is sent, so a caller can
+ * record that it owns the message; if it throws, the message is marked dead unsent and the error rethrown.
+ */
+async function deliverMail(smtp, message, { onStored } = {}) {
+  let pool = null, id = null;
+  try {
+    pool = await getPool();
+    id = await insertMessage(pool, message, "sending");
+  } catch (e) {
+    console.warn(`[Mail] Outbox unavailable, sending "${message.subject}" untracked:`, e.message);
+  }
+
+  if (id && onStored) {
+    try {
+      await onStored(id);
+    } catch (e) {
+      // Left in "sending", the worker would send it once the lease runs out
+      await pool.request()
+        .input('Id', sql.Int, id)
+        .input('Error', sql.NVarChar(sql.MAX), `Not sent: ${e.message}`)
+        .query("UPDATE dbo.EmailOutbox SET State = 'dead', LeaseUntil = NULL, LastError = @Error, UpdatedAt = SYSUTCDATETIME() WHERE Id = @Id")
+        .catch(dbErr => console.warn(`[Mail] Could not cancel outbox message ${id}:`, dbErr.message));
+      throw e;
+    }
+  }
+
+  const result = await smtpSend(smtp, message);
+  let outcome = null;
+  if (id) {
+    try {
+      outcome = await recordAttempt(pool, id, 0, result);
+    } catch (e) {
+      console.warn(`[Mail] Could not record the outcome of outbox message ${id}:`, e.message);
+    }
+  }
+
+  if (!result.ok) {
+    const willRetry = outcome?.state === "failed";
+    if (id) console.warn(`[Mail] Outbox message ${id} failed${willRetry ? `, retry in ${Math.round(outcome.retryInMs / 1000)}s` : ""}: ${result.error}`);
+    throw Object.assign(new Error(result.error), { outboxId: id, willRetry });
+  }
+  return { outboxId: id, messageId: result.messageId, accepted: result.accepted, rejected: result.rejected, envelope: result.envelope, response: result.response };
+}
+
+/** Newest first; filters: state, actionId, batchId, stage, templateKey. */
+async function listMessages({ state, actionId, batchId, stage, templateKey, limit = 100 } = {}) {
+  const pool = await getPool();
+  const where = [];
+  const req = pool.request().input('Limit', sql.Int, Math.min(Math.max(1, Number(limit) || 100), 500));
+  if (state) { where.push("State = @State"); req.input('State', sql.NVarChar(20), state); }
+  if (actionId) { where.push("ActionID = @ActionID"); req.input('ActionID', sql.NVarChar(50), String(actionId)); }
+  if (batchId) { where.push("BatchId = @BatchId"); req.input('BatchId', sql.NVarChar(64), String(batchId)); }
+  if (stage) { where.push("Stage = @Stage"); req.input('Stage', sql.NVarChar(50), String(stage)); }
+  if (templateKey) { where.push("TemplateKey = @TemplateKey"); req.input('TemplateKey', sql.NVarChar(50), String(templateKey)); }
+  const r = await req.query(`SELECT TOP (@Limit) ${SUMMARY_COLUMNS} FROM dbo.EmailOutbox
+                             ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY Id DESC`);
+  return r.recordset.map(toMessage);
+}
+
+/** One message; `withBody` adds html, text and the attachment. */
+async function loadMessage(id, { withBody = false } = {}, pool) {
+  pool = pool || await getPool();
+  const r = await pool.request().input('Id', sql.Int, Number(id))
+    .query(`SELECT ${SUMMARY_COLUMNS}${withBody ? ", Html, TextBody, Attachment" : ""} FROM dbo.EmailOutbox WHERE Id = @Id`);
+  return r.recordset[0] ? toMessage(r.recordset[0]) : null;
+}
+
+/**
+ * Send stored message `id` again, as a new outbox row (ResendOf = id) with the same content.
+ * `to` / `cc` / `bcc` replace the original recipients when given. Never throws for SMTP errors.
+ */
+async function resendMessage(smtp, id, { to, cc, bcc, requestedBy } = {}) {
+  const original = await loadMessage(id, { withBody: true });
+  if (!original) return { ok: false, notFound: true, error: "Message not found" };
+  const override = to || cc || bcc;
+  const message = {
+    ...original,
+    to: override ? splitEmails(to) : original.to,
+    cc: override ? splitEmails(cc) : original.cc,
+    bcc: override ? splitEmails(bcc) : original.bcc,
+    lists: override ? [] : original.lists,
+    resendOf: original.id, requestedBy,
+  };
+  if (!message.to.length && !message.cc.length && !message.bcc.length) return { ok: false, error: "No recipients" };
+  try {
+    const info = await deliverMail(smtp, message);
+    return { ok: true, ...info };
+  } catch (e) {
+    return { ok: false, outboxId: e.outboxId || null, willRetry: !!e.willRetry, error: e.message };
+  }
+}
+
+/* ------------------------- worker ------------------------- */
+/** Take the next due retry (or a message stuck in "sending" past its lease); null when idle. */
+async function claimMessage(pool) {
+  const r = await pool.request()
+    .input('Lease', sql.Int, LEASE_SECONDS)
+    .query(`
+      WITH next AS (
+        SELECT TOP (1) * FROM dbo.EmailOutbox WITH (UPDLOCK, READPAST, ROWLOCK)
+        WHERE (State = 'failed' AND NextRunAt <= SYSUTCDATETIME())
+           OR (State = 'sending' AND LeaseUntil < SYSUTCDATETIME())
+        ORDER BY NextRunAt
+      )
+      UPDATE next SET State = 'sending', LeaseUntil = DATEADD(second, @Lease, SYSUTCDATETIME()), UpdatedAt = SYSUTCDATETIME()
+      OUTPUT INSERTED.*`);
+  return r.recordset[0] || null;
+}
+
+let outboxRunning = false;
+/** Retry every due message; a second call while one is running is a no-op. */
+async function runOutbox(smtp) {
+  if (outboxRunning) return;
+  outboxRunning = true;
+  try {
+    const pool = await getPool();
+    for (let n = 0; n < MESSAGES_PER_TICK; n++) {
+      const row = await claimMessage(pool);
+      if (!row) break;
+      const message = toMessage(row);
+      const result = await smtpSend(smtp, message);
+      const { state, attempts } = await recordAttempt(pool, row.Id, row.Attempts, result);
+      if (state === "sent") console.log(`[Mail] Outbox message ${row.Id} sent on attempt ${attempts}.`);
+      else console.warn(`[Mail] Outbox message ${row.Id} ${state} after attempt ${attempts}: ${result.error}`);
+    }
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+async function cleanupOutbox() {
+  const retentionDays = Number(CONFIG.postpatchRetentionDays || 30);
+  if (retentionDays <= 0) return;
+  try {
+    const pool = await getPool();
+    const r = await pool.request()
+      .input('RetentionDays', sql.Int, retentionDays)
+      .query("DELETE FROM dbo.EmailOutbox WHERE State IN ('sent', 'dead') AND CreatedAt < DATEADD(day, -@RetentionDays, SYSUTCDATETIME())");
+    if (r.rowsAffected?.[0]) console.log(`[Mail] Cleanup: Deleted ${r.rowsAffected[0]} outbox messages older than ${retentionDays} days.`);
+  } catch (e) {
+    console.warn("[Mail] Outbox cleanup failed:", e.message);
+  }
+}
+
+function startMailOutbox(smtp, { intervalMs = 60_000 } = {}) {
+  const pollMs = Math.max(5_000, Number(intervalMs) || 60_000);
+  setInterval(() => {
+    if (!smtp?.SMTP_HOST) return;
+    runOutbox(smtp).catch(e => console.warn("[Mail] outbox worker error:", e?.message || e));
+  }, pollMs);
+  setInterval(cleanupOutbox, 3_600_000);
+  console.log(`[Mail] Outbox worker started. Polling every ${pollMs}ms.`);
+}
+
+module.exports = { OUTBOX_STATES, LEASE_SECONDS, buildTransport, deliverMail, listMessages, loadMessage, resendMessage, runOutbox, startMailOutbox };
@@ -0,0 +1,281 @@
+// src/mail/templates.js
+// Editable mail templates (dbo.EmailTemplate): subject, title, detail rows and optionally the
+// whole HTML body, with {{placeholder}}s filled in per mail. A template can target one stage; the
+// lookup goes stage-specific row → generic row (Stage NULL) → the built-in default below.
+const { sql, getPool } = require("../db/mssql");
+const { escapeHtml } = require("../utils/http");
+
+const TEMPLATE_KEYS = ["trigger", "postpatch", "batch-trigger", "batch-post"];
+
+const PLACEHOLDERS = {
+  stage: "Stage name (Sandbox, Pilot, Production or a pipeline stage)",
+  actionId: "BigFix action id",
+  actionIds: "Comma-separated action ids (batches)",
+  actionCount: "Number of actions (batches)",
+  batchId: "Batch id (batches)",
+  baselineName: "Baseline name",
+  baselines: "Comma-separated baseline names (batches)",
+  groupName: "Target computer group",
+  groups: "Comma-separated target groups (batches)",
+  triggeredBy: "User who triggered the action",
+  serverCount: "Servers targeted (trigger mails, when the member list was read)",
+  excludedCount: "Servers left out by pre-flight / maintenance windows",
+  total: "Result rows (post-patch mails)",
+  succeeded: "Result rows that succeeded (Fixed / executed successfully)",
+  failed: "Result rows that failed",
+  resultSummary: "\"<succeeded> of <total> succeeded, <failed> failed\" (empty before results exist)",
+  windowStart: "Window start, UTC",
+  windowEnd: "Window end, UTC",
+  windowLocal: "Window in the requester's time zone (empty for UTC)",
+  timeZone: "Requester's time zone",
+  startedAt: "First computer start time (post-patch mails)",
+  endedAt: "Last computer end time (post-patch mails)",
+  overallStatus: "Action status (post-patch mails)",
+  statusColor: "Header color picked by the mail type",
+  csvNote: "Sentence about the attached CSV",
+  year: "Current year",
+};
+
+// The layouts the orchestrator has always sent; a detail row whose value renders empty is left out
+const DEFAULT_TEMPLATES = {
+  "trigger": {
+    subject: "Pre-Patching Triggered For Baseline {{baselineName}}",
+    title: "{{stage}} Patching Triggered",
+    subtitle: "",
+    statusColor: "{{statusColor}}",
+    details: [
+      { key: "Stage", value: "{{stage}}" },
+      { key: "Action ID", value: "{{actionId}}" },
+      { key: "Baseline", value: "{{baselineName}}" },
+      { key: "Target Group", value: "{{groupName}}" },
+      { key: "Window Start (UTC)", value: "{{windowStart}}" },
+      { key: "Window End (UTC)", value: "{{windowEnd}}" },
+      { key: "Window ({{timeZone}})", value: "{{windowLocal}}" },
+    ],
+    html: null,
+  },
+  "postpatch": {
+    subject: "Post-Patching Status {{stage}} - {{baselineName}}",
+    title: "{{stage}} Post Patching Completed",
+    subtitle: "",
+    statusColor: "{{statusColor}}",
+    details: [
+      { key: "Stage", value: "{{stage}}" },
+      { key: "Action ID", value: "{{actionId}}" },
+      { key: "Baseline", value: "{{baselineName}}" },
+      { key: "Target Group", value: "{{groupName}}" },
+      { key: "Window Start", value: "{{startedAt}}" },
+      { key: "Window End", value: "{{endedAt}}" },
+      { key: "Results", value: "{{resultSummary}}" },
+    ],
+    html: null,
+  },
+  "batch-trigger": {
+    subject: "Pre-Patching Triggered For Batch {{batchId}}",
+    title: "{{stage}} Batch Patching Triggered",
+    subtitle: "",
+    statusColor: "{{statusColor}}",
+    details: [
+      { key: "Stage", value: "{{stage}}" },
+      { key: "Batch ID", value: "{{batchId}}" },
+      { key: "Actions", value: "{{actionCount}}" },
+      { key: "Baselines", value: "{{baselines}}" },
+      { key: "Target Groups", value: "{{groups}}" },
+      { key: "Action IDs", value: "{{actionIds}}" },
+      { key: "Window Start (UTC)", value: "{{windowStart}}" },
+      { key: "Window End (UTC)", value: "{{windowEnd}}" },
+      { key: "Window ({{timeZone}})", value: "{{windowLocal}}" },
+    ],
+    html: null,
+  },
+  "batch-post": {
+    subject: "Post-Patching Status {{stage}} - Batch {{batchId}}",
+    title: "{{stage}} Batch Post Patching Completed",
+    subtitle: "",
+    statusColor: "{{statusColor}}",
+    details: [
+      { key: "Stage", value: "{{stage}}" },
+      { key: "Batch ID", value: "{{batchId}}" },
+      { key: "Actions", value: "{{actionCount}}" },
+      { key: "Baselines", value: "{{baselines}}" },
+      { key: "Target Groups", value: "{{groups}}" },
+      { key: "Action IDs", value: "{{actionIds}}" },
+      { key: "Results", value: "{{resultSummary}}" },
+    ],
+    html: null,
+  },
+};
+
+// Sample values for previews
+const SAMPLE_VARS = {
+  stage: "Pilot", actionId: "12345", actionIds: "12345, 12346", actionCount: "2", batchId: "6f1c2a9e-0000-4000-8000-000000000000",
+  baselineName: "Windows Server 2022 - Monthly", baselines: "Windows Server 2022 - Monthly, RHEL 9 - Monthly",
+  groupName: "Pilot-Windows", groups: "Pilot-Windows, Pilot-Linux", triggeredBy: "jdoe",
+  serverCount: "25", excludedCount: "2", total: "50", succeeded: "47", failed: "3", resultSummary: "47 of 50 succeeded, 3 failed",
+  windowStart: "Sat, 14 Nov 2026 22:00:00 GMT", windowEnd: "Sun, 15 Nov 2026 02:00:00 GMT",
+  windowLocal: "14/11/2026, 23:00:00 - 15/11/2026, 03:00:00", timeZone: "Europe/Berlin",
+  startedAt: "Sat, 14 Nov 2026 22:01:13 +0000", endedAt: "Sun, 15 Nov 2026 01:12:40 +0000", overallStatus: "Expired",
+  statusColor: "#0078D4", csvNote: "A detailed CSV report is attached to this email.",
+};
+
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+function fill(text, vars, escape = false) {
+  return String(text ?? "").replace(PLACEHOLDER_RE, (_, name) => {
+    const v = vars[name] == null ? "" : String(vars[name]);
+    return escape ? escapeHtml(v) : v;
+  });
+}
+
+const placeholdersIn = (text) => [...String(text ?? "").matchAll(PLACEHOLDER_RE)].map(m => m[1]);
+
+/** Validate + normalize a template from the request body. */
+function normalizeTemplate(t) {
+  const templateKey = String(t?.templateKey || "").trim().toLowerCase();
+  if (!TEMPLATE_KEYS.includes(templateKey)) return { error: `templateKey must be one of: ${TEMPLATE_KEYS.join(", ")}` };
+  const stage = t.stage ? String(t.stage).trim() : null;
+  if (stage && stage.length > 50) return { error: "stage must be at most 50 characters" };
+  const subject = String(t.subject || "").trim();
+  if (!subject) return { error: "subject is required" };
+
+  if (t.details !== undefined && !Array.isArray(t.details)) return { error: "details must be an array of { key, value }" };
+  const details = [];
+  for (const [i, d] of (t.details || []).entries()) {
+    const key = String(d?.key ?? "").trim();
+    if (!key) return { error: `details[${i}].key is required` };
+    details.push({ key, value: String(d.value ?? "") });
+  }
+  const html = t.html ? String(t.html) : null;
+  const statusColor = t.statusColor ? String(t.statusColor).trim() : "{{statusColor}}";
+  if (!/^#[0-9a-f]{6}$/i.test(statusColor) && statusColor !== "{{statusColor}}") return { error: "statusColor must be a hex color like #0078D4" };
+
+  const template = { templateKey, stage, subject, title: String(t.title ?? ""), subtitle: String(t.subtitle ?? ""), statusColor, details, html };
+  const used = [subject, template.title, template.subtitle, html, ...details.flatMap(d => [d.key, d.value])].flatMap(placeholdersIn);
+  const unknown = [...new Set(used.filter(p => !PLACEHOLDERS[p] && p !== "detailsTable"))];
+  if (unknown.length) return { error: `Unknown placeholders: ${unknown.join(", ")}` };
+  return { template };
+}
+
+function toTemplate(row) {
+  let details = [];
+  try { details = JSON.parse(row.Details || "[]"); } catch { /* keep empty */ }
+  return {
+    id: row.Id, templateKey: row.TemplateKey, stage: row.Stage || null, subject: row.Subject, title: row.Title || "",
+    subtitle: row.Subtitle || "", statusColor: row.StatusColor || "{{statusColor}}", details, html: row.Html || null,
+    updatedBy: row.UpdatedBy || null, createdAt: row.CreatedAt, updatedAt: row.UpdatedAt,
+  };
+}
+
+async function listTemplates(pool) {
+  pool = pool || await getPool();
+  const r = await pool.request().query("SELECT Id, TemplateKey, Stage, Subject, Title, Subtitle, StatusColor, Details, Html, UpdatedBy, CreatedAt, UpdatedAt FROM dbo.EmailTemplate ORDER BY TemplateKey, Stage");
+  return r.recordset.map(toTemplate);
+}
+
+/**
+ * Template for `templateKey` and `stage`: the stage's own row, else the generic row, else the
+ * built-in default. A DB error falls back to the default so mail keeps going out.
+ */
+async function loadTemplate(templateKey, stage) {
+  try {
+    const pool = await getPool();
+    const r = await pool.request()
+      .input('Key', sql.NVarChar(50), templateKey)
+      .input('Stage', sql.NVarChar(50), stage || null)
+      .query(`SELECT TOP (1) Id, TemplateKey, Stage, Subject, Title, Subtitle, StatusColor, Details, Html, UpdatedBy, CreatedAt, UpdatedAt
+              FROM dbo.EmailTemplate WHERE TemplateKey = @Key AND (Stage IS NULL OR Stage = @Stage)
+              ORDER BY CASE WHEN Stage IS NULL THEN 1 ELSE 0 END`);
+    if (r.recordset.length) return toTemplate(r.recordset[0]);
+  } catch (e) {
+    console.warn(`[Mail] Template lookup failed for ${templateKey}/${stage || "*"}, using the built-in one:`, e.message);
+  }
+  return { templateKey, stage: null, builtIn: true, ...DEFAULT_TEMPLATES[templateKey] };
+}
+
+/* ------------------------- render ------------------------- */
+function layoutHtml({ title, subtitle, detailsHtml, csvNote, statusColor, year }) {
+  const styles = {
+    body: "font-family: 'Segoe UI', 'Roboto', 'Helvetica Neue', Arial, sans-serif; margin: 0; padding: 0; background-color: #f8f9fa;",
+    container: "width: 90%; max-width: 680px; margin: 20px auto; background-color: #ffffff; border: 1px solid #dee2e6; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.05);",
+    header: `background-color: ${statusColor}; color: #ffffff; padding: 24px 30px;`,
+    headerTitle: "margin: 0; font-size: 24px; font-weight: 600;",
+    headerSubtitle: "margin: 4px 0 0; font-size: 16px; opacity: 0.9;",
+    content: "padding: 30px;",
+    table: "width: 100%; border-collapse: collapse;",
+    attachmentNote: "font-size: 14px; color: #495057; margin-top: 24px; padding-top: 16px; border-top: 1px solid #e9ecef;",
+    footer: "padding: 30px; text-align: center; font-size: 12px; color: #adb5bd; background-color: #f1f3f5;",
+  };
+
+  // Subtitle
+  const subtitleHtml = subtitle
+    ? `<p style="${styles.headerSubtitle}">${escapeHtml(subtitle)}</p>`
+    : "";
+
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="${styles.body}">
+    <div style="${styles.container}">
+      <div style="${styles.header}">
+        <h1 style="${styles.headerTitle}">${escapeHtml(title)}</h1>
+        ${subtitleHtml}
+      </div>
+      <div style="${styles.content}">
+        <table style="${styles.table}" cellpadding="0" cellspacing="0">
+          <tbody>
+            ${detailsHtml}
+          </tbody>
+        </table>
+        <p style="${styles.attachmentNote}">${escapeHtml(csvNote)}</p>
+      </div>
+      <div style="${styles.footer}">
+        BigFix Patch Setu &copy; ${year}
+      </div>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+function detailsTableHtml(details) {
+  const tdKey = "padding: 12px 0; font-size: 14px; color: #6c757d; font-weight: 600; border-bottom: 1px solid #e9ecef; width: 35%;";
+  const tdValue = "padding: 12px 0; font-size: 14px; color: #212529; font-weight: 400; border-bottom: 1px solid #e9ecef;";
+  return details.map(d => `
+    <tr>
+      <td style="${tdKey}">${escapeHtml(d.key)}</td>
+      <td style="${tdValue}">${escapeHtml(d.value)}</td>
+    </tr>
+  `).join("");
+}
+
+/**
+ * Fill `template` with `vars`. Returns { subject, html, text }. A custom `html` body gets its
+ * placeholders HTML-escaped, except {{detailsTable}} (the rendered detail rows).
+ */
+function renderTemplate(template, vars) {
+  const all = { year: new Date().getFullYear(), ...vars };
+  const details = (template.details || [])
+    .map(d => ({ key: fill(d.key, all), value: fill(d.value, all) }))
+    .filter(d => d.value.trim() !== "");
+  const statusColor = fill(template.statusColor || "{{statusColor}}", all) || "#0078D4";
+  const title = fill(template.title, all);
+  const subtitle = fill(template.subtitle, all);
+  const detailsHtml = detailsTableHtml(details);
+
+  const html = template.html
+    ? fill(template.html.replace(/\{\{\s*detailsTable\s*\}\}/g, "\u0000DETAILS\u0000"), { ...all, statusColor }, true).replace(/\u0000DETAILS\u0000/g, detailsHtml)
+    : layoutHtml({ title, subtitle, detailsHtml, csvNote: all.csvNote || "", statusColor, year: all.year });
+
+  return {
+    subject: fill(template.subject, all).replace(/\s+/g, " ").trim(),
+    html,
+    text: details.map(d => `${d.key}: ${d.value}`).join("\n"),
+  };
+}
+
+module.exports = { TEMPLATE_KEYS, PLACEHOLDERS, DEFAULT_TEMPLATES, SAMPLE_VARS, normalizeTemplate, listTemplates, loadTemplate, renderTemplate };
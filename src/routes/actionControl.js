@@ -0,0 +1,266 @@
+// src/routes/actionControl.js
+// Stop / extend / retry-failed for actions posted by the orchestrator.
+// BigFix actions cannot be edited once issued, so "extend" and "retry-failed" post a
+// follow-up action that is linked to its parent through ActionHistory.ParentActionID.
+const { logFactory } = require("../utils/log");
+const { bigfixClient } = require("../services/bigfix");
+const { getAction, updateActionMetadata, getActionChain } = require("../services/actionHistory");
+const { postFollowUp } = require("../services/followUpActions");
+const { getPatchWindowMs, buildActionWindow, windowBetween } = require("../utils/time");
+const { isDryRun } = require("../utils/http");
+const { normalizeActionSettings } = require("../bigfix/actionSettings");
+const { ROLLBACK_MODES, planRollback, postUninstallRollback, findSnapshots, revertSnapshots } = require("../services/rollback");
+const { vcenterContext } = require("./vcenter");
+const { isFailed } = require("../services/resultStatus");
+
+function validId(id) {
+  return /^\d+$/.test(String(id || "").trim());
+}
+
+/** Length of the parent's window, used when a retry doesn't give its own patchWindow. */
+function parentWindowMs(meta, createdAt) {
+  const start = new Date(meta.plannedStart || meta.createdAt || createdAt).getTime();
+  const end = new Date(meta.plannedEnd || 0).getTime();
+  return end > start ? end - start : 0;
+}
+
+function attachActionControlRoutes(app, ctx) {
+  const log = logFactory(ctx.DEBUG_LOG);
+
+  // --- STOP ---
+  app.post("/api/actions/:id/stop", async (req, res) => {
+    req._logStart = Date.now();
+    const id = String(req.params.id || "").trim();
+    const { triggeredBy } = req.body || {};
+    log(req, `POST /api/actions/${id}/stop. User: [${triggeredBy || 'Unknown'}].`);
+    if (!validId(id)) return res.status(400).json({ ok: false, error: "Invalid action id" });
+
+    try {
+      await bigfixClient(ctx).stopAction(id);
+      try {
+        await updateActionMetadata(id, { stoppedAt: new Date().toISOString(), stoppedBy: triggeredBy || "Unknown" });
+      } catch (dbErr) {
+        log(req, `Stop: could not record stop for ${id}:`, dbErr.message);
+      }
+      res.json({ ok: true, actionId: id, stopped: true });
+    } catch (err) {
+      log(req, "Stop action error:", err?.message || err);
+      res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err), code: err?.code });
+    }
+  });
+
+  // --- EXTEND (reissue with a later end time, then stop the original) ---
+  app.post("/api/actions/:id/extend", async (req, res) => {
+    req._logStart = Date.now();
+    const id = String(req.params.id || "").trim();
+    const { duration, triggeredBy } = req.body || {};
+    log(req, `POST /api/actions/${id}/extend. User: [${triggeredBy || 'Unknown'}]. Body:`, req.body);
+    if (!validId(id)) return res.status(400).json({ ok: false, error: "Invalid action id" });
+
+    const extraMs = getPatchWindowMs(duration);
+    if (extraMs <= 0) return res.status(400).json({ ok: false, error: "duration must be greater than zero (e.g. { hours: 2 })" });
+
+    try {
+      const parent = await getAction(id);
+      if (!parent) return res.status(404).json({ ok: false, error: `Action ${id} was not triggered by the orchestrator` });
+      if (parent.metadata.kind) return res.status(409).json({ ok: false, error: `Action ${id} is a ${parent.metadata.kind} action; only deployments can be extended` });
+      if (parent.metadata.stoppedAt) return res.status(409).json({ ok: false, error: `Action ${id} was stopped; trigger a new deployment instead` });
+
+      // Push the planned end out; an action without a recorded end is extended from now
+      const now = Date.now();
+      const currentEnd = new Date(parent.metadata.plannedEnd || now).getTime();
+      const newEnd = new Date(Math.max(currentEnd, now) + extraMs);
+      const start = parent.metadata.plannedStart && new Date(parent.metadata.plannedStart).getTime() > now
+        ? parent.metadata.plannedStart
+        : null;
+      // An anchored parent keeps absolute UTC times in its replacement
+      const window = windowBetween(start, newEnd, now, { absolute: !!parent.metadata.timeZone, timeZone: parent.metadata.timeZone || null });
+      if (window.error) return res.status(400).json({ ok: false, error: window.error });
+
+      const child = await postFollowUp(ctx, parent, { relation: "extend", window, triggeredBy });
+      log(req, `Extend: ${id} → ${child.actionId}, new end ${window.plannedEnd}`);
+
+      let parentStopped = false;
+      try {
+        await bigfixClient(ctx).stopAction(id);
+        parentStopped = true;
+      } catch (stopErr) {
+        log(req, `Extend: stopping original ${id} failed:`, stopErr.message);
+      }
+      try {
+        await updateActionMetadata(id, {
+          supersededBy: child.actionId,
+          ...(parentStopped ? { stoppedAt: new Date().toISOString(), stoppedBy: triggeredBy || "Unknown" } : {}),
+        });
+      } catch (dbErr) {
+        log(req, `Extend: could not update ${id} in DB:`, dbErr.message);
+      }
+
+      res.json({ ok: true, actionId: child.actionId, parentActionId: id, parentStopped, title: child.title, plannedEnd: window.plannedEnd, endOffset: window.endOffset, effectiveEnd: window.effectiveEnd, timeZone: window.timeZone });
+    } catch (err) {
+      log(req, "Extend action error:", err?.message || err);
+      res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err), code: err?.code });
+    }
+  });
+
+  // --- RETRY FAILED (follow-up targeting only the failed computers) ---
+  app.post("/api/actions/:id/retry-failed", async (req, res) => {
+    req._logStart = Date.now();
+    const id = String(req.params.id || "").trim();
+    const { patchWindow, startAt, timeZone, triggeredBy } = req.body || {};
+    log(req, `POST /api/actions/${id}/retry-failed. User: [${triggeredBy || 'Unknown'}].`);
+    if (!validId(id)) return res.status(400).json({ ok: false, error: "Invalid action id" });
+
+    try {
+      const parent = await getAction(id);
+      if (!parent) return res.status(404).json({ ok: false, error: `Action ${id} was not triggered by the orchestrator` });
+      if (parent.metadata.kind) return res.status(409).json({ ok: false, error: `Action ${id} is a ${parent.metadata.kind} action; only deployments can be retried` });
+
+      const client = bigfixClient(ctx);
+      const rows = await client.getActionResults(id);
+      const failed = [...new Set(rows.filter(r => isFailed(r.status)).map(r => r.server).filter(s => s && s !== "N/A"))];
+      if (!failed.length) {
+        return res.status(409).json({ ok: false, error: `No failed computers found for action ${id}`, total: rows.length });
+      }
+
+      const computerIds = await client.getComputerIds(failed);
+      if (!computerIds.length) return res.status(404).json({ ok: false, error: "None of the failed computers could be resolved to a ComputerID", failed });
+
+      const window = buildActionWindow({
+        patchWindow: patchWindow || { minutes: Math.round(parentWindowMs(parent.metadata, parent.createdAt) / 60000) },
+        startAt, timeZone: timeZone || parent.metadata.timeZone,
+      });
+      if (window.error) return res.status(400).json({ ok: false, error: `${window.error} Provide a patchWindow for the retry.` });
+
+      const child = await postFollowUp(ctx, parent, { relation: "retry", window, computerIds, computerNames: failed, triggeredBy });
+      log(req, `Retry-failed: ${id} → ${child.actionId} for ${computerIds.length} computers`);
+
+      res.json({
+        ok: true, actionId: child.actionId, parentActionId: id, title: child.title,
+        computers: failed, computerIds, plannedStart: window.plannedStart, plannedEnd: window.plannedEnd,
+        effectiveStart: window.effectiveStart, effectiveEnd: window.effectiveEnd, timeZone: window.timeZone,
+      });
+    } catch (err) {
+      log(req, "Retry-failed error:", err?.message || err);
+      res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err), code: err?.code });
+    }
+  });
+
+  // --- ROLLBACK (uninstall the applied KBs, or revert pre-patch snapshots) ---
+  app.post("/api/actions/:id/rollback", async (req, res) => {
+    req._logStart = Date.now();
+    const id = String(req.params.id || "").trim();
+    const { mode = "uninstall", computers, patchWindow, startAt, timeZone, stopOriginal = true, snapshotMaxAgeHours, triggeredBy } = req.body || {};
+    const dryRun = isDryRun(req);
+    log(req, `POST /api/actions/${id}/rollback mode=${mode}${dryRun ? ' (dry run)' : ''}. User: [${triggeredBy || 'Unknown'}].`);
+    if (!validId(id)) return res.status(400).json({ ok: false, error: "Invalid action id" });
+    if (!ROLLBACK_MODES.includes(mode)) return res.status(400).json({ ok: false, error: `mode must be one of: ${ROLLBACK_MODES.join(", ")}` });
+
+    try {
+      const parent = await getAction(id);
+      if (!parent) return res.status(404).json({ ok: false, error: `Action ${id} was not triggered by the orchestrator` });
+      if (parent.metadata.kind) return res.status(409).json({ ok: false, error: `Action ${id} is a ${parent.metadata.kind} action; only deployments can be rolled back` });
+
+      const plan = await planRollback(ctx, id, { computers });
+      if (!plan.computers.length) {
+        return res.status(409).json({ ok: false, error: `No computer applied anything from action ${id}`, total: plan.totalResults });
+      }
+
+      let window = null, actionSettings = null, snapshots = null, missingSnapshot = [];
+      if (mode === "uninstall") {
+        if (!plan.kbs.length) {
+          return res.status(409).json({ ok: false, code: "NO_UNINSTALL_PATH", error: "None of the applied components can be uninstalled; use mode \"snapshot\" instead", notRollbackable: plan.notRollbackable });
+        }
+        window = buildActionWindow({
+          patchWindow: patchWindow || { minutes: Math.round(parentWindowMs(parent.metadata, parent.createdAt) / 60000) },
+          startAt, timeZone: timeZone || parent.metadata.timeZone,
+        });
+        if (window.error) return res.status(400).json({ ok: false, error: `${window.error} Provide a patchWindow for the rollback.` });
+        const settings = normalizeActionSettings(req.body?.actionSettings);
+        if (settings.error) return res.status(400).json({ ok: false, error: settings.error });
+        actionSettings = settings.settings;
+      } else {
+        if (!(ctx.VCENTER_URL || ctx.vcenter?.VCENTER_URL)) return res.status(503).json({ ok: false, error: "VCenter not configured." });
+        const found = await findSnapshots(plan.computers, parent.createdAt, snapshotMaxAgeHours);
+        snapshots = [...found.values()];
+        missingSnapshot = plan.computers.filter(c => !found.has(c.toLowerCase()));
+        if (!snapshots.length) {
+          return res.status(409).json({ ok: false, code: "NO_SNAPSHOT", error: `No pre-patch snapshot found for the affected computers of action ${id}`, missingSnapshot });
+        }
+      }
+
+      if (dryRun) {
+        return res.json({ ok: true, dryRun: true, mode, parentActionId: id, ...plan, window, snapshots, missingSnapshot });
+      }
+
+      // Stop the original first so it cannot reinstall what is being backed out
+      let parentStopped = false;
+      if (stopOriginal !== false && !parent.metadata.stoppedAt) {
+        try {
+          await bigfixClient(ctx).stopAction(id);
+          parentStopped = true;
+        } catch (e) {
+          log(req, `Rollback: could not stop original ${id}:`, e?.message || e);
+        }
+      }
+
+      let result;
+      if (mode === "uninstall") {
+        const child = await postUninstallRollback(ctx, parent, plan, { window, actionSettings, triggeredBy });
+        log(req, `Rollback: ${id} → ${child.actionId} uninstalling ${plan.kbs.join(", ")} on ${child.computerIds.length} computers`);
+        result = {
+          actionId: child.actionId, title: child.title, kbs: plan.kbs, computers: child.computers, computerIds: child.computerIds,
+          notRollbackable: plan.notRollbackable,
+          plannedStart: window.plannedStart, plannedEnd: window.plannedEnd,
+          effectiveStart: window.effectiveStart, effectiveEnd: window.effectiveEnd, timeZone: window.timeZone,
+        };
+      } else {
+        const reverts = await revertSnapshots(vcenterContext(ctx), snapshots);
+        log(req, `Rollback: ${id} reverted ${reverts.filter(r => r.ok).length}/${reverts.length} snapshots`);
+        result = { reverts, missingSnapshot };
+      }
+
+      const record = { mode, at: new Date().toISOString(), by: triggeredBy || "Unknown", actionId: result.actionId || null, reverts: result.reverts || null };
+      const patch = { rollbacks: [...(parent.metadata.rollbacks || []), record] };
+      if (parentStopped) Object.assign(patch, { stoppedAt: record.at, stoppedBy: record.by });
+      await updateActionMetadata(id, patch).catch(e => log(req, `Rollback: could not record rollback on ${id}:`, e.message));
+
+      const ok = mode === "uninstall" || result.reverts.some(r => r.ok);
+      res.status(ok ? 200 : 502).json({ ok, mode, parentActionId: id, parentStopped, ...result });
+    } catch (err) {
+      log(req, "Rollback error:", err?.message || err);
+      res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err), code: err?.code });
+    }
+  });
+
+  // --- CHAIN (original deployment + all follow-ups) ---
+  app.get("/api/actions/:id/chain", async (req, res) => {
+    req._logStart = Date.now();
+    const id = String(req.params.id || "").trim();
+    if (!validId(id)) return res.status(400).json({ ok: false, error: "Invalid action id" });
+
+    try {
+      const chain = await getActionChain(id);
+      if (!chain.length) return res.status(404).json({ ok: false, error: `Action ${id} was not triggered by the orchestrator` });
+
+      res.json({
+        ok: true,
+        rootActionId: chain[0].actionId,
+        actions: chain.map(({ actionId, parentActionId, depth, createdAt, metadata: m }) => ({
+          actionId, parentActionId, depth, createdAt,
+          relation: m.relation || "initial",
+          stage: m.stage, baselineName: m.baselineName, groupName: m.groupName,
+          plannedStart: m.plannedStart || null, plannedEnd: m.plannedEnd || null,
+          targetComputers: m.targetComputers || null,
+          stoppedAt: m.stoppedAt || null, supersededBy: m.supersededBy || null,
+          triggeredBy: m.triggeredBy,
+        })),
+      });
+    } catch (err) {
+      log(req, "Action chain error:", err?.message || err);
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
+}
+
+module.exports = { attachActionControlRoutes };
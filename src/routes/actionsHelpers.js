@@ -1,35 +1,11 @@
 // src/routes/actionsHelpers.js
-const axios = require("axios");
-const { joinUrl } = require("../utils/http");
-const { parseTupleRows } = require("../utils/query");
 const { actionStore } = require("../state/store");
 const { logFactory } = require("../utils/log");
-
-function pickTag(text, tag) {
-  const m = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "i").exec(text);
-  return m ? m[1].trim() : null;
-}
-const pickStatusTop = (xml) => pickTag(xml, "Status");
-
-async function getActionStatusXml(bigfixCtx, id) {
-  const { BIGFIX_BASE_URL, BIGFIX_USER, BIGFIX_PASS, httpsAgent } = bigfixCtx;//
-  const url = joinUrl(BIGFIX_BASE_URL, `/api/action/${id}/status`);
-  const r = await axios.get(url, {
-    httpsAgent,
-    auth: { username: BIGFIX_USER, password: BIGFIX_PASS },
-    headers: { Accept: "text/xml" },
-    timeout: 60_000,
-    validateStatus: () => true,
-    responseType: "text",
-  });
-  return { ok: r.status >= 200 && r.status < 300, text: String(r.data || "") };
-}
-// (Helper functions end)
-
+const { bigfixClient } = require("../services/bigfix");
+const { isApplied } = require("../services/resultStatus");
 
 function attachActionHelpers(app, ctx) {
   const log = logFactory(ctx.DEBUG_LOG);
-  const { BIGFIX_BASE_URL, BIGFIX_USER, BIGFIX_PASS, httpsAgent } = ctx.bigfix;
 
   app.get("/api/actions/last", (req, res) => {
     req._logStart = Date.now();
@@ -47,16 +23,16 @@ function attachActionHelpers(app, ctx) {
          return res.status(400).json({ ok: false, state: "Invalid ID", mailSent: false });
       }
       
-      const { ok, text } = await getActionStatusXml(ctx.bigfix, id);
-      if (!ok) {
-        log(req, "BF GET status error:", text);
-        if (String(text).toLowerCase().includes("id not found")) {
+      let state;
+      try {
+        ({ state } = await bigfixClient(ctx).getActionStatus(id));
+      } catch (bfErr) {
+        log(req, "BF GET status error:", bfErr.detail || bfErr.message);
+        if (bfErr.code === "NOT_FOUND" || String(bfErr.detail).toLowerCase().includes("id not found")) {
             return res.json({ ok: true, state: "expired", mailSent: true });
         }
-        return res.status(500).json({ ok: false, state: "Error", mailSent: false });
+        return res.status(bfErr.status || 500).json({ ok: false, state: "Error", code: bfErr.code, mailSent: false });
       }
-
-      const state = (pickStatusTop(text) || "Unknown").toLowerCase();
       log(req, "Action state:", state);
 
       const mailSent = actionStore.actions[id]?.postMailSent || false;
@@ -80,44 +56,16 @@ function attachActionHelpers(app, ctx) {
         return res.status(400).json({ error: "Invalid action id" });
       }
 
-      const relevance =
-        `((if exists (name of computers of it) then name of computers of it else "N/A"),` +
-        ` (if exists (names of member actions of actions of it) then (names of member actions of actions of it) else "N/A"),` +
-        ` (detailed status of it as string | "N/A"),` +
-        ` (start time of it as string | "N/A"),` +
-        ` (end time of it as string | "N/A"), (name of issuer of action of it as string | "N/A")) of results of bes action whose (id of it = ${id})`;
-
-      const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-      log(req, "BF GET →", url);
-
-      const resp = await axios.get(url, {
-        httpsAgent,
-        auth: { username: BIGFIX_USER, password: BIGFIX_PASS },
-        headers: { Accept: "application/json" },
-        responseType: "json",
-        timeout: 60_000,
-        validateStatus: () => true,
-      });
-      log(req, "BF GET ←", resp.status);
-
-      if (resp.status < 200 || resp.status >= 300) {
-        log(req, "BF GET error payload (first 300):", String(resp.data).slice(0, 300));
-        return res.status(resp.status).send(resp.data);
-      }
-
-      const rows = parseTupleRows(resp.data).map(parts => {
-        const [server, patch, status, start, end, issuer] = parts;
-        return { server, patch, status, start, end, issuer };
-      });
+      const rows = await bigfixClient(ctx).getActionResults(id);
 
       const total = rows.length;
-      const success = rows.filter(r => /executed successfully/i.test(r.status)).length;
+      const success = rows.filter(r => isApplied(r.status)).length;
       log(req, "results summary:", { total, success });
 
       res.json({ actionId: id, total, success, rows });
     } catch (err) {
       log(req, "Action results error:", err?.message || err);
-      res.status(500).json({ error: String(err?.message || err) });
+      res.status(err?.status || 500).json({ error: String(err?.message || err), code: err?.code });
     }
   });
 }
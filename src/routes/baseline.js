@@ -1,33 +1,19 @@
 // bigfix-backend/src/routes/baseline.js
-const axios = require("axios");
-const { joinUrl } = require("../utils/http");
 const { logFactory } = require("../utils/log");
 const { sql, getPool } = require("../db/mssql");
+const { bigfixClient } = require("../services/bigfix");
 
 // --- Helper: Verify if Baseline IDs exist in BigFix (Lazy Sync) ---
-async function verifyBigFixBaselines(bigfixCtx, ids) {
+async function verifyBigFixBaselines(ctx, ids) {
   if (!ids || ids.length === 0) return [];
-  const { BIGFIX_BASE_URL, BIGFIX_USER, BIGFIX_PASS, httpsAgent } = bigfixCtx;
   
   const setStr = ids.join("; ");
   // Relevance: returns the subset of IDs that actually exist in BigFix
   const relevance = `unique values of ids of bes baselines whose (id of it is contained by set of (${setStr}))`;
   
   try {
-    const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-    const resp = await axios.get(url, {
-      httpsAgent,
-      auth: { username: BIGFIX_USER, password: BIGFIX_PASS },
-      headers: { Accept: "application/json" }
-    });
-    const result = resp.data?.result;
-    const foundIds = [];
-    if (Array.isArray(result)) {
-      result.forEach(r => foundIds.push(String(r)));
-    } else if (result) {
-      foundIds.push(String(result));
-    }
-    return foundIds;
+    const result = await bigfixClient(ctx).query(relevance);
+    return result.map(String);
   } catch (e) {
     console.warn("[BaselineSync] Failed to verify IDs:", e.message);
     return ids.map(String); // Fail safe: assume valid if network error
@@ -36,13 +22,6 @@ async function verifyBigFixBaselines(bigfixCtx, ids) {
 
 function attachBaselineRoutes(app, ctx) {
   const log = logFactory(ctx.DEBUG_LOG);
-  const { BIGFIX_BASE_URL, BIGFIX_USER, BIGFIX_PASS, httpsAgent } = ctx.bigfix;
-
-  const authOptions = {
-    httpsAgent,
-    auth: { username: BIGFIX_USER, password: BIGFIX_PASS },
-    headers: { Accept: "application/json" },
-  };
 
   // --- 1. LIST BASELINES (RBAC + Lazy Sync with Safety Window) ---
   app.get("/api/baselines/list", async (req, res) => {
@@ -76,7 +55,7 @@ function attachBaselineRoutes(app, ctx) {
 
             if (candidates.length > 0) {
                 const localIdsToCheck = candidates.map(r => r.BigFixID);
-                const realIds = await verifyBigFixBaselines(ctx.bigfix, localIdsToCheck);
+                const realIds = await verifyBigFixBaselines(ctx, localIdsToCheck);
                 
                 // Zombies = Checked IDs that were NOT found
                 const zombies = localIdsToCheck.filter(id => !realIds.includes(String(id)));
@@ -120,11 +99,7 @@ function attachBaselineRoutes(app, ctx) {
         filter + 
         `)`;
 
-      const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-      const resp = await axios.get(url, authOptions);
-      
-      let results = resp.data?.result || [];
-      if (!Array.isArray(results)) results = [results];
+      const results = await bigfixClient(ctx).query(relevance);
       results.sort((a, b) => String(a).localeCompare(String(b)));
 
       res.json({ ok: true, sites: results });
@@ -138,12 +113,7 @@ function attachBaselineRoutes(app, ctx) {
   app.get("/api/baseline/custom-sites", async (req, res) => {
     try {
       const relevance = `names of bes custom sites`;
-      const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-      const resp = await axios.get(url, authOptions);
-
-      let results = resp.data?.result || [];
-      if (!Array.isArray(results)) results = [results];
-
+      const results = await bigfixClient(ctx).query(relevance);
       results.sort();
       res.json({ ok: true, sites: results });
     } catch (e) {
@@ -158,10 +128,7 @@ function attachBaselineRoutes(app, ctx) {
     try {
       const safeSite = site.replace(/"/g, '%22');
       const relevance = `((id of it as string | "N/A") & " | " & (name of it | "N/A") & " | " & (display name of site of it as string | "N/A") & " | " & (source severity of it | "N/A")) of bes fixlets whose(display name of site of it is "${safeSite}" and applicable computer count of it > 0 and fixlet flag of it and exists default action of it)`;      
-      const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-      const resp = await axios.get(url, authOptions);
-      let rawResults = resp.data?.result || [];
-      if (!Array.isArray(rawResults)) rawResults = [rawResults];
+      const rawResults = await bigfixClient(ctx).query(relevance);
       const patches = rawResults.map((str) => {
         const parts = String(str).split(" | ");
         return { id: parts[0] || "N/A", name: parts[1] || "N/A", site: parts[2] || safeSite, severity: parts[3] || "Unspecified" };
@@ -194,10 +161,7 @@ function attachBaselineRoutes(app, ctx) {
         const idsStr = ids.join(";");
         const safeSite = siteName.replace(/"/g, '%22');
         const relevance = `("ID: " & (id of it as string | "N/A") & " || SourceURL: " & (url of site of it as string | "N/A") & " || Site: " & (display name of site of it | "N/A")) of bes fixlets whose (display name of site of it = "${safeSite}" and id of it is contained by set of (${idsStr}))`;
-        const qUrl = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-        const qResp = await axios.get(qUrl, authOptions);
-        let queryResults = qResp.data?.result || [];
-        if (!Array.isArray(queryResults)) queryResults = [queryResults];
+        const queryResults = await bigfixClient(ctx).query(relevance);
         queryResults.forEach((row) => {
           const parts = String(row).split(" || ");
           if (parts.length >= 3) {
@@ -229,15 +193,8 @@ function attachBaselineRoutes(app, ctx) {
       const xmlEscape = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
       const finalXml = `<?xml version="1.0" encoding="UTF-8"?><BES xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="BES.xsd"><Baseline><Title>${xmlEscape(baselineName)}</Title><Description /><Relevance>true</Relevance><BaselineComponentCollection><BaselineComponentGroup>${componentsXml}</BaselineComponentGroup></BaselineComponentCollection></Baseline></BES>`;
       
-      const encodedSite = encodeURIComponent(targetSite);
-      const postUrl = joinUrl(BIGFIX_BASE_URL, `/api/baselines/custom/${encodedSite}`);
-      
       log(req, `Creating baseline "${baselineName}" in site "${targetSite}"...`);
-      const postResp = await axios.post(postUrl, finalXml, { ...authOptions, headers: { "Content-Type": "application/xml" } });
-      const xmlResp = String(postResp.data || "");
-      let baselineId = null;
-      const idMatch = xmlResp.match(/<ID>(\d+)<\/ID>/);
-      if (idMatch) baselineId = idMatch[1];
+      const { id: baselineId } = await bigfixClient(ctx).createBaseline(finalXml, { site: targetSite });
       
       // --- Save Ownership to DB ---
       if (baselineId) {
@@ -257,7 +214,7 @@ function attachBaselineRoutes(app, ctx) {
       log(req, "Baseline Created ID:", baselineId);
       res.json({ ok: true, message: "Baseline created successfully", baselineId, baselineName });
     } catch (e) {
-      const bfError = e.response?.data ? String(e.response.data) : e.message;
+      const bfError = e.detail ? String(e.detail) : e.message;
       log(req, "Failed to create baseline. BigFix Error:", bfError);
       res.status(500).json({ ok: false, error: bfError });
     }
@@ -272,15 +229,8 @@ function attachBaselineRoutes(app, ctx) {
       const safeName = baselineName.replace(/"/g, '\\"');
       const relevance = `(creation time of it as string & "||" & modification time of it as string) of bes baselines whose (name of it = "${safeName}")`;
 
-      const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-      const resp = await axios.get(url, authOptions);
-
-      if (resp.status < 200 || resp.status >= 300) {
-         throw new Error(`BigFix query failed: ${resp.status}`);
-      }
-
-      const result = resp.data?.result;
-      const val = Array.isArray(result) ? result[0] : result;
+      const result = await bigfixClient(ctx).query(relevance);
+      const val = result[0];
       let warning = null;
 
       if (val && typeof val === 'string' && val.includes("||")) {
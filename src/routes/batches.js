@@ -0,0 +1,246 @@
+// bigfix-backend/src/routes/batches.js
+// Bulk trigger: one call posts an action per baseline/group pair under a single batch ID.
+const crypto = require("crypto");
+const { logFactory } = require("../utils/log");
+const { isDryRun } = require("../utils/http");
+const { sql, getPool } = require("../db/mssql");
+const { bigfixClient } = require("../services/bigfix");
+const { sendBatchMail } = require("../mail/transport");
+const { runStageTrigger, validateChangeNumber, changeNumberError } = require("./pilot");
+const { idempotent } = require("../services/triggerGuards");
+const { buildActionWindow } = require("../utils/time");
+const { normalizeActionSettings } = require("../bigfix/actionSettings");
+const { changeProvider, affectedCis, applyChangeWindow, postChangeProgress } = require("../services/changeProvider");
+
+const BATCH_STAGES = ["Sandbox", "Pilot", "Production"];
+const MAX_BATCH_ITEMS = 50;
+const MAX_CONCURRENCY = 5;
+
+/** Run `fn` over `items` with at most `limit` in flight; results keep the input order. */
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+function toCSV(rows) {
+  const escape = (v) => {
+    const s = String(v ?? "");
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [["Baseline", "Group", "Action ID", "Status"], ...rows.map(r => [r.baselineName, r.groupName, r.actionId || "", r.error || r.status])]
+    .map(r => r.map(escape).join(",")).join("\r\n");
+}
+
+// --- Helper: Every pair must name a baseline and a group, once each (the dry run checks they exist) ---
+function validateItems(items) {
+  const errors = [];
+  const seen = new Set();
+  const pairs = items.map((it, i) => {
+    const baselineName = String(it?.baselineName || "").trim();
+    const groupName = String(it?.groupName || "").trim();
+    if (!baselineName || !groupName) errors.push(`Item ${i + 1}: baselineName and groupName are required`);
+    const key = `${baselineName}|${groupName}`.toLowerCase();
+    if (seen.has(key)) errors.push(`Item ${i + 1}: duplicate pair ${baselineName} / ${groupName}`);
+    seen.add(key);
+    return { baselineName, groupName };
+  });
+  return errors.length ? { errors } : { pairs };
+}
+
+function toBatch(row) {
+  let items = [];
+  try { items = JSON.parse(row.Items || "[]"); } catch { /* keep empty */ }
+  return { batchId: row.BatchId, stage: row.Stage, triggeredBy: row.TriggeredBy, postMailSent: !!row.PostMailSent, createdAt: row.CreatedAt, items };
+}
+
+function attachBatchRoutes(app, ctx) {
+  const log = logFactory(ctx.DEBUG_LOG);
+
+  // --- 1. BULK TRIGGER ---
+  app.post("/api/actions/bulk", idempotent(), async (req, res) => {
+    req._logStart = Date.now();
+    const body = req.body || {};
+    const {
+      items, stage: stageRef, chgNumber, requireChg = true, force, autoMail, mailTo, mailFrom, mailCc, mailBcc, mailLists,
+      patchWindow, startAt, endAt, timeZone, chgWindowPolicy, concurrency, triggeredBy,
+    } = body;
+    const isForced = ["true", "1", "yes", "on", true, 1].includes(String(force).toLowerCase());
+    const shouldMail = ["true", "1", "yes", "on", true, 1].includes(String(autoMail).toLowerCase());
+    const dryRun = isDryRun(req);
+    log(req, `POST /api/actions/bulk items=${Array.isArray(items) ? items.length : 0}${dryRun ? ' (dry run)' : ''}. User: [${triggeredBy || 'Unknown'}].`);
+
+    try {
+      // 1) Validate everything before posting anything
+      const stage = BATCH_STAGES.find(s => s.toLowerCase() === String(stageRef || "Sandbox").toLowerCase());
+      if (!stage) return res.status(400).json({ ok: false, error: `stage must be one of: ${BATCH_STAGES.join(", ")}` });
+      if (!Array.isArray(items) || !items.length) return res.status(400).json({ ok: false, error: "items must be a non-empty array of { baselineName, groupName }" });
+      if (items.length > MAX_BATCH_ITEMS) return res.status(400).json({ ok: false, error: `A batch can hold at most ${MAX_BATCH_ITEMS} items` });
+      let window = buildActionWindow({ patchWindow, startAt, endAt, timeZone });
+      if (window.error) return res.status(400).json({ ok: false, error: window.error });
+      const settingsCheck = normalizeActionSettings(body.actionSettings);
+      if (settingsCheck.error) return res.status(400).json({ ok: false, error: settingsCheck.error });
+
+      // One CHG covers the whole batch; Sandbox never needs one
+      const needsChg = stage !== "Sandbox" && requireChg !== false && !isForced && !dryRun;
+      let chgSysId = null;
+      let changeWindow = null;
+      let changeCis = null;
+      const provider = changeProvider();
+      if (needsChg) {
+        if (!chgNumber || !provider.isChangeNumber(chgNumber)) {
+          return res.status(400).json({ ok: false, error: changeNumberError(provider) });
+        }
+        const chk = await validateChangeNumber(String(chgNumber).toUpperCase(), ctx);
+        if (!chk.ok) return res.status(400).json({ ok: false, chgOk: false, code: chk.code || "CHG_INVALID", message: chk.message || "CHG validation failed" });
+        chgSysId = chk.id || null;
+
+        const fit = applyChangeWindow(window, chk.window, { policy: chgWindowPolicy });
+        if (fit.blocked) return res.status(409).json({ ok: false, code: "OUTSIDE_CHANGE_WINDOW", error: fit.message, changeWindow: fit.changeWindow });
+        window = fit.window;
+        changeWindow = fit.changeWindow;
+        // Affected CIs are checked per item against its own group
+        changeCis = await affectedCis(ctx, provider, chk.record);
+      }
+      // A clamped window is handed to every item as absolute start/end
+      const windowOverride = changeWindow?.clamped
+        ? { patchWindow: undefined, startAt: window.plannedStart || undefined, endAt: window.effectiveEnd }
+        : {};
+
+      const checked = validateItems(items);
+      if (checked.errors) return res.status(400).json({ ok: false, code: "BATCH_INVALID", error: "Batch validation failed; nothing was posted.", errors: checked.errors });
+
+      const batchId = crypto.randomUUID();
+      const limit = Math.min(MAX_CONCURRENCY, Math.max(1, Number(concurrency) || 3));
+      const allowDuplicate = ["true", "1", "yes", "on", true, 1].includes(String(body.allowDuplicate).toLowerCase());
+      // Per-item mail is replaced by one batch mail
+      const runItem = async (pair, index, asDryRun) => {
+        try {
+          const { status, payload } = await runStageTrigger(req, ctx, {
+            ...body, ...windowOverride, ...pair, requireChg: false, autoMail: false,
+          }, {
+            isForced, environment: stage, dryRun: asDryRun, changeCis,
+            metadata: { batchId, batchIndex: index, preMail: shouldMail, chgNumber: chgNumber ? String(chgNumber).toUpperCase() : null, chgSysId, chgProvider: provider.name, changeWindow },
+          });
+          if (status !== 200) return { ...pair, status: "failed", httpStatus: status, code: payload.code, error: payload.error || payload.message };
+          if (!asDryRun) return { ...pair, status: "posted", actionId: String(payload.actionId) };
+          // A preview lets an open duplicate through; the real post would refuse it
+          if (payload.duplicateOf && !allowDuplicate) {
+            return { ...pair, status: "failed", httpStatus: 409, code: "DUPLICATE_ACTION", error: `Action ${payload.duplicateOf.actionId} for this baseline and group is still open.` };
+          }
+          return { ...pair, status: "preview", preview: payload };
+        } catch (e) {
+          return { ...pair, status: "failed", error: String(e?.message || e) };
+        }
+      };
+
+      // 2) Dry-run every item through the stage gates; one that fails stops the batch before anything is posted
+      const previews = await mapLimit(checked.pairs, limit, (pair, index) => runItem(pair, index, true));
+      const blocked = previews.filter(r => r.status === "failed");
+      if (dryRun) return res.json({ ok: blocked.length === 0, dryRun: true, stage, total: previews.length, failed: blocked.length, items: previews });
+      if (blocked.length) {
+        log(req, `[Batch] ${blocked.length}/${previews.length} items failed the dry run; nothing posted`);
+        return res.status(409).json({
+          ok: false, code: "BATCH_BLOCKED", error: "Batch dry run failed; nothing was posted.",
+          errors: blocked.map(r => `${r.baselineName} / ${r.groupName}: ${r.error}`), items: previews,
+        });
+      }
+
+      // 3) Post with bounded concurrency (an item can still fail if BigFix changed since the dry run)
+      const results = await mapLimit(checked.pairs, limit, (pair, index) => runItem(pair, index, false));
+      const posted = results.filter(r => r.status === "posted");
+      const failed = results.filter(r => r.status === "failed");
+
+      // 4) Record the batch as one history entry
+      try {
+        const pool = await getPool();
+        await pool.request()
+          .input('BatchId', sql.NVarChar(64), batchId)
+          .input('Stage', sql.NVarChar(50), stage)
+          .input('Items', sql.NVarChar(sql.MAX), JSON.stringify(results))
+          .input('TriggeredBy', sql.NVarChar(255), triggeredBy || null)
+          .query(`INSERT INTO dbo.ActionBatch (BatchId, Stage, Items, TriggeredBy, PostMailSent, CreatedAt)
+                  VALUES (@BatchId, @Stage, @Items, @TriggeredBy, 0, SYSUTCDATETIME())`);
+      } catch (dbErr) {
+        log(req, `[Batch ${batchId}] FAILED to save batch to DB:`, dbErr.message);
+      }
+
+      // 5) One pre-patch mail for the batch
+      let mailError = null, mailOutboxId = null;
+      if (shouldMail && posted.length && ctx.smtp?.SMTP_HOST && ctx.smtp?.SMTP_FROM) {
+        try {
+          ({ outboxId: mailOutboxId } = await sendBatchMail(ctx.smtp, {
+            phase: "trigger", batchId, environment: stage, actions: posted,
+            plannedStart: window.plannedStart, effectiveStart: window.effectiveStart, effectiveEnd: window.effectiveEnd, timeZone: window.timeZone,
+            triggeredBy, role: req.headers['x-user-role'] || 'Admin', mailLists,
+            emailTo: mailTo, emailFrom: mailFrom, emailCc: mailCc, emailBcc: mailBcc,
+            SMTP_FROM: ctx.smtp.SMTP_FROM, SMTP_TO: ctx.smtp.SMTP_TO,
+            SMTP_CC: ctx.smtp.SMTP_CC, SMTP_BCC: ctx.smtp.SMTP_BCC,
+            csvContent: toCSV(results),
+          }));
+        } catch (e) {
+          mailError = e?.message || String(e);
+          mailOutboxId = e?.outboxId || null;
+          log(req, `[Batch ${batchId}] mail failed:`, mailError);
+        }
+      }
+
+      // 6) One work note on the change record for the batch
+      let chgNote = null;
+      if (chgSysId && posted.length) {
+        chgNote = await postChangeProgress(ctx, { number: String(chgNumber).toUpperCase(), sysId: chgSysId, provider: provider.name }, {
+          phase: "trigger", batchId, stage, actions: posted,
+          plannedStart: window.plannedStart, effectiveStart: window.effectiveStart, effectiveEnd: window.effectiveEnd, timeZone: window.timeZone, triggeredBy,
+        });
+      }
+
+      log(req, `[Batch ${batchId}] posted ${posted.length}/${results.length}`);
+      res.json({
+        ok: posted.length > 0, partial: failed.length > 0 && posted.length > 0,
+        batchId, stage, total: results.length, posted: posted.length, failed: failed.length,
+        effectiveStart: window.effectiveStart, effectiveEnd: window.effectiveEnd, timeZone: window.timeZone,
+        items: results, preMail: shouldMail, preMailError: mailError, mailOutboxId, changeWindow, chgNote,
+      });
+    } catch (err) {
+      log(req, "Bulk trigger error:", err?.message || err);
+      res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
+
+  // --- 2. LIST BATCHES ---
+  app.get("/api/actions/batches", async (req, res) => {
+    try {
+      const pool = await getPool();
+      const r = await pool.request().query("SELECT TOP 100 * FROM dbo.ActionBatch ORDER BY CreatedAt DESC");
+      res.json({ ok: true, batches: r.recordset.map(toBatch) });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 3. ONE BATCH + LIVE ACTION STATES ---
+  app.get("/api/actions/batches/:batchId", async (req, res) => {
+    try {
+      const pool = await getPool();
+      const r = await pool.request().input('BatchId', sql.NVarChar(64), req.params.batchId)
+        .query("SELECT * FROM dbo.ActionBatch WHERE BatchId = @BatchId");
+      if (!r.recordset.length) return res.status(404).json({ ok: false, error: "Batch not found" });
+      const batch = toBatch(r.recordset[0]);
+
+      const client = bigfixClient(ctx);
+      batch.items = await mapLimit(batch.items, MAX_CONCURRENCY, async (it) => {
+        if (!it.actionId) return it;
+        try { return { ...it, state: (await client.getActionStatus(it.actionId)).state }; }
+        catch { return { ...it, state: "unknown" }; }
+      });
+      res.json({ ok: true, batch });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+}
+
+module.exports = { attachBatchRoutes };
@@ -2,6 +2,11 @@
 const { CONFIG } = require("../state/store");
 const { logFactory } = require("../utils/log");
 const { sql, getPool } = require("../db/mssql");
+const { PREFLIGHT_POLICIES } = require("../services/serverHealth");
+const { MAINTENANCE_POLICIES } = require("../services/maintenanceWindows");
+const { CHANGE_PROVIDERS, CHG_WINDOW_POLICIES, CHG_CI_POLICIES } = require("../services/changeProvider");
+const { INCIDENT_MODES } = require("../services/incidents");
+const { resolveTimeZone } = require("../utils/time");
 
 // Helper: Merge DB config into memory
 async function loadConfigFromDB(log) {
@@ -110,6 +115,45 @@ function attachConfigRoutes(app, ctx) {
       if (reportUnit !== undefined && !validUnits.includes(reportUnit))
         return res.status(400).json({ ok:false, message:`lastReportUnit must be one of: ${validUnits.join(", ")}` });
 
+      const preflightPolicy = req.body?.preflightPolicy;
+      if (preflightPolicy !== undefined && !PREFLIGHT_POLICIES.includes(preflightPolicy))
+        return res.status(400).json({ ok:false, message:`preflightPolicy must be one of: ${PREFLIGHT_POLICIES.join(", ")}` });
+
+      const maintenancePolicy = req.body?.maintenanceWindowPolicy;
+      if (maintenancePolicy !== undefined && !MAINTENANCE_POLICIES.includes(maintenancePolicy))
+        return res.status(400).json({ ok:false, message:`maintenanceWindowPolicy must be one of: ${MAINTENANCE_POLICIES.join(", ")}` });
+      const windowHours = num(req.body?.maintenanceWindowHours);
+      if (windowHours !== undefined && windowHours <= 0)
+        return res.status(400).json({ ok:false, message:"maintenanceWindowHours must be > 0" });
+      const windowTimeZone = req.body?.maintenanceWindowTimeZone;
+      if (windowTimeZone !== undefined && !resolveTimeZone(windowTimeZone))
+        return res.status(400).json({ ok:false, message:"maintenanceWindowTimeZone must be an IANA time zone like \"UTC\" or \"Europe/Berlin\"" });
+
+      const maxAttempts = num(req.body?.postPatchMaxAttempts);
+      if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1))
+        return res.status(400).json({ ok:false, message:"postPatchMaxAttempts must be a positive integer" });
+
+      const changeProviderName = req.body?.changeProvider;
+      if (changeProviderName !== undefined && !CHANGE_PROVIDERS.includes(changeProviderName))
+        return res.status(400).json({ ok:false, message:`changeProvider must be one of: ${CHANGE_PROVIDERS.join(", ")}` });
+      const chgWindowPolicy = req.body?.chgWindowPolicy;
+      if (chgWindowPolicy !== undefined && !CHG_WINDOW_POLICIES.includes(chgWindowPolicy))
+        return res.status(400).json({ ok:false, message:`chgWindowPolicy must be one of: ${CHG_WINDOW_POLICIES.join(", ")}` });
+      const chgCiPolicy = req.body?.chgCiPolicy;
+      if (chgCiPolicy !== undefined && !CHG_CI_POLICIES.includes(chgCiPolicy))
+        return res.status(400).json({ ok:false, message:`chgCiPolicy must be one of: ${CHG_CI_POLICIES.join(", ")}` });
+
+      const incidentMode = req.body?.incidentMode;
+      if (incidentMode !== undefined && !INCIDENT_MODES.includes(incidentMode))
+        return res.status(400).json({ ok:false, message:`incidentMode must be one of: ${INCIDENT_MODES.join(", ")}` });
+      const assignmentGroups = req.body?.incidentAssignmentGroups;
+      if (assignmentGroups !== undefined && (!assignmentGroups || typeof assignmentGroups !== "object" || Array.isArray(assignmentGroups)
+          || Object.values(assignmentGroups).some(v => typeof v !== "string")))
+        return res.status(400).json({ ok:false, message:"incidentAssignmentGroups must map role names to assignment group names" });
+      const defaultAssignmentGroup = req.body?.incidentDefaultAssignmentGroup;
+      if (defaultAssignmentGroup !== undefined && typeof defaultAssignmentGroup !== "string")
+        return res.status(400).json({ ok:false, message:"incidentDefaultAssignmentGroup must be a string" });
+
       // Update In-Memory
       CONFIG.diskThresholdGB = dsk;
 
@@ -127,6 +171,17 @@ function attachConfigRoutes(app, ctx) {
 
       if (reportValue !== undefined) CONFIG.lastReportValue = reportValue;
       if (reportUnit  !== undefined) CONFIG.lastReportUnit  = reportUnit;
+      if (preflightPolicy !== undefined) CONFIG.preflightPolicy = preflightPolicy;
+      if (maintenancePolicy !== undefined) CONFIG.maintenanceWindowPolicy = maintenancePolicy;
+      if (windowHours !== undefined) CONFIG.maintenanceWindowHours = windowHours;
+      if (windowTimeZone !== undefined) CONFIG.maintenanceWindowTimeZone = resolveTimeZone(windowTimeZone);
+      if (maxAttempts !== undefined) CONFIG.postPatchMaxAttempts = maxAttempts;
+      if (changeProviderName !== undefined) CONFIG.changeProvider = changeProviderName;
+      if (chgWindowPolicy !== undefined) CONFIG.chgWindowPolicy = chgWindowPolicy;
+      if (chgCiPolicy !== undefined) CONFIG.chgCiPolicy = chgCiPolicy;
+      if (incidentMode !== undefined) CONFIG.incidentMode = incidentMode;
+      if (assignmentGroups !== undefined) CONFIG.incidentAssignmentGroups = assignmentGroups;
+      if (defaultAssignmentGroup !== undefined) CONFIG.incidentDefaultAssignmentGroup = defaultAssignmentGroup.trim();
 
       // --- PERSIST TO DB ---
       await saveConfigToDB(CONFIG, req, log);
@@ -1,7 +1,7 @@
 // bigfix-backend/src/routes/deployments.js
-const axios = require("axios");
-const { joinUrl } = require("../utils/http");
 const { logFactory } = require("../utils/log");
+const { bigfixClient } = require("../services/bigfix");
+const { getPool } = require("../db/mssql");
 
 /** Parse: "Name | Id | State | Issued | Stopped | Issuer" */
 function parseRow(s) {
@@ -16,9 +16,55 @@ function parseRow(s) {
   };
 }
 
+/**
+ * From ActionHistory metadata, keyed by ActionID: planned start/end of scheduled actions,
+ * and the bulk-trigger batch each action belongs to.
+ */
+async function loadSchedules() {
+  const pool = await getPool();
+  const r = await pool.request()
+    .query(`SELECT ActionID, Metadata FROM dbo.ActionHistory WHERE Metadata LIKE '%"plannedStart":"%' OR Metadata LIKE '%"batchId":"%'`);
+  const out = {};
+  const batches = {};
+  for (const row of r.recordset) {
+    try {
+      const meta = JSON.parse(row.Metadata || "{}");
+      if (meta.plannedStart) out[String(row.ActionID)] = { plannedStart: meta.plannedStart, plannedEnd: meta.plannedEnd || null, timeZone: meta.timeZone || null };
+      if (meta.batchId) batches[String(row.ActionID)] = meta.batchId;
+    } catch { /* skip bad metadata */ }
+  }
+  return { schedules: out, batches };
+}
+
+/** Collapse the actions of each bulk-trigger batch into one entry (at the position of its newest action). */
+function groupBatches(items, batchOf) {
+  const out = [];
+  const byBatch = new Map();
+  for (const item of items) {
+    const batchId = batchOf[item.id];
+    if (!batchId) { out.push(item); continue; }
+    if (!byBatch.has(batchId)) {
+      const entry = { name: `BPS_Batch_${batchId}`, id: batchId, batch: true, batchId, actions: [] };
+      byBatch.set(batchId, entry);
+      out.push(entry);
+    }
+    byBatch.get(batchId).actions.push(item);
+  }
+  for (const entry of byBatch.values()) {
+    const first = entry.actions[entry.actions.length - 1];
+    entry.state = entry.actions.some(a => /open/i.test(a.state)) ? "Open" : first.state;
+    entry.issued = first.issued;
+    entry.stopped = entry.actions.every(a => a.stopped !== "None") ? entry.actions[0].stopped : "None";
+    entry.issuer = first.issuer;
+    entry.plannedStart = first.plannedStart;
+    entry.plannedEnd = first.plannedEnd;
+    entry.scheduled = entry.actions.some(a => a.scheduled);
+  }
+  return out;
+}
+
 function attachDeploymentsRoutes(app, ctx) {
   const log = logFactory(ctx.DEBUG_LOG);
-  const { BIGFIX_BASE_URL, BIGFIX_USER, BIGFIX_PASS, httpsAgent } = ctx.bigfix;
 
   // GET /api/deployments/bps
   app.get("/api/deployments/bps", async (req, res) => {
@@ -33,24 +79,10 @@ function attachDeploymentsRoutes(app, ctx) {
         `((if exists end date of it then end date of it as string & " " & end time_of_day of it as string else "None") of it) & " | " & ` + 
         `(name of issuer of it as string | "N/A")) of bes actions whose (name of it starts with "BPS_")`;
 
-      const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-      log(req, "GET deployments →", url);
+      log(req, "GET deployments →", relevance);
+      const rows = await bigfixClient(ctx).query(relevance);
+      log(req, "GET deployments ←", rows.length);
 
-      const r = await axios.get(url, {
-        httpsAgent,
-        auth: { username: BIGFIX_USER, password: BIGFIX_PASS },
-        headers: { Accept: "application/json" },
-        responseType: "json",
-        timeout: 60_000,
-        validateStatus: () => true,
-      });
-      log(req, "GET deployments ←", r.status);
-
-      if (r.status < 200 || r.status >= 300) {
-        return res.status(r.status).send(r.data);
-      }
-
-      const rows = Array.isArray(r.data?.result) ? r.data.result : [];
       const flat = [];
       const collect = (n) => {
         if (n == null) return;
@@ -63,14 +95,29 @@ function attachDeploymentsRoutes(app, ctx) {
       };
       rows.forEach(collect);
 
+      let schedules = {}, batches = {};
+      try {
+        ({ schedules, batches } = await loadSchedules());
+      } catch (e) {
+        log(req, "GET deployments: schedule lookup failed:", e.message);
+      }
+
+      const now = Date.now();
       const items = flat
         .filter(Boolean)
         .map(parseRow)
+        .map(item => {
+          const sched = schedules[item.id];
+          if (!sched) return { ...item, plannedStart: null, plannedEnd: null, scheduled: false };
+          const pending = /open/i.test(item.state) && new Date(sched.plannedStart).getTime() > now;
+          return { ...item, ...sched, scheduled: pending };
+        })
         .sort((a,b) => (Number(b.id)||0) - (Number(a.id)||0));
 
-      res.json({ ok: true, count: items.length, items });
+      const grouped = groupBatches(items, batches);
+      res.json({ ok: true, count: grouped.length, items: grouped });
     } catch (e) {
-      res.status(500).json({ ok: false, error: e?.message || String(e) });
+      res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e), code: e?.code });
     }
   });
 }
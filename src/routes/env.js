@@ -25,6 +25,15 @@ const UI_TO_ENV = {
   "SERVICENOW USERNAME": "SN_USER",
   "SERVICENOW PASSWORD": "SN_PASSWORD",
   "SERVICENOW ALLOW SELF SIGNED": "SN_ALLOW_SELF_SIGNED",
+  "SERVICENOW STANDARD CHANGE TEMPLATE": "SN_STD_CHANGE_TEMPLATE",
+
+  "JSM URL": "JSM_URL",
+  "JSM USERNAME": "JSM_USER",
+  "JSM API TOKEN": "JSM_API_TOKEN",
+  "JSM ALLOW SELF SIGNED": "JSM_ALLOW_SELF_SIGNED",
+  "JSM IMPLEMENT STATUS": "JSM_IMPLEMENT_STATUS",
+  "JSM START FIELD": "JSM_START_FIELD",
+  "JSM END FIELD": "JSM_END_FIELD",
 
   "VCENTER URL": "VCENTER_URL",
   "VCENTER USERNAME": "VCENTER_USER",
@@ -40,7 +49,7 @@ const UI_TO_ENV = {
   "DEBUG LEVEL": "DEBUG_LOG",
 };
 
-const SECRET_KEYS = new Set(["BIGFIX_PASS", "SN_PASSWORD", "SMTP_PASSWORD", "VCENTER_PASSWORD"]);
+const SECRET_KEYS = new Set(["BIGFIX_PASS", "SN_PASSWORD", "JSM_API_TOKEN", "SMTP_PASSWORD", "VCENTER_PASSWORD"]);
 const b64e = (s) => Buffer.from(String(s ?? ""), "utf8").toString("base64");
 const normalizeDebugLevel = (v) => (String(v || 'info').toLowerCase() === '1' || String(v).toLowerCase() === 'debug') ? '1' : '0';
 
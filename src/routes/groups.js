@@ -1,6 +1,4 @@
 // bigfix-backend/src/routes/groups.js
-const axios = require("axios");
-const { joinUrl } = require("../utils/http");
 const { logFactory } = require("../utils/log");
 const { sql, getPool } = require("../db/mssql");
 const { bigfixClient } = require("../services/bigfix");
@@ -16,34 +14,23 @@ let computersCache = {
 const xmlEscape = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
 
 // --- Helper: Verify which IDs actually exist in BigFix ---
-async function verifyBigFixIds(bigfixCtx, ids) {
+async function verifyBigFixIds(ctx, ids) {
   if (!ids || ids.length === 0) return [];
-  const { BIGFIX_BASE_URL, BIGFIX_USER, BIGFIX_PASS, httpsAgent } = bigfixCtx;
-  
+  const client = bigfixClient(ctx);
+
   const setStr = ids.join("; ");
   const relevance = `unique values of ids of bes computer groups whose (id of it is contained by set of (${setStr}))`;
   let foundIds = [];
   try {
-    const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-    const resp = await axios.get(url, { httpsAgent, auth: { username: BIGFIX_USER, password: BIGFIX_PASS }, headers: { Accept: "application/json" } });
-    const result = resp.data?.result;
-    if (Array.isArray(result)) result.forEach(r => foundIds.push(String(r)));
-    else if (result) foundIds.push(String(result));
+    const result = await client.query(relevance);
+    result.forEach(r => foundIds.push(String(r)));
   } catch (e) { console.warn("[GroupSync] Relevance check failed:", e.message); }
   
   const missing = ids.filter(id => !foundIds.includes(String(id)));
   if (missing.length > 0) {
     try {
-        const restUrl = joinUrl(BIGFIX_BASE_URL, "/api/computergroups/master");
-        const restResp = await axios.get(restUrl, { httpsAgent, auth: { username: BIGFIX_USER, password: BIGFIX_PASS }, headers: { Accept: "application/xml" }, validateStatus: (s) => s < 500 });
-        if (restResp.status === 200) {
-            const xml = String(restResp.data || "");
-            const regex = /<ID>(\d+)<\/ID>/gi;
-            let match;
-            while ((match = regex.exec(xml)) !== null) {
-                if (missing.includes(match[1])) foundIds.push(match[1]);
-            }
-        }
+        const masterIds = await client.listMasterGroupIds();
+        masterIds.forEach(id => { if (missing.includes(id)) foundIds.push(id); });
     } catch (e) { console.warn("[GroupSync] Master check failed:", e.message); }
   }
   return foundIds;
@@ -51,8 +38,6 @@ async function verifyBigFixIds(bigfixCtx, ids) {
 
 function attachGroupRoutes(app, ctx) {
   const log = logFactory(ctx.DEBUG_LOG);
-  const { BIGFIX_BASE_URL, BIGFIX_USER, BIGFIX_PASS, httpsAgent } = ctx.bigfix;
-  const authOptions = { httpsAgent, auth: { username: BIGFIX_USER, password: BIGFIX_PASS }, headers: { Accept: "application/json" } };
 
   // --- 1. LIST GROUPS (With Smart Sync) ---
   app.get("/api/groups/list", async (req, res) => {
@@ -71,7 +56,7 @@ function attachGroupRoutes(app, ctx) {
       // Smart Sync: Only remove groups missing from BigFix if they are > 1 hour old
       if (dbGroups.length > 0) {
         const localIds = dbGroups.map(g => g.BigFixID);
-        const realIds = await verifyBigFixIds(ctx.bigfix, localIds);
+        const realIds = await verifyBigFixIds(ctx, localIds);
         const zombies = dbGroups.filter(g => !realIds.includes(String(g.BigFixID)));
         
         if (zombies.length > 0) {
@@ -107,28 +92,20 @@ function attachGroupRoutes(app, ctx) {
     const userRole = req.headers['x-user-role'] || 'Admin';
     if (!name) return res.status(400).json({ ok: false, error: "Group name is required" });
     
-    let endpoint = "", xmlBody = "";
+    let site = null, xmlBody = "";
     if (type === "Manual") {
         if (!computerIds?.length) return res.status(400).json({ok:false, error: "No computers selected"});
-        endpoint = "/api/computergroup/master";
         const computerTags = computerIds.map(id => `<ComputerID>${id}</ComputerID>`).join("\n");
         xmlBody = `<?xml version="1.0" encoding="UTF-8"?><BESAPI xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="BESAPI.xsd"><ManualComputerGroup><Name>${xmlEscape(name)}</Name><EvaluateOnClient>false</EvaluateOnClient>${computerTags}</ManualComputerGroup></BESAPI>`;
     } else {
         if (!conditions?.length) return res.status(400).json({ok:false, error: "No conditions provided"});
-        const sitePath = targetSite ? `/custom/${targetSite}` : "/master";
-        endpoint = `/api/computergroup${sitePath}`;
+        site = targetSite || null;
         const searchComponents = conditions.map(cond => `<SearchComponentPropertyReference PropertyName="${xmlEscape(cond.property)}" Comparison="${xmlEscape(cond.operator)}"><SearchText>${xmlEscape(cond.value)}</SearchText><Relevance></Relevance></SearchComponentPropertyReference>`).join("");
         xmlBody = `<BES xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="BES.xsd"><ComputerGroup><Title>${xmlEscape(name)}</Title><JoinByIntersection>true</JoinByIntersection>${searchComponents}</ComputerGroup></BES>`;
     }
 
     try {
-      const postUrl = joinUrl(BIGFIX_BASE_URL, endpoint);
-      const bfResp = await axios.post(postUrl, xmlBody, { ...authOptions, responseType: 'text', headers: { ...authOptions.headers, "Content-Type": "application/xml" } });
-      let newId = null, rawStr = String(bfResp.data || "").trim();
-      let idMatch = rawStr.match(/<ID>\s*(\d+)\s*<\/ID>/i);
-      if (idMatch) newId = idMatch[1];
-      if (!newId) { idMatch = rawStr.match(/Resource=["'].*?\/(\d+)["']/i); if (idMatch) newId = idMatch[1]; }
-      if (!newId) { idMatch = rawStr.match(/\/(\d+)\s*$/); if (idMatch) newId = idMatch[1]; }
+      const { id: newId } = await bigfixClient(ctx).createGroup(xmlBody, { site });
       
       if (newId) {
         const pool = await getPool();
@@ -148,8 +125,7 @@ function attachGroupRoutes(app, ctx) {
         const check = await pool.request().input('ID', sql.NVarChar(255), id).query("SELECT CreatedByRole FROM dbo.AssetOwnership WHERE BigFixID = @ID");
         if (!check.recordset.length || check.recordset[0].CreatedByRole !== userRole) return res.status(403).json({ ok: false, error: "Permission Denied" });
       }
-      const url = joinUrl(BIGFIX_BASE_URL, `/api/computergroup/master/${id}`);
-      try { await axios.delete(url, authOptions); } catch (e) { /* ignore 404 */ }
+      try { await bigfixClient(ctx).deleteGroup(id); } catch (e) { /* ignore 404 */ }
       await pool.request().input('ID', sql.NVarChar(255), id).query("DELETE FROM dbo.AssetOwnership WHERE BigFixID = @ID");
       res.json({ ok: true });
     } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
@@ -172,9 +148,7 @@ function attachGroupRoutes(app, ctx) {
             // Filters OUT devices where Device Type is "server"
             const relevance = `(id of it as string & "||" & name of it as string & "||" & (value of result (it, bes property "Patch_Setu_IP_Address") | "N/A") & "||" & (operating system of it as string | "Unknown")) of bes computers whose (value of result (it, bes property "Device Type") as lowercase != "server")`;
             
-            const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-            const resp = await axios.get(url, authOptions);
-            const raw = Array.isArray(resp.data?.result) ? resp.data.result : [];
+            const raw = await bigfixClient(ctx).query(relevance);
             
             computerList = raw.map(r => { 
                 const p = String(r).split("||"); 
@@ -197,9 +171,7 @@ function attachGroupRoutes(app, ctx) {
                 // Filters FOR devices where Device Type is "server"
                 const relevance = `(id of it as string & "||" & name of it as string & "||" & (value of result (it, bes property "Patch_Setu_IP_Address") | "N/A") & "||" & (operating system of it as string | "Unknown")) of bes computers whose (value of result (it, bes property "Device Type") as lowercase = "server")`;
     
-                const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-                const resp = await axios.get(url, authOptions);
-                const raw = Array.isArray(resp.data?.result) ? resp.data.result : [];
+                const raw = await bigfixClient(ctx).query(relevance);
                 
                 computersCache.data = raw.map(r => { 
                     const p = String(r).split("||"); 
@@ -278,9 +250,7 @@ function attachGroupRoutes(app, ctx) {
   app.get("/api/groups/metadata/properties", async (req, res) => {
       try {
         const relevance = `(((item 1 of it) of id of it as string | "N/A") & "||" & (name of it as string | "N/A")) of bes properties whose (reserved flag of it is true)`;
-        const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-        const resp = await axios.get(url, authOptions);
-        const raw = Array.isArray(resp.data?.result) ? resp.data.result : [];
+        const raw = await bigfixClient(ctx).query(relevance);
         const properties = raw.map(r => String(r).split("||")[1] || "Unknown").sort();
         res.json({ ok: true, properties: [...new Set(properties)] });
       } catch (e) { res.status(500).json({ok:false, error:e.message}); }
@@ -1,34 +1,11 @@
 // src/routes/health.js
-const { parseTupleRows } = require("../utils/query");
-const { joinUrl } = require("../utils/http");
-const { actionStore, CONFIG } = require("../state/store");
 const { logFactory } = require("../utils/log");
+const { bigfixClient, getBigFixMetrics } = require("../services/bigfix");
+const { healthRelevance, parseHealthTuple, healthRules, healthIssues } = require("../services/serverHealth");
+const { listPlaybooks, suggestPlaybooks, issueKey } = require("../services/playbooks");
 
 // ----------------- HELPERS -----------------
 
-function getThresholdMilliseconds(value, unit) {
-  const v = Math.max(0, Number(value) || 0);
-  switch (String(unit).toLowerCase()) {
-    case "minutes": return v * 60 * 1000;
-    case "hours": return v * 60 * 60 * 1000;
-    case "days": default: return v * 24 * 60 * 60 * 1000;
-  }
-}
-
-function isTimeUnhealthy(timeString, thresholdMs) {
-  if (!timeString || timeString === "N/A") return true;
-  try {
-    const parsableDate = timeString.substring(timeString.indexOf(", ") + 2);
-    const lastReportTime = Date.parse(parsableDate);
-    if (isNaN(lastReportTime)) return true;
-    const now = Date.now();
-    const age = now - lastReportTime;
-    return age > thresholdMs;
-  } catch {
-    return true;
-  }
-}
-
 function collectStrings(node, out) {
   if (node == null) return;
   const t = typeof node;
@@ -42,18 +19,28 @@ function collectStrings(node, out) {
   if (t === "object") { for (const k of Object.keys(node)) collectStrings(node[k], out); }
 }
 
+// Playbooks the role may run; health rows still load if the DB is unavailable
+async function playbooksFor(role) {
+  try { return await listPlaybooks(role); } catch { return []; }
+}
+
 // ------------------------------- ROUTES ---------------------------------
 
 function attachHealthRoutes(app, ctx) {
   const log = logFactory(ctx.DEBUG_LOG);
-  const { BIGFIX_BASE_URL, BIGFIX_USER, BIGFIX_PASS, httpsAgent } = ctx.bigfix;
-  const axios = require("axios");
 
   app.get("/health", (req, res) => {
     log(req, "GET /health");
     res.json({ ok: true, ts: new Date().toISOString() });
   });
 
+  // --- BigFix client: breaker state + per-call timing ---
+  app.get("/api/health/bigfix", (req, res) => {
+    req._logStart = Date.now();
+    log(req, "GET /api/health/bigfix");
+    res.json({ ok: true, ...getBigFixMetrics() });
+  });
+
   // --- HELPER: Get Role Filter ---
   function getRoleFilter(req) {
     const userRole = req.headers['x-user-role'] || 'Admin';
@@ -81,21 +68,9 @@ function attachHealthRoutes(app, ctx) {
       const filter = getRoleFilter(req);
       const relevance = `number of bes computers${filter}`;
       
-      const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-      
-      const resp = await axios.get(url, {
-        httpsAgent,
-        auth: BIGFIX_USER && BIGFIX_PASS ? { username: BIGFIX_USER, password: BIGFIX_PASS } : undefined,
-        headers: { Accept: "application/json" },
-        responseType: "json",
-        timeout: 60_000,
-        validateStatus: () => true,
-      });
-
-      if (resp.status < 200 || resp.status >= 300) return res.status(resp.status).send(resp.data);
+      const data = await bigfixClient(ctx).queryJson(relevance);
 
       let total = 0;
-      const data = resp.data;
       if (data && data.result && Array.isArray(data.result) && data.result[0]) {
         const tuple = data.result[0].Tuple || data.result[0].tuple || data.result[0];
         const v = Array.isArray(tuple) ? tuple[0] : tuple;
@@ -103,14 +78,14 @@ function attachHealthRoutes(app, ctx) {
         if (m) total = Number(m[0]);
       }
       if (!total) {
-        const m = JSON.stringify(resp.data).match(/\b\d+\b/);
+        const m = JSON.stringify(data).match(/\b\d+\b/);
         if (m) total = Number(m[0]);
       }
 
       res.json({ ok: true, total });
     } catch (err) {
       log(req, "total-computers error:", err?.message || err);
-      res.status(500).json({ ok: false, error: String(err?.message || err) });
+      res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err) });
     }
   });
 
@@ -123,80 +98,17 @@ function attachHealthRoutes(app, ctx) {
       const filter = getRoleFilter(req);
       const userRole = req.headers['x-user-role'] || 'Admin';
       
-      const relevance =
-        '((name of it | "N/A") ,' + 
-        ' (value of result (it, bes property "Patch_Setu_Disk_Space") | "N/A"),' +
-        ' (value of result (it, bes property "Patch_Setu_IP_Address") | "N/A"),' +
-        ' (last report time of it as string | "N/A"),' + 
-        ' (value of result (it, bes property "Patch_Setu_Window_Update_Service") | "N/A"),' +
-        ' (operating system of it | "N/A"))' +
-        ` of bes computers${filter}`;
-
-      const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-      
-      const resp = await axios.get(url, {
-        httpsAgent,
-        auth: BIGFIX_USER && BIGFIX_PASS ? { username: BIGFIX_USER, password: BIGFIX_PASS } : undefined,
-        headers: { Accept: "application/json" },
-        responseType: "json",
-        timeout: 60_000,
-        validateStatus: () => true,
-      });
-
-      if (resp.status < 200 || resp.status >= 300) {
-        return res.status(resp.status).send(resp.data);
-      }
-
-      const tuples = parseTupleRows(resp.data);
-
-      const afterEq = (s) => {
-        const str = String(s || "").trim();
-        const idx = str.indexOf("=");
-        return idx >= 0 ? str.slice(idx + 1).trim() : str;
-      };
-      const parseDiskGB = (s) => {
-        const m = String(s || "").match(/(\d+(?:\.\d+)?)\s*GB/i);
-        return m ? Number(m[1]) : null;
-      };
+      const tuples = await bigfixClient(ctx).queryRows(healthRelevance(`bes computers${filter}`));
+      const parsed = tuples.map(parseHealthTuple);
 
-      const parsed = tuples.map((parts) => {
-        const [serverStr, diskStr, ipStr, lastReportTime, serviceStatus, osStr] = parts;
-        const diskPretty = afterEq(diskStr) || "N/A";
-        return {
-          server: afterEq(serverStr) || "N/A",
-          disk: diskPretty,
-          diskGB: parseDiskGB(diskPretty),
-          ip: afterEq(ipStr) || "N/A",
-          lastReportTime: lastReportTime || "N/A",
-          serviceStatus: serviceStatus || "N/A",
-          os: osStr || "N/A",
-          raw: parts,
-        };
-      });
-
-      const DSK_T = Number(CONFIG.diskThresholdGB);
-      const { lastReportValue, lastReportUnit, checkServiceStatus } = CONFIG;
-      const thresholdMs = getThresholdMilliseconds(lastReportValue, lastReportUnit);
-
-      log(req, `Filtering health: Disk < ${DSK_T}GB, Last Report > ${lastReportValue} ${lastReportUnit}, Check Service: ${checkServiceStatus}`);
+      const rules = healthRules();
+      log(req, `Filtering health: Disk < ${rules.diskThresholdGB}GB, Last Report > ${rules.lastReportValue} ${rules.lastReportUnit}, Check Service: ${rules.checkServiceStatus}`);
 
+      const playbooks = await playbooksFor(userRole);
       const rows = parsed.map((r) => {
-        const issues = [];
-        const diskBad = r.diskGB != null && r.diskGB <= DSK_T;
-        const timeBad = isTimeUnhealthy(r.lastReportTime, thresholdMs);
-        
-        if (diskBad) issues.push(`Low Disk (${r.diskGB}GB)`);
-        if (timeBad) issues.push("Not Reporting");
-        
-        const isWindows = String(r.os).toLowerCase().includes("win");
-        
-        // FIX: Disable service status check for EUC users (prevents inflated error counts)
-        if (checkServiceStatus && isWindows && userRole !== 'EUC' && r.serviceStatus.toLowerCase() !== "running") {
-            issues.push(`Service ${r.serviceStatus} (Window Update)`);
-        }
-        
+        const issues = healthIssues(r, rules, userRole);
         if (issues.length > 0) {
-            return { ...r, issues }; 
+            return { ...r, issues, playbooks: suggestPlaybooks(playbooks, issues.map(issueKey), r.os) }; 
         }
         return null;
       }).filter(Boolean);
@@ -204,7 +116,7 @@ function attachHealthRoutes(app, ctx) {
       res.json({ ok: true, count: rows.length, rows });
     } catch (err) {
       log(req, "Critical health error:", err?.message || err);
-      res.status(500).json({ ok: false, error: String(err?.message || err) });
+      res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err) });
     }
   });
 
@@ -226,20 +138,7 @@ function attachHealthRoutes(app, ctx) {
         '(value of result (it, bes property "BES Relay Service Installed") | "N/A")) ' +
         `of bes computers${filter}`;
 
-      const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-      
-      const resp = await axios.get(url, {
-        httpsAgent,
-        auth: BIGFIX_USER && BIGFIX_PASS ? { username: BIGFIX_USER, password: BIGFIX_PASS } : undefined,
-        headers: { Accept: "application/json" },
-        responseType: "json",
-        timeout: 60_000,
-        validateStatus: () => true,
-      });
-
-      if (resp.status < 200 || resp.status >= 300) return res.status(resp.status).send(resp.data);
-
-      const tuples = parseTupleRows(resp.data);
+      const tuples = await bigfixClient(ctx).queryRows(relevance);
 
       const rowsAll = tuples.map((parts) => {
           if (!Array.isArray(parts) || parts.length < 7) return null;
@@ -263,12 +162,14 @@ function attachHealthRoutes(app, ctx) {
         }).filter(Boolean);
 
       // Filter only those that actually need a restart
-      const rows = rowsAll.filter((r) => r.pendingRestart === true);
+      const playbooks = await playbooksFor(req.headers['x-user-role'] || 'Admin');
+      const rows = rowsAll.filter((r) => r.pendingRestart === true)
+        .map((r) => ({ ...r, playbooks: suggestPlaybooks(playbooks, ["reboot-pending"]) }));
       
       res.json({ ok: true, count: rows.length, rows });
     } catch (err) {
       log(req, "Reboot-pending error:", err?.message || err);
-      res.status(500).json({ ok: false, error: String(err?.message || err) });
+      res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err) });
     }
   });
 }
@@ -0,0 +1,208 @@
+// bigfix-backend/src/routes/mail.js
+// Mail templates (editable subject / title / detail rows / HTML per mail type and stage), previews,
+// the named distribution lists trigger and post-patch mails are addressed to, and the outbox of
+// every message sent (with its SMTP response) plus resend.
+const { logFactory } = require("../utils/log");
+const { sql, getPool } = require("../db/mssql");
+const { TEMPLATE_KEYS, PLACEHOLDERS, DEFAULT_TEMPLATES, SAMPLE_VARS, normalizeTemplate, listTemplates, loadTemplate, renderTemplate } = require("../mail/templates");
+const { normalizeList, listDistributionLists, resolveRecipients } = require("../mail/distributionLists");
+const { OUTBOX_STATES, listMessages, loadMessage, resendMessage } = require("../mail/outbox");
+
+const isAdmin = (req) => (req.headers['x-user-role'] || 'Admin') === 'Admin';
+
+function attachMailRoutes(app, ctx) {
+  const log = logFactory(ctx.DEBUG_LOG);
+
+  // --- 1. TEMPLATES (stored rows + built-in defaults + placeholder catalogue) ---
+  app.get("/api/mail/templates", async (req, res) => {
+    try {
+      res.json({ ok: true, templates: await listTemplates(), defaults: DEFAULT_TEMPLATES, keys: TEMPLATE_KEYS, placeholders: PLACEHOLDERS });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 2. SAVE TEMPLATE (upsert by templateKey + stage) ---
+  app.put("/api/mail/templates", async (req, res) => {
+    req._logStart = Date.now();
+    if (!isAdmin(req)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+    const norm = normalizeTemplate(req.body);
+    if (norm.error) return res.status(400).json({ ok: false, error: norm.error });
+    const t = norm.template;
+
+    try {
+      const pool = await getPool();
+      const r = await pool.request()
+        .input('Key', sql.NVarChar(50), t.templateKey)
+        .input('Stage', sql.NVarChar(50), t.stage)
+        .input('Subject', sql.NVarChar(500), t.subject)
+        .input('Title', sql.NVarChar(500), t.title)
+        .input('Subtitle', sql.NVarChar(500), t.subtitle)
+        .input('StatusColor', sql.NVarChar(20), t.statusColor)
+        .input('Details', sql.NVarChar(sql.MAX), JSON.stringify(t.details))
+        .input('Html', sql.NVarChar(sql.MAX), t.html)
+        .input('UpdatedBy', sql.NVarChar(255), req.body?.updatedBy || req.headers['x-user-role'] || 'Admin')
+        .query(`
+          UPDATE dbo.EmailTemplate SET Subject = @Subject, Title = @Title, Subtitle = @Subtitle, StatusColor = @StatusColor,
+                 Details = @Details, Html = @Html, UpdatedBy = @UpdatedBy, UpdatedAt = SYSUTCDATETIME()
+          OUTPUT INSERTED.Id
+          WHERE TemplateKey = @Key AND ((@Stage IS NULL AND Stage IS NULL) OR Stage = @Stage);
+          IF @@ROWCOUNT = 0
+            INSERT INTO dbo.EmailTemplate (TemplateKey, Stage, Subject, Title, Subtitle, StatusColor, Details, Html, UpdatedBy, CreatedAt, UpdatedAt)
+            OUTPUT INSERTED.Id
+            VALUES (@Key, @Stage, @Subject, @Title, @Subtitle, @StatusColor, @Details, @Html, @UpdatedBy, SYSUTCDATETIME(), SYSUTCDATETIME());
+        `);
+      const id = (r.recordsets || []).flat().find(x => x?.Id != null)?.Id ?? null;
+      log(req, `Mail template ${t.templateKey}/${t.stage || "*"} saved`);
+      res.json({ ok: true, id, template: t });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 3. DELETE TEMPLATE (that key/stage falls back to the generic row or the built-in) ---
+  app.delete("/api/mail/templates/:id", async (req, res) => {
+    req._logStart = Date.now();
+    if (!isAdmin(req)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+    try {
+      const pool = await getPool();
+      const r = await pool.request().input('Id', sql.Int, Number(req.params.id))
+        .query("DELETE FROM dbo.EmailTemplate OUTPUT DELETED.TemplateKey, DELETED.Stage WHERE Id = @Id");
+      if (!r.recordset.length) return res.status(404).json({ ok: false, error: "Template not found" });
+      log(req, `Mail template ${r.recordset[0].TemplateKey}/${r.recordset[0].Stage || "*"} deleted`);
+      res.json({ ok: true });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 4. PREVIEW (the stored template, or an unsaved one in `template`, with sample values) ---
+  app.post("/api/mail/templates/preview", async (req, res) => {
+    const { templateKey, stage, template, vars } = req.body || {};
+    const key = String(templateKey || template?.templateKey || "").toLowerCase();
+    if (!TEMPLATE_KEYS.includes(key)) return res.status(400).json({ ok: false, error: `templateKey must be one of: ${TEMPLATE_KEYS.join(", ")}` });
+
+    let tpl;
+    if (template) {
+      const norm = normalizeTemplate({ ...template, templateKey: key, stage: template.stage ?? stage });
+      if (norm.error) return res.status(400).json({ ok: false, error: norm.error });
+      tpl = norm.template;
+    } else {
+      tpl = await loadTemplate(key, stage);
+    }
+    const sample = { ...SAMPLE_VARS, ...(stage ? { stage } : {}), ...(vars && typeof vars === "object" ? vars : {}) };
+    const rendered = renderTemplate(tpl, sample);
+    res.json({ ok: true, templateKey: key, stage: stage || null, source: template ? "request" : tpl.builtIn ? "built-in" : `template ${tpl.id}`, ...rendered });
+  });
+
+  // --- 5. DISTRIBUTION LISTS ---
+  app.get("/api/mail/lists", async (req, res) => {
+    try {
+      res.json({ ok: true, lists: await listDistributionLists() });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // Who a mail for ?stage=&role= (or ?names=a,b) would go to
+  app.get("/api/mail/lists/resolve", async (req, res) => {
+    try {
+      const { stage, role, names } = req.query;
+      const r = await resolveRecipients({ stage, role: role || req.headers['x-user-role'] || 'Admin', names, smtp: ctx.smtp || {} });
+      res.json({ ok: true, ...r });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  const saveList = (pool, l) => pool.request()
+    .input('Name', sql.NVarChar(255), l.name)
+    .input('To', sql.NVarChar(sql.MAX), l.to.join(","))
+    .input('Cc', sql.NVarChar(sql.MAX), l.cc.join(","))
+    .input('Bcc', sql.NVarChar(sql.MAX), l.bcc.join(","))
+    .input('Stages', sql.NVarChar(sql.MAX), JSON.stringify(l.stages))
+    .input('Roles', sql.NVarChar(sql.MAX), JSON.stringify(l.roles))
+    .input('Enabled', sql.Bit, l.enabled ? 1 : 0);
+
+  app.post("/api/mail/lists", async (req, res) => {
+    req._logStart = Date.now();
+    if (!isAdmin(req)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+    const norm = normalizeList(req.body);
+    if (norm.error) return res.status(400).json({ ok: false, error: norm.error });
+    const l = norm.list;
+
+    try {
+      const pool = await getPool();
+      const clash = await pool.request().input('Name', sql.NVarChar(255), l.name).query("SELECT Id FROM dbo.DistributionList WHERE Name = @Name");
+      if (clash.recordset.length) return res.status(409).json({ ok: false, error: `A distribution list named ${l.name} already exists` });
+      const r = await saveList(pool, l)
+        .input('Role', sql.NVarChar(50), req.headers['x-user-role'] || 'Admin')
+        .query(`INSERT INTO dbo.DistributionList (Name, ToAddresses, CcAddresses, BccAddresses, Stages, Roles, Enabled, CreatedByRole, CreatedAt, UpdatedAt)
+                OUTPUT INSERTED.Id
+                VALUES (@Name, @To, @Cc, @Bcc, @Stages, @Roles, @Enabled, @Role, SYSUTCDATETIME(), SYSUTCDATETIME())`);
+      log(req, `Distribution list created: ${l.name} [${l.stages.join(", ") || "any stage"} / ${l.roles.join(", ") || "any role"}]`);
+      res.json({ ok: true, id: r.recordset[0].Id, list: l });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.put("/api/mail/lists/:id", async (req, res) => {
+    req._logStart = Date.now();
+    if (!isAdmin(req)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+    try {
+      const pool = await getPool();
+      const existing = (await listDistributionLists(pool)).find(l => l.id === Number(req.params.id));
+      if (!existing) return res.status(404).json({ ok: false, error: "Distribution list not found" });
+      const norm = normalizeList({ ...existing, ...(req.body || {}) });
+      if (norm.error) return res.status(400).json({ ok: false, error: norm.error });
+      const l = norm.list;
+      if (l.name !== existing.name) {
+        const clash = await pool.request().input('Name', sql.NVarChar(255), l.name).query("SELECT Id FROM dbo.DistributionList WHERE Name = @Name");
+        if (clash.recordset.length) return res.status(409).json({ ok: false, error: `A distribution list named ${l.name} already exists` });
+      }
+      await saveList(pool, l)
+        .input('Id', sql.Int, existing.id)
+        .query(`UPDATE dbo.DistributionList SET Name = @Name, ToAddresses = @To, CcAddresses = @Cc, BccAddresses = @Bcc,
+                Stages = @Stages, Roles = @Roles, Enabled = @Enabled, UpdatedAt = SYSUTCDATETIME() WHERE Id = @Id`);
+      log(req, `Distribution list ${existing.id} updated`);
+      res.json({ ok: true, list: { ...l, id: existing.id } });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.delete("/api/mail/lists/:id", async (req, res) => {
+    req._logStart = Date.now();
+    if (!isAdmin(req)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+    try {
+      const pool = await getPool();
+      const r = await pool.request().input('Id', sql.Int, Number(req.params.id))
+        .query("DELETE FROM dbo.DistributionList OUTPUT DELETED.Name WHERE Id = @Id");
+      if (!r.recordset.length) return res.status(404).json({ ok: false, error: "Distribution list not found" });
+      log(req, `Distribution list ${req.params.id} (${r.recordset[0].Name}) deleted`);
+      res.json({ ok: true });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 6. OUTBOX (newest first; ?state=&actionId=&batchId=&stage=&templateKey=&limit=) ---
+  app.get("/api/mail/outbox", async (req, res) => {
+    const state = req.query.state ? String(req.query.state).toLowerCase() : null;
+    if (state && !OUTBOX_STATES.includes(state)) return res.status(400).json({ ok: false, error: `state must be one of: ${OUTBOX_STATES.join(", ")}` });
+    try {
+      const { actionId, batchId, stage, templateKey, limit } = req.query;
+      res.json({ ok: true, messages: await listMessages({ state, actionId, batchId, stage, templateKey, limit }) });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // One message with the exact body and attachment that went out
+  app.get("/api/mail/outbox/:id", async (req, res) => {
+    try {
+      const message = await loadMessage(req.params.id, { withBody: true });
+      if (!message) return res.status(404).json({ ok: false, error: "Message not found" });
+      res.json({ ok: true, message });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 7. RESEND (same content; new recipients in to / cc / bcc need Admin) ---
+  app.post("/api/mail/outbox/:id/resend", async (req, res) => {
+    req._logStart = Date.now();
+    const { to, cc, bcc, requestedBy } = req.body || {};
+    if ((to || cc || bcc) && !isAdmin(req)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+    if (!ctx.smtp?.SMTP_HOST) return res.status(400).json({ ok: false, error: "SMTP is not configured" });
+    try {
+      const r = await resendMessage(ctx.smtp, req.params.id, { to, cc, bcc, requestedBy: requestedBy || req.headers['x-user-role'] || 'Admin' });
+      if (r.notFound) return res.status(404).json({ ok: false, error: r.error });
+      log(req, `Mail ${req.params.id} resent as ${r.outboxId ?? "(untracked)"} → ${r.ok ? "sent" : r.error}`);
+      res.status(r.ok || r.outboxId ? 200 : 400).json(r);
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+}
+
+module.exports = { attachMailRoutes };
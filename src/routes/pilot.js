@@ -1,23 +1,18 @@
 // bigfix-backend/src/routes/pilot.js
-const https = require("https");
-const axios = require("axios");
-const { joinUrl, toLowerSafe } = require("../utils/http");
-const { collectStrings, extractActionIdFromXml } = require("../utils/query");
-const { actionStore } = require("../state/store");
+const { saveAction, updateActionMetadata } = require("../services/actionHistory");
 const { logFactory } = require("../utils/log");
+const { isDryRun } = require("../utils/http");
 const { sendTriggerMail } = require("../mail/transport");
 const { sql, getPool } = require("../db/mssql"); 
-
-// --- XML Escape Helper (Fixed: Added this missing function) ---
-function xmlEscape(str) {
-  if (str == null) return "";
-  return String(str)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&apos;");
-}
+const { bigfixClient } = require("../services/bigfix");
+const { groupTargetRelevance, excludeComputersRelevance, buildBaselineActionXml } = require("../bigfix/actionXml");
+const { normalizeActionSettings } = require("../bigfix/actionSettings");
+const { runPreflight } = require("../services/serverHealth");
+const { checkMaintenanceWindows, postDeferredActions } = require("../services/maintenanceWindows");
+const { getPatchWindowMs, buildActionWindow } = require("../utils/time");
+const { idempotent, findOpenDuplicate } = require("../services/triggerGuards");
+const { changeProvider, affectedCis, applyChangeWindow, checkChangeCis, postChangeProgress } = require("../services/changeProvider");
+const { emitEvent, actionTriggeredData, emitHealthBreach } = require("../services/webhooks");
 
 // --- CSV helper ---
 function toCSV(serverList) {
@@ -27,84 +22,14 @@ function toCSV(serverList) {
   return [header, ...rows].join("\r\n");
 }
 
-/* ---------------- Time helpers ---------------- */
-function getPatchWindowMs(patchWindow) {
-  if (patchWindow && typeof patchWindow === "object") {
-    const d = Number(patchWindow.days) || 0;
-    const h = Number(patchWindow.hours) || 0;
-    const m = Number(patchWindow.minutes) || 0;
-    return d * 86400000 + h * 3600000 + m * 60000;
-  }
-  const legacyHours = Number(patchWindow);
-  if (Number.isFinite(legacyHours) && legacyHours > 0) {
-    return legacyHours * 3600000;
-  }
-  return 0;
-}
-function msToXSDuration(ms) {
-  if (!Number.isFinite(ms) || ms === 0) return "PT0S";
-  const neg = ms < 0;
-  let t = Math.abs(ms);
-  const totalSeconds = Math.floor(t / 1000);
-  const days = Math.floor(totalSeconds / 86400);
-  let rem = totalSeconds % 86400;
-  const hours = Math.floor(rem / 3600);
-  rem = rem % 3600;
-  const minutes = Math.floor(rem / 60);
-  const seconds = rem % 60;
-  let out = "";
-  if (days) out += `${days}D`;
-  const timeParts = [];
-  if (hours) timeParts.push(`${hours}H`);
-  if (minutes) timeParts.push(`${minutes}M`);
-  if (seconds) timeParts.push(`${seconds}S`);
-  if (timeParts.length) out += `T${timeParts.join("")}`;
-  else if (!days) out = "T0S";
-  return (neg ? "-" : "") + "P" + out;
-}
-function localUtcOffsetMs() {
-  const offsetMin = new Date().getTimezoneOffset(); 
-  return -offsetMin * 60000; 
-}
-
+// Change lookup through the configured provider; `window` is its planned start/end (UTC ISO) or null
 async function validateChangeNumber(number, ctx) {
-  const { SN_URL, SN_USER, SN_PASSWORD, SN_ALLOW_SELF_SIGNED } = ctx.servicenow;
-  let snBase = (SN_URL || "").replace(/\/+$/, "");
-  if (/\/api\/now$/i.test(snBase)) snBase = snBase.replace(/\/api\/now$/i, "");
-  if (!snBase || !SN_USER || !SN_PASSWORD) {
-    return { ok: false, code: "CONFIG", message: "ServiceNow env not configured" };
-  }
-  const endpoint =
-    `${snBase}/api/now/table/change_request` +
-    `?sysparm_query=number=${encodeURIComponent(number)}` +
-    `&sysparm_fields=sys_id,number,state,stage,approval,work_start,work_end` +
-    `&sysparm_display_value=true`;
-  const agent = new https.Agent({ rejectUnauthorized: !(String(SN_ALLOW_SELF_SIGNED).toLowerCase() === "true") });
-  const resp = await axios.get(endpoint, {
-    httpsAgent: agent,
-    auth: { username: SN_USER, password: SN_PASSWORD },
-    headers: { Accept: "application/json" },
-    timeout: 30000,
-    validateStatus: () => true,
-  });
-  if (resp.status === 401 || resp.status === 403) {
-    return { ok: false, code: "NOT_FOUND_OR_FORBIDDEN", message: "Change Request doesn't exist or user doesn't have required privileges." };
-  }
-  let result = resp?.data?.result;
-  if (Array.isArray(result)) { /* ok */ }
-  else if (result && typeof result === "object") { result = [result]; }
-  else { result = []; }
-  if (result.length === 0) {
-    return { ok: false, code: "NOT_FOUND_OR_FORBIDDEN", message: "Change Request doesn't exist or user doesn't have required privileges." };
-  }
-  const rec = result[0] || {};
-  const state = String(rec.state || "").trim();
-  const isImplement = /^implement$/i.test(state);
+  return changeProvider().validate(ctx, number);
+}
 
-  if (!isImplement) {
-    return { ok: false, code: "NOT_IMPLEMENT", message: "Change Request is not at Implement stage.", record: rec };
-  }
-  return { ok: true, exists: true, implement: true, record: rec };
+// Rejection for a missing / malformed change number, naming the format the provider expects
+function changeNumberError(provider) {
+  return `Valid chgNumber required when requireChg=true and not forcing (${provider.label}: ${provider.numberHint})`;
 }
 
 async function triggerBaselineAction(req, ctx, {
@@ -115,53 +40,41 @@ async function triggerBaselineAction(req, ctx, {
   mailFrom,
   mailCc,
   mailBcc,
+  mailLists,
   environment,
   endOffset,
-  triggeredBy 
+  startOffset,
+  plannedStart,
+  plannedEnd,
+  startDateTime,
+  endDateTime,
+  effectiveStart,
+  effectiveEnd,
+  timeZone,
+  actionSettings,
+  triggeredBy,
+  metadata: extraMetadata,
+  preflight,
+  maintenance,
+  chgCis,
+  dryRun = false
 }) {
-  const { BIGFIX_BASE_URL, BIGFIX_USER, BIGFIX_PASS, httpsAgent } = ctx.bigfix;
   const log = logFactory(ctx.DEBUG_LOG);
+  const client = bigfixClient(ctx);
   let csvContent = null;
 
   // 1) Baseline lookup
-  const qBaseline = `(name of site of it, id of it) of bes baseline whose (name of it is "${baselineName.replace(/"/g, '\\"')}")`;
-  const urlBaseline = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(qBaseline)}`;
-  log(req, "Baseline lookup →", urlBaseline);
-
-  const baselineResp = await axios.get(urlBaseline, {
-    httpsAgent,
-    auth: { username: BIGFIX_USER, password: BIGFIX_PASS },
-    headers: { Accept: "application/json" },
-    responseType: "json",
-    timeout: 60_000,
-    validateStatus: () => true
-  });
-  if (baselineResp.status < 200 || baselineResp.status >= 300) throw new Error(`Baseline lookup failed: HTTP ${baselineResp.status}`);
+  log(req, "Baseline lookup →", baselineName);
+  const baseline = await client.getBaseline(baselineName);
+  if (!baseline) throw Object.assign(new Error(`Baseline not found: ${baselineName}`), { status: 404 });
 
-  const baselineRows = Array.isArray(baselineResp.data?.result) ? baselineResp.data.result : [];
-  if (!baselineRows.length) throw new Error(`Baseline not found: ${baselineName}`);
-  const partsB = []; collectStrings(baselineRows[0], partsB);
-  if (partsB.length < 2) throw new Error("Unexpected baseline query shape");
-
-  const siteName = partsB[0]; const fixletId = partsB[1];
+  const { siteName, fixletId } = baseline;
 
   // 2) Group lookup (WITH SELF-HEALING LOGIC)
-  const qGroup = `(name of it, id of it, name of site of it, (if automatic flag of it then "Automatic" else if manual flag of it then "manual" else "server based")) of bes computer group whose (name of it is "${groupName.replace(/"/g, '\\"')}")`;
-  const urlGroup = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(qGroup)}`;
-  log(req, "Group lookup →", urlGroup);
-  
-  const groupResp = await axios.get(urlGroup, {
-    httpsAgent,
-    auth: { username: BIGFIX_USER, password: BIGFIX_PASS },
-    headers: { Accept: "application/json" },
-    responseType: "json",
-    timeout: 60_000,
-    validateStatus: () => true
-  });
+  log(req, "Group lookup →", groupName);
+  const group = await client.getGroup(groupName);
 
-  const groupRows = Array.isArray(groupResp.data?.result) ? groupResp.data.result : [];
-
-  if (!groupRows.length) {
+  if (!group) {
       // --- SELF-HEALING START ---
       console.log(`[GroupSync] Group '${groupName}' not found in BigFix. Checking local DB...`);
       const pool = await getPool();
@@ -173,6 +86,7 @@ async function triggerBaselineAction(req, ctx, {
       
       if (dbCheck.recordset.length > 0) {
           // It exists in DB but NOT in BigFix -> It was deleted from Console.
+          if (dryRun) throw Object.assign(new Error(`Group '${groupName}' has been deleted from the BigFix Console. Please create it again.`), { status: 404 });
           console.log(`[GroupSync] 'Ghost' group detected. Removing '${groupName}' from database.`);
           
           // Instantly delete from DB
@@ -181,73 +95,76 @@ async function triggerBaselineAction(req, ctx, {
              .query("DELETE FROM dbo.AssetOwnership WHERE AssetName = @Name AND AssetType = 'Group'");
              
           // Throw helpful error
-          throw new Error(`Group '${groupName}' has been deleted from the BigFix Console. It was removed from your list. Please create it again.`);
+          throw Object.assign(new Error(`Group '${groupName}' has been deleted from the BigFix Console. It was removed from your list. Please create it again.`), { status: 404 });
       } else {
           // Standard error if it wasn't in DB either
-          throw new Error(`Group '${groupName}' does not exist in BigFix.`);
+          throw Object.assign(new Error(`Group '${groupName}' does not exist in BigFix.`), { status: 404 });
       }
       // --- SELF-HEALING END ---
   }
 
-  const partsG = []; collectStrings(groupRows[0], partsG);
-  if (partsG.length < 4) throw new Error("Unexpected group query shape");
+  const { name: gName, id: gId, site: gSite, type: gType } = group;
 
-  const gName = partsG[0], gId = partsG[1], gSite = partsG[2], gType = partsG[3];
+  // Servers left out by the pre-flight / maintenance-window gates
+  const excludedComputers = [...new Set([...(preflight?.excluded || []), ...(maintenance?.excluded || [])])];
+  const skipped = new Set(excludedComputers.map(n => n.toLowerCase()));
 
-  // 3) Attach CSV (optional)
-  if (autoMail) {
+  // Members missing from the CHG's affected CIs were trimmed: target the covered ones by ComputerID
+  const targets = chgCis?.trimmed ? chgCis.targets.filter(t => !skipped.has(t.name.toLowerCase())) : null;
+  if (targets && !targets.length) {
+    const err = new Error("Every server covered by the change was excluded by the pre-flight / maintenance gates; nothing left to patch.");
+    err.status = 409;
+    throw err;
+  }
+
+  // 3) Member list: CSV attachment (optional) / dry-run preview
+  let members = targets ? targets.map(t => t.name) : null;
+  if ((autoMail || dryRun) && !members) {
     try {
-      const qServers = `names of members of bes computer group whose (id of it = ${gId})`;
-      const urlServers = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(qServers)}`;
-      const serversResp = await axios.get(urlServers, {
-        httpsAgent,
-        auth: { username: BIGFIX_USER, password: BIGFIX_PASS },
-        headers: { Accept: "application/json" }
-      });
-      if (serversResp.status === 200) {
-        const serverNames = Array.isArray(serversResp.data?.result) ? serversResp.data.result : [];
-        csvContent = toCSV(serverNames);
-      }
+      members = await client.getGroupMemberNames(gId);
     } catch (e) {
-      log(req, "Failed to query server list for CSV:", e.message);
+      log(req, "Failed to query group members:", e.message);
     }
   }
+  if (autoMail && members) csvContent = toCSV(members.filter(n => !skipped.has(String(n).toLowerCase())));
 
-  // 4) Relevance
-  const type = toLowerSafe(gType);
-  const siteTokenForAutomatic = gSite === "ActionSite" ? `site "actionsite"` : `site "CustomSite_${gSite}"`;
-  let customRelevance = "";
-
-  if (type.includes("automatic")) {
-    customRelevance = `exists true whose ( if true then ( member of group ${gId} of ${siteTokenForAutomatic} ) else false)`;
-  } else if (type.includes("manual")) {
-    customRelevance = `exists true whose ( if true then ( member of manual group "${gName}" of client ) else false)`;
-  } else {
-    customRelevance = `exists true whose ( if true then ( member of server based group "${gName}" of client ) else false)`;
-  }
+  // 4) Relevance (minus any excluded servers)
+  const customRelevance = excludeComputersRelevance(
+    groupTargetRelevance({ id: gId, name: gName, site: gSite, type: gType }),
+    excludedComputers
+  );
 
   // 5) XML Body
   const stageName = environment || "Pilot";
   const actionTitle = `BPS_${baselineName}_${stageName}`;
   const xmlOffset = endOffset || "P2D";
-  const xml = `<?xml version="1.0" encoding="UTF-8"?><BES xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="BES.xsd"><SourcedFixletAction><SourceFixlet><Sitename>${xmlEscape(siteName)}</Sitename><FixletID>${xmlEscape(fixletId)}</FixletID><Action>Action1</Action></SourceFixlet><Target><CustomRelevance>${xmlEscape(customRelevance)}</CustomRelevance></Target><Settings><HasEndTime>true</HasEndTime><EndDateTimeLocalOffset>${xmlEscape(xmlOffset)}</EndDateTimeLocalOffset><UseUTCTime>true</UseUTCTime></Settings><Title>${xmlEscape(actionTitle)}</Title></SourcedFixletAction></BES>`;
+  const computerIds = targets ? targets.map(t => t.id) : null;
+  const xml = buildBaselineActionXml({ siteName, fixletId, customRelevance, computerIds, title: actionTitle, startOffset, endOffset: xmlOffset, startDateTime, endDateTime, actionSettings });
+  // Effective UTC window as stored/returned (legacy raw endOffset calls have no end we can vouch for)
+  const effective = {
+    effectiveStart: effectiveStart || new Date().toISOString(),
+    effectiveEnd: effectiveEnd || null,
+    timeZone: timeZone || null,
+  };
 
-  // 6) Post to BigFix
-  const bfPostUrl = joinUrl(BIGFIX_BASE_URL, "/api/actions");
-  log(req, `BF POST → ${bfPostUrl} body=${xml.length} chars`);
-  const bfResp = await axios.post(bfPostUrl, xml, {
-    httpsAgent,
-    auth: { username: BIGFIX_USER, password: BIGFIX_PASS },
-    headers: { "Content-Type": "text/xml" },
-    timeout: 60_000,
-    validateStatus: () => true,
-    responseType: "text",
-  });
-  log(req, `BF POST ← ${bfResp.status}`);
+  // Dry run: show exactly what would be posted, without touching BigFix or ActionHistory
+  if (dryRun) {
+    return {
+      dryRun: true, title: actionTitle, stage: stageName, xml, customRelevance,
+      baseline: { name: baselineName, siteName, fixletId },
+      group: { name: gName, id: gId, site: gSite, type: gType },
+      computers: members || [], computerCount: members ? members.length : null,
+      excludedComputers, preflight: preflight || null, maintenance: maintenance || null, chgCis: chgCis || null,
+      endOffset: xmlOffset, startOffset: startOffset || null, plannedStart: plannedStart || null, plannedEnd: plannedEnd || null,
+      ...effective,
+    };
+  }
 
-  if (bfResp.status < 200 || bfResp.status >= 300) throw new Error(`BigFix POST failed: HTTP ${bfResp.status} ${String(bfResp.data).slice(0, 200)}`);
+  // 6) Post to BigFix
+  log(req, `BF POST → /api/actions body=${xml.length} chars`);
+  const { actionId } = await client.postAction(xml);
+  log(req, `BF POST ← action ${actionId}`);
 
-  const actionId = extractActionIdFromXml(String(bfResp.data || ""));
   const smtpReady = !!(ctx.smtp && ctx.smtp.SMTP_HOST && ctx.smtp.SMTP_FROM);
 
   // --- NEW: Save to both Cache and DB ---
@@ -256,6 +173,7 @@ async function triggerBaselineAction(req, ctx, {
       id: actionId,
       createdAt: new Date().toISOString(),
       stage: stageName,
+      title: actionTitle,
       xml,
       baselineName,
       baselineSite: siteName,
@@ -265,107 +183,232 @@ async function triggerBaselineAction(req, ctx, {
       groupSite: gSite,
       groupType: gType,
       endOffset: xmlOffset,
+      startOffset: startOffset || null,
+      plannedStart: plannedStart || null,
+      plannedEnd: plannedEnd || null,
+      ...effective,
+      actionSettings: actionSettings || null,
       preMail: !!autoMail,
       smtpEnabled: smtpReady, 
       postMailSent: false,
       triggeredBy: triggeredBy || "Unknown",
+      // Post-patch mail goes to the same distribution lists
+      triggeredByRole: req.headers?.['x-user-role'] || 'Admin',
+      mailLists: mailLists || null,
+      excludedComputers,
+      preflight: preflight || null,
+      maintenance: maintenance || null,
+      chgCis: chgCis || null,
+      ...(targets ? { targetComputerIds: computerIds, targetComputers: targets.map(t => t.name) } : {}),
+      ...(extraMetadata || {}),
     };
 
-    actionStore.lastActionId = actionId;
-    actionStore.actions[actionId] = metadata;
-
     try {
-      const pool = await getPool();
-      await pool.request()
-        .input('ActionID', sql.Int, Number(actionId))
-        .input('Metadata', sql.NVarChar(sql.MAX), JSON.stringify(metadata))
-        .input('PostMailSent', sql.Bit, 0)
-        .query(`INSERT INTO dbo.ActionHistory (ActionID, Metadata, PostMailSent, CreatedAt) VALUES (@ActionID, @Metadata, @PostMailSent, SYSUTCDATETIME())`);
+      await saveAction(metadata);
     } catch (dbErr) {
       log(req, `[${stageName}] FAILED to save Action ${actionId} to DB:`, dbErr.message);
     }
+    emitEvent("action.triggered", actionTriggeredData(metadata));
+
+    // Out-of-window members get their own action at their next window
+    if (maintenance?.deferrals?.length) {
+      maintenance.deferrals = await postDeferredActions(ctx, { actionId, metadata }, maintenance.deferrals, { triggeredBy });
+      log(req, `[${stageName}] deferred follow-ups →`, maintenance.deferrals.map(d => d.actionId));
+      await updateActionMetadata(actionId, { maintenance }).catch(e => log(req, `[${stageName}] FAILED to record deferrals:`, e.message));
+    }
   }
 
-  // 7) Email (pre-patch)
+  // 7) Email (pre-patch); a failed send stays in the outbox and is retried there
+  let preMailError = null, mailOutboxId = null;
   if (autoMail && smtpReady) { 
     try {
-      await sendTriggerMail(ctx.smtp, {
+      ({ outboxId: mailOutboxId } = await sendTriggerMail(ctx.smtp, {
         environment: stageName,
         baselineName, baselineSite: siteName, baselineFixletId: fixletId,
         groupName: gName, groupId: gId, groupSite: gSite, groupType: gType,
-        customRelevance, actionXml: xml, actionId,
+        customRelevance, actionXml: xml, actionId, plannedStart, ...effective,
+        triggeredBy, serverCount: members ? members.filter(n => !skipped.has(String(n).toLowerCase())).length : null, excludedCount: excludedComputers.length,
+        role: req.headers?.['x-user-role'] || 'Admin', mailLists,
         emailTo: mailTo, emailFrom: mailFrom, emailCc: mailCc, emailBcc: mailBcc,
         SMTP_FROM: ctx.smtp.SMTP_FROM, SMTP_TO: ctx.smtp.SMTP_TO,
         SMTP_CC: ctx.smtp.SMTP_CC, SMTP_BCC: ctx.smtp.SMTP_BCC,
         csvContent: csvContent,
-      });
+      }));
       log(req, `[${stageName}-mail] sent`);
     } catch (e) {
-      log(req, `[${stageName}-mail] send failed:`, e?.message || e);
+      preMailError = e?.message || String(e);
+      mailOutboxId = e?.outboxId || null;
+      log(req, `[${stageName}-mail] send failed:`, preMailError);
     }
   }
 
   return {
     actionId, siteName, fixletId, group: gName,
     title: actionTitle, stage: stageName, endOffset: xmlOffset,
+    startOffset: startOffset || null, plannedStart: plannedStart || null, plannedEnd: plannedEnd || null,
+    ...effective,
+    excludedComputers, preflight: preflight || null, maintenance: maintenance || null, chgCis: chgCis || null,
+    preMailError, mailOutboxId,
     createdAt: new Date().toISOString()
   };
 }
 
-function attachPilotRoutes(app, ctx) {
+/**
+ * CHG gate + patch window + trigger for one named stage.
+ * Returns { status, payload } so callers (fixed stage routes, promotion pipelines) can respond as-is.
+ */
+async function runStageTrigger(req, ctx, body, { isForced = false, environment, metadata, changeCis, dryRun = false } = {}) {
   const log = logFactory(ctx.DEBUG_LOG);
-  const handleStageTrigger = async (req, res, { isForced, environment }) => {
-    req._logStart = Date.now();
-    const { triggeredBy } = req.body || {}; 
-    log(req, `POST /api/${environment}/actions${isForced ? '/force' : ''}. User: [${triggeredBy || 'Unknown'}].`);
+  const { baselineName, groupName, chgNumber, requireChg = true, autoMail, mailTo, mailFrom, mailCc, mailBcc, mailLists, patchWindow, endOffset, startAt, endAt, timeZone, preflightPolicy, maintenancePolicy, overrideMaintenanceWindow, chgWindowPolicy, chgCiPolicy, allowDuplicate, triggeredBy } = body || {};
+  const { settings: actionSettings, error: settingsError } = normalizeActionSettings(body?.actionSettings);
 
-    try {
-      const { baselineName, groupName, chgNumber, requireChg = true, autoMail, mailTo, mailFrom, mailCc, mailBcc, patchWindow, endOffset } = req.body || {};
+  if (!baselineName || !groupName) {
+    return { status: 400, payload: { ok: false, error: "baselineName and groupName are required" } };
+  }
+  if (settingsError) return { status: 400, payload: { ok: false, error: settingsError } };
+
+  // The CHG is only checked for real triggers; a preview is often requested before it reaches Implement
+  let chgValidated = false;
+  let chgSysId = null;
+  let chgWindow = null;
+  let chgRecord = null;
+  const provider = changeProvider();
+  if (requireChg && !isForced && !dryRun) {
+    if (!chgNumber || !provider.isChangeNumber(chgNumber)) {
+      return { status: 400, payload: { ok: false, error: changeNumberError(provider) } };
+    }
+    const chk = await validateChangeNumber(String(chgNumber).toUpperCase(), ctx);
+    if (!chk.ok) {
+      return { status: 400, payload: { ok: false, chgOk: false, code: chk.code || "CHG_INVALID", message: chk.message || "CHG validation failed" } };
+    }
+    chgValidated = true;
+    chgSysId = chk.id || null;
+    chgWindow = chk.window;
+    chgRecord = chk.record;
+  }
+  // Kept in ActionHistory so the post-patch watcher can write back to the change record
+  if (chgNumber) metadata = { chgNumber: String(chgNumber).toUpperCase(), chgSysId, chgProvider: provider.name, ...(metadata || {}) };
+
+  // An orchestrator action for the same baseline + group that is still open needs an explicit override
+  let duplicate = null;
+  try {
+    duplicate = await findOpenDuplicate(ctx, { baselineName, groupName });
+  } catch (e) {
+    log(req, `[${environment}] duplicate check failed, continuing:`, e.message);
+  }
+  if (duplicate) {
+    const override = ["true", "1", "yes", "on", true, 1].includes(String(allowDuplicate).toLowerCase());
+    if (!override && !dryRun) {
+      log(req, `[${environment}] duplicate of open action ${duplicate.actionId}`);
+      return { status: 409, payload: { ok: false, code: "DUPLICATE_ACTION", error: `Action ${duplicate.actionId} for this baseline and group is still open. Stop it first or set allowDuplicate.`, existingAction: duplicate } };
+    }
+    if (override) metadata = { ...(metadata || {}), duplicateOf: duplicate.actionId };
+  }
 
-      if (!baselineName || !groupName) {
-        return res.status(400).json({ ok: false, error: "baselineName and groupName are required" });
-      }
+  // Patch window or absolute endAt (+ optional deferred start); a raw endOffset is still accepted for immediate actions
+  const timeInput = patchWindow || endOffset;
+  let window;
+  if (endAt || getPatchWindowMs(timeInput) > 0) {
+    window = buildActionWindow({ patchWindow: timeInput, startAt, endAt, timeZone });
+    if (window.error) return { status: 400, payload: { ok: false, error: window.error } };
+  } else if (endOffset && !startAt) {
+    window = { endOffset };
+  } else {
+    return { status: 400, payload: { ok: false, error: "Patch Window duration must be greater than zero." } };
+  }
 
-      if (requireChg && !isForced) {
-        if (!chgNumber || !/^CHG/i.test(String(chgNumber))) {
-          return res.status(400).json({ ok: false, error: "Valid chgNumber required when requireChg=true and not forcing" });
-        }
-        const chk = await validateChangeNumber(String(chgNumber).toUpperCase(), ctx);
-        if (!chk.ok) {
-          return res.status(400).json({ ok: false, chgOk: false, code: chk.code || "CHG_INVALID", message: chk.message || "CHG validation failed" });
-        }
-      }
+  // The patch window has to fit the validated CHG's planned work_start..work_end
+  let changeWindow = null;
+  if (chgValidated) {
+    const fit = applyChangeWindow(window, chgWindow, { policy: chgWindowPolicy });
+    if (fit.blocked) {
+      log(req, `[${environment}] change window blocked →`, fit.message);
+      return { status: 409, payload: { ok: false, code: "OUTSIDE_CHANGE_WINDOW", error: fit.message, changeWindow: fit.changeWindow } };
+    }
+    if (fit.changeWindow?.clamped) log(req, `[${environment}] patch window clamped to change window →`, fit.window.effectiveStart, fit.window.effectiveEnd);
+    window = fit.window;
+    changeWindow = fit.changeWindow;
+    if (changeWindow) metadata = { ...(metadata || {}), changeWindow };
+  }
 
-      const timeInput = patchWindow || endOffset;
-      let chosenOffset = endOffset;
-      const pwMs = getPatchWindowMs(timeInput);
-      if (pwMs > 0) {
-        const tzMs = localUtcOffsetMs();
-        const deltaMs = pwMs - tzMs;
-        chosenOffset = msToXSDuration(deltaMs);
-      } else if (!chosenOffset) {
-        return res.status(400).json({ ok: false, error: "Patch Window duration must be greater than zero." });
-      }
+  // The group's members should all be affected CIs on the CHG (a batch looks the CIs up once and passes them in)
+  let chgCis = null;
+  if (chgValidated || changeCis) {
+    const cis = changeCis || await affectedCis(ctx, provider, chgRecord);
+    chgCis = await checkChangeCis(ctx, { cis, groupName, policy: chgCiPolicy });
+    if (chgCis.blocked) {
+      log(req, `[${environment}] affected CI check blocked →`, chgCis.message);
+      return { status: 409, payload: { ok: false, code: "CHG_CI_MISMATCH", error: chgCis.message, chgCis } };
+    }
+    if (chgCis.message) log(req, `[${environment}] affected CI check →`, chgCis.message);
+  }
 
-      const out = await triggerBaselineAction(req, ctx, {
-        baselineName, groupName, autoMail, mailTo, mailFrom, mailCc, mailBcc, environment, endOffset: chosenOffset, triggeredBy
-      });
+  // Pre-flight readiness of the group's members
+  const preflight = await runPreflight(ctx, { groupName, policy: preflightPolicy, userRole: req.headers?.['x-user-role'] || 'Admin' });
+  if (!dryRun) emitHealthBreach(preflight, { groupName, stage: environment, baselineName });
+  if (preflight.blocked) {
+    log(req, `[${environment}] pre-flight blocked →`, preflight.message);
+    return { status: 409, payload: { ok: false, code: "PREFLIGHT_FAILED", error: preflight.message, preflight } };
+  }
+
+  // Maintenance windows (PatchSchedule) at the time the action will start
+  const maintenance = await checkMaintenanceWindows(ctx, {
+    groupName, at: window.plannedStart, policy: maintenancePolicy,
+    override: ["true", "1", "yes", "on", true, 1].includes(String(overrideMaintenanceWindow).toLowerCase()),
+    userRole: req.headers?.['x-user-role'] || 'Admin',
+  });
+  if (maintenance.blocked) {
+    log(req, `[${environment}] maintenance window blocked →`, maintenance.message);
+    return { status: maintenance.status || 409, payload: { ok: false, code: "OUTSIDE_MAINTENANCE_WINDOW", error: maintenance.message, maintenance, preflight } };
+  }
+
+  const out = await triggerBaselineAction(req, ctx, {
+    baselineName, groupName, autoMail, mailTo, mailFrom, mailCc, mailBcc, mailLists, environment, triggeredBy, metadata,
+    ...window, actionSettings, preflight, maintenance, chgCis, dryRun,
+  });
+
+  if (dryRun) {
+    log(req, `[${environment}] dry run → ${out.computerCount ?? "?"} computers`);
+    return { status: 200, payload: { ok: true, chgValidated: false, forced: isForced, ...out, duplicateOf: duplicate } };
+  }
+
+  // Work note on the change record (batches post one note for the whole batch instead)
+  let chgNote = null;
+  if (chgValidated && chgSysId) {
+    chgNote = await postChangeProgress(ctx, { number: metadata.chgNumber, sysId: chgSysId, provider: metadata.chgProvider }, {
+      phase: "trigger", stage: out.stage,
+      actions: [{ actionId: out.actionId, baselineName, groupName: out.group }],
+      plannedStart: out.plannedStart, effectiveStart: out.effectiveStart, effectiveEnd: out.effectiveEnd, timeZone: out.timeZone, triggeredBy,
+    });
+  }
 
-      const payload = { ok: true, chgOk: !requireChg || isForced || true, forced: isForced, ...out };
-      log(req, `POST /api/${environment}/actions success →`, payload);
-      return res.json(payload);
+  const payload = { ok: true, chgOk: !requireChg || isForced || true, forced: isForced, ...out, chgNumber: metadata?.chgNumber || null, changeWindow, chgNote };
+  log(req, `[${environment}] trigger success →`, payload);
+  return { status: 200, payload };
+}
 
+function attachPilotRoutes(app, ctx) {
+  const log = logFactory(ctx.DEBUG_LOG);
+  const handleStageTrigger = async (req, res, { isForced, environment }) => {
+    req._logStart = Date.now();
+    const { triggeredBy } = req.body || {}; 
+    const dryRun = isDryRun(req);
+    log(req, `POST /api/${environment}/actions${isForced ? '/force' : ''}${dryRun ? ' (dry run)' : ''}. User: [${triggeredBy || 'Unknown'}].`);
+
+    try {
+      const { status, payload } = await runStageTrigger(req, ctx, req.body, { isForced, environment, dryRun });
+      return res.status(status).json(payload);
     } catch (err) {
       log(req, `Trigger Error:`, err?.message || err);
-      // Return 500 but with the explicit message
-      res.status(500).json({ ok: false, error: String(err?.message || err) });
+      // Return the upstream status (or 500) with the explicit message
+      res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err) });
     }
   };
 
-  app.post("/api/pilot/actions", (req, res) => { handleStageTrigger(req, res, { isForced: false, environment: "Pilot" }); });
-  app.post("/api/pilot/actions/force", (req, res) => { handleStageTrigger(req, res, { isForced: true, environment: "Pilot" }); });
-  app.post("/api/production/actions", (req, res) => { handleStageTrigger(req, res, { isForced: false, environment: "Production" }); });
-  app.post("/api/production/actions/force", (req, res) => { handleStageTrigger(req, res, { isForced: true, environment: "Production" }); });
+  app.post("/api/pilot/actions", idempotent(), (req, res) => { handleStageTrigger(req, res, { isForced: false, environment: "Pilot" }); });
+  app.post("/api/pilot/actions/force", idempotent(), (req, res) => { handleStageTrigger(req, res, { isForced: true, environment: "Pilot" }); });
+  app.post("/api/production/actions", idempotent(), (req, res) => { handleStageTrigger(req, res, { isForced: false, environment: "Production" }); });
+  app.post("/api/production/actions/force", idempotent(), (req, res) => { handleStageTrigger(req, res, { isForced: true, environment: "Production" }); });
 }
 
-module.exports = { attachPilotRoutes };
\ No newline at end of file
+module.exports = { attachPilotRoutes, runStageTrigger, validateChangeNumber, changeNumberError };
\ No newline at end of file
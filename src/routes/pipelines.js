@@ -0,0 +1,330 @@
+// bigfix-backend/src/routes/pipelines.js
+const { logFactory } = require("../utils/log");
+const { isDryRun } = require("../utils/http");
+const { sql, getPool } = require("../db/mssql");
+const { bigfixClient } = require("../services/bigfix");
+const { runStageTrigger } = require("./pilot");
+const { getPatchWindowMs } = require("../utils/time");
+const { idempotent } = require("../services/triggerGuards");
+const { normalizeActionSettings } = require("../bigfix/actionSettings");
+const { emitEvent } = require("../services/webhooks");
+const { isApplied } = require("../services/resultStatus");
+
+// --- Helper: Validate + normalize a stage list from the request body ---
+function normalizeStages(stages) {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return { error: "stages must be a non-empty array" };
+  }
+  const seen = new Set();
+  const out = [];
+  for (const [i, st] of stages.entries()) {
+    const name = String(st?.name || "").trim();
+    const groupName = String(st?.groupName || "").trim();
+    if (!name) return { error: `Stage ${i + 1}: name is required` };
+    if (seen.has(name.toLowerCase())) return { error: `Duplicate stage name: ${name}` };
+    seen.add(name.toLowerCase());
+    if (!groupName) return { error: `Stage "${name}": groupName is required` };
+    if (getPatchWindowMs(st.patchWindow) <= 0) return { error: `Stage "${name}": patchWindow must be greater than zero` };
+
+    const minSuccessRate = Number(st.gate?.minSuccessRate ?? 0);
+    const minBakeHours = Number(st.gate?.minBakeHours ?? 0);
+    if (!Number.isFinite(minSuccessRate) || minSuccessRate < 0 || minSuccessRate > 100) {
+      return { error: `Stage "${name}": gate.minSuccessRate must be between 0 and 100` };
+    }
+    if (!Number.isFinite(minBakeHours) || minBakeHours < 0) {
+      return { error: `Stage "${name}": gate.minBakeHours must be >= 0` };
+    }
+    const { error: settingsError } = normalizeActionSettings(st.actionSettings);
+    if (settingsError) return { error: `Stage "${name}": ${settingsError}` };
+
+    out.push({
+      name,
+      groupName,
+      patchWindow: st.patchWindow,
+      requireChg: st.requireChg !== false,
+      gate: { minSuccessRate, minBakeHours },
+      actionSettings: st.actionSettings || null,
+    });
+  }
+  return { stages: out };
+}
+
+function toPipeline(row) {
+  let stages = [];
+  try { stages = JSON.parse(row.Stages || "[]"); } catch { /* keep empty */ }
+  return { id: row.Id, name: row.Name, ownerRole: row.CreatedByRole, stages, createdAt: row.CreatedAt, updatedAt: row.UpdatedAt };
+}
+
+async function loadPipeline(pool, id) {
+  const r = await pool.request().input('Id', sql.Int, Number(id))
+    .query("SELECT Id, Name, Stages, CreatedByRole, CreatedAt, UpdatedAt FROM dbo.PromotionPipeline WHERE Id = @Id");
+  return r.recordset.length ? toPipeline(r.recordset[0]) : null;
+}
+
+const canEdit = (pipeline, role) => role === 'Admin' || pipeline.ownerRole === role;
+
+// --- Helper: Find the action the previous stage ran for this baseline ---
+// An explicit previousActionId only picks among that stage's own promotions (same pipeline,
+// stage and baseline), so an unrelated healthy action can't satisfy the gate.
+// Returns { action } or { action: null, reason }.
+async function findPreviousAction(pool, pipelineId, stageIndex, previousStage, baselineName, explicitActionId) {
+  const explicit = explicitActionId != null && String(explicitActionId).trim() !== "";
+  if (explicit && !/^\d+$/.test(String(explicitActionId).trim())) {
+    return { action: null, reason: "previousActionId must be a numeric action ID." };
+  }
+  const reqSql = pool.request()
+    .input('PipelineId', sql.Int, pipelineId)
+    .input('StageIndex', sql.Int, stageIndex)
+    .input('Baseline', sql.NVarChar(255), baselineName);
+  if (explicit) reqSql.input('ActionID', sql.Int, Number(explicitActionId));
+  const r = await reqSql.query(`
+      SELECT TOP 1 ActionID, CreatedAt FROM dbo.PromotionHistory
+      WHERE PipelineId = @PipelineId AND StageIndex = @StageIndex AND BaselineName = @Baseline
+        AND Outcome IN ('promoted', 'forced') AND ActionID IS NOT NULL${explicit ? " AND ActionID = @ActionID" : ""}
+      ORDER BY CreatedAt DESC
+    `);
+  if (r.recordset[0]) return { action: r.recordset[0] };
+  return {
+    action: null,
+    reason: explicit
+      ? `Action ${explicitActionId} is not a promotion of stage "${previousStage.name}" for this baseline in this pipeline.`
+      : `No action found for previous stage "${previousStage.name}" with this baseline.`,
+  };
+}
+
+// --- Helper: Success-rate + bake-time gate against the previous stage's results ---
+async function evaluateGate(ctx, previousStage, { action: previous, reason }, gate) {
+  const reasons = [];
+  const result = {
+    previousStage: previousStage.name,
+    previousActionId: previous ? String(previous.ActionID) : null,
+    minSuccessRate: gate.minSuccessRate,
+    minBakeHours: gate.minBakeHours,
+    total: 0,
+    success: 0,
+    successRate: null,
+    bakedHours: null,
+  };
+
+  if (!previous) {
+    reasons.push(reason);
+    return { passed: false, reasons, ...result };
+  }
+
+  try {
+    const rows = await bigfixClient(ctx).getActionResults(previous.ActionID);
+    result.total = rows.length;
+    // Installed-but-pending-restart counts: a restart policy shouldn't hold back a healthy stage
+    result.success = rows.filter(r => isApplied(r.status)).length;
+    result.successRate = result.total ? Math.round((result.success / result.total) * 1000) / 10 : null;
+  } catch (e) {
+    reasons.push(`Could not read results for action ${previous.ActionID}: ${e.message}`);
+  }
+
+  if (result.total === 0 && !reasons.length) {
+    reasons.push(`Action ${previous.ActionID} has no reported results yet.`);
+  } else if (result.successRate != null && result.successRate < gate.minSuccessRate) {
+    reasons.push(`Success rate ${result.successRate}% is below the required ${gate.minSuccessRate}%.`);
+  }
+
+  result.bakedHours = Math.round(((Date.now() - new Date(previous.CreatedAt).getTime()) / 3600000) * 10) / 10;
+  if (result.bakedHours < gate.minBakeHours) {
+    reasons.push(`Bake time ${result.bakedHours}h is below the required ${gate.minBakeHours}h.`);
+  }
+
+  return { passed: reasons.length === 0, reasons, ...result };
+}
+
+async function recordPromotion(pool, row) {
+  await pool.request()
+    .input('PipelineId', sql.Int, row.pipelineId)
+    .input('StageIndex', sql.Int, row.stageIndex)
+    .input('StageName', sql.NVarChar(255), row.stageName)
+    .input('BaselineName', sql.NVarChar(255), row.baselineName)
+    .input('ActionID', sql.Int, row.actionId ? Number(row.actionId) : null)
+    .input('PreviousActionID', sql.Int, row.previousActionId ? Number(row.previousActionId) : null)
+    .input('Outcome', sql.NVarChar(20), row.outcome)
+    .input('Forced', sql.Bit, row.forced ? 1 : 0)
+    .input('RequestedBy', sql.NVarChar(255), row.requestedBy || null)
+    .input('GateResult', sql.NVarChar(sql.MAX), row.gate ? JSON.stringify(row.gate) : null)
+    .query(`INSERT INTO dbo.PromotionHistory (PipelineId, StageIndex, StageName, BaselineName, ActionID, PreviousActionID, Outcome, Forced, RequestedBy, GateResult, CreatedAt)
+            VALUES (@PipelineId, @StageIndex, @StageName, @BaselineName, @ActionID, @PreviousActionID, @Outcome, @Forced, @RequestedBy, @GateResult, SYSUTCDATETIME())`);
+}
+
+function attachPipelineRoutes(app, ctx) {
+  const log = logFactory(ctx.DEBUG_LOG);
+
+  // --- 1. LIST PIPELINES (Role-Filtered) ---
+  app.get("/api/pipelines", async (req, res) => {
+    try {
+      const userRole = req.headers['x-user-role'] || 'Admin';
+      const pool = await getPool();
+      let query = "SELECT Id, Name, Stages, CreatedByRole, CreatedAt, UpdatedAt FROM dbo.PromotionPipeline";
+      const reqSql = pool.request();
+      if (userRole !== 'Admin') {
+        query += " WHERE CreatedByRole = @Role";
+        reqSql.input('Role', sql.NVarChar(50), userRole);
+      }
+      const r = await reqSql.query(query + " ORDER BY Name");
+      res.json({ ok: true, pipelines: r.recordset.map(toPipeline) });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 2. GET ONE + RECENT PROMOTIONS ---
+  app.get("/api/pipelines/:id", async (req, res) => {
+    try {
+      const pool = await getPool();
+      const pipeline = await loadPipeline(pool, req.params.id);
+      if (!pipeline) return res.status(404).json({ ok: false, error: "Pipeline not found" });
+
+      const h = await pool.request().input('Id', sql.Int, pipeline.id)
+        .query("SELECT TOP 50 * FROM dbo.PromotionHistory WHERE PipelineId = @Id ORDER BY CreatedAt DESC");
+      const history = h.recordset.map(r => ({
+        id: r.Id, stageIndex: r.StageIndex, stage: r.StageName, baselineName: r.BaselineName,
+        actionId: r.ActionID, previousActionId: r.PreviousActionID, outcome: r.Outcome,
+        forced: !!r.Forced, requestedBy: r.RequestedBy,
+        gate: r.GateResult ? JSON.parse(r.GateResult) : null, createdAt: r.CreatedAt,
+      }));
+      res.json({ ok: true, pipeline, history });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 3. CREATE ---
+  app.post("/api/pipelines", async (req, res) => {
+    const { name, stages } = req.body || {};
+    const userRole = req.headers['x-user-role'] || 'Admin';
+    if (!name || !String(name).trim()) return res.status(400).json({ ok: false, error: "Pipeline name is required" });
+    const norm = normalizeStages(stages);
+    if (norm.error) return res.status(400).json({ ok: false, error: norm.error });
+
+    try {
+      const pool = await getPool();
+      const r = await pool.request()
+        .input('Name', sql.NVarChar(255), String(name).trim())
+        .input('Stages', sql.NVarChar(sql.MAX), JSON.stringify(norm.stages))
+        .input('Role', sql.NVarChar(50), userRole)
+        .query(`INSERT INTO dbo.PromotionPipeline (Name, Stages, CreatedByRole, CreatedAt, UpdatedAt)
+                OUTPUT INSERTED.Id VALUES (@Name, @Stages, @Role, SYSUTCDATETIME(), SYSUTCDATETIME())`);
+      res.json({ ok: true, id: r.recordset[0].Id });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 4. UPDATE ---
+  app.put("/api/pipelines/:id", async (req, res) => {
+    const { name, stages } = req.body || {};
+    const userRole = req.headers['x-user-role'] || 'Admin';
+    const norm = normalizeStages(stages);
+    if (norm.error) return res.status(400).json({ ok: false, error: norm.error });
+
+    try {
+      const pool = await getPool();
+      const pipeline = await loadPipeline(pool, req.params.id);
+      if (!pipeline) return res.status(404).json({ ok: false, error: "Pipeline not found" });
+      if (!canEdit(pipeline, userRole)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+
+      await pool.request()
+        .input('Id', sql.Int, pipeline.id)
+        .input('Name', sql.NVarChar(255), String(name || pipeline.name).trim())
+        .input('Stages', sql.NVarChar(sql.MAX), JSON.stringify(norm.stages))
+        .query("UPDATE dbo.PromotionPipeline SET Name = @Name, Stages = @Stages, UpdatedAt = SYSUTCDATETIME() WHERE Id = @Id");
+      res.json({ ok: true });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 5. DELETE ---
+  app.delete("/api/pipelines/:id", async (req, res) => {
+    const userRole = req.headers['x-user-role'] || 'Admin';
+    try {
+      const pool = await getPool();
+      const pipeline = await loadPipeline(pool, req.params.id);
+      if (!pipeline) return res.status(404).json({ ok: false, error: "Pipeline not found" });
+      if (!canEdit(pipeline, userRole)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+
+      await pool.request().input('Id', sql.Int, pipeline.id).query("DELETE FROM dbo.PromotionPipeline WHERE Id = @Id");
+      res.json({ ok: true });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 6. PROMOTE (trigger a stage, gated on the previous one) ---
+  app.post("/api/pipelines/:id/promote", idempotent(), async (req, res) => {
+    req._logStart = Date.now();
+    const body = req.body || {};
+    const { stage: stageRef, baselineName, force, triggeredBy, previousActionId } = body;
+    const isForced = ["true", "1", "yes", "on", true, 1].includes(String(force).toLowerCase());
+    const dryRun = isDryRun(req);
+    log(req, `POST /api/pipelines/${req.params.id}/promote stage=[${stageRef}] force=${isForced}${dryRun ? ' (dry run)' : ''}. User: [${triggeredBy || 'Unknown'}].`);
+
+    try {
+      if (!baselineName) return res.status(400).json({ ok: false, error: "baselineName is required" });
+      if (isForced && !triggeredBy) return res.status(400).json({ ok: false, error: "triggeredBy is required to force a promotion" });
+
+      const pool = await getPool();
+      const pipeline = await loadPipeline(pool, req.params.id);
+      if (!pipeline) return res.status(404).json({ ok: false, error: "Pipeline not found" });
+
+      const stageIndex = /^\d+$/.test(String(stageRef))
+        ? Number(stageRef)
+        : pipeline.stages.findIndex(s => s.name.toLowerCase() === String(stageRef || "").toLowerCase());
+      const stage = pipeline.stages[stageIndex];
+      if (!stage) return res.status(400).json({ ok: false, error: `Unknown stage: ${stageRef}` });
+
+      // Gate: every stage after the first waits on the one before it
+      let gate = null;
+      if (stageIndex > 0) {
+        const previousStage = pipeline.stages[stageIndex - 1];
+        const previous = await findPreviousAction(pool, pipeline.id, stageIndex - 1, previousStage, baselineName, previousActionId);
+        gate = await evaluateGate(ctx, previousStage, previous, stage.gate);
+        log(req, `Promotion gate for "${stage.name}":`, gate);
+
+        if (!gate.passed && !isForced) {
+          if (dryRun) return res.status(409).json({ ok: false, dryRun: true, code: "GATE_FAILED", error: `Promotion to "${stage.name}" would be refused`, reasons: gate.reasons, gate });
+          await recordPromotion(pool, {
+            pipelineId: pipeline.id, stageIndex, stageName: stage.name, baselineName,
+            previousActionId: gate.previousActionId, outcome: 'refused', requestedBy: triggeredBy, gate,
+          });
+          return res.status(409).json({ ok: false, code: "GATE_FAILED", error: `Promotion to "${stage.name}" refused`, reasons: gate.reasons, gate });
+        }
+      }
+
+      const forcedOverride = isForced && gate && !gate.passed;
+      const { status, payload } = await runStageTrigger(req, ctx, {
+        ...body,
+        groupName: stage.groupName,
+        patchWindow: stage.patchWindow,
+        requireChg: stage.requireChg,
+        actionSettings: body.actionSettings || stage.actionSettings,
+      }, {
+        environment: stage.name,
+        dryRun,
+        metadata: {
+          pipeline: {
+            id: pipeline.id, name: pipeline.name, stage: stage.name, stageIndex,
+            previousActionId: gate?.previousActionId || null,
+            forced: forcedOverride, forcedBy: forcedOverride ? triggeredBy : null,
+          },
+        },
+      });
+      if (status !== 200) return res.status(status).json(payload);
+      if (dryRun) return res.json({ ...payload, pipelineId: pipeline.id, stageIndex, gate, forced: forcedOverride });
+
+      await recordPromotion(pool, {
+        pipelineId: pipeline.id, stageIndex, stageName: stage.name, baselineName,
+        actionId: payload.actionId, previousActionId: gate?.previousActionId,
+        outcome: forcedOverride ? 'forced' : 'promoted', forced: forcedOverride, requestedBy: triggeredBy, gate,
+      });
+      if (forcedOverride) log(req, `Gate for "${stage.name}" overridden by ${triggeredBy}:`, gate.reasons);
+      emitEvent("stage.promoted", {
+        pipelineId: pipeline.id, pipelineName: pipeline.name, stage: stage.name, stageIndex, baselineName,
+        actionId: String(payload.actionId), previousActionId: gate?.previousActionId || null,
+        forced: forcedOverride, requestedBy: triggeredBy || null, gateReasons: gate?.reasons || [],
+      });
+
+      res.json({ ...payload, pipelineId: pipeline.id, stageIndex, gate, forced: forcedOverride });
+    } catch (err) {
+      log(req, "Promotion error:", err?.message || err);
+      res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
+}
+
+module.exports = { attachPipelineRoutes };
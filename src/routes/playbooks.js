@@ -0,0 +1,137 @@
+// bigfix-backend/src/routes/playbooks.js
+// Remediation playbook library: CRUD for custom playbooks and launching any playbook
+// against computers or a group. Built-ins are read-only.
+const { logFactory } = require("../utils/log");
+const { isDryRun } = require("../utils/http");
+const { sql, getPool } = require("../db/mssql");
+const { idempotent } = require("../services/triggerGuards");
+const { normalizePlaybook, loadPlaybook, listPlaybooks, launchPlaybook } = require("../services/playbooks");
+
+const canUse = (pb, role) => pb.builtIn || role === 'Admin' || pb.ownerRole === role;
+const canEdit = (pb, role) => !pb.builtIn && (role === 'Admin' || pb.ownerRole === role);
+
+function attachPlaybookRoutes(app, ctx) {
+  const log = logFactory(ctx.DEBUG_LOG);
+
+  // --- 1. LIST (built-ins + own) ---
+  app.get("/api/playbooks", async (req, res) => {
+    try {
+      const userRole = req.headers['x-user-role'] || 'Admin';
+      res.json({ ok: true, playbooks: await listPlaybooks(userRole) });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 2. GET ONE (id or name) ---
+  app.get("/api/playbooks/:id", async (req, res) => {
+    try {
+      const userRole = req.headers['x-user-role'] || 'Admin';
+      const playbook = await loadPlaybook(req.params.id);
+      if (!playbook) return res.status(404).json({ ok: false, error: "Playbook not found" });
+      if (!canUse(playbook, userRole)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+      res.json({ ok: true, playbook });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 3. CREATE ---
+  app.post("/api/playbooks", async (req, res) => {
+    const userRole = req.headers['x-user-role'] || 'Admin';
+    const norm = normalizePlaybook(req.body);
+    if (norm.error) return res.status(400).json({ ok: false, error: norm.error });
+    const pb = norm.playbook;
+
+    try {
+      const pool = await getPool();
+      if (await loadPlaybook(pb.name, pool)) return res.status(409).json({ ok: false, error: `A playbook named ${pb.name} already exists` });
+      const r = await pool.request()
+        .input('Name', sql.NVarChar(255), pb.name)
+        .input('Description', sql.NVarChar(sql.MAX), pb.description)
+        .input('Category', sql.NVarChar(100), pb.category)
+        .input('Parameters', sql.NVarChar(sql.MAX), JSON.stringify(pb.parameters))
+        .input('WindowsScript', sql.NVarChar(sql.MAX), pb.windowsScript)
+        .input('LinuxScript', sql.NVarChar(sql.MAX), pb.linuxScript)
+        .input('HealthIssues', sql.NVarChar(sql.MAX), JSON.stringify(pb.healthIssues))
+        .input('Role', sql.NVarChar(50), userRole)
+        .query(`INSERT INTO dbo.Playbook (Name, Description, Category, Parameters, WindowsScript, LinuxScript, HealthIssues, BuiltIn, CreatedByRole, CreatedAt, UpdatedAt)
+                OUTPUT INSERTED.Id
+                VALUES (@Name, @Description, @Category, @Parameters, @WindowsScript, @LinuxScript, @HealthIssues, 0, @Role, SYSUTCDATETIME(), SYSUTCDATETIME())`);
+      res.json({ ok: true, id: r.recordset[0].Id, playbook: pb });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 4. UPDATE ---
+  app.put("/api/playbooks/:id", async (req, res) => {
+    const userRole = req.headers['x-user-role'] || 'Admin';
+    try {
+      const pool = await getPool();
+      const existing = await loadPlaybook(req.params.id, pool);
+      if (!existing) return res.status(404).json({ ok: false, error: "Playbook not found" });
+      if (existing.builtIn) return res.status(403).json({ ok: false, error: "Built-in playbooks cannot be changed" });
+      if (!canEdit(existing, userRole)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+
+      // Partial updates: unspecified fields keep their saved value
+      const norm = normalizePlaybook({ ...existing, ...(req.body || {}) });
+      if (norm.error) return res.status(400).json({ ok: false, error: norm.error });
+      const pb = norm.playbook;
+      if (pb.name !== existing.name) {
+        const clash = await loadPlaybook(pb.name, pool);
+        if (clash) return res.status(409).json({ ok: false, error: `A playbook named ${pb.name} already exists` });
+      }
+
+      await pool.request()
+        .input('Id', sql.Int, existing.id)
+        .input('Name', sql.NVarChar(255), pb.name)
+        .input('Description', sql.NVarChar(sql.MAX), pb.description)
+        .input('Category', sql.NVarChar(100), pb.category)
+        .input('Parameters', sql.NVarChar(sql.MAX), JSON.stringify(pb.parameters))
+        .input('WindowsScript', sql.NVarChar(sql.MAX), pb.windowsScript)
+        .input('LinuxScript', sql.NVarChar(sql.MAX), pb.linuxScript)
+        .input('HealthIssues', sql.NVarChar(sql.MAX), JSON.stringify(pb.healthIssues))
+        .query(`UPDATE dbo.Playbook SET Name = @Name, Description = @Description, Category = @Category, Parameters = @Parameters,
+                WindowsScript = @WindowsScript, LinuxScript = @LinuxScript, HealthIssues = @HealthIssues, UpdatedAt = SYSUTCDATETIME()
+                WHERE Id = @Id`);
+      res.json({ ok: true, playbook: pb });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 5. DELETE ---
+  app.delete("/api/playbooks/:id", async (req, res) => {
+    const userRole = req.headers['x-user-role'] || 'Admin';
+    try {
+      const pool = await getPool();
+      const existing = await loadPlaybook(req.params.id, pool);
+      if (!existing) return res.status(404).json({ ok: false, error: "Playbook not found" });
+      if (existing.builtIn) return res.status(403).json({ ok: false, error: "Built-in playbooks cannot be deleted" });
+      if (!canEdit(existing, userRole)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+
+      await pool.request().input('Id', sql.Int, existing.id).query("DELETE FROM dbo.Playbook WHERE Id = @Id");
+      res.json({ ok: true });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 6. RUN against computers or a group ---
+  app.post("/api/playbooks/:id/run", idempotent(), async (req, res) => {
+    req._logStart = Date.now();
+    const { computerNames, computerName, groupName, params, triggeredBy } = req.body || {};
+    const userRole = req.headers['x-user-role'] || 'Admin';
+    const dryRun = isDryRun(req);
+    log(req, `POST /api/playbooks/${req.params.id}/run${dryRun ? ' (dry run)' : ''}. User: [${triggeredBy || 'Unknown'}]. Body:`, req.body);
+
+    try {
+      const playbook = await loadPlaybook(req.params.id);
+      if (!playbook) return res.status(404).json({ ok: false, error: "Playbook not found" });
+      if (!canUse(playbook, userRole)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+
+      const { status, payload } = await launchPlaybook(ctx, playbook, {
+        computerNames: computerNames || (computerName ? [computerName] : null),
+        groupName, params, triggeredBy, dryRun,
+      });
+      if (payload.actions && !dryRun) log(req, `Playbook ${playbook.name} posted →`, payload.actions.map(a => `${a.os}:${a.actionId}`));
+      res.status(status).json(payload);
+    } catch (err) {
+      log(req, "Playbook run error:", err?.message || err);
+      res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err), code: err?.code });
+    }
+  });
+}
+
+module.exports = { attachPlaybookRoutes };
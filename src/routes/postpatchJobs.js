@@ -0,0 +1,43 @@
+// bigfix-backend/src/routes/postpatchJobs.js
+// Post-patch job queue: inspect jobs (e.g. the dead-lettered ones) and put them back in the queue.
+const { logFactory } = require("../utils/log");
+const { sql, getPool } = require("../db/mssql");
+const { JOB_STATES, requeueJob } = require("../services/postpatchWatcher");
+
+function attachPostPatchJobRoutes(app, ctx) {
+  const log = logFactory(ctx.DEBUG_LOG);
+
+  // --- 1. LIST (optionally by state) ---
+  app.get("/api/postpatch/jobs", async (req, res) => {
+    const state = req.query.state ? String(req.query.state).toLowerCase() : null;
+    if (state && !JOB_STATES.includes(state)) return res.status(400).json({ ok: false, error: `state must be one of: ${JOB_STATES.join(", ")}` });
+    try {
+      const pool = await getPool();
+      const r = await pool.request()
+        .input('State', sql.NVarChar(20), state)
+        .query(`SELECT TOP (200) Id, JobKey, ActionID, BatchId, State, Attempts, NextRunAt, LeaseOwner, LeaseUntil, Steps, LastError, CreatedAt, UpdatedAt, CompletedAt
+                FROM dbo.PostPatchJob WHERE (@State IS NULL OR State = @State) ORDER BY UpdatedAt DESC`);
+      const jobs = r.recordset.map(j => {
+        let steps = {};
+        try { steps = JSON.parse(j.Steps || "{}"); } catch { /* keep empty */ }
+        return { ...j, Steps: steps };
+      });
+      res.json({ ok: true, jobs });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 2. RETRY a dead / failed job now ---
+  app.post("/api/postpatch/jobs/:id/retry", async (req, res) => {
+    req._logStart = Date.now();
+    const userRole = req.headers['x-user-role'] || 'Admin';
+    if (userRole !== 'Admin') return res.status(403).json({ ok: false, error: "Permission Denied" });
+    try {
+      const ok = await requeueJob(req.params.id);
+      if (!ok) return res.status(409).json({ ok: false, error: "Only dead or failed jobs can be retried" });
+      log(req, `Post-patch job ${req.params.id} requeued`);
+      res.json({ ok: true });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+}
+
+module.exports = { attachPostPatchJobRoutes };
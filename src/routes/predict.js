@@ -3,29 +3,16 @@ const express = require('express');
 const router = express.Router();
 const axios = require('axios');
 const { getCtx } = require('../env');
-const { joinUrl } = require('../utils/http');
+const { bigfixClient } = require('../services/bigfix');
 
 // --- Helper: Query BigFix ---
 async function queryBigFix(relevance) {
   const ctx = getCtx();
-  const { BIGFIX_BASE_URL, BIGFIX_USER, BIGFIX_PASS, httpsAgent } = ctx.bigfix;
-  
-  if (!BIGFIX_BASE_URL) return [];
+  if (!ctx.bigfix.BIGFIX_BASE_URL) return [];
 
-  const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-  
   try {
-    const res = await axios.get(url, {
-      httpsAgent,
-      auth: { username: BIGFIX_USER, password: BIGFIX_PASS },
-      headers: { Accept: "application/json" },
-      timeout: 5000 
-    });
-    
-    if (res.data && res.data.result) {
-      return Array.isArray(res.data.result) ? res.data.result : [res.data.result];
-    }
-    return [];
+    // Short timeout and no retries: the prediction falls back to sample data anyway
+    return await bigfixClient(ctx).query(relevance, { timeout: 5000, retries: 0 });
   } catch (e) {
     console.warn("[Predict] BigFix Query Failed (using fallback):", e.message);
     return [];
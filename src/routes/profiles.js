@@ -0,0 +1,199 @@
+// bigfix-backend/src/routes/profiles.js
+// Saved deployment profiles: the monthly trigger settings, so a run only needs its CHG number.
+const { logFactory } = require("../utils/log");
+const { isDryRun } = require("../utils/http");
+const { sql, getPool } = require("../db/mssql");
+const { runStageTrigger } = require("./pilot");
+const { getPatchWindowMs, buildActionWindow } = require("../utils/time");
+const { idempotent } = require("../services/triggerGuards");
+const { PREFLIGHT_POLICIES } = require("../services/serverHealth");
+const { MAINTENANCE_POLICIES } = require("../services/maintenanceWindows");
+const { normalizeActionSettings } = require("../bigfix/actionSettings");
+
+const PROFILE_STAGES = ["Sandbox", "Pilot", "Production"];
+
+// Values that may change between runs; everything else comes from the profile
+const PER_RUN_FIELDS = ["chgNumber", "startAt", "endAt", "timeZone", "triggeredBy", "allowDuplicate", "overrideMaintenanceWindow"];
+
+// --- Helper: Validate + normalize profile settings from the request body ---
+function normalizeSettings(s) {
+  const stage = PROFILE_STAGES.find(x => x.toLowerCase() === String(s?.stage || "").toLowerCase());
+  if (!stage) return { error: `stage must be one of: ${PROFILE_STAGES.join(", ")}` };
+  const baselineName = String(s.baselineName || "").trim();
+  const groupName = String(s.groupName || "").trim();
+  if (!baselineName || !groupName) return { error: "baselineName and groupName are required" };
+  if (getPatchWindowMs(s.patchWindow) <= 0) return { error: "patchWindow must be greater than zero" };
+  if (s.timeZone) {
+    const check = buildActionWindow({ patchWindow: s.patchWindow, timeZone: s.timeZone });
+    if (check.error) return { error: check.error };
+  }
+  if (s.preflightPolicy && !PREFLIGHT_POLICIES.includes(s.preflightPolicy)) {
+    return { error: `preflightPolicy must be one of: ${PREFLIGHT_POLICIES.join(", ")}` };
+  }
+  if (s.maintenancePolicy && !MAINTENANCE_POLICIES.includes(s.maintenancePolicy)) {
+    return { error: `maintenancePolicy must be one of: ${MAINTENANCE_POLICIES.join(", ")}` };
+  }
+  // Kept as given (not normalized) so the profile round-trips; the trigger normalizes it again
+  const { error: settingsError } = normalizeActionSettings(s.actionSettings);
+  if (settingsError) return { error: settingsError };
+
+  return {
+    settings: {
+      stage,
+      baselineName,
+      groupName,
+      patchWindow: s.patchWindow,
+      // Sandbox never needs a change record
+      requireChg: stage !== "Sandbox" && s.requireChg !== false,
+      autoMail: ["true", "1", "yes", "on", true, 1].includes(String(s.autoMail).toLowerCase()),
+      mailTo: s.mailTo || "",
+      mailFrom: s.mailFrom || "",
+      mailCc: s.mailCc || "",
+      mailBcc: s.mailBcc || "",
+      // Distribution list names (dbo.DistributionList); null = the lists matching stage and role
+      mailLists: Array.isArray(s.mailLists) && s.mailLists.length ? s.mailLists.map(String) : null,
+      timeZone: s.timeZone || null,
+      preflightPolicy: s.preflightPolicy || null,
+      maintenancePolicy: s.maintenancePolicy || null,
+      actionSettings: s.actionSettings || null,
+    },
+  };
+}
+
+function toProfile(row) {
+  let settings = {};
+  try { settings = JSON.parse(row.Settings || "{}"); } catch { /* keep empty */ }
+  return { id: row.Id, name: row.Name, ownerRole: row.CreatedByRole, settings, createdAt: row.CreatedAt, updatedAt: row.UpdatedAt };
+}
+
+async function loadProfile(pool, id) {
+  const r = await pool.request().input('Id', sql.Int, Number(id))
+    .query("SELECT Id, Name, Settings, CreatedByRole, CreatedAt, UpdatedAt FROM dbo.DeploymentProfile WHERE Id = @Id");
+  return r.recordset.length ? toProfile(r.recordset[0]) : null;
+}
+
+const canUse = (profile, role) => role === 'Admin' || profile.ownerRole === role;
+
+function attachProfileRoutes(app, ctx) {
+  const log = logFactory(ctx.DEBUG_LOG);
+
+  // --- 1. LIST PROFILES (Role-Filtered) ---
+  app.get("/api/profiles", async (req, res) => {
+    try {
+      const userRole = req.headers['x-user-role'] || 'Admin';
+      const pool = await getPool();
+      let query = "SELECT Id, Name, Settings, CreatedByRole, CreatedAt, UpdatedAt FROM dbo.DeploymentProfile";
+      const reqSql = pool.request();
+      if (userRole !== 'Admin') {
+        query += " WHERE CreatedByRole = @Role";
+        reqSql.input('Role', sql.NVarChar(50), userRole);
+      }
+      const r = await reqSql.query(query + " ORDER BY Name");
+      res.json({ ok: true, profiles: r.recordset.map(toProfile) });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 2. GET ONE ---
+  app.get("/api/profiles/:id", async (req, res) => {
+    try {
+      const userRole = req.headers['x-user-role'] || 'Admin';
+      const pool = await getPool();
+      const profile = await loadProfile(pool, req.params.id);
+      if (!profile) return res.status(404).json({ ok: false, error: "Profile not found" });
+      if (!canUse(profile, userRole)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+      res.json({ ok: true, profile });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 3. CREATE ---
+  app.post("/api/profiles", async (req, res) => {
+    const { name, ...rest } = req.body || {};
+    const userRole = req.headers['x-user-role'] || 'Admin';
+    if (!name || !String(name).trim()) return res.status(400).json({ ok: false, error: "Profile name is required" });
+    const norm = normalizeSettings(rest.settings || rest);
+    if (norm.error) return res.status(400).json({ ok: false, error: norm.error });
+
+    try {
+      const pool = await getPool();
+      const r = await pool.request()
+        .input('Name', sql.NVarChar(255), String(name).trim())
+        .input('Settings', sql.NVarChar(sql.MAX), JSON.stringify(norm.settings))
+        .input('Role', sql.NVarChar(50), userRole)
+        .query(`INSERT INTO dbo.DeploymentProfile (Name, Settings, CreatedByRole, CreatedAt, UpdatedAt)
+                OUTPUT INSERTED.Id VALUES (@Name, @Settings, @Role, SYSUTCDATETIME(), SYSUTCDATETIME())`);
+      res.json({ ok: true, id: r.recordset[0].Id, settings: norm.settings });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 4. UPDATE ---
+  app.put("/api/profiles/:id", async (req, res) => {
+    const { name, ...rest } = req.body || {};
+    const userRole = req.headers['x-user-role'] || 'Admin';
+
+    try {
+      const pool = await getPool();
+      const profile = await loadProfile(pool, req.params.id);
+      if (!profile) return res.status(404).json({ ok: false, error: "Profile not found" });
+      if (!canUse(profile, userRole)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+
+      // Partial updates: unspecified settings keep their saved value
+      const norm = normalizeSettings({ ...profile.settings, ...(rest.settings || rest) });
+      if (norm.error) return res.status(400).json({ ok: false, error: norm.error });
+
+      await pool.request()
+        .input('Id', sql.Int, profile.id)
+        .input('Name', sql.NVarChar(255), String(name || profile.name).trim())
+        .input('Settings', sql.NVarChar(sql.MAX), JSON.stringify(norm.settings))
+        .query("UPDATE dbo.DeploymentProfile SET Name = @Name, Settings = @Settings, UpdatedAt = SYSUTCDATETIME() WHERE Id = @Id");
+      res.json({ ok: true, settings: norm.settings });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 5. DELETE ---
+  app.delete("/api/profiles/:id", async (req, res) => {
+    const userRole = req.headers['x-user-role'] || 'Admin';
+    try {
+      const pool = await getPool();
+      const profile = await loadProfile(pool, req.params.id);
+      if (!profile) return res.status(404).json({ ok: false, error: "Profile not found" });
+      if (!canUse(profile, userRole)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+
+      await pool.request().input('Id', sql.Int, profile.id).query("DELETE FROM dbo.DeploymentProfile WHERE Id = @Id");
+      res.json({ ok: true });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 6. TRIGGER (profile settings + per-run values) ---
+  app.post("/api/profiles/:id/trigger", idempotent(), async (req, res) => {
+    req._logStart = Date.now();
+    const body = req.body || {};
+    const userRole = req.headers['x-user-role'] || 'Admin';
+    const isForced = ["true", "1", "yes", "on", true, 1].includes(String(body.force).toLowerCase());
+    const dryRun = isDryRun(req);
+    log(req, `POST /api/profiles/${req.params.id}/trigger force=${isForced}${dryRun ? ' (dry run)' : ''}. User: [${body.triggeredBy || 'Unknown'}].`);
+
+    try {
+      const pool = await getPool();
+      const profile = await loadProfile(pool, req.params.id);
+      if (!profile) return res.status(404).json({ ok: false, error: "Profile not found" });
+      if (!canUse(profile, userRole)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+
+      const perRun = {};
+      for (const k of PER_RUN_FIELDS) if (body[k] !== undefined) perRun[k] = body[k];
+
+      const { stage, ...settings } = profile.settings;
+      const { status, payload } = await runStageTrigger(req, ctx, { ...settings, ...perRun }, {
+        isForced,
+        environment: stage,
+        dryRun,
+        metadata: { profile: { id: profile.id, name: profile.name } },
+      });
+      res.status(status).json({ ...payload, profileId: profile.id });
+    } catch (err) {
+      log(req, "Profile trigger error:", err?.message || err);
+      res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
+}
+
+module.exports = { attachProfileRoutes };
@@ -1,8 +1,6 @@
 const express = require("express");
-const axios = require("axios");
-const https = require("https");
-const { parseStringPromise } = require("xml2js");
 const { prismRequest } = require("../services/prism");
+const { bigfixClient } = require("../services/bigfix");
 
 const siteUrlCache = new Map();
 
@@ -25,44 +23,15 @@ async function resolveSiteURL(ctx, siteName) {
     return siteUrlCache.get(siteName);
   }
 
-  const bfUrl = (ctx.cfg?.BIGFIX_BASE_URL || "").replace(/\/$/, "");
-  const bfUser = ctx.cfg?.BIGFIX_USER;
-  const bfPass = ctx.cfg?.BIGFIX_PASS;
-
-  const httpsAgent = ctx.bigfix?.httpsAgent;
-
-  const relevance =
-    `(url of it) of all bes sites whose (display name of it = "${siteName}" or name of it = "${siteName}")`;
-
-  const encoded = encodeURIComponent(relevance);
-
-  const response = await axios.get(
-    `${bfUrl}/api/query?relevance=${encoded}`,
-    {
-      httpsAgent,
-      auth: {
-        username: bfUser,
-        password: bfPass,
-      },
-    }
-  );
-
-  const result = await parseStringPromise(response.data);
-
-  const answerObj =
-    result?.BESAPI?.Query?.[0]?.Result?.[0]?.Answer?.[0];
-
-  const siteURL =
-    typeof answerObj === "object" ? answerObj._ : answerObj;
+  const siteURL = await bigfixClient(ctx).getSiteUrl(siteName);
 
   if (!siteURL) {
     throw new Error(`Unable to resolve site URL for: ${siteName}`);
   }
 
-  const trimmed = siteURL.trim();
-  siteUrlCache.set(siteName, trimmed);
+  siteUrlCache.set(siteName, siteURL);
 
-  return trimmed;
+  return siteURL;
 }
 
 /* =========================================
@@ -73,12 +42,6 @@ function attachBaselineRoutes(app, ctx) {
 
   const router = express.Router();
 
-  const bfUrl = (ctx.cfg?.BIGFIX_BASE_URL || "").replace(/\/$/, "");
-  const bfUser = ctx.cfg?.BIGFIX_USER;
-  const bfPass = ctx.cfg?.BIGFIX_PASS;
-
-  const httpsAgent = ctx.bigfix?.httpsAgent;
-
   /* ============================
      CREATE BASELINE
   ============================ */
@@ -138,29 +101,12 @@ function attachBaselineRoutes(app, ctx) {
   </Baseline>
 </BES>`;
 
-      let endpoint;
-
-      if (siteType.toLowerCase() === "master") {
-        endpoint = `${bfUrl}/api/baselines/master`;
-      } else {
-        endpoint = `${bfUrl}/api/baselines/custom/${encodeURIComponent(site)}`;
-      }
-
-      const response = await axios.post(endpoint, baselineXML, {
-        httpsAgent,
-        headers: { "Content-Type": "application/xml" },
-        auth: {
-          username: bfUser,
-          password: bfPass,
-        },
+      const created = await bigfixClient(ctx).createBaseline(baselineXML, {
+        site,
+        master: siteType.toLowerCase() === "master",
       });
 
-      const parsed = await parseStringPromise(response.data);
-
-      let bigfixBaselineId =
-        parsed?.BESAPI?.Baseline?.[0]?.ID?.[0];
-
-      bigfixBaselineId = Number(bigfixBaselineId);
+      const bigfixBaselineId = Number(created.id);
 
       if (!bigfixBaselineId || Number.isNaN(bigfixBaselineId)) {
         throw new Error("Unable to extract BigFix baseline ID");
@@ -188,7 +134,7 @@ function attachBaselineRoutes(app, ctx) {
 
     } catch (err) {
 
-      console.error("Baseline creation error:", err.response?.data || err.message);
+      console.error("Baseline creation error:", err.response?.data || err.detail || err.message);
 
       res.status(500).json({
         error: "Baseline creation failed",
@@ -0,0 +1,97 @@
+// src/routes/snChange.js
+// Standard change requests for recurring patching: created from a ServiceNow template with the
+// patch window as planned start/end and the group's members as affected CIs.
+const { logFactory } = require("../utils/log");
+const { isDryRun } = require("../utils/http");
+const { bigfixClient } = require("../services/bigfix");
+const { buildActionWindow } = require("../utils/time");
+const { idempotent } = require("../services/triggerGuards");
+const { snConnection, toSnDateTime, createStandardChange, findCis, addAffectedCis, moveToImplement } = require("../services/servicenow");
+
+function attachSnChangeRoutes(app, ctx) {
+  const log = logFactory(ctx.DEBUG_LOG);
+
+  app.post("/api/sn/change/standard", idempotent(), async (req, res) => {
+    req._logStart = Date.now();
+    const {
+      templateId, groupName, baselineName, shortDescription, description,
+      patchWindow, startAt, endAt, timeZone, moveToImplement: toImplement = true, triggeredBy,
+    } = req.body || {};
+    const dryRun = isDryRun(req);
+    log(req, `POST /api/sn/change/standard${dryRun ? ' (dry run)' : ''}. User: [${triggeredBy || 'Unknown'}]. Body:`, req.body);
+
+    try {
+      const template = String(templateId || ctx.servicenow?.SN_STD_CHANGE_TEMPLATE || "").trim();
+      if (!template) return res.status(400).json({ ok: false, error: "templateId is required (or set SN_STD_CHANGE_TEMPLATE)" });
+      if (!groupName) return res.status(400).json({ ok: false, error: "groupName is required" });
+      if (!snConnection(ctx)) {
+        return res.status(500).json({ ok: false, error: "ServiceNow env not configured (SN_URL, SN_USER, SN_PASSWORD required)" });
+      }
+
+      // Planned start/end come from the same window the trigger will use (whole seconds, as stored in ServiceNow)
+      const window = buildActionWindow({ patchWindow, startAt, endAt, timeZone });
+      if (window.error) return res.status(400).json({ ok: false, error: window.error });
+      const plannedStart = toSnDateTime(window.effectiveStart);
+      const plannedEnd = toSnDateTime(window.effectiveEnd);
+
+      const members = await bigfixClient(ctx).getGroupMembers(groupName);
+      if (!members.length) return res.status(400).json({ ok: false, error: `Group ${groupName} has no server members` });
+      const cis = await findCis(ctx, members.map(m => m.name));
+
+      const fields = {
+        short_description: shortDescription || `BigFix patching: ${baselineName || "patches"} on ${groupName}`,
+        description: description || [
+          `Patch deployment via BigFix Patch Orchestrator.`,
+          baselineName ? `Baseline: ${baselineName}` : null,
+          `Group: ${groupName} (${members.length} servers)`,
+          `Requested by: ${triggeredBy || "Unknown"}`,
+        ].filter(Boolean).join("\n"),
+        start_date: plannedStart,
+        end_date: plannedEnd,
+      };
+      if (cis.matched.length) fields.cmdb_ci = cis.matched[0].sysId;
+
+      if (dryRun) {
+        return res.json({ ok: true, dryRun: true, templateId: template, fields, cis, effectiveStart: window.effectiveStart, effectiveEnd: window.effectiveEnd, timeZone: window.timeZone || null });
+      }
+
+      // 1) Create; from here on the change exists, so later failures are reported alongside it
+      const chg = await createStandardChange(ctx, template, fields);
+      log(req, `SN standard change created → ${chg.number} (${chg.sysId})`);
+      const warnings = [];
+
+      // 2) Affected CIs
+      try {
+        await addAffectedCis(ctx, chg.sysId, cis.matched.map(c => c.sysId));
+      } catch (e) {
+        warnings.push(`Affected CIs not added: ${e.message}`);
+      }
+      if (cis.missing.length) warnings.push(`${cis.missing.length} servers have no CMDB CI: ${cis.missing.slice(0, 10).join(", ")}${cis.missing.length > 10 ? ", ..." : ""}`);
+
+      // 3) Implement, so the pilot / production triggers accept the CHG right away
+      let state = chg.state;
+      let implement = false;
+      if (["true", "1", "yes", "on", true, 1].includes(String(toImplement).toLowerCase())) {
+        const moved = await moveToImplement(ctx, chg.sysId);
+        if (moved.state) state = moved.state;
+        implement = moved.ok;
+        if (moved.error) warnings.push(moved.error);
+      }
+      if (warnings.length) log(req, `SN standard change ${chg.number} warnings:`, warnings);
+
+      res.json({
+        ok: true, number: chg.number, sysId: chg.sysId, templateId: template, state, implement,
+        plannedStart: window.effectiveStart, plannedEnd: window.effectiveEnd,
+        // Reuse these on the trigger so its window matches the change window exactly
+        triggerWindow: { startAt: window.plannedStart ? new Date(`${plannedStart}Z`).toISOString() : null, endAt: new Date(`${plannedEnd}Z`).toISOString(), timeZone: "UTC" },
+        cis: { matched: cis.matched.map(c => c.computer), missing: cis.missing },
+        warnings,
+      });
+    } catch (err) {
+      log(req, "SN standard change error:", err?.message || err);
+      res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
+}
+
+module.exports = { attachSnChangeRoutes };
@@ -3,6 +3,8 @@ const { vcenterClient } = require("../services/vcenter");
 const { logFactory } = require("../utils/log");
 const { sql, getPool } = require("../db/mssql"); 
 const { bigfixClient } = require("../services/bigfix");
+const { emitEvent } = require("../services/webhooks");
+const { refreshTasks } = require("../services/vcenterTasks");
 const axios = require('axios');
 const https = require('https');
 
@@ -51,13 +53,11 @@ async function getRobustSession(url, user, passEncoded) {
     }
 }
 
-function attachVcenterRoutes(app, ctx) {
-  const log = logFactory(ctx.DEBUG_LOG);
-
-  // --- PREPARE SAFE CONTEXT ---
-  // We create a modified context where the password is pre-decoded.
-  // This ensures the 'vcenterClient' service (used for Snapshot/Clone) gets the correct credentials.
-  const vcenterCtx = { 
+// --- PREPARE SAFE CONTEXT ---
+// We create a modified context where the password is pre-decoded.
+// This ensures the 'vcenterClient' service (used for Snapshot/Clone/Revert) gets the correct credentials.
+function vcenterContext(ctx) {
+  return { 
       ...ctx, 
       vcenter: { 
           ...ctx.vcenter, 
@@ -65,6 +65,13 @@ function attachVcenterRoutes(app, ctx) {
           VCENTER_PASSWORD: decodePassword(ctx.vcenter?.VCENTER_PASSWORD || ctx.cfg?.VCENTER_PASSWORD || "") 
       } 
   };
+}
+
+function attachVcenterRoutes(app, ctx) {
+  const log = logFactory(ctx.DEBUG_LOG);
+
+  // --- PREPARE SAFE CONTEXT ---
+  const vcenterCtx = vcenterContext(ctx);
 
   const checkConfig = (req, res, next) => {
     const hasUrl = ctx.VCENTER_URL || (ctx.vcenter && ctx.vcenter.VCENTER_URL);
@@ -174,6 +181,8 @@ function attachVcenterRoutes(app, ctx) {
              .input('TaskId', sql.NVarChar(100), r.taskId ? String(r.taskId) : null)
              .input('Error', sql.NVarChar(sql.MAX), r.error || null)
              .query(`INSERT INTO dbo.SnapshotHistory (VmId, VmName, SnapshotName, Type, TaskId, Status, Error) VALUES (@VmId, @VmName, @SnapshotName, @Type, @TaskId, @Status, @Error)`);
+           // Snapshots with a task are reported by the task watcher (services/vcenterTasks) once it finishes
+           if (r.ok && !r.taskId) emitEvent("snapshot.completed", { vmId: String(r.vmId), vmName: String(getName(r.vmId)), snapshotName: String(snapshotName), taskId: null });
         }
         results.push(...batchRes);
       }
@@ -235,20 +244,7 @@ function attachVcenterRoutes(app, ctx) {
     const { taskIds } = req.body;
     if (!taskIds || !taskIds.length) return res.json({ ok: true, statuses: {} });
     try {
-      const client = vcenterClient(vcenterCtx);
-      const statuses = await client.getTasksStatus(taskIds);
-      const pool = await getPool();
-      const simple = {};
-      for (const [tid, info] of Object.entries(statuses)) {
-        let st = info.state === 'success' ? 'completed' : info.state === 'error' ? 'failed' : info.state;
-        simple[tid] = st;
-        if (st !== 'unknown') {
-           const req = pool.request().input('T', sql.NVarChar(100), tid).input('S', sql.NVarChar(50), st);
-           let q = "UPDATE dbo.SnapshotHistory SET Status=@S";
-           if (info.error) { req.input('E', sql.NVarChar(sql.MAX), info.error); q += ", Error=@E"; }
-           await req.query(q + " WHERE TaskId=@T");
-        }
-      }
+      const simple = await refreshTasks(vcenterClient(vcenterCtx), await getPool(), taskIds);
       res.json({ ok: true, statuses: simple });
     } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
   });
@@ -270,7 +266,7 @@ function attachVcenterRoutes(app, ctx) {
       if (!members || !members.length) return res.json({ ok: true, ready: false, error: "Group empty" });
 
       const pool = await getPool();
-      const r = await pool.request().input('H', sql.Int, lookbackHours).query(`SELECT DISTINCT LOWER(VmName) as N FROM dbo.SnapshotHistory WHERE Status IN ('completed','success','queued','running') AND CreatedAt >= DATEADD(hour, -@H, SYSUTCDATETIME())`);
+      const r = await pool.request().input('H', sql.Int, lookbackHours).query(`SELECT DISTINCT LOWER(VmName) as N FROM dbo.SnapshotHistory WHERE Type <> 'Revert' AND Status IN ('completed','success','queued','running') AND CreatedAt >= DATEADD(hour, -@H, SYSUTCDATETIME())`);
       const protectedSet = new Set(r.recordset.map(x => x.N));
       const missing = members.filter(m => !protectedSet.has(m.name.toLowerCase())).map(m => m.name);
       
@@ -279,4 +275,4 @@ function attachVcenterRoutes(app, ctx) {
   });
 }
 
-module.exports = { attachVcenterRoutes };
\ No newline at end of file
+module.exports = { attachVcenterRoutes, vcenterContext };
\ No newline at end of file
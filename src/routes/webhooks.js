@@ -0,0 +1,145 @@
+// bigfix-backend/src/routes/webhooks.js
+// Outbound webhooks: Admin-managed registrations, the event schema, test sends and the delivery log.
+const { logFactory } = require("../utils/log");
+const { sql, getPool } = require("../db/mssql");
+const { WEBHOOK_EVENTS, WEBHOOK_FORMATS, EVENT_SCHEMA } = require("../services/webhookTemplates");
+const { DELIVERY_STATES, normalizeWebhook, publicWebhook, loadWebhook, listWebhooks, sendTestEvent, redeliver } = require("../services/webhooks");
+
+const isAdmin = (req) => (req.headers['x-user-role'] || 'Admin') === 'Admin';
+
+function attachWebhookRoutes(app, ctx) {
+  const log = logFactory(ctx.DEBUG_LOG);
+
+  // --- 1. EVENT CATALOGUE + JSON SCHEMA ---
+  app.get("/api/webhooks/schema", (req, res) => {
+    res.json({ ok: true, events: WEBHOOK_EVENTS, formats: WEBHOOK_FORMATS, schema: EVENT_SCHEMA });
+  });
+
+  // --- 2. LIST ---
+  app.get("/api/webhooks", async (req, res) => {
+    if (!isAdmin(req)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+    try {
+      res.json({ ok: true, webhooks: (await listWebhooks()).map(publicWebhook) });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 3. CREATE (the generated secret is returned once) ---
+  app.post("/api/webhooks", async (req, res) => {
+    req._logStart = Date.now();
+    if (!isAdmin(req)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+    const norm = normalizeWebhook(req.body);
+    if (norm.error) return res.status(400).json({ ok: false, error: norm.error });
+    const hook = norm.webhook;
+
+    try {
+      const pool = await getPool();
+      const clash = await pool.request().input('Name', sql.NVarChar(255), hook.name).query("SELECT Id FROM dbo.Webhook WHERE Name = @Name");
+      if (clash.recordset.length) return res.status(409).json({ ok: false, error: `A webhook named ${hook.name} already exists` });
+      const r = await pool.request()
+        .input('Name', sql.NVarChar(255), hook.name)
+        .input('Url', sql.NVarChar(2000), hook.url)
+        .input('Secret', sql.NVarChar(255), hook.secret)
+        .input('Events', sql.NVarChar(sql.MAX), JSON.stringify(hook.events))
+        .input('Format', sql.NVarChar(20), hook.format)
+        .input('Enabled', sql.Bit, hook.enabled ? 1 : 0)
+        .input('Role', sql.NVarChar(50), req.headers['x-user-role'] || 'Admin')
+        .query(`INSERT INTO dbo.Webhook (Name, Url, Secret, Events, Format, Enabled, CreatedByRole, CreatedAt, UpdatedAt)
+                OUTPUT INSERTED.Id
+                VALUES (@Name, @Url, @Secret, @Events, @Format, @Enabled, @Role, SYSUTCDATETIME(), SYSUTCDATETIME())`);
+      log(req, `Webhook created: ${hook.name} → ${hook.url} [${hook.events.join(", ")}]`);
+      res.json({ ok: true, id: r.recordset[0].Id, webhook: { ...publicWebhook(hook), id: r.recordset[0].Id }, secret: hook.secret });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 4. UPDATE (partial; secret: true rotates it) ---
+  app.put("/api/webhooks/:id", async (req, res) => {
+    req._logStart = Date.now();
+    if (!isAdmin(req)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+    try {
+      const pool = await getPool();
+      const existing = await loadWebhook(req.params.id, pool);
+      if (!existing) return res.status(404).json({ ok: false, error: "Webhook not found" });
+
+      const { secret: _keep, ...current } = existing;
+      const norm = normalizeWebhook({ ...current, ...(req.body || {}) }, existing);
+      if (norm.error) return res.status(400).json({ ok: false, error: norm.error });
+      const hook = norm.webhook;
+      if (hook.name !== existing.name) {
+        const clash = await pool.request().input('Name', sql.NVarChar(255), hook.name).query("SELECT Id FROM dbo.Webhook WHERE Name = @Name");
+        if (clash.recordset.length) return res.status(409).json({ ok: false, error: `A webhook named ${hook.name} already exists` });
+      }
+
+      await pool.request()
+        .input('Id', sql.Int, existing.id)
+        .input('Name', sql.NVarChar(255), hook.name)
+        .input('Url', sql.NVarChar(2000), hook.url)
+        .input('Secret', sql.NVarChar(255), hook.secret)
+        .input('Events', sql.NVarChar(sql.MAX), JSON.stringify(hook.events))
+        .input('Format', sql.NVarChar(20), hook.format)
+        .input('Enabled', sql.Bit, hook.enabled ? 1 : 0)
+        .query(`UPDATE dbo.Webhook SET Name = @Name, Url = @Url, Secret = @Secret, Events = @Events, Format = @Format,
+                Enabled = @Enabled, UpdatedAt = SYSUTCDATETIME() WHERE Id = @Id`);
+      const rotated = hook.secret && hook.secret !== existing.secret;
+      log(req, `Webhook ${existing.id} updated${rotated ? " (secret rotated)" : ""}`);
+      res.json({ ok: true, webhook: { ...publicWebhook(hook), id: existing.id }, ...(rotated ? { secret: hook.secret } : {}) });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 5. DELETE (with its delivery log) ---
+  app.delete("/api/webhooks/:id", async (req, res) => {
+    req._logStart = Date.now();
+    if (!isAdmin(req)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+    try {
+      const pool = await getPool();
+      const existing = await loadWebhook(req.params.id, pool);
+      if (!existing) return res.status(404).json({ ok: false, error: "Webhook not found" });
+      await pool.request().input('Id', sql.Int, existing.id)
+        .query("DELETE FROM dbo.WebhookDelivery WHERE WebhookId = @Id; DELETE FROM dbo.Webhook WHERE Id = @Id;");
+      log(req, `Webhook ${existing.id} (${existing.name}) deleted`);
+      res.json({ ok: true });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 6. TEST SEND ---
+  app.post("/api/webhooks/:id/test", async (req, res) => {
+    req._logStart = Date.now();
+    if (!isAdmin(req)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+    try {
+      const hook = await loadWebhook(req.params.id);
+      if (!hook) return res.status(404).json({ ok: false, error: "Webhook not found" });
+      const result = await sendTestEvent(hook, { triggeredBy: req.body?.triggeredBy });
+      log(req, `Webhook ${hook.id} test → ${result.ok ? "delivered" : result.error}`);
+      res.json({ ok: result.ok, deliveryId: result.deliveryId, status: result.status, durationMs: result.durationMs, error: result.error, response: result.body });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 7. DELIVERY LOG (one webhook, optionally by state) ---
+  app.get("/api/webhooks/:id/deliveries", async (req, res) => {
+    if (!isAdmin(req)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+    const state = req.query.state ? String(req.query.state).toLowerCase() : null;
+    if (state && !DELIVERY_STATES.includes(state)) return res.status(400).json({ ok: false, error: `state must be one of: ${DELIVERY_STATES.join(", ")}` });
+    try {
+      const pool = await getPool();
+      const r = await pool.request()
+        .input('WebhookId', sql.Int, Number(req.params.id))
+        .input('State', sql.NVarChar(20), state)
+        .query(`SELECT TOP (200) Id, WebhookId, EventId, EventType, State, Attempts, NextRunAt, ResponseStatus, ResponseBody, LastError, DurationMs, CreatedAt, UpdatedAt, DeliveredAt
+                FROM dbo.WebhookDelivery WHERE WebhookId = @WebhookId AND (@State IS NULL OR State = @State) ORDER BY CreatedAt DESC`);
+      res.json({ ok: true, deliveries: r.recordset });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // --- 8. REDELIVER ---
+  app.post("/api/webhooks/deliveries/:id/redeliver", async (req, res) => {
+    req._logStart = Date.now();
+    if (!isAdmin(req)) return res.status(403).json({ ok: false, error: "Permission Denied" });
+    try {
+      const queued = await redeliver(req.params.id);
+      if (!queued) return res.status(409).json({ ok: false, error: "Delivery not found or still in progress" });
+      log(req, `Webhook delivery ${req.params.id} queued again`);
+      res.json({ ok: true });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+}
+
+module.exports = { attachWebhookRoutes };
@@ -0,0 +1,94 @@
+// src/services/actionHistory.js
+// ActionHistory persistence shared by the trigger routes and follow-up actions.
+const { sql, getPool } = require("../db/mssql");
+const { actionStore } = require("../state/store");
+
+function toEntry(row) {
+  let metadata = {};
+  try { metadata = JSON.parse(row.Metadata || "{}"); } catch { /* keep empty */ }
+  return {
+    actionId: String(row.ActionID),
+    parentActionId: row.ParentActionID != null ? String(row.ParentActionID) : null,
+    postMailSent: !!row.PostMailSent,
+    createdAt: row.CreatedAt,
+    metadata,
+  };
+}
+
+/**
+ * Cache + persist a freshly posted action. The cache is updated even if the DB write throws.
+ * Follow-ups (with a parent) and ad-hoc actions (updateLast: false) don't replace the
+ * "last action" shown to the UI.
+ */
+async function saveAction(metadata, { parentActionId = null, updateLast = !parentActionId } = {}) {
+  if (updateLast) actionStore.lastActionId = metadata.id;
+  actionStore.actions[metadata.id] = metadata;
+
+  const pool = await getPool();
+  await pool.request()
+    .input("ActionID", sql.Int, Number(metadata.id))
+    .input("Metadata", sql.NVarChar(sql.MAX), JSON.stringify(metadata))
+    .input("PostMailSent", sql.Bit, 0)
+    .input("ParentActionID", sql.Int, parentActionId ? Number(parentActionId) : null)
+    .query(`
+      INSERT INTO dbo.ActionHistory (ActionID, Metadata, PostMailSent, ParentActionID, CreatedAt)
+      VALUES (@ActionID, @Metadata, @PostMailSent, @ParentActionID, SYSUTCDATETIME())
+    `);
+}
+
+async function getAction(actionId) {
+  const pool = await getPool();
+  const r = await pool.request()
+    .input("ActionID", sql.Int, Number(actionId))
+    .query("SELECT ActionID, Metadata, PostMailSent, ParentActionID, CreatedAt FROM dbo.ActionHistory WHERE ActionID = @ActionID");
+  return r.recordset.length ? toEntry(r.recordset[0]) : null;
+}
+
+/** Shallow-merge `patch` into the stored metadata (and the cached copy, if any). */
+async function updateActionMetadata(actionId, patch) {
+  const entry = await getAction(actionId);
+  if (!entry) return null;
+  const metadata = { ...entry.metadata, ...patch };
+
+  const pool = await getPool();
+  await pool.request()
+    .input("ActionID", sql.Int, Number(actionId))
+    .input("Metadata", sql.NVarChar(sql.MAX), JSON.stringify(metadata))
+    .query("UPDATE dbo.ActionHistory SET Metadata = @Metadata WHERE ActionID = @ActionID");
+
+  if (actionStore.actions[actionId]) Object.assign(actionStore.actions[actionId], patch);
+  return { ...entry, metadata };
+}
+
+/** Whole deployment chain for any action in it: walk up to the root, then back down. */
+async function getActionChain(actionId) {
+  const pool = await getPool();
+  const up = await pool.request()
+    .input("ActionID", sql.Int, Number(actionId))
+    .query(`
+      WITH up AS (
+        SELECT ActionID, ParentActionID, 0 AS Depth FROM dbo.ActionHistory WHERE ActionID = @ActionID
+        UNION ALL
+        SELECT h.ActionID, h.ParentActionID, up.Depth + 1
+        FROM dbo.ActionHistory h JOIN up ON h.ActionID = up.ParentActionID
+      )
+      SELECT TOP 1 ActionID FROM up ORDER BY Depth DESC
+    `);
+  if (!up.recordset.length) return [];
+
+  const down = await pool.request()
+    .input("RootID", sql.Int, up.recordset[0].ActionID)
+    .query(`
+      WITH chain AS (
+        SELECT ActionID, ParentActionID, Metadata, PostMailSent, CreatedAt, 0 AS Depth
+        FROM dbo.ActionHistory WHERE ActionID = @RootID
+        UNION ALL
+        SELECT h.ActionID, h.ParentActionID, h.Metadata, h.PostMailSent, h.CreatedAt, chain.Depth + 1
+        FROM dbo.ActionHistory h JOIN chain ON h.ParentActionID = chain.ActionID
+      )
+      SELECT * FROM chain ORDER BY Depth, CreatedAt
+    `);
+  return down.recordset.map(row => ({ ...toEntry(row), depth: row.Depth }));
+}
+
+module.exports = { saveAction, getAction, updateActionMetadata, getActionChain };
@@ -1,7 +1,130 @@
 // bigfix-backend/src/services/bigfix.js
 const axios = require("axios");
 const https = require("https");
-const { collectStrings } = require("../utils/query");
+const { collectStrings, parseTupleRows, extractActionIdFromXml } = require("../utils/query");
+
+/* ---------------- Tuning (single place for all BigFix calls) ---------------- */
+const TUNING = {
+  timeoutMs: Number(process.env.BIGFIX_TIMEOUT_MS) || 60_000,
+  retries: Number.isFinite(Number(process.env.BIGFIX_RETRIES)) ? Number(process.env.BIGFIX_RETRIES) : 2,
+  backoffBaseMs: 500,
+  backoffMaxMs: 8_000,
+  breakerThreshold: Number(process.env.BIGFIX_BREAKER_THRESHOLD) || 5,
+  breakerCooldownMs: Number(process.env.BIGFIX_BREAKER_COOLDOWN_MS) || 30_000,
+};
+
+/* ---------------- Uniform error ---------------- */
+class BigFixError extends Error {
+  constructor(message, { code = "BIGFIX_ERROR", status = 502, operation = null, retryable = false, detail = null } = {}) {
+    super(message);
+    this.name = "BigFixError";
+    this.code = code;
+    this.status = status;
+    this.operation = operation;
+    this.retryable = retryable;
+    this.detail = detail;
+  }
+
+  toJSON() {
+    return { ok: false, error: this.message, code: this.code, operation: this.operation, detail: this.detail };
+  }
+}
+
+// Upstream statuses that mean "the root server is unhealthy" rather than "the request was bad"
+const DOWN_STATUSES = new Set([502, 503, 504]);
+const RETRY_STATUSES = new Set([429, 502, 503, 504]);
+const NETWORK_CODES = new Set(["ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EHOSTUNREACH", "ENETUNREACH", "ENOTFOUND", "EAI_AGAIN", "EPIPE"]);
+
+function fromResponse(operation, resp) {
+  const body = typeof resp.data === "string" ? resp.data : JSON.stringify(resp.data ?? "");
+  const detail = body.slice(0, 500);
+  const code = resp.status === 404 ? "NOT_FOUND"
+    : resp.status === 401 || resp.status === 403 ? "UNAUTHORIZED"
+    : resp.status === 400 ? "BAD_REQUEST"
+    : "HTTP_ERROR";
+  return new BigFixError(`BigFix ${operation} failed: HTTP ${resp.status}`, {
+    code,
+    status: resp.status,
+    operation,
+    retryable: RETRY_STATUSES.has(resp.status),
+    detail,
+  });
+}
+
+function fromNetwork(operation, err) {
+  const timedOut = err?.code === "ECONNABORTED" || err?.code === "ETIMEDOUT" || /timeout/i.test(err?.message || "");
+  return new BigFixError(`BigFix ${operation} failed: ${err?.message || err}`, {
+    code: timedOut ? "TIMEOUT" : "UNREACHABLE",
+    status: timedOut ? 504 : 503,
+    operation,
+    retryable: timedOut || NETWORK_CODES.has(err?.code),
+    detail: err?.code || null,
+  });
+}
+
+/* ---------------- Circuit breaker (shared by every client instance) ---------------- */
+const breaker = { state: "closed", failures: 0, openedAt: 0, lastError: null };
+
+function guardBreaker(operation) {
+  if (breaker.state !== "open") return;
+  if (Date.now() - breaker.openedAt >= TUNING.breakerCooldownMs) {
+    breaker.state = "half-open";
+    return;
+  }
+  throw new BigFixError("BigFix root server is unavailable (circuit open). Try again shortly.", {
+    code: "CIRCUIT_OPEN",
+    status: 503,
+    operation,
+    detail: breaker.lastError,
+  });
+}
+
+function breakerSuccess() {
+  breaker.state = "closed";
+  breaker.failures = 0;
+}
+
+function breakerFailure(err) {
+  breaker.failures++;
+  breaker.lastError = err.message;
+  if (breaker.state === "half-open" || breaker.failures >= TUNING.breakerThreshold) {
+    if (breaker.state !== "open") console.warn(`[BigFix] Circuit opened after ${breaker.failures} failures: ${err.message}`);
+    breaker.state = "open";
+    breaker.openedAt = Date.now();
+  }
+}
+
+/* ---------------- Per-operation timing metrics ---------------- */
+const metrics = Object.create(null);
+
+function record(operation, ms, err) {
+  const m = metrics[operation] || (metrics[operation] = { calls: 0, failures: 0, totalMs: 0, maxMs: 0, lastMs: 0, lastError: null, lastAt: null });
+  m.calls++;
+  m.totalMs += ms;
+  m.lastMs = ms;
+  m.maxMs = Math.max(m.maxMs, ms);
+  m.lastAt = new Date().toISOString();
+  if (err) {
+    m.failures++;
+    m.lastError = err.message;
+  }
+}
+
+function getBigFixMetrics() {
+  const operations = {};
+  for (const [op, m] of Object.entries(metrics)) {
+    operations[op] = { ...m, avgMs: m.calls ? Math.round(m.totalMs / m.calls) : 0 };
+  }
+  return {
+    breaker: { state: breaker.state, failures: breaker.failures, openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null, lastError: breaker.lastError },
+    tuning: { ...TUNING },
+    operations,
+  };
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const backoffMs = (attempt) => Math.min(TUNING.backoffMaxMs, TUNING.backoffBaseMs * 2 ** attempt) + Math.floor(Math.random() * 100);
+const relevanceString = (s) => String(s ?? "").replace(/"/g, '\\"');
 
 const bigfixClient = (ctx) => {
   // 1. Extract Config
@@ -9,58 +132,272 @@ const bigfixClient = (ctx) => {
   const BIGFIX_BASE_URL = config.BIGFIX_BASE_URL || process.env.BIGFIX_BASE_URL;
   const BIGFIX_USER = config.BIGFIX_USER || process.env.BIGFIX_USER;
   const BIGFIX_PASS = config.BIGFIX_PASS || process.env.BIGFIX_PASS;
-  
-  const allowSelfSigned = String(config.BIGFIX_ALLOW_SELF_SIGNED || process.env.BIGFIX_ALLOW_SELF_SIGNED).toLowerCase() === "true";
 
-  if (!BIGFIX_BASE_URL) throw new Error("BigFix URL not configured");
+  const allowSelfSigned = String(config.BIGFIX_ALLOW_SELF_SIGNED || process.env.BIGFIX_ALLOW_SELF_SIGNED).toLowerCase() === "true";
 
-  // 2. Create HTTPS Agent
-  const httpsAgent = new https.Agent({ 
-    rejectUnauthorized: !allowSelfSigned 
-  });
+  // 2. Reuse the shared agent from ctx when present
+  const httpsAgent = config.httpsAgent || new https.Agent({ rejectUnauthorized: !allowSelfSigned });
 
   // 3. Create Axios Client
   const client = axios.create({
-    baseURL: BIGFIX_BASE_URL,
-    auth: { username: BIGFIX_USER, password: BIGFIX_PASS },
+    baseURL: (BIGFIX_BASE_URL || "").replace(/\/+$/, ""),
+    auth: BIGFIX_USER && BIGFIX_PASS ? { username: BIGFIX_USER, password: BIGFIX_PASS } : undefined,
     httpsAgent,
-    timeout: 30000
+    timeout: TUNING.timeoutMs,
+    validateStatus: () => true,
   });
 
+  /**
+   * Runs one REST call through the breaker, with timing and retries.
+   * Non-idempotent calls (action POSTs) pass retries: 0.
+   */
+  async function call(operation, requestConfig, { retries = TUNING.retries, timeout } = {}) {
+    if (!BIGFIX_BASE_URL) {
+      throw new BigFixError("BigFix URL not configured", { code: "CONFIG", status: 500, operation });
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      guardBreaker(operation);
+      const started = Date.now();
+      let err = null;
+      try {
+        const resp = await client.request({ ...requestConfig, timeout: timeout || TUNING.timeoutMs });
+        if (resp.status >= 200 && resp.status < 300) {
+          record(operation, Date.now() - started, null);
+          breakerSuccess();
+          return resp;
+        }
+        err = fromResponse(operation, resp);
+      } catch (e) {
+        err = fromNetwork(operation, e);
+      }
+
+      record(operation, Date.now() - started, err);
+      if (err.code === "TIMEOUT" || err.code === "UNREACHABLE" || DOWN_STATUSES.has(err.status)) breakerFailure(err);
+
+      if (!err.retryable || attempt >= retries) throw err;
+      await sleep(backoffMs(attempt));
+    }
+  }
+
+  /* ---------------- Session relevance ---------------- */
+
+  // Full JSON body of /api/query (used by the raw proxy)
+  async function queryJson(relevance, opts) {
+    const resp = await call("query", {
+      method: "GET",
+      url: "/api/query",
+      params: { output: "json", relevance },
+      headers: { Accept: "application/json" },
+      responseType: "json",
+    }, opts);
+    if (typeof resp.data === "string") {
+      try { return JSON.parse(resp.data); }
+      catch {
+        throw new BigFixError("Unexpected BigFix response (not JSON)", { code: "BAD_RESPONSE", status: 502, operation: "query", detail: resp.data.slice(0, 500) });
+      }
+    }
+    return resp.data;
+  }
+
+  // The `result` array of a relevance query
+  async function query(relevance, opts) {
+    const data = await queryJson(relevance, opts);
+    const result = data?.result;
+    if (Array.isArray(result)) return result;
+    return result == null ? [] : [result];
+  }
+
+  // Each result flattened to its string parts (tuples)
+  async function queryRows(relevance, opts) {
+    return parseTupleRows(await queryJson(relevance, opts));
+  }
+
+  /* ---------------- Actions ---------------- */
+
+  async function postAction(xml) {
+    const resp = await call("postAction", {
+      method: "POST",
+      url: "/api/actions",
+      data: xml,
+      headers: { "Content-Type": "text/xml" },
+      responseType: "text",
+    }, { retries: 0 });
+    const body = String(resp.data || "");
+    return { actionId: extractActionIdFromXml(body), body };
+  }
+
+  async function stopAction(id) {
+    await call("stopAction", { method: "POST", url: `/api/action/${encodeURIComponent(id)}/stop`, responseType: "text" }, { retries: 0 });
+    return { actionId: String(id), stopped: true };
+  }
+
+  // Overall <Status> of an action plus the raw status XML
+  async function getActionStatus(id) {
+    const resp = await call("actionStatus", {
+      method: "GET",
+      url: `/api/action/${encodeURIComponent(id)}/status`,
+      headers: { Accept: "text/xml" },
+      responseType: "text",
+    });
+    const text = String(resp.data || "");
+    const m = /<Status>([\s\S]*?)<\/Status>/i.exec(text);
+    return { state: m ? m[1].trim().toLowerCase() : "unknown", text };
+  }
+
+  async function getActionResults(id) {
+    const relevance =
+      `((if exists (name of computers of it) then name of computers of it else "N/A"),` +
+      ` (if exists (names of member actions of actions of it) then (names of member actions of actions of it) else "N/A"),` +
+      ` (detailed status of it as string | "N/A"),` +
+      ` (start time of it as string | "N/A"),` +
+      ` (end time of it as string | "N/A"), (name of issuer of action of it as string | "N/A")) of results of bes action whose (id of it = ${Number(id)})`;
+
+    const rows = await queryRows(relevance);
+    return rows.map(([server, patch, status, start, end, issuer]) => ({ server, patch, status, start, end, issuer }));
+  }
+
+  /** Per-computer, per-component results: member actions of a baseline action, or the action itself. */
+  async function getComponentResults(id) {
+    const tuple = `((name of computer of it | "N/A"), (name of action of it | "N/A"), (detailed status of it as string | "N/A"))`;
+    let rows = await queryRows(`${tuple} of results of member actions of bes action whose (id of it = ${Number(id)})`);
+    if (!rows.length) rows = await queryRows(`${tuple} of results of bes action whose (id of it = ${Number(id)})`);
+    return rows.map(([server, component, status]) => ({ server, component, status }));
+  }
+
+  /* ---------------- Baselines ---------------- */
+
+  async function getBaseline(name) {
+    const rows = await queryRows(`(name of site of it, id of it) of bes baseline whose (name of it is "${relevanceString(name)}")`);
+    if (!rows.length) return null;
+    if (rows[0].length < 2) throw new BigFixError("Unexpected baseline query shape", { code: "BAD_RESPONSE", status: 500, operation: "getBaseline" });
+    return { siteName: rows[0][0], fixletId: rows[0][1] };
+  }
+
+  async function createBaseline(xml, { site, master = false } = {}) {
+    const url = master ? "/api/baselines/master" : `/api/baselines/custom/${encodeURIComponent(site)}`;
+    const resp = await call("createBaseline", { method: "POST", url, data: xml, headers: { "Content-Type": "application/xml" }, responseType: "text" }, { retries: 0 });
+    return { id: extractCreatedId(String(resp.data || "")), body: String(resp.data || "") };
+  }
+
+  async function deleteBaseline(id, { site, master = false } = {}) {
+    const url = master ? `/api/baseline/master/${encodeURIComponent(id)}` : `/api/baseline/custom/${encodeURIComponent(site)}/${encodeURIComponent(id)}`;
+    await call("deleteBaseline", { method: "DELETE", url, responseType: "text" });
+    return { id: String(id), deleted: true };
+  }
+
+  /* ---------------- Computer groups ---------------- */
+
+  async function getGroup(name) {
+    const relevance = `(name of it, id of it, name of site of it, (if automatic flag of it then "Automatic" else if manual flag of it then "manual" else "server based")) of bes computer group whose (name of it is "${relevanceString(name)}")`;
+    const rows = await queryRows(relevance);
+    if (!rows.length) return null;
+    if (rows[0].length < 4) throw new BigFixError("Unexpected group query shape", { code: "BAD_RESPONSE", status: 500, operation: "getGroup" });
+    const [gName, id, site, type] = rows[0];
+    return { name: gName, id, site, type };
+  }
+
   async function getGroupMembers(groupName) {
-    // Relevance: Get (Name, IPs, OS) for all computers in the specified group
-    // Added 'operating system of it' to the tuple
-    const relevance = `(name of it, (value of result (it, bes property "Patch_Setu_IP_Address") | "N/A"), (operating system of it | "Unknown")) of members whose (value of result (it, bes property "Device Type") as lowercase = "server") of bes computer group whose (name of it = "${groupName}")`;
-    
-    try {
-      const res = await client.get("/api/query", {
-        params: { output: "json", relevance }
-      });
+    // Relevance: Get (Name, IPs, OS, ID) for all computers in the specified group
+    const relevance = `(name of it, (value of result (it, bes property "Patch_Setu_IP_Address") | "N/A"), (operating system of it | "Unknown"), (id of it as string)) of members whose (value of result (it, bes property "Device Type") as lowercase = "server") of bes computer group whose (name of it = "${relevanceString(groupName)}")`;
 
-      const rows = res.data?.result || [];
+    try {
+      const rows = await query(relevance);
       return rows.map(r => {
-        // Result format: [ "ComputerName", "10.0.0.1;192.168.1.50", "Win2019" ]
+        // Result format: [ "ComputerName", "10.0.0.1;192.168.1.50", "Win2019", "1234567" ]
         const parts = [];
         collectStrings(r, parts);
-        
-        const [name, ipStr, os] = parts;
-        
+        const [name, ipStr, os, id] = parts;
         return {
           name: name || "Unknown",
-          // Split IPs string into array
           ips: (ipStr || "").split(";").filter(Boolean),
-          os: os || "Unknown" // <--- Now available for filtering
+          os: os || "Unknown",
+          id: id || null,
         };
       });
     } catch (err) {
-      // Enhanced Error Logging
-      const msg = err.response?.data ? JSON.stringify(err.response.data) : err.message;
-      console.error(`BigFix Group Member Fetch Error for group '${groupName}':`, msg);
-      throw new Error(`Failed to fetch members for group ${groupName}: ${msg}`);
+      console.error(`BigFix Group Member Fetch Error for group '${groupName}':`, err.detail || err.message);
+      err.message = `Failed to fetch members for group ${groupName}: ${err.message}`;
+      throw err;
     }
   }
 
-  return { getGroupMembers };
+  async function getGroupMemberNames(groupId) {
+    const rows = await query(`names of members of bes computer group whose (id of it = ${Number(groupId)})`);
+    return rows.map(String);
+  }
+
+  async function listMasterGroupIds() {
+    const resp = await call("listGroups", { method: "GET", url: "/api/computergroups/master", headers: { Accept: "application/xml" }, responseType: "text" });
+    const ids = [];
+    const regex = /<ID>(\d+)<\/ID>/gi;
+    let match;
+    while ((match = regex.exec(String(resp.data || ""))) !== null) ids.push(match[1]);
+    return ids;
+  }
+
+  async function createGroup(xml, { site } = {}) {
+    const url = site ? `/api/computergroup/custom/${site}` : "/api/computergroup/master";
+    const resp = await call("createGroup", { method: "POST", url, data: xml, headers: { "Content-Type": "application/xml" }, responseType: "text" }, { retries: 0 });
+    return { id: extractCreatedId(String(resp.data || "").trim()), body: String(resp.data || "") };
+  }
+
+  async function deleteGroup(id) {
+    await call("deleteGroup", { method: "DELETE", url: `/api/computergroup/master/${encodeURIComponent(id)}`, responseType: "text" });
+    return { id: String(id), deleted: true };
+  }
+
+  /* ---------------- Computers & sites ---------------- */
+
+  async function getComputerIds(names) {
+    if (!names?.length) return [];
+    const set = names.map(n => `"${relevanceString(String(n).toLowerCase())}"`).join("; ");
+    const rows = await query(`(id of it) of bes computers whose (name of it as lowercase is contained by set of (${set}))`);
+    const ids = [];
+    collectStrings(rows, ids);
+    return ids.filter(id => /^\d+$/.test(id));
+  }
+
+  /** { id, name, os } for the named computers (case-insensitive). */
+  async function getComputers(names) {
+    if (!names?.length) return [];
+    const set = names.map(n => `"${relevanceString(String(n).toLowerCase())}"`).join("; ");
+    const rows = await queryRows(`(id of it as string, name of it, (operating system of it | "Unknown")) of bes computers whose (name of it as lowercase is contained by set of (${set}))`);
+    return rows
+      .filter(r => Array.isArray(r) && /^\d+$/.test(String(r[0])))
+      .map(([id, name, os]) => ({ id: String(id), name: name || "Unknown", os: os || "Unknown" }));
+  }
+
+  async function listSites() {
+    const relevance = `(it as string) of (if master site flag of it then "[Master] " & name of it else "[Custom] " & name of it) of all bes sites whose (master site flag of it or custom site flag of it)`;
+    const rows = await query(relevance);
+    return rows.map(String).map(text => ({
+      type: text.includes("[Master]") ? "Master" : "Custom",
+      name: text.replace("[Master] ", "").replace("[Custom] ", "").trim(),
+    }));
+  }
+
+  async function getSiteUrl(siteName) {
+    const safe = relevanceString(siteName);
+    const rows = await query(`(url of it) of all bes sites whose (display name of it = "${safe}" or name of it = "${safe}")`);
+    return rows.length ? String(rows[0]).trim() : null;
+  }
+
+  return {
+    queryJson, query, queryRows,
+    postAction, stopAction, getActionStatus, getActionResults, getComponentResults,
+    getBaseline, createBaseline, deleteBaseline,
+    getGroup, getGroupMembers, getGroupMemberNames, listMasterGroupIds, createGroup, deleteGroup,
+    getComputerIds, getComputers, listSites, getSiteUrl,
+  };
 };
 
-module.exports = { bigfixClient };
\ No newline at end of file
+// ID of a newly created BigFix resource from the POST response body
+function extractCreatedId(text) {
+  const id = extractActionIdFromXml(text);
+  if (id) return id;
+  const m = text.match(/\/(\d+)\s*$/);
+  return m ? m[1] : null;
+}
+
+module.exports = { bigfixClient, BigFixError, getBigFixMetrics, relevanceString };
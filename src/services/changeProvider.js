@@ -0,0 +1,195 @@
+// src/services/changeProvider.js
+// Change gate for triggers, independent of the ITSM tool. A provider implements
+//   isChangeNumber(number), configured(ctx), validate(ctx, number) → { ok, code, message, id, record, window },
+//   getWindow(ctx, number), addNote(ctx, id, text), attachFile(ctx, id, fileName, content)
+// and optionally getAffectedCis(ctx, record). CONFIG.changeProvider picks the active one.
+// `window` is the change's planned start/end as UTC ISO ({ start, end }) or null.
+const { CONFIG } = require("../state/store");
+const { windowBetween } = require("../utils/time");
+const { bigfixClient } = require("./bigfix");
+const { hostKeys, serviceNowProvider } = require("./servicenow");
+const { jsmProvider } = require("./jsm");
+const { summarizeResults } = require("./resultStatus");
+
+const PROVIDERS = { servicenow: serviceNowProvider, jsm: jsmProvider };
+const CHANGE_PROVIDERS = Object.keys(PROVIDERS);
+
+// What a trigger does with a patch window that leaves the CHG's work_start..work_end
+const CHG_WINDOW_POLICIES = ["off", "reject", "clamp"];
+// What a trigger does with group members that aren't affected CIs on the CHG: off | warn | block | trim
+const CHG_CI_POLICIES = ["off", "warn", "block", "trim"];
+
+/** Provider `name`, or the configured one (ServiceNow when unset). */
+function changeProvider(name) {
+  return PROVIDERS[name] || PROVIDERS[CONFIG.changeProvider] || serviceNowProvider;
+}
+
+/** Affected CIs of a validated change; { unsupported } when the provider has no CI list. */
+async function affectedCis(ctx, provider, record) {
+  if (!provider.getAffectedCis) return { unsupported: true, provider: provider.label };
+  try {
+    return await provider.getAffectedCis(ctx, record);
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+/** Whether instant `at` lies inside the change window; null when the CHG has no window. */
+function isInChangeWindow(chgWindow, at = Date.now()) {
+  if (!chgWindow || (!chgWindow.start && !chgWindow.end)) return null;
+  const t = new Date(at).getTime();
+  if (chgWindow.start && t < new Date(chgWindow.start).getTime()) return false;
+  if (chgWindow.end && t > new Date(chgWindow.end).getTime()) return false;
+  return true;
+}
+
+/**
+ * Hold an action window (from buildActionWindow) to the CHG's planned window. Policy "reject"
+ * refuses a window that starts before work_start or ends after work_end, "clamp" narrows it
+ * to the overlap, "off" skips the check. Returns { window, changeWindow } or { blocked, message, changeWindow }.
+ */
+function applyChangeWindow(window, chgWindow, { policy, now = Date.now() } = {}) {
+  const effective = CHG_WINDOW_POLICIES.includes(policy) ? policy : (CONFIG.chgWindowPolicy || "reject");
+  if (effective === "off" || !chgWindow || (!chgWindow.start && !chgWindow.end)) return { window, changeWindow: null };
+
+  const changeWindow = { start: chgWindow.start, end: chgWindow.end, policy: effective, clamped: false };
+  if (!window.effectiveEnd) {
+    return { blocked: true, changeWindow, message: "A raw endOffset can't be checked against the change window; send patchWindow or endAt instead." };
+  }
+
+  const chgStart = chgWindow.start ? new Date(chgWindow.start).getTime() : null;
+  const chgEnd = chgWindow.end ? new Date(chgWindow.end).getTime() : null;
+  const reqStart = new Date(window.effectiveStart).getTime();
+  const reqEnd = new Date(window.effectiveEnd).getTime();
+  const early = chgStart != null && reqStart < chgStart;
+  const late = chgEnd != null && reqEnd > chgEnd;
+  if (!early && !late) return { window, changeWindow };
+
+  const requested = { start: window.effectiveStart, end: window.effectiveEnd };
+  const span = `${chgWindow.start || "(open)"} – ${chgWindow.end || "(open)"}`;
+  if (effective === "reject") {
+    return {
+      blocked: true, changeWindow: { ...changeWindow, requested },
+      message: `Patch window ${requested.start} – ${requested.end} ${early ? "starts before" : "ends after"} the change window ${span} (UTC).`,
+    };
+  }
+
+  if (chgEnd != null && chgEnd <= now) {
+    return { blocked: true, changeWindow: { ...changeWindow, requested }, message: `The change window ${span} (UTC) has already closed.` };
+  }
+  let start = early ? chgStart : (window.plannedStart ? reqStart : null);
+  if (start != null && start <= now) start = null;
+  const clamped = windowBetween(start, late ? chgEnd : reqEnd, now, { absolute: true, timeZone: window.timeZone || null });
+  if (clamped.error) {
+    return { blocked: true, changeWindow: { ...changeWindow, requested }, message: `Patch window doesn't overlap the change window ${span} (UTC).` };
+  }
+  return { window: clamped, changeWindow: { ...changeWindow, clamped: true, requested } };
+}
+
+/**
+ * Compare the group's members with the CHG's affected CIs (`cis`, from affectedCis). "warn"
+ * reports missing servers, "block" refuses the trigger, "trim" narrows the action to the covered
+ * members (`targets`). Returns a report with blocked/message set when the trigger must stop.
+ */
+async function checkChangeCis(ctx, { cis, groupName, policy }) {
+  const effective = CHG_CI_POLICIES.includes(policy) ? policy : (CONFIG.chgCiPolicy || "warn");
+  const report = { policy: effective, ciCount: 0, total: 0, covered: [], missing: [], blocked: false, trimmed: false };
+  if (effective === "off") return report;
+  if (cis?.unsupported) {
+    report.unsupported = true;
+    report.message = `Affected CIs can't be checked with ${cis.provider}; skipped.`;
+    return report;
+  }
+  if (cis?.error) {
+    report.error = `Affected CI lookup failed: ${cis.error}`;
+    report.blocked = effective !== "warn";
+    if (report.blocked) report.message = report.error;
+    return report;
+  }
+
+  let members;
+  try {
+    members = await bigfixClient(ctx).getGroupMembers(groupName);
+  } catch (e) {
+    report.error = e.message;
+    report.blocked = effective !== "warn";
+    if (report.blocked) report.message = e.message;
+    return report;
+  }
+
+  const listed = new Set((cis || []).flatMap(hostKeys));
+  report.ciCount = (cis || []).length;
+  report.total = members.length;
+  for (const m of members) {
+    if (hostKeys(m.name).some(k => listed.has(k))) report.covered.push(m.name);
+    else report.missing.push(m.name);
+  }
+  if (!report.missing.length) return report;
+
+  const missingText = `${report.missing.length} of ${report.total} servers in ${groupName} are not affected CIs on the change: ${report.missing.slice(0, 10).join(", ")}${report.missing.length > 10 ? ", ..." : ""}`;
+  if (effective === "block") {
+    report.blocked = true;
+    report.message = missingText;
+  } else if (effective === "trim") {
+    if (!report.covered.length) {
+      report.blocked = true;
+      report.message = `None of the ${report.total} servers in ${groupName} are affected CIs on the change; nothing left to patch.`;
+      return report;
+    }
+    const covered = new Set(report.covered);
+    report.trimmed = true;
+    report.targets = members.filter(m => covered.has(m.name) && m.id).map(m => ({ id: m.id, name: m.name }));
+    report.message = `${missingText} (trimmed from the action)`;
+  } else {
+    report.message = missingText;
+  }
+  return report;
+}
+
+function noteText({ phase, actions, stage, plannedStart, effectiveStart, effectiveEnd, timeZone, triggeredBy, batchId, counts }) {
+  const lines = [phase === "trigger" ? "[BigFix Patch Orchestrator] Deployment triggered" : "[BigFix Patch Orchestrator] Deployment finished (action expired)"];
+  if (batchId) lines.push(`Batch: ${batchId}`);
+  if (stage) lines.push(`Stage: ${stage}`);
+  for (const a of actions) lines.push(`Action ID: ${a.actionId} | Baseline: ${a.baselineName || "N/A"} | Group: ${a.groupName || "N/A"}`);
+  if (phase === "trigger") {
+    if (plannedStart || effectiveStart) lines.push(`Window start (UTC): ${plannedStart || effectiveStart}`);
+    if (effectiveEnd) lines.push(`Window end (UTC): ${effectiveEnd}`);
+    if (timeZone) lines.push(`Window zone: ${timeZone}`);
+    lines.push(`Triggered by: ${triggeredBy || "Unknown"}`);
+  } else if (counts) {
+    lines.push(`Results: ${counts.total} total, ${counts.succeeded} succeeded, ${counts.failed} failed, ${counts.pendingRestart} pending restart, ${counts.other} other`);
+    lines.push("Per-computer results are attached as CSV.");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Post deployment progress to the change record (through the provider it was validated with): phase "trigger" (action posted) or
+ * "complete" (action expired; `resultRows` give the counts, `csvContent` is attached).
+ * Never throws; returns { ok, attachmentId?, error? } so the caller can log and move on.
+ */
+async function postChangeProgress(ctx, chg, { phase, actions, resultRows, csvContent, ...details }) {
+  if (!chg?.sysId) return { ok: false, error: "No validated CHG record id" };
+  const provider = changeProvider(chg.provider);
+  try {
+    const counts = phase === "complete" ? summarizeResults(resultRows) : null;
+    await provider.addNote(ctx, chg.sysId, noteText({ phase, actions, counts, ...details }));
+    let attachmentId = null;
+    if (phase === "complete" && csvContent) {
+      const first = actions[0]?.actionId || "results";
+      const name = details.batchId ? `BPS_Batch_${details.batchId}_results.csv` : `BPS_Action_${first}_results.csv`;
+      attachmentId = await provider.attachFile(ctx, chg.sysId, name, csvContent);
+    }
+    console.log(`[Change] ${provider.label}: ${phase} note posted to ${chg.number || chg.sysId}`);
+    return { ok: true, counts, attachmentId };
+  } catch (e) {
+    console.warn(`[Change] ${provider.label}: FAILED to update ${chg.number || chg.sysId}:`, e.message);
+    return { ok: false, error: e.message };
+  }
+}
+
+module.exports = {
+  CHANGE_PROVIDERS, CHG_WINDOW_POLICIES, CHG_CI_POLICIES,
+  changeProvider, affectedCis, isInChangeWindow, applyChangeWindow, checkChangeCis,
+  summarizeResults, postChangeProgress,
+};
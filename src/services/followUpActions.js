@@ -0,0 +1,65 @@
+// src/services/followUpActions.js
+// BigFix actions cannot be edited once issued, so retries, extensions and deferred
+// members are posted as follow-up actions linked to their parent in ActionHistory.
+const { bigfixClient } = require("./bigfix");
+const { saveAction } = require("./actionHistory");
+const { groupTargetRelevance, excludeComputersRelevance, buildBaselineActionXml } = require("../bigfix/actionXml");
+
+const TITLE_SUFFIX = { retry: "_Retry", deferred: "_Deferred" };
+
+/** Post a follow-up of `parent` for the given window/target and record it as its child. */
+async function postFollowUp(ctx, parent, { relation, window, computerIds, computerNames, triggeredBy }) {
+  const meta = parent.metadata;
+  const baseTitle = `BPS_${meta.baselineName}_${meta.stage || "Sandbox"}`;
+  const title = TITLE_SUFFIX[relation] ? `${baseTitle}${TITLE_SUFFIX[relation]}` : (meta.title || baseTitle);
+
+  // A retry of a retry keeps targeting the same ComputerIDs unless new ones are given
+  const targetIds = computerIds || meta.targetComputerIds || null;
+  const customRelevance = targetIds ? null : excludeComputersRelevance(
+    groupTargetRelevance({ id: meta.groupId, name: meta.groupName, site: meta.groupSite, type: meta.groupType }),
+    meta.excludedComputers || meta.preflight?.excluded
+  );
+
+  const xml = buildBaselineActionXml({
+    siteName: meta.baselineSite, fixletId: meta.baselineFixletId,
+    customRelevance, computerIds: targetIds, title,
+    startOffset: window.startOffset, endOffset: window.endOffset,
+    startDateTime: window.startDateTime, endDateTime: window.endDateTime,
+    actionSettings: meta.actionSettings,
+  });
+  const { actionId } = await bigfixClient(ctx).postAction(xml);
+
+  const metadata = {
+    ...meta,
+    id: actionId,
+    createdAt: new Date().toISOString(),
+    xml,
+    title,
+    endOffset: window.endOffset,
+    startOffset: window.startOffset,
+    plannedStart: window.plannedStart,
+    plannedEnd: window.plannedEnd,
+    effectiveStart: window.effectiveStart,
+    effectiveEnd: window.effectiveEnd,
+    timeZone: window.timeZone || null,
+    targetComputerIds: targetIds,
+    targetComputers: computerNames || meta.targetComputers || null,
+    parentActionId: parent.actionId,
+    relation,
+    preMail: false,
+    postMailSent: false,
+    triggeredBy: triggeredBy || "Unknown",
+  };
+  delete metadata.stoppedAt;
+  delete metadata.stoppedBy;
+  delete metadata.supersededBy;
+
+  try {
+    await saveAction(metadata, { parentActionId: parent.actionId });
+  } catch (dbErr) {
+    console.warn(`[FollowUp] FAILED to save follow-up ${actionId} of ${parent.actionId}:`, dbErr.message);
+  }
+  return { actionId, title, metadata };
+}
+
+module.exports = { postFollowUp };
@@ -0,0 +1,126 @@
+// src/services/incidents.js
+// ServiceNow incidents for computers a deployment failed on, raised by the post-patch watcher
+// once the action expires. Created incidents are kept in the action's metadata (`incidents`),
+// so a repeat run only raises what is still missing.
+const { CONFIG } = require("../state/store");
+const { sql, getPool } = require("../db/mssql");
+const { updateActionMetadata } = require("./actionHistory");
+const { snConnection, createIncident } = require("./servicenow");
+const { isFailed } = require("./resultStatus");
+
+const INCIDENT_MODES = ["off", "per-server", "per-action"];
+
+function incidentMode() {
+  return INCIDENT_MODES.includes(CONFIG.incidentMode) ? CONFIG.incidentMode : "off";
+}
+
+/** Only deployments raise incidents; follow-ups of the orchestrator itself (playbooks, rollbacks) don't. */
+function wantsIncidents(entry) {
+  return incidentMode() !== "off" && !!entry && !entry.postMailSent && !entry.kind;
+}
+
+/** Assignment group for a BigFix group: its owning role (AssetOwnership) mapped through CONFIG. */
+async function assignmentGroupFor(groupName) {
+  const map = CONFIG.incidentAssignmentGroups || {};
+  let role = null;
+  if (groupName) {
+    try {
+      const pool = await getPool();
+      const r = await pool.request()
+        .input('Name', sql.NVarChar(255), groupName)
+        .query("SELECT TOP 1 CreatedByRole FROM dbo.AssetOwnership WHERE AssetName = @Name AND AssetType = 'Group'");
+      role = r.recordset[0]?.CreatedByRole || null;
+    } catch (e) {
+      console.warn(`[Incidents] Ownership lookup failed for ${groupName}:`, e.message);
+    }
+  }
+  return (role && map[role]) || CONFIG.incidentDefaultAssignmentGroup || null;
+}
+
+function incidentFields({ actionId, entry, failed, computer, assignmentGroup }) {
+  const baseline = entry.baselineName || "(unknown baseline)";
+  const lines = [
+    `BigFix action ${actionId} (${entry.stage || "Baseline"}) expired with failures.`,
+    `Baseline: ${baseline}`,
+    `Group: ${entry.groupName || "(unknown group)"}`,
+  ];
+  if (entry.chgNumber) lines.push(`Change: ${entry.chgNumber}`);
+  lines.push("", "Failed results:");
+  for (const r of failed) lines.push(`${r.server} | ${r.patch || "N/A"} | ${r.status}`);
+
+  const fields = {
+    short_description: computer
+      ? `Patching failed on ${computer}: ${baseline} (BigFix action ${actionId})`
+      : `Patching failed on ${new Set(failed.map(r => r.server)).size} servers: ${baseline} (BigFix action ${actionId})`,
+    description: lines.join("\n"),
+    category: "Software",
+  };
+  if (computer) fields.cmdb_ci = computer;
+  if (assignmentGroup) fields.assignment_group = assignmentGroup;
+  return fields;
+}
+
+/**
+ * Raise incidents for the failed rows of expired action `actionId`, one per server or one for
+ * the action (CONFIG.incidentMode). Never throws; returns { created, skipped, errors }.
+ */
+async function raiseFailureIncidents(ctx, actionId, entry, resultRows) {
+  const out = { created: [], skipped: 0, errors: [] };
+  const mode = incidentMode();
+  if (mode === "off") return out;
+  const failed = (resultRows || []).filter(r => r.server && r.server !== "N/A" && isFailed(r.status));
+  if (!failed.length) return out;
+  if (!snConnection(ctx)) {
+    out.errors.push("ServiceNow env not configured");
+    return out;
+  }
+
+  const incidents = [...(entry.incidents || [])];
+  const assignmentGroup = await assignmentGroupFor(entry.groupName);
+  const record = async (inc) => {
+    incidents.push(inc);
+    out.created.push(inc);
+    entry.incidents = incidents;
+    // Saved per incident, so a crash halfway doesn't duplicate the ones already raised
+    try {
+      await updateActionMetadata(actionId, { incidents });
+    } catch (dbErr) {
+      console.warn(`[Incidents] FAILED to record ${inc.number} on action ${actionId}:`, dbErr.message);
+    }
+  };
+
+  if (mode === "per-action") {
+    if (incidents.some(i => !i.computer)) {
+      out.skipped = 1;
+      return out;
+    }
+    try {
+      const inc = await createIncident(ctx, incidentFields({ actionId, entry, failed, assignmentGroup }));
+      await record({ number: inc.number, sysId: inc.sysId, computer: null, assignmentGroup, createdAt: new Date().toISOString() });
+    } catch (e) {
+      out.errors.push(e.message);
+    }
+  } else {
+    const byServer = new Map();
+    for (const r of failed) {
+      if (!byServer.has(r.server)) byServer.set(r.server, []);
+      byServer.get(r.server).push(r);
+    }
+    const raised = new Set(incidents.filter(i => i.computer).map(i => i.computer.toLowerCase()));
+    for (const [computer, rows] of byServer) {
+      if (raised.has(computer.toLowerCase())) { out.skipped++; continue; }
+      try {
+        const inc = await createIncident(ctx, incidentFields({ actionId, entry, failed: rows, computer, assignmentGroup }));
+        await record({ number: inc.number, sysId: inc.sysId, computer, assignmentGroup, createdAt: new Date().toISOString() });
+      } catch (e) {
+        out.errors.push(`${computer}: ${e.message}`);
+      }
+    }
+  }
+
+  if (out.created.length) console.log(`[Incidents] Action ${actionId}: raised ${out.created.map(i => i.number).join(", ")}`);
+  for (const err of out.errors) console.warn(`[Incidents] Action ${actionId}: FAILED to raise incident:`, err);
+  return out;
+}
+
+module.exports = { INCIDENT_MODES, wantsIncidents, assignmentGroupFor, raiseFailureIncidents };
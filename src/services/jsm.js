@@ -0,0 +1,110 @@
+// src/services/jsm.js
+// Jira Service Management as change provider: change issues (e.g. "ITCHG-42") are validated
+// against a configured status, their planned window read from two date-time fields, and
+// deployment notes / results posted as internal comments and attachments.
+const https = require("https");
+const axios = require("axios");
+
+const NOT_FOUND = { ok: false, code: "NOT_FOUND_OR_FORBIDDEN", message: "Change request doesn't exist or user doesn't have required privileges." };
+
+function jsmConnection(ctx) {
+  const { JSM_URL, JSM_USER, JSM_API_TOKEN, JSM_ALLOW_SELF_SIGNED } = ctx.jsm || {};
+  const base = (JSM_URL || "").replace(/\/+$/, "");
+  if (!base || !JSM_USER || !JSM_API_TOKEN) return null;
+  return {
+    base,
+    auth: { username: JSM_USER, password: JSM_API_TOKEN },
+    httpsAgent: new https.Agent({ rejectUnauthorized: !(String(JSM_ALLOW_SELF_SIGNED).toLowerCase() === "true") }),
+  };
+}
+
+async function jsmCall(ctx, { method, path, data, headers, allowStatus = [] }) {
+  const conn = jsmConnection(ctx);
+  if (!conn) throw new Error("Jira Service Management env not configured");
+  const resp = await axios({
+    method, url: `${conn.base}${path}`, data,
+    httpsAgent: conn.httpsAgent, auth: conn.auth,
+    headers: { Accept: "application/json", ...(headers || {}) },
+    timeout: 30000,
+    validateStatus: () => true,
+  });
+  if (resp.status >= 300 && !allowStatus.includes(resp.status)) {
+    const detail = (resp.data?.errorMessages || []).join("; ") || resp.statusText || "";
+    throw new Error(`Jira ${method.toUpperCase()} ${path.split("?")[0]} failed: HTTP ${resp.status} ${detail}`.trim());
+  }
+  return resp;
+}
+
+// Jira date-times look like "2026-10-20T02:00:00.000+0200"
+function parseJiraDateTime(v) {
+  if (!v) return null;
+  const d = new Date(String(v).replace(/([+-]\d{2})(\d{2})$/, "$1:$2"));
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * Look up change issue `key`: ok only in the implement status (JSM_IMPLEMENT_STATUS, default
+ * "Implementing"). `window` is read from JSM_START_FIELD / JSM_END_FIELD when configured.
+ */
+async function lookupJsmChange(ctx, key) {
+  const conn = jsmConnection(ctx);
+  if (!conn) return { ok: false, code: "CONFIG", message: "Jira Service Management env not configured" };
+  const { JSM_IMPLEMENT_STATUS, JSM_START_FIELD, JSM_END_FIELD } = ctx.jsm;
+  const fields = ["summary", "status", "issuetype", JSM_START_FIELD, JSM_END_FIELD].filter(Boolean).join(",");
+  const resp = await jsmCall(ctx, { method: "get", path: `/rest/api/2/issue/${encodeURIComponent(key)}?fields=${fields}`, allowStatus: [401, 403, 404] });
+  if (resp.status >= 300) return NOT_FOUND;
+
+  const issue = resp.data || {};
+  const f = issue.fields || {};
+  const record = {
+    id: issue.id, number: issue.key, summary: f.summary || "",
+    state: f.status?.name || "", type: f.issuetype?.name || "",
+    work_start: JSM_START_FIELD ? f[JSM_START_FIELD] || null : null,
+    work_end: JSM_END_FIELD ? f[JSM_END_FIELD] || null : null,
+  };
+  const window = { start: parseJiraDateTime(record.work_start), end: parseJiraDateTime(record.work_end) };
+  const hasWindow = !!(window.start || window.end);
+  const implementStatus = JSM_IMPLEMENT_STATUS || "Implementing";
+
+  if (record.state.toLowerCase() !== implementStatus.toLowerCase()) {
+    return { ok: false, code: "NOT_IMPLEMENT", message: `Change request is not in status ${implementStatus}.`, id: issue.id, record, window: hasWindow ? window : null };
+  }
+  return { ok: true, exists: true, implement: true, id: issue.id, record, window: hasWindow ? window : null };
+}
+
+/** Internal (agent-only) comment on the change issue. */
+async function addJsmComment(ctx, id, text) {
+  await jsmCall(ctx, {
+    method: "post",
+    path: `/rest/api/2/issue/${encodeURIComponent(id)}/comment`,
+    data: { body: text, properties: [{ key: "sd.public.comment", value: { internal: true } }] },
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/** Attach a file to the change issue. */
+async function attachToJsmIssue(ctx, id, fileName, content, contentType = "text/csv") {
+  const form = new FormData();
+  form.append("file", new Blob([String(content)], { type: contentType }), fileName);
+  const resp = await jsmCall(ctx, {
+    method: "post",
+    path: `/rest/api/2/issue/${encodeURIComponent(id)}/attachments`,
+    data: form,
+    headers: { "X-Atlassian-Token": "no-check" },
+  });
+  return Array.isArray(resp.data) ? resp.data[0]?.id || null : null;
+}
+
+const jsmProvider = {
+  name: "jsm",
+  label: "Jira Service Management",
+  numberHint: "a Jira issue key like ITCHG-42",
+  isChangeNumber: (number) => /^[A-Z][A-Z0-9_]+-\d+$/.test(String(number || "").trim().toUpperCase()),
+  configured: (ctx) => !!jsmConnection(ctx),
+  validate: lookupJsmChange,
+  getWindow: async (ctx, number) => (await lookupJsmChange(ctx, number)).window || null,
+  addNote: addJsmComment,
+  attachFile: attachToJsmIssue,
+};
+
+module.exports = { jsmConnection, lookupJsmChange, addJsmComment, attachToJsmIssue, jsmProvider };
@@ -0,0 +1,172 @@
+// src/services/maintenanceWindows.js
+// Checks a group's members against their PatchSchedule (/api/calendar) maintenance windows.
+const { getPool } = require("../db/mssql");
+const { CONFIG } = require("../state/store");
+const { bigfixClient, relevanceString } = require("./bigfix");
+const { postFollowUp } = require("./followUpActions");
+const { windowBetween, resolveTimeZone, zonedTimeToUtc } = require("../utils/time");
+
+const MAINTENANCE_POLICIES = ["off", "warn", "refuse", "defer"];
+
+// Schedule rows are matched on the short, lowercased host name (FQDNs and NetBIOS names both work)
+const serverKey = (name) => String(name || "").trim().toLowerCase().split(".")[0];
+
+/**
+ * PatchSchedule.Time is free text from the uploaded calendar: "02:00", "2:00 AM" or a
+ * range like "22:00 - 02:00". Without an end, the window lasts CONFIG.maintenanceWindowHours.
+ */
+function parseTimeRange(time, defaultHours) {
+  const re = /(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/gi;
+  const mins = [];
+  let m;
+  while ((m = re.exec(String(time || ""))) !== null && mins.length < 2) {
+    let h = Number(m[1]);
+    const min = Number(m[2] || 0);
+    const ap = (m[3] || "").toLowerCase();
+    if (ap === "pm" && h < 12) h += 12;
+    if (ap === "am" && h === 12) h = 0;
+    if (h > 23 || min > 59) return null;
+    mins.push(h * 60 + min);
+  }
+  if (!mins.length) return null;
+  let durationMin = defaultHours * 60;
+  if (mins.length === 2) {
+    durationMin = mins[1] - mins[0];
+    if (durationMin <= 0) durationMin += 24 * 60; // crosses midnight
+  }
+  return { startMin: mins[0], durationMin };
+}
+
+/**
+ * Server name (key) → sorted [{ start, end }] from dbo.PatchSchedule. MonthIndex is 0-based; the
+ * wall-clock date and time are read in `timeZone` (CONFIG.maintenanceWindowTimeZone), never host time.
+ */
+async function loadSchedule(defaultHours, timeZone) {
+  const pool = await getPool();
+  const r = await pool.request().query("SELECT ServerName, Day, MonthIndex, Year, Time FROM dbo.PatchSchedule");
+  const byServer = new Map();
+  for (const row of r.recordset) {
+    const t = parseTimeRange(row.Time, defaultHours);
+    if (!t) continue;
+    const start = new Date(zonedTimeToUtc({
+      year: row.Year, month: row.MonthIndex + 1, day: row.Day, hour: Math.floor(t.startMin / 60), minute: t.startMin % 60,
+    }, timeZone));
+    const end = new Date(start.getTime() + t.durationMin * 60000);
+    const key = serverKey(row.ServerName);
+    if (!byServer.has(key)) byServer.set(key, []);
+    byServer.get(key).push({ start, end });
+  }
+  for (const list of byServer.values()) list.sort((a, b) => a.start - b.start);
+  return byServer;
+}
+
+/**
+ * Which members of `groupName` are inside their window at `at` (the planned start, or now).
+ * Policy:
+ *   off    - not evaluated
+ *   warn   - report only
+ *   refuse - refuse the trigger if any member is outside its window
+ *   defer  - leave out-of-window members out of this action; each is re-targeted by a
+ *            follow-up action scheduled at its next window (see postDeferredActions)
+ * An Admin can set `override` to skip enforcement; the report still records who is out.
+ */
+async function checkMaintenanceWindows(ctx, { groupName, at, policy, override, userRole }) {
+  const effective = MAINTENANCE_POLICIES.includes(policy) ? policy : (CONFIG.maintenanceWindowPolicy || "warn");
+  const when = at ? new Date(at) : new Date();
+  const report = {
+    policy: effective,
+    at: when.toISOString(),
+    override: false,
+    blocked: false,
+    inWindow: [],
+    outOfWindow: [],
+    unscheduled: [],
+    excluded: [],
+    deferrals: [],
+  };
+  if (effective === "off") return report;
+
+  if (override) {
+    if (userRole !== "Admin") {
+      return { ...report, blocked: true, status: 403, message: "Only an Admin can override maintenance windows." };
+    }
+    report.override = true;
+  }
+
+  const windowHours = Number(CONFIG.maintenanceWindowHours) || 4;
+  let names, schedule;
+  try {
+    [names, schedule] = await Promise.all([
+      bigfixClient(ctx).query(`names of members of bes computer group whose (name of it = "${relevanceString(groupName)}")`),
+      loadSchedule(windowHours, resolveTimeZone(CONFIG.maintenanceWindowTimeZone || "UTC") || "UTC"),
+    ]);
+  } catch (e) {
+    report.error = `Maintenance window check failed: ${e.message}`;
+    if (!report.override && (effective === "refuse" || effective === "defer")) {
+      report.blocked = true;
+      report.status = 503;
+      report.message = report.error;
+    }
+    return report;
+  }
+
+  for (const server of names.map(String)) {
+    const windows = schedule.get(serverKey(server)) || [];
+    const current = windows.find(w => w.start <= when && when < w.end);
+    const next = windows.find(w => w.start > when);
+    if (current) {
+      report.inWindow.push({ server, window: { start: current.start.toISOString(), end: current.end.toISOString() } });
+    } else if (next) {
+      report.outOfWindow.push({ server, nextWindow: { start: next.start.toISOString(), end: next.end.toISOString() } });
+    } else {
+      report.unscheduled.push(server);
+    }
+  }
+
+  const outside = report.outOfWindow.length + report.unscheduled.length;
+  if (report.override || effective === "warn" || outside === 0) return report;
+
+  if (effective === "refuse") {
+    report.blocked = true;
+    report.message = `${outside} server(s) are outside their maintenance window: ` +
+      [...report.outOfWindow.map(o => o.server), ...report.unscheduled].slice(0, 10).join(", ");
+    return report;
+  }
+
+  // defer
+  if (!report.inWindow.length) {
+    report.blocked = true;
+    report.message = "No members are inside their maintenance window. Schedule the action with startAt instead.";
+    return report;
+  }
+  report.excluded = [...report.outOfWindow.map(o => o.server), ...report.unscheduled];
+  const groups = new Map();
+  for (const o of report.outOfWindow) {
+    const k = `${o.nextWindow.start}|${o.nextWindow.end}`;
+    if (!groups.has(k)) groups.set(k, { start: o.nextWindow.start, end: o.nextWindow.end, servers: [] });
+    groups.get(k).servers.push(o.server);
+  }
+  report.deferrals = [...groups.values()];
+  return report;
+}
+
+/** Post one scheduled follow-up per distinct next window for the deferred members of `parent`. */
+async function postDeferredActions(ctx, parent, deferrals, { triggeredBy } = {}) {
+  const out = [];
+  for (const d of deferrals || []) {
+    try {
+      const computerIds = await bigfixClient(ctx).getComputerIds(d.servers);
+      if (!computerIds.length) throw new Error("no ComputerIDs resolved");
+      const window = windowBetween(d.start, d.end, Date.now(), { absolute: !!parent.metadata?.timeZone, timeZone: parent.metadata?.timeZone || null });
+      if (window.error) throw new Error(window.error);
+      const child = await postFollowUp(ctx, parent, { relation: "deferred", window, computerIds, computerNames: d.servers, triggeredBy });
+      out.push({ ...d, actionId: child.actionId });
+    } catch (e) {
+      console.warn(`[Maintenance] Deferring ${d.servers.length} server(s) of action ${parent.actionId} failed:`, e.message);
+      out.push({ ...d, actionId: null, error: e.message });
+    }
+  }
+  return out;
+}
+
+module.exports = { MAINTENANCE_POLICIES, parseTimeRange, checkMaintenanceWindows, postDeferredActions };
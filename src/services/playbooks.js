@@ -0,0 +1,377 @@
+// src/services/playbooks.js
+// Remediation playbooks: named, parameterised BigFix action scripts with a Windows and/or
+// Linux variant. Built-ins are defined here and seeded into dbo.Playbook by the DB setup.
+const { sql, getPool } = require("../db/mssql");
+const { bigfixClient } = require("./bigfix");
+const { saveAction } = require("./actionHistory");
+const { buildSingleActionXml } = require("../bigfix/actionXml");
+
+const PLAYBOOK_OS = {
+  Windows: { scriptKey: "windowsScript", relevance: "windows of operating system" },
+  Linux: { scriptKey: "linuxScript", relevance: "not windows of operating system" },
+};
+
+// Health rows link to playbooks through these keys (see issueKey)
+const HEALTH_ISSUES = ["low-disk", "not-reporting", "wu-service", "reboot-pending"];
+
+const PARAM_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const DEFAULT_PATTERN = "^[A-Za-z0-9 _.@:\\\\/-]{1,128}$";
+// Never allowed in a value, whatever the pattern says: quoting, relevance substitution, shell control
+const UNSAFE_VALUE = /["'`{}$;&|<>\r\n\t\0]/;
+
+const BUILTIN_PLAYBOOKS = [
+  {
+    name: "restart-service",
+    description: "Restart a named service.",
+    category: "Services",
+    parameters: [{ name: "service", label: "Service name", required: true, pattern: "^[A-Za-z0-9_.@:-]{1,128}$" }],
+    windowsScript: [
+      'waithidden cmd.exe /c net stop "{{service}}" /y',
+      'waithidden cmd.exe /c net start "{{service}}"',
+    ].join("\n"),
+    linuxScript: `wait /bin/sh -c "systemctl restart '{{service}}'"`,
+    healthIssues: [],
+  },
+  {
+    name: "windows-update-service",
+    description: "Set the Windows Update service to automatic and start it.",
+    category: "Services",
+    parameters: [],
+    windowsScript: [
+      "waithidden cmd.exe /c sc config wuauserv start= auto",
+      "waithidden cmd.exe /c sc start wuauserv",
+    ].join("\n"),
+    linuxScript: null,
+    healthIssues: ["wu-service"],
+  },
+  {
+    name: "clear-softwaredistribution",
+    description: "Stop Windows Update, clear the SoftwareDistribution download cache and start it again.",
+    category: "Patching",
+    parameters: [],
+    windowsScript: [
+      "waithidden cmd.exe /c net stop wuauserv /y",
+      "waithidden cmd.exe /c net stop bits /y",
+      'waithidden cmd.exe /c rmdir /s /q "%WINDIR%\\SoftwareDistribution\\Download"',
+      "waithidden cmd.exe /c net start bits",
+      "waithidden cmd.exe /c net start wuauserv",
+    ].join("\n"),
+    linuxScript: null,
+    healthIssues: ["wu-service"],
+  },
+  {
+    name: "free-disk-space",
+    description: "Remove temporary files and package caches, and compact the component store / journal.",
+    category: "Disk",
+    parameters: [{ name: "journalDays", label: "Keep journal (days)", default: "7", pattern: "^[0-9]{1,3}$" }],
+    windowsScript: [
+      "action uses wow64 redirection false",
+      "waithidden cmd.exe /c Dism.exe /Online /Cleanup-Image /StartComponentCleanup",
+      'waithidden cmd.exe /c del /q /f /s "%WINDIR%\\Temp\\*"',
+    ].join("\n"),
+    linuxScript:
+      'wait /bin/sh -c "if command -v dnf >/dev/null 2>&1; then dnf clean all; elif command -v yum >/dev/null 2>&1; then yum clean all; ' +
+      'elif command -v apt-get >/dev/null 2>&1; then apt-get clean; fi; journalctl --vacuum-time={{journalDays}}d || true"',
+    healthIssues: ["low-disk"],
+  },
+  {
+    name: "restart-computer",
+    description: "Restart the computer.",
+    category: "Power",
+    parameters: [{ name: "delaySeconds", label: "Delay (seconds, Windows)", default: "60", pattern: "^[0-9]{1,5}$" }],
+    windowsScript: "restart {{delaySeconds}}",
+    linuxScript: "wait /sbin/shutdown -r +1",
+    healthIssues: ["reboot-pending"],
+  },
+];
+
+/** Health key for an issue text from healthIssues() ("Low Disk (4GB)" → "low-disk"). */
+function issueKey(text) {
+  const s = String(text || "");
+  if (/^Low Disk/i.test(s)) return "low-disk";
+  if (/^Not Reporting/i.test(s)) return "not-reporting";
+  if (/^Service .*Window Update/i.test(s)) return "wu-service";
+  return null;
+}
+
+/** "Windows" / "Linux" for a BigFix operating system string; other UNIX flavours run the Linux variant. */
+function osFamily(os) {
+  const o = String(os || "").trim().toLowerCase();
+  if (!o || o === "unknown" || o === "n/a") return null;
+  return o.startsWith("win") ? "Windows" : "Linux";
+}
+
+const placeholders = (script) => [...String(script || "").matchAll(PLACEHOLDER)].map(m => m[1]);
+
+function checkValue(param, value) {
+  const v = String(value);
+  if (UNSAFE_VALUE.test(v)) return `${param.name} contains characters that are not allowed in a playbook parameter`;
+  if (!new RegExp(param.pattern || DEFAULT_PATTERN).test(v)) return `${param.name} does not match ${param.pattern || DEFAULT_PATTERN}`;
+  return null;
+}
+
+/**
+ * Validate + normalize a playbook definition:
+ *   { name, description?, category?, parameters?: [{ name, label?, required?, default?, pattern?, description? }],
+ *     windowsScript?, linuxScript?, healthIssues?: [...HEALTH_ISSUES] }
+ * At least one script is required; every {{placeholder}} must be a declared parameter.
+ * Returns { playbook } or { error }.
+ */
+function normalizePlaybook(input) {
+  const p = input || {};
+  const name = String(p.name || "").trim();
+  if (!name) return { error: "Playbook name is required" };
+  if (name.length > 255) return { error: "Playbook name must be at most 255 characters" };
+
+  const windowsScript = String(p.windowsScript || "").trim() || null;
+  const linuxScript = String(p.linuxScript || "").trim() || null;
+  if (!windowsScript && !linuxScript) return { error: "windowsScript or linuxScript is required" };
+
+  if (p.parameters != null && !Array.isArray(p.parameters)) return { error: "parameters must be an array" };
+  const parameters = [];
+  for (const raw of p.parameters || []) {
+    const param = {
+      name: String(raw?.name || "").trim(),
+      label: String(raw?.label || raw?.name || "").trim(),
+      required: !!raw?.required,
+      default: raw?.default != null && raw.default !== "" ? String(raw.default) : null,
+      pattern: raw?.pattern ? String(raw.pattern) : null,
+      description: String(raw?.description || "").trim(),
+    };
+    if (!PARAM_NAME.test(param.name)) return { error: `Invalid parameter name: ${param.name || "(empty)"}` };
+    if (parameters.some(x => x.name === param.name)) return { error: `Duplicate parameter: ${param.name}` };
+    if (param.pattern) {
+      try { new RegExp(param.pattern); } catch { return { error: `Invalid pattern for ${param.name}: ${param.pattern}` }; }
+    }
+    if (param.default != null) {
+      const bad = checkValue(param, param.default);
+      if (bad) return { error: `Default value: ${bad}` };
+    }
+    parameters.push(param);
+  }
+
+  const declared = new Set(parameters.map(x => x.name));
+  const unknown = [...placeholders(windowsScript), ...placeholders(linuxScript)].filter(n => !declared.has(n));
+  if (unknown.length) return { error: `Undeclared parameters in script: ${[...new Set(unknown)].join(", ")}` };
+
+  const healthIssues = Array.isArray(p.healthIssues) ? p.healthIssues.map(String) : [];
+  const badIssue = healthIssues.find(k => !HEALTH_ISSUES.includes(k));
+  if (badIssue) return { error: `healthIssues must be from: ${HEALTH_ISSUES.join(", ")}` };
+
+  return {
+    playbook: {
+      name,
+      description: String(p.description || "").trim(),
+      category: String(p.category || "").trim() || "General",
+      parameters,
+      windowsScript,
+      linuxScript,
+      healthIssues,
+    },
+  };
+}
+
+/**
+ * Fill {{placeholders}} in each script from `values` (falling back to defaults).
+ * Returns { scripts: { Windows?, Linux? }, params } or { error }.
+ */
+function renderPlaybook(playbook, values = {}) {
+  const params = {};
+  const errors = [];
+  for (const param of playbook.parameters || []) {
+    const given = values?.[param.name];
+    const value = given != null && String(given).trim() !== "" ? String(given).trim() : param.default;
+    if (value == null) {
+      if (param.required) errors.push(`${param.name} is required`);
+      continue;
+    }
+    const bad = checkValue(param, value);
+    if (bad) errors.push(bad);
+    else params[param.name] = value;
+  }
+  if (errors.length) return { error: `Invalid playbook parameters: ${errors.join("; ")}` };
+
+  const scripts = {};
+  for (const [os, { scriptKey }] of Object.entries(PLAYBOOK_OS)) {
+    const script = playbook[scriptKey];
+    if (!script) continue;
+    const missing = placeholders(script).filter(n => params[n] == null);
+    if (missing.length) return { error: `Missing value for ${[...new Set(missing)].join(", ")} (${os} script)` };
+    scripts[os] = script.replace(PLACEHOLDER, (_, n) => params[n]);
+  }
+  return { scripts, params };
+}
+
+function toPlaybook(row) {
+  const parse = (s, fallback) => { try { return JSON.parse(s || ""); } catch { return fallback; } };
+  return {
+    id: row.Id,
+    name: row.Name,
+    description: row.Description || "",
+    category: row.Category || "General",
+    parameters: parse(row.Parameters, []),
+    windowsScript: row.WindowsScript || null,
+    linuxScript: row.LinuxScript || null,
+    healthIssues: parse(row.HealthIssues, []),
+    builtIn: !!row.BuiltIn,
+    ownerRole: row.CreatedByRole,
+    createdAt: row.CreatedAt,
+    updatedAt: row.UpdatedAt,
+  };
+}
+
+const PLAYBOOK_COLUMNS = "Id, Name, Description, Category, Parameters, WindowsScript, LinuxScript, HealthIssues, BuiltIn, CreatedByRole, CreatedAt, UpdatedAt";
+
+/** By numeric id or by name (so built-ins can be referenced the same way on every install). */
+async function loadPlaybook(ref, pool) {
+  pool = pool || await getPool();
+  const byId = /^\d+$/.test(String(ref));
+  const r = await pool.request()
+    .input('Id', sql.Int, byId ? Number(ref) : null)
+    .input('Name', sql.NVarChar(255), byId ? null : String(ref))
+    .query(`SELECT ${PLAYBOOK_COLUMNS} FROM dbo.Playbook WHERE ${byId ? "Id = @Id" : "Name = @Name"}`);
+  return r.recordset.length ? toPlaybook(r.recordset[0]) : null;
+}
+
+/** Built-ins plus the role's own playbooks (everything for Admin). */
+async function listPlaybooks(userRole = "Admin", pool) {
+  pool = pool || await getPool();
+  let query = `SELECT ${PLAYBOOK_COLUMNS} FROM dbo.Playbook`;
+  const reqSql = pool.request();
+  if (userRole !== 'Admin') {
+    query += " WHERE BuiltIn = 1 OR CreatedByRole = @Role";
+    reqSql.input('Role', sql.NVarChar(50), userRole);
+  }
+  const r = await reqSql.query(query + " ORDER BY Category, Name");
+  return r.recordset.map(toPlaybook);
+}
+
+/** Playbooks linked to any of `keys` that have a variant for `os` (health row OS string). */
+function suggestPlaybooks(playbooks, keys, os) {
+  const wanted = new Set(keys.filter(Boolean));
+  if (!wanted.size) return [];
+  const family = osFamily(os);
+  return playbooks
+    .filter(pb => pb.healthIssues.some(k => wanted.has(k)))
+    .filter(pb => !family || pb[PLAYBOOK_OS[family].scriptKey])
+    .map(pb => ({ id: pb.id, name: pb.name, description: pb.description }));
+}
+
+/** Insert missing built-ins and refresh existing ones from the definitions above. */
+async function seedBuiltinPlaybooks(pool) {
+  for (const pb of BUILTIN_PLAYBOOKS) {
+    await pool.request()
+      .input('Name', sql.NVarChar(255), pb.name)
+      .input('Description', sql.NVarChar(sql.MAX), pb.description)
+      .input('Category', sql.NVarChar(100), pb.category)
+      .input('Parameters', sql.NVarChar(sql.MAX), JSON.stringify(pb.parameters))
+      .input('WindowsScript', sql.NVarChar(sql.MAX), pb.windowsScript)
+      .input('LinuxScript', sql.NVarChar(sql.MAX), pb.linuxScript)
+      .input('HealthIssues', sql.NVarChar(sql.MAX), JSON.stringify(pb.healthIssues))
+      .query(`
+        IF EXISTS (SELECT 1 FROM dbo.Playbook WHERE Name = @Name)
+          UPDATE dbo.Playbook SET Description = @Description, Category = @Category, Parameters = @Parameters,
+                 WindowsScript = @WindowsScript, LinuxScript = @LinuxScript, HealthIssues = @HealthIssues, UpdatedAt = SYSUTCDATETIME()
+          WHERE Name = @Name AND BuiltIn = 1
+        ELSE
+          INSERT INTO dbo.Playbook (Name, Description, Category, Parameters, WindowsScript, LinuxScript, HealthIssues, BuiltIn, CreatedByRole, CreatedAt, UpdatedAt)
+          VALUES (@Name, @Description, @Category, @Parameters, @WindowsScript, @LinuxScript, @HealthIssues, 1, 'Admin', SYSUTCDATETIME(), SYSUTCDATETIME())
+      `);
+  }
+}
+
+/**
+ * Post a playbook against `computerNames` or `groupName`. Targets are split by their OS as
+ * reported by BigFix and each family gets its own SingleAction with that variant's script
+ * (targets without a matching variant, or with an unknown OS, are skipped and reported).
+ * Each action is recorded in ActionHistory. Returns { status, payload }.
+ */
+async function launchPlaybook(ctx, playbook, { computerNames, groupName, params, triggeredBy, dryRun = false }) {
+  const rendered = renderPlaybook(playbook, params);
+  if (rendered.error) return { status: 400, payload: { ok: false, error: rendered.error } };
+
+  const client = bigfixClient(ctx);
+  const names = Array.isArray(computerNames) ? computerNames.map(n => String(n).trim()).filter(Boolean) : [];
+  let computers, group = null;
+  if (names.length) {
+    computers = await client.getComputers(names);
+    if (!computers.length) return { status: 404, payload: { ok: false, error: "No valid Computer IDs found for provided names." } };
+  } else if (groupName) {
+    group = await client.getGroup(groupName);
+    if (!group) return { status: 404, payload: { ok: false, error: `Group not found: ${groupName}` } };
+    computers = (await client.getGroupMembers(group.name)).filter(c => c.id);
+    if (!computers.length) return { status: 404, payload: { ok: false, error: `Group ${group.name} has no members` } };
+  } else {
+    return { status: 400, payload: { ok: false, error: "computerNames or groupName is required" } };
+  }
+
+  // Split by OS family
+  const byOs = {};
+  const skipped = [];
+  for (const c of computers) {
+    const os = osFamily(c.os);
+    if (!os) skipped.push({ name: c.name, os: c.os, reason: "Operating system unknown" });
+    else if (!rendered.scripts[os]) skipped.push({ name: c.name, os: c.os, reason: `Playbook has no ${os} variant` });
+    else (byOs[os] = byOs[os] || []).push(c);
+  }
+  const targets = Object.fromEntries(Object.keys(PLAYBOOK_OS).map(os => [os, byOs[os]?.length || 0]));
+  if (!Object.keys(byOs).length) {
+    return { status: 422, payload: { ok: false, code: "NO_MATCHING_TARGETS", error: `No target computer can run ${playbook.name}`, targets, skipped } };
+  }
+
+  const variants = Object.entries(byOs).map(([os, members]) => {
+    const label = group ? group.name : members.length === 1 ? members[0].name : `${members.length}_Computers`;
+    const title = `BPS_Playbook_${playbook.name}_${os}_${label}`;
+    const computerIds = members.map(c => c.id);
+    const xml = buildSingleActionXml({ title, relevance: PLAYBOOK_OS[os].relevance, actionScript: rendered.scripts[os], computerIds });
+    return { os, title, count: members.length, computerIds, computerNames: members.map(c => c.name), actionScript: rendered.scripts[os], xml };
+  });
+
+  const summary = { id: playbook.id, name: playbook.name };
+  if (dryRun) {
+    return { status: 200, payload: { ok: true, dryRun: true, playbook: summary, params: rendered.params, group, targets, skipped, actions: variants } };
+  }
+
+  const actions = [];
+  for (const v of variants) {
+    const { actionId } = await client.postAction(v.xml);
+    const metadata = {
+      id: actionId,
+      kind: "playbook",
+      playbook: { ...summary, os: v.os },
+      params: rendered.params,
+      title: v.title,
+      xml: v.xml,
+      targetComputers: v.computerNames,
+      targetComputerIds: v.computerIds,
+      groupName: group?.name || null,
+      groupId: group?.id || null,
+      groupSite: group?.site || null,
+      groupType: group?.type || null,
+      triggeredBy: triggeredBy || "Unknown",
+      preMail: false,
+      createdAt: new Date().toISOString(),
+    };
+    try {
+      await saveAction(metadata, { updateLast: false });
+    } catch (dbErr) {
+      console.warn(`[Playbook] FAILED to save Action ${actionId} to DB:`, dbErr.message);
+    }
+    actions.push({ os: v.os, actionId, title: v.title, count: v.count, computerIds: v.computerIds });
+  }
+
+  return {
+    status: 200,
+    payload: {
+      ok: true, playbook: summary, params: rendered.params, actionId: actions[0]?.actionId || null, actions,
+      count: actions.reduce((n, a) => n + a.count, 0), targets, skipped, groupName: group?.name || null,
+    },
+  };
+}
+
+module.exports = {
+  BUILTIN_PLAYBOOKS, HEALTH_ISSUES,
+  issueKey, osFamily, normalizePlaybook, renderPlaybook, loadPlaybook, listPlaybooks, suggestPlaybooks,
+  seedBuiltinPlaybooks, launchPlaybook,
+};
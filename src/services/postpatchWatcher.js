@@ -1,17 +1,31 @@
 // src/services/postpatchWatcher.js
-const axios = require("axios");
+// Post-patch follow-up (results mail, closing CHG note, incidents, action.expired webhook event) as a
+// DB-backed job queue (dbo.PostPatchJob): any number of backend instances can poll it, a lease gives
+// each job to one of them, failed steps are retried with backoff and a job that keeps failing ends up "dead".
+const os = require("os");
+const crypto = require("crypto");
 const { actionStore, CONFIG } = require("../state/store");
-const { joinUrl } = require("../utils/http");
-const { collectStrings, parseTupleRows } = require("../utils/query");
-const { sendPostPatchMail } = require("../mail/transport");
+const { sendPostPatchMail, sendBatchMail } = require("../mail/transport");
 const { sql, getPool } = require("../db/mssql");
+const { bigfixClient } = require("./bigfix");
+const { getAction } = require("./actionHistory");
+const { postChangeProgress, summarizeResults } = require("./changeProvider");
+const { wantsIncidents, raiseFailureIncidents } = require("./incidents");
+const { queueEvent, hasSubscribers, actionExpiredData } = require("./webhooks");
+
+const JOB_STATES = ["pending", "processing", "done", "failed", "dead"];
+const LEASE_SECONDS = 300;
+const BACKOFF_BASE_MS = 60_000;
+const BACKOFF_MAX_MS = 3_600_000;
+const JOBS_PER_TICK = 20;
+// Identifies this process as lease owner
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
 
 /* -------------------- tiny XML helpers -------------------- */
 function pickTag(text, tag) {
   const m = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "i").exec(text);
   return m ? m[1].trim() : null;
 }
-const pickStatusTop = (xml) => pickTag(xml, "Status");
 function parseComputerTimes(xml) {
   return {
     start: pickTag(xml, "StartTime"),
@@ -37,61 +51,11 @@ function inferBaselineFromTitle(title) {
   return title.replace(/^BPS_/, "").replace(/_(Sandbox|Pilot|Production)$/i, "");
 }
 
-/* ---------------------- BF helpers ------------------------ */
-async function getActionStatusXml(bigfixCtx, id) {
-  const { BIGFIX_BASE_URL, BIGFIX_USER, BIGFIX_PASS, httpsAgent } = bigfixCtx;
-  const url = joinUrl(BIGFIX_BASE_URL, `/api/action/${id}/status`);
-  const r = await axios.get(url, {
-    httpsAgent,
-    auth: { username: BIGFIX_USER, password: BIGFIX_PASS },
-    headers: { Accept: "text/xml" },
-    timeout: 60_000,
-    validateStatus: () => true,
-    responseType: "text",
-  });
-  return { ok: r.status >= 200 && r.status < 300, text: String(r.data || "") };
-}
-
-async function fetchActionResults(bigfixCtx, id) {
-  const { BIGFIX_BASE_URL, BIGFIX_USER, BIGFIX_PASS, httpsAgent } = bigfixCtx;
-  try {
-    const relevance =
-      `((if exists (name of computers of it) then name of computers of it else "N/A"),` +
-      ` (if exists (names of member actions of actions of it) then (names of member actions of actions of it) else "N/A"),` +
-      ` (detailed status of it as string | "N/A"),` +
-      ` (start time of it as string | "N/A"),` +
-      ` (end time of it as string | "N/A")) of results of bes action whose (id of it = ${id})`;
-
-    const url = `${joinUrl(BIGFIX_BASE_URL, "/api/query")}?output=json&relevance=${encodeURIComponent(relevance)}`;
-    
-    const resp = await axios.get(url, {
-      httpsAgent,
-      auth: { username: BIGFIX_USER, password: BIGFIX_PASS },
-      headers: { Accept: "application/json" },
-      responseType: "json",
-      timeout: 60_000,
-      validateStatus: () => true,
-    });
-
-    if (resp.status < 200 || resp.status >= 300) {
-      return { rows: [] };
-    }
-
-    const rows = parseTupleRows(resp.data).map(parts => {
-      const [server, patch, status, start, end] = parts;
-      return { server, patch, status, start, end };
-    });
-    return { rows };
-
-  } catch (e) {
-    console.warn(`[postpatch] Failed to fetch results for action ${id}:`, e.message);
-    return { rows: [] };
-  }
-}
-
-function toResultsCSV(data) {
+// Batch rows also carry the action they came from (actionId / baselineName / groupName)
+function toResultsCSV(data, { withAction = false } = {}) {
   if (!Array.isArray(data) || !data.length) return null;
   const headers = ["Server Name", "Patch Name", "Status", "Start Time", "End Time"];
+  if (withAction) headers.unshift("Action ID", "Baseline", "Group");
   const escape = (val) => {
     const str = String(val ?? "N/A");
     if (str.includes('"') || str.includes(',')) {
@@ -101,14 +65,19 @@ function toResultsCSV(data) {
   };
   const csvRows = [headers.join(",")];
   for (const row of data) {
-    csvRows.push([
-      escape(row.server), escape(row.patch), escape(row.status), escape(row.start), escape(row.end),
-    ].join(","));
+    const cols = [escape(row.server), escape(row.patch), escape(row.status), escape(row.start), escape(row.end)];
+    if (withAction) cols.unshift(escape(row.actionId), escape(row.baselineName), escape(row.groupName));
+    csvRows.push(cols.join(","));
   }
   return csvRows.join("\r\n");
 }
 
 /* ------------------- single-send guards ------------------- */
+// Actions triggered under a validated CHG get a closing work note, whatever the mail settings
+function needsChangeNote(entry) {
+  return !!(entry && !entry.postMailSent && entry.chgSysId);
+}
+
 function shouldSend(entry) {
   // 1. Global switch
   if (!CONFIG.postPatchMail) return false;
@@ -128,47 +97,344 @@ async function markSent(id) {
   if (actionStore.actions[id]) {
     actionStore.actions[id].postMailSent = true;
   }
+  const pool = await getPool();
+  await pool.request()
+    .input('ActionID', sql.Int, Number(id))
+    .query('UPDATE dbo.ActionHistory SET PostMailSent = 1 WHERE ActionID = @ActionID');
+}
+
+/* ----------------------- job queue ------------------------ */
+// Deployments (not the orchestrator's own follow-ups) raise action.expired when a webhook listens for it
+const wantsExpiredEvent = (entry, hooked) => !!(hooked && entry && !entry.postMailSent && !entry.kind);
+const wantsFollowUp = (entry, hooked) => shouldSend(entry) || needsChangeNote(entry) || wantsIncidents(entry) || wantsExpiredEvent(entry, hooked);
+
+/**
+ * Queue a job for every unprocessed action that wants a follow-up (batch members share one job).
+ * Actions that need none are marked handled here, so each one is looked at once and not on every tick.
+ */
+async function enqueuePending(pool) {
+  // ISJSON first: JSON_VALUE raises on malformed metadata instead of returning NULL
+  const rs = await pool.request().query(`
+    SELECT h.ActionID, h.Metadata FROM dbo.ActionHistory h
+    WHERE h.PostMailSent = 0 AND NOT EXISTS (
+      SELECT 1 FROM dbo.PostPatchJob j
+      WHERE j.ActionID = h.ActionID
+         OR j.BatchId = CASE WHEN ISJSON(h.Metadata) = 1 THEN JSON_VALUE(h.Metadata, '$.batchId') END)`);
+  const hooked = rs.recordset.length ? await hasSubscribers("action.expired", pool) : false;
+  const queued = new Set();
+  const handled = [];
+
+  for (const row of rs.recordset) {
+    let metadata;
+    try {
+      metadata = JSON.parse(row.Metadata || "{}");
+    } catch (parseErr) {
+      console.warn(`[postpatch] Failed to parse metadata for ActionID ${row.ActionID}, no follow-up:`, parseErr.message);
+      handled.push(row.ActionID);
+      continue;
+    }
+    if (!wantsFollowUp({ ...metadata, postMailSent: false }, hooked)) {
+      handled.push(row.ActionID);
+      continue;
+    }
+
+    const key = metadata.batchId ? `batch:${metadata.batchId}` : `action:${row.ActionID}`;
+    if (queued.has(key)) continue;
+    try {
+      await pool.request()
+        .input('JobKey', sql.NVarChar(100), key)
+        .input('ActionID', sql.Int, metadata.batchId ? null : Number(row.ActionID))
+        .input('BatchId', sql.NVarChar(64), metadata.batchId || null)
+        .query(`IF NOT EXISTS (SELECT 1 FROM dbo.PostPatchJob WHERE JobKey = @JobKey)
+                INSERT INTO dbo.PostPatchJob (JobKey, ActionID, BatchId, State, NextRunAt, CreatedAt, UpdatedAt)
+                VALUES (@JobKey, @ActionID, @BatchId, 'pending', SYSUTCDATETIME(), SYSUTCDATETIME(), SYSUTCDATETIME())`);
+      queued.add(key);
+    } catch (e) {
+      // Another instance queued it first (unique JobKey)
+      if (!/unique|duplicate/i.test(e.message)) console.warn(`[postpatch] FAILED to queue ${key}:`, e.message);
+    }
+  }
+
+  for (const id of handled) await markSent(id);
+  if (handled.length) console.log(`[postpatch] ${handled.length} action(s) need no follow-up; marked as handled.`);
+}
+
+/** Take the next due job (or one whose owner's lease ran out) for this worker; null when idle. */
+async function claimJob(pool) {
+  const r = await pool.request()
+    .input('Owner', sql.NVarChar(200), WORKER_ID)
+    .input('Lease', sql.Int, LEASE_SECONDS)
+    .query(`
+      WITH next AS (
+        SELECT TOP (1) * FROM dbo.PostPatchJob WITH (UPDLOCK, READPAST, ROWLOCK)
+        WHERE (State IN ('pending', 'failed') AND NextRunAt <= SYSUTCDATETIME())
+           OR (State = 'processing' AND LeaseUntil < SYSUTCDATETIME())
+        ORDER BY NextRunAt
+      )
+      UPDATE next SET State = 'processing', LeaseOwner = @Owner,
+        LeaseUntil = DATEADD(second, @Lease, SYSUTCDATETIME()), UpdatedAt = SYSUTCDATETIME()
+      OUTPUT INSERTED.Id, INSERTED.JobKey, INSERTED.ActionID, INSERTED.BatchId, INSERTED.Attempts, INSERTED.Steps`);
+  const row = r.recordset[0];
+  if (!row) return null;
+  let steps = {};
+  try { steps = JSON.parse(row.Steps || "{}"); } catch { /* start over */ }
+  return { id: row.Id, key: row.JobKey, actionId: row.ActionID, batchId: row.BatchId, attempts: row.Attempts, steps };
+}
+
+// Every write below is conditional on still holding the lease
+async function updateOwnedJob(pool, job, setSql, inputs = {}) {
+  const req = pool.request().input('Id', sql.Int, job.id).input('Owner', sql.NVarChar(200), WORKER_ID);
+  for (const [name, [type, value]] of Object.entries(inputs)) req.input(name, type, value);
+  const r = await req.query(`UPDATE dbo.PostPatchJob SET ${setSql}, UpdatedAt = SYSUTCDATETIME() WHERE Id = @Id AND LeaseOwner = @Owner`);
+  return (r.rowsAffected?.[0] || 0) > 0;
+}
+
+/** Record a finished step right away (and renew the lease), so a crash or retry skips it; `extra` is kept with the steps. */
+async function saveStep(pool, job, step, extra = {}) {
+  Object.assign(job.steps, extra, { [step]: new Date().toISOString() });
+  const held = await updateOwnedJob(pool, job, "Steps = @Steps, LeaseUntil = DATEADD(second, @Lease, SYSUTCDATETIME())", {
+    Steps: [sql.NVarChar(sql.MAX), JSON.stringify(job.steps)],
+    Lease: [sql.Int, LEASE_SECONDS],
+  });
+  if (!held) throw Object.assign(new Error(`Lost the lease on job ${job.key}`), { leaseLost: true });
+}
+
+const completeJob = (pool, job) =>
+  updateOwnedJob(pool, job, "State = 'done', CompletedAt = SYSUTCDATETIME(), LeaseOwner = NULL, LeaseUntil = NULL, LastError = NULL");
+
+/** Not due yet (action still open): back to pending without using up an attempt. */
+const postponeJob = (pool, job, delayMs) =>
+  updateOwnedJob(pool, job, "State = 'pending', NextRunAt = DATEADD(second, @Delay, SYSUTCDATETIME()), LeaseOwner = NULL, LeaseUntil = NULL", {
+    Delay: [sql.Int, Math.ceil(delayMs / 1000)],
+  });
+
+/** Count a failed attempt: retry after an exponential backoff, or dead-letter after the last one. */
+async function failJob(pool, job, err) {
+  const attempts = job.attempts + 1;
+  const maxAttempts = Math.max(1, Number(CONFIG.postPatchMaxAttempts) || 5);
+  const dead = attempts >= maxAttempts;
+  const delayMs = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempts - 1));
+  await updateOwnedJob(pool, job, `State = @State, Attempts = @Attempts, LastError = @Error, LeaseOwner = NULL, LeaseUntil = NULL,
+      NextRunAt = DATEADD(second, @Delay, SYSUTCDATETIME())`, {
+    State: [sql.NVarChar(20), dead ? "dead" : "failed"],
+    Attempts: [sql.Int, attempts],
+    Error: [sql.NVarChar(sql.MAX), String(err?.message || err)],
+    Delay: [sql.Int, Math.ceil(delayMs / 1000)],
+  });
+  if (dead) console.warn(`[postpatch] Job ${job.key} dead after ${attempts} attempts: ${err?.message || err}`);
+  else console.warn(`[postpatch] Job ${job.key} failed (attempt ${attempts}/${maxAttempts}), retry in ${Math.round(delayMs / 1000)}s: ${err?.message || err}`);
+}
+
+/* ------------------------ job steps ----------------------- */
+const entryOf = (stored) => stored && { ...stored.metadata, postMailSent: stored.postMailSent };
+
+/**
+ * The mail step is recorded (with mailOutboxId) as soon as the outbox has stored the message, before
+ * it goes to SMTP: a job claimed again after a crash mid-send finds the step done and leaves the message
+ * to the outbox worker instead of mailing twice. A send that failed there is retried by that worker too,
+ * so only a mail the outbox never recorded fails the job.
+ */
+async function runMail(pool, job, label, send) {
   try {
-    const pool = await getPool();
-    await pool.request()
-      .input('ActionID', sql.Int, Number(id))
-      .query('UPDATE dbo.ActionHistory SET PostMailSent = 1 WHERE ActionID = @ActionID');
-    console.log(`[postpatch] Marked action ${id} as processed in DB.`);
-  } catch (dbErr) {
-    console.warn(`[postpatch] FAILED to mark action ${id} in DB:`, dbErr.message);
+    const info = await send((outboxId) => saveStep(pool, job, "mail", { mailOutboxId: outboxId }));
+    console.log(`[postpatch] Email sent for ${label} (outbox ${info?.outboxId ?? "-"}).`);
+  } catch (e) {
+    if (!e.outboxId) throw e;
+    console.warn(`[postpatch] Email for ${label} failed, left to outbox message ${e.outboxId}: ${e.message}`);
   }
+  // Sent untracked (outbox unavailable)
+  if (!job.steps.mail) await saveStep(pool, job, "mail");
 }
 
-/* ---------------------- watcher loop ---------------------- */
-async function loadCacheFromDb() {
-  let count = 0;
+async function runChangeNote(chg, progress) {
+  const r = await postChangeProgress(chg.ctx, { number: chg.entry.chgNumber, sysId: chg.entry.chgSysId, provider: chg.entry.chgProvider }, progress);
+  if (!r.ok) throw new Error(`CHG note failed: ${r.error}`);
+}
+
+async function runIncidents(ctx, id, entry, resultRows) {
+  const r = await raiseFailureIncidents(ctx, id, entry, resultRows);
+  if (r.errors.length) throw new Error(`Incidents failed: ${r.errors.join("; ")}`);
+}
+
+/** One expired action: mail, CHG note, incidents, webhook event; returns false while the action is still open. */
+async function processActionJob(ctx, client, pool, job) {
+  const id = String(job.actionId);
+  const entry = entryOf(await getAction(id));
+  if (!entry || entry.postMailSent) return true;
+
+  let status;
   try {
-    const pool = await getPool();
-    const rs = await pool.request()
-      .query('SELECT ActionID, Metadata, PostMailSent FROM dbo.ActionHistory WHERE PostMailSent = 0');
-    
-    for (const row of rs.recordset) {
-      try {
-        const metadata = JSON.parse(row.Metadata);
-        actionStore.actions[row.ActionID] = {
-          ...metadata,
-          postMailSent: row.PostMailSent, 
-        };
-        count++;
-      } catch (parseErr) {
-        console.warn(`[postpatch] Failed to parse metadata for ActionID ${row.ActionID}:`, parseErr.message);
-      }
+    status = await client.getActionStatus(id);
+  } catch {
+    return false; // unreachable or unknown action: not a failed attempt, look again later
+  }
+  const { state: overall, text } = status;
+  if (overall !== "expired") return false;
+
+  // Action is done (Expired/Stopped). Prepare data.
+  const { sitename, fixletId, title } = parseActionXml(entry.xml || "");
+  const times        = parseComputerTimes(text);
+  const stage        = entry.stage || inferStageFromTitle(title);
+  const baselineName = entry.baselineName || inferBaselineFromTitle(title);
+  const groupName    = entry.groupName || "(unknown group)";
+  const resultRows   = await client.getActionResults(id);
+  const csvContent   = toResultsCSV(resultRows);
+
+  if (!job.steps.mail && shouldSend(entry)) {
+    await runMail(pool, job, `action ${id}`, (onStored) => sendPostPatchMail(ctx.smtp, {
+      environment: stage,
+      baselineName,
+      baselineSite: sitename || entry.baselineSite || "(unknown site)",
+      baselineFixletId: fixletId || entry.baselineFixletId || "(?)",
+      groupName: groupName,
+      groupId: entry.groupId || "(?)",
+      groupSite: entry.groupSite || "(?)",
+      groupType: entry.groupType || "(?)",
+      actionId: id,
+      overallStatus: "Expired",
+      startedAt: times.start,
+      endedAt: times.end,
+      counts: summarizeResults(resultRows),
+      triggeredBy: entry.triggeredBy,
+      role: entry.triggeredByRole,
+      mailLists: entry.mailLists,
+      SMTP_FROM: ctx.smtp.SMTP_FROM,
+      SMTP_TO:   ctx.smtp.SMTP_TO,
+      SMTP_CC:   ctx.smtp.SMTP_CC,
+      SMTP_BCC:  ctx.smtp.SMTP_BCC,
+      csvContent: csvContent,
+      onStored,
+    }));
+  }
+
+  // Closing work note + results CSV on the change record
+  if (!job.steps.chgNote && needsChangeNote(entry)) {
+    await runChangeNote({ ctx, entry }, { phase: "complete", stage, actions: [{ actionId: id, baselineName, groupName }], resultRows, csvContent });
+    await saveStep(pool, job, "chgNote");
+  }
+
+  // Incidents for the servers it failed on (already raised ones are skipped)
+  if (!job.steps.incidents && wantsIncidents(entry)) {
+    await runIncidents(ctx, id, entry, resultRows);
+    await saveStep(pool, job, "incidents");
+  }
+
+  if (!job.steps.webhook && wantsExpiredEvent(entry, true)) {
+    await queueEvent("action.expired", actionExpiredData(id, entry, resultRows));
+    await saveStep(pool, job, "webhook");
+  }
+
+  await markSent(id);
+  return true;
+}
+
+// A batch gets one post-patch mail (and one CHG note), sent once every action in it has expired
+async function processBatchJob(ctx, client, pool, job) {
+  const batchId = job.batchId;
+  const b = await pool.request()
+    .input('BatchId', sql.NVarChar(64), batchId)
+    .query('SELECT Items FROM dbo.ActionBatch WHERE BatchId = @BatchId');
+  let items = [];
+  try { items = JSON.parse(b.recordset[0]?.Items || "[]"); } catch { /* treat as empty */ }
+
+  const members = [];
+  for (const item of items.filter(i => i.actionId)) {
+    const entry = entryOf(await getAction(item.actionId));
+    if (entry) members.push({ id: String(item.actionId), entry });
+  }
+  if (!members.length) return true;
+
+  for (const { id } of members) {
+    try {
+      if ((await client.getActionStatus(id)).state !== "expired") return false;
+    } catch {
+      return false;
+    }
+  }
+
+  const rows = [];
+  const perAction = [];
+  for (const { id, entry } of members) {
+    const resultRows = await client.getActionResults(id);
+    perAction.push({ id, entry, resultRows });
+    for (const r of resultRows) rows.push({ ...r, actionId: id, baselineName: entry.baselineName, groupName: entry.groupName });
+  }
+
+  const actions = members.map(({ id, entry }) => ({ actionId: id, baselineName: entry.baselineName, groupName: entry.groupName }));
+  const csvContent = toResultsCSV(rows, { withAction: true });
+  if (!job.steps.mail && members.some(({ entry }) => shouldSend(entry))) {
+    await runMail(pool, job, `batch ${batchId}`, (onStored) => sendBatchMail(ctx.smtp, {
+      phase: "post",
+      batchId,
+      environment: members[0].entry.stage,
+      actions,
+      counts: summarizeResults(rows),
+      triggeredBy: members[0].entry.triggeredBy,
+      role: members[0].entry.triggeredByRole,
+      mailLists: members[0].entry.mailLists,
+      SMTP_FROM: ctx.smtp.SMTP_FROM,
+      SMTP_TO:   ctx.smtp.SMTP_TO,
+      SMTP_CC:   ctx.smtp.SMTP_CC,
+      SMTP_BCC:  ctx.smtp.SMTP_BCC,
+      csvContent,
+      onStored,
+    }));
+  }
+
+  const chgEntry = members.map(m => m.entry).find(needsChangeNote);
+  if (!job.steps.chgNote && chgEntry) {
+    await runChangeNote({ ctx, entry: chgEntry }, { phase: "complete", batchId, stage: chgEntry.stage, actions, resultRows: rows, csvContent });
+    await saveStep(pool, job, "chgNote");
+  }
+
+  if (!job.steps.incidents) {
+    for (const { id, entry, resultRows } of perAction) {
+      if (wantsIncidents(entry)) await runIncidents(ctx, id, entry, resultRows);
     }
-    if (count > 0) {
-      console.log(`[postpatch] Loaded ${count} pending actions from DB into cache.`);
-    } else {
-      console.log(`[postpatch] No pending actions found in DB.`);
+    await saveStep(pool, job, "incidents");
+  }
+
+  if (!job.steps.webhook) {
+    for (const { id, entry, resultRows } of perAction) {
+      if (wantsExpiredEvent(entry, true)) await queueEvent("action.expired", actionExpiredData(id, entry, resultRows));
     }
-  } catch (dbErr) {
-    console.error('[postpatch] CRITICAL: Failed to load action history from DB:', dbErr.message);
+    await saveStep(pool, job, "webhook");
   }
+
+  for (const { id } of members) await markSent(id);
+  await pool.request()
+    .input('BatchId', sql.NVarChar(64), batchId)
+    .query('UPDATE dbo.ActionBatch SET PostMailSent = 1 WHERE BatchId = @BatchId');
+  return true;
 }
 
+async function runJob(ctx, client, pool, job, pollMs) {
+  try {
+    const finished = job.batchId
+      ? await processBatchJob(ctx, client, pool, job)
+      : await processActionJob(ctx, client, pool, job);
+    if (finished) await completeJob(pool, job);
+    else await postponeJob(pool, job, pollMs);
+  } catch (e) {
+    if (e.leaseLost) {
+      console.warn(`[postpatch] ${e.message}; leaving it to its new owner.`);
+      return;
+    }
+    await failJob(pool, job, e);
+  }
+}
+
+/** Put a dead (or failed) job back in the queue with a fresh set of attempts. */
+async function requeueJob(id) {
+  const pool = await getPool();
+  const r = await pool.request()
+    .input('Id', sql.Int, Number(id))
+    .query(`UPDATE dbo.PostPatchJob SET State = 'pending', Attempts = 0, NextRunAt = SYSUTCDATETIME(), LeaseOwner = NULL, LeaseUntil = NULL, UpdatedAt = SYSUTCDATETIME()
+            WHERE Id = @Id AND State IN ('dead', 'failed')`);
+  return (r.rowsAffected?.[0] || 0) > 0;
+}
+
+/* ---------------------- watcher loop ---------------------- */
 async function cleanupOldActions() {
   const retentionDays = Number(CONFIG.postpatchRetentionDays || 30);
   if (retentionDays <= 0) return;
@@ -177,7 +443,8 @@ async function cleanupOldActions() {
     const pool = await getPool();
     const result = await pool.request()
       .input('RetentionDays', sql.Int, retentionDays)
-      .query(`DELETE FROM dbo.ActionHistory WHERE PostMailSent = 1 AND CreatedAt < DATEADD(day, -@RetentionDays, SYSUTCDATETIME())`);
+      .query(`DELETE FROM dbo.ActionHistory WHERE PostMailSent = 1 AND CreatedAt < DATEADD(day, -@RetentionDays, SYSUTCDATETIME());
+              DELETE FROM dbo.PostPatchJob WHERE State = 'done' AND CompletedAt < DATEADD(day, -@RetentionDays, SYSUTCDATETIME());`);
     
     const rowsAffected = result.rowsAffected ? result.rowsAffected[0] : 0;
     if (rowsAffected > 0) {
@@ -190,81 +457,35 @@ async function cleanupOldActions() {
 
 function startPostPatchWatcher(ctx, { intervalMs = 60_000 } = {}) {
   const safeLog = (...a) => { try { console.log(...a); } catch {} };
+  const pollMs = Math.max(10_000, Number(intervalMs) || 60_000);
+  let running = false;
 
   const tick = async () => {
+    if (running) return; // a slow tick (many jobs) must not overlap the next one
+    running = true;
     try {
-      const ids = Object.keys(actionStore.actions || {});
-      if (!ids.length) return;
-
-      for (const id of ids) {
-        const entry = actionStore.actions[id];
-        if (!shouldSend(entry)) continue;
-
-        const { ok, text } = await getActionStatusXml(ctx.bigfix, id);
-        if (!ok || !text) continue;
-
-        const overall = (pickStatusTop(text) || "").toLowerCase();
-        if (overall !== "expired") continue;
-
-        // Action is done (Expired/Stopped). Prepare data.
-        const { sitename, fixletId, title } = parseActionXml(entry.xml || "");
-        const times        = parseComputerTimes(text);
-        const stage        = entry.stage || inferStageFromTitle(title);
-        const baselineName = entry.baselineName || inferBaselineFromTitle(title);
-        const groupName    = entry.groupName || "(unknown group)";
-        const groupId      = entry.groupId || "(?)";
-        const groupSite    = entry.groupSite || "(?)";
-        const groupType    = entry.groupType || "(?)";
-
-        const { rows: resultRows } = await fetchActionResults(ctx.bigfix, id);
-        const csvContent = toResultsCSV(resultRows);
-        
-        // --- CHANGED: Try-Catch around mail sending ---
-        // If mail fails, we LOG it but we STILL mark it as sent so it doesn't retry forever.
-        try {
-          await sendPostPatchMail(ctx.smtp, {
-            environment: stage,
-            baselineName,
-            baselineSite: sitename || entry.baselineSite || "(unknown site)",
-            baselineFixletId: fixletId || entry.baselineFixletId || "(?)",
-            groupName: groupName,
-            groupId: groupId,
-            groupSite: groupSite,
-            groupType: groupType,
-            actionId: id,
-            overallStatus: "Expired",
-            startedAt: times.start,
-            endedAt: times.end,
-            SMTP_FROM: ctx.smtp.SMTP_FROM,
-            SMTP_TO:   ctx.smtp.SMTP_TO,
-            SMTP_CC:   ctx.smtp.SMTP_CC,
-            SMTP_BCC:  ctx.smtp.SMTP_BCC,
-            csvContent: csvContent,
-          });
-          safeLog(`[postpatch] Email sent successfully for action ${id}.`);
-        } catch (mailErr) {
-          // Log failure but DO NOT throw, so execution proceeds to markSent
-          console.warn(`[postpatch] Email FAILED for action ${id}: ${mailErr.message}`);
-          console.warn(`[postpatch] Marking action ${id} as processed to prevent infinite retries.`);
-        }
-
-        // ALWAYS Mark as sent/processed
-        await markSent(id); 
+      const pool = await getPool();
+      await enqueuePending(pool);
+      const client = bigfixClient(ctx);
+      for (let n = 0; n < JOBS_PER_TICK; n++) {
+        const job = await claimJob(pool);
+        if (!job) break;
+        await runJob(ctx, client, pool, job, pollMs);
       }
     } catch (e) {
       console.warn("[postpatch] watcher error:", e?.message || e);
+    } finally {
+      running = false;
     }
   };
 
-  loadCacheFromDb().finally(() => {
-    const handle = setInterval(tick, Math.max(10_000, Number(intervalMs) || 60_000));
-    safeLog(`[postpatch] Watcher service started. Polling every ${intervalMs}ms.`);
-    
-    const cleanupIntervalMs = 3_600_000;
-    cleanupOldActions();
-    setInterval(cleanupOldActions, cleanupIntervalMs);
-    safeLog(`[postpatch] Cleanup service started. Running every ${cleanupIntervalMs}ms.`);
-  });
+  setInterval(tick, pollMs);
+  safeLog(`[postpatch] Job queue worker ${WORKER_ID} started. Polling every ${pollMs}ms.`);
+
+  const cleanupIntervalMs = 3_600_000;
+  cleanupOldActions();
+  setInterval(cleanupOldActions, cleanupIntervalMs);
+  safeLog(`[postpatch] Cleanup service started. Running every ${cleanupIntervalMs}ms.`);
 }
 
-module.exports = { startPostPatchWatcher };
\ No newline at end of file
+module.exports = { JOB_STATES, startPostPatchWatcher, requeueJob, enqueuePending, runJob };
@@ -0,0 +1,34 @@
+// src/services/resultStatus.js
+// One reading of a BigFix result row's status ("detailed status of it"), so everything that
+// counts or picks result rows agrees on what succeeded and what failed.
+
+const RESULT_CLASSES = ["succeeded", "pendingRestart", "failed", "other"];
+
+/**
+ * "succeeded" (Fixed, "The action executed successfully.", Completed), "pendingRestart" (installed,
+ * waiting for a restart or downtime window), "failed" (failed / error) or "other" (running,
+ * waiting, not relevant, …). Failure wins over a success word in the same text.
+ */
+function classifyStatus(status) {
+  const s = String(status || "");
+  if (/pending (restart|downtime)/i.test(s)) return "pendingRestart";
+  if (/fail|error/i.test(s)) return "failed";
+  if (/fixed|complete|success/i.test(s)) return "succeeded";
+  return "other";
+}
+
+const isFailed = (status) => classifyStatus(status) === "failed";
+/** The component changed the computer: succeeded, or installed and pending a restart. */
+const isApplied = (status) => ["succeeded", "pendingRestart"].includes(classifyStatus(status));
+
+/** Success / failure counts over action result rows ({ status }). */
+function summarizeResults(rows) {
+  const out = { total: 0, succeeded: 0, failed: 0, pendingRestart: 0, other: 0 };
+  for (const r of rows || []) {
+    out.total++;
+    out[classifyStatus(r.status)]++;
+  }
+  return out;
+}
+
+module.exports = { RESULT_CLASSES, classifyStatus, isFailed, isApplied, summarizeResults };
@@ -0,0 +1,163 @@
+// src/services/rollback.js
+// Backing out a deployment: uninstall what it installed (Windows KBs via wusa) on the affected
+// computers, or revert the pre-patch vCenter snapshots recorded in SnapshotHistory.
+const { sql, getPool } = require("../db/mssql");
+const { bigfixClient } = require("./bigfix");
+const { saveAction } = require("./actionHistory");
+const { vcenterClient } = require("./vcenter");
+const { buildSingleActionXml } = require("../bigfix/actionXml");
+const { isApplied } = require("./resultStatus");
+
+const ROLLBACK_MODES = ["uninstall", "snapshot"];
+
+const KB_RE = /\bKB\s?(\d{6,8})\b/i;
+
+/**
+ * Computers of action `actionId` where a component was applied (optionally narrowed to
+ * `computers`): `affected` lists the KBs to uninstall per computer, `notRollbackable` the
+ * components without an uninstall path.
+ */
+async function planRollback(ctx, actionId, { computers } = {}) {
+  const rows = await bigfixClient(ctx).getComponentResults(actionId);
+  const only = Array.isArray(computers) && computers.length ? new Set(computers.map(c => String(c).toLowerCase())) : null;
+
+  const byComputer = new Map();
+  const notRollbackable = new Map();
+  const applied = new Set();
+  for (const r of rows) {
+    if (!r.server || r.server === "N/A" || !isApplied(r.status)) continue;
+    if (only && !only.has(r.server.toLowerCase())) continue;
+    applied.add(r.server);
+    const kb = KB_RE.exec(r.component || "");
+    if (!kb) {
+      if (!notRollbackable.has(r.component)) notRollbackable.set(r.component, []);
+      notRollbackable.get(r.component).push(r.server);
+      continue;
+    }
+    if (!byComputer.has(r.server)) byComputer.set(r.server, { computer: r.server, kbs: [], components: [] });
+    const entry = byComputer.get(r.server);
+    if (!entry.kbs.includes(kb[1])) entry.kbs.push(kb[1]);
+    entry.components.push({ name: r.component, status: r.status });
+  }
+
+  const affected = [...byComputer.values()];
+  return {
+    computers: [...applied],
+    affected,
+    kbs: [...new Set(affected.flatMap(a => a.kbs))].sort(),
+    notRollbackable: [...notRollbackable].map(([component, servers]) => ({ component, computers: [...new Set(servers)] })),
+    totalResults: rows.length,
+  };
+}
+
+/** Action script uninstalling `kbs`; a KB a computer doesn't have is a no-op for wusa. */
+function uninstallScript(kbs) {
+  return [
+    "action uses wow64 redirection false",
+    ...kbs.map(kb => `waithidden cmd.exe /c wusa.exe /uninstall /kb:${kb} /quiet /norestart`),
+  ].join("\n");
+}
+
+/** Post the uninstall action for the plan's affected computers and record it as a child of `parent`. */
+async function postUninstallRollback(ctx, parent, plan, { window, actionSettings, triggeredBy }) {
+  const client = bigfixClient(ctx);
+  const names = plan.affected.map(a => a.computer);
+  const computerIds = await client.getComputerIds(names);
+  if (!computerIds.length) {
+    const err = new Error("None of the affected computers could be resolved to a ComputerID");
+    err.status = 404;
+    throw err;
+  }
+
+  const meta = parent.metadata;
+  const title = `BPS_${meta.baselineName || meta.title || parent.actionId}_${meta.stage || "Sandbox"}_Rollback`;
+  const xml = buildSingleActionXml({
+    title, relevance: "windows of operating system", actionScript: uninstallScript(plan.kbs), computerIds,
+    startOffset: window.startOffset, endOffset: window.endOffset,
+    startDateTime: window.startDateTime, endDateTime: window.endDateTime,
+    actionSettings,
+  });
+  const { actionId } = await client.postAction(xml);
+
+  const metadata = {
+    id: actionId,
+    kind: "rollback",
+    stage: meta.stage || null,
+    baselineName: meta.baselineName || null,
+    groupName: meta.groupName || null,
+    rollback: { mode: "uninstall", kbs: plan.kbs, affected: plan.affected },
+    title,
+    xml,
+    startOffset: window.startOffset,
+    endOffset: window.endOffset,
+    plannedStart: window.plannedStart,
+    plannedEnd: window.plannedEnd,
+    effectiveStart: window.effectiveStart,
+    effectiveEnd: window.effectiveEnd,
+    timeZone: window.timeZone || null,
+    actionSettings: actionSettings || null,
+    targetComputerIds: computerIds,
+    targetComputers: names,
+    parentActionId: parent.actionId,
+    relation: "rollback",
+    preMail: false,
+    triggeredBy: triggeredBy || "Unknown",
+    createdAt: new Date().toISOString(),
+  };
+  try {
+    await saveAction(metadata, { parentActionId: parent.actionId });
+  } catch (dbErr) {
+    console.warn(`[Rollback] FAILED to save rollback ${actionId} of ${parent.actionId}:`, dbErr.message);
+  }
+  return { actionId, title, computerIds, computers: names };
+}
+
+/**
+ * Latest usable snapshot per computer taken before the deployment (`before`), at most
+ * `maxAgeHours` older than it. Keyed by lowercase VM name.
+ */
+async function findSnapshots(names, before, maxAgeHours = 72) {
+  if (!names.length) return new Map();
+  const pool = await getPool();
+  const r = await pool.request()
+    .input('Before', sql.DateTime2, new Date(before))
+    .input('H', sql.Int, Math.max(1, Number(maxAgeHours) || 72))
+    .query(`SELECT VmId, VmName, SnapshotName, CreatedAt FROM dbo.SnapshotHistory
+            WHERE Type = 'Snapshot' AND Status IN ('completed','success')
+              AND CreatedAt <= @Before AND CreatedAt >= DATEADD(hour, -@H, @Before)
+            ORDER BY CreatedAt DESC`);
+  const wanted = new Set(names.map(n => n.toLowerCase()));
+  const out = new Map();
+  for (const row of r.recordset) {
+    const key = String(row.VmName).toLowerCase();
+    if (wanted.has(key) && !out.has(key)) out.set(key, row);
+  }
+  return out;
+}
+
+/** Revert each computer's pre-patch snapshot; reverts are logged to SnapshotHistory as Type 'Revert'. */
+async function revertSnapshots(vcenterCtx, snapshots) {
+  const client = vcenterClient(vcenterCtx);
+  const pool = await getPool();
+  const results = [];
+  for (const snap of snapshots) {
+    const r = await client.revertToSnapshot(snap.VmId, snap.SnapshotName);
+    try {
+      await pool.request()
+        .input('VmId', sql.NVarChar(100), String(snap.VmId))
+        .input('VmName', sql.NVarChar(255), String(snap.VmName))
+        .input('SnapshotName', sql.NVarChar(255), String(snap.SnapshotName))
+        .input('Type', sql.NVarChar(50), 'Revert')
+        .input('Status', sql.NVarChar(50), r.ok ? (r.taskId ? 'queued' : 'completed') : 'failed')
+        .input('TaskId', sql.NVarChar(100), r.taskId ? String(r.taskId) : null)
+        .input('Error', sql.NVarChar(sql.MAX), r.error || null)
+        .query(`INSERT INTO dbo.SnapshotHistory (VmId, VmName, SnapshotName, Type, TaskId, Status, Error) VALUES (@VmId, @VmName, @SnapshotName, @Type, @TaskId, @Status, @Error)`);
+    } catch (dbErr) {
+      console.warn(`[Rollback] FAILED to record revert of ${snap.VmName}:`, dbErr.message);
+    }
+    results.push({ computer: snap.VmName, vmId: snap.VmId, snapshotName: snap.SnapshotName, ok: r.ok, taskId: r.taskId || null, error: r.error || null });
+  }
+  return results;
+}
+
+module.exports = { ROLLBACK_MODES, planRollback, postUninstallRollback, findSnapshots, revertSnapshots };
@@ -0,0 +1,162 @@
+// src/services/serverHealth.js
+// Readiness rules shared by /api/health/critical and the pre-flight gate on triggers.
+const { CONFIG } = require("../state/store");
+const { bigfixClient, relevanceString } = require("./bigfix");
+
+const PREFLIGHT_POLICIES = ["off", "warn", "block", "exclude"];
+
+function getThresholdMilliseconds(value, unit) {
+  const v = Math.max(0, Number(value) || 0);
+  switch (String(unit).toLowerCase()) {
+    case "minutes": return v * 60 * 1000;
+    case "hours": return v * 60 * 60 * 1000;
+    case "days": default: return v * 24 * 60 * 60 * 1000;
+  }
+}
+
+function isTimeUnhealthy(timeString, thresholdMs) {
+  if (!timeString || timeString === "N/A") return true;
+  try {
+    const parsableDate = timeString.substring(timeString.indexOf(", ") + 2);
+    const lastReportTime = Date.parse(parsableDate);
+    if (isNaN(lastReportTime)) return true;
+    const now = Date.now();
+    const age = now - lastReportTime;
+    return age > thresholdMs;
+  } catch {
+    return true;
+  }
+}
+
+/** (name, disk, ip, last report, WU service, os) for every computer in `computers`. */
+function healthRelevance(computers) {
+  return '((name of it | "N/A") ,' +
+    ' (value of result (it, bes property "Patch_Setu_Disk_Space") | "N/A"),' +
+    ' (value of result (it, bes property "Patch_Setu_IP_Address") | "N/A"),' +
+    ' (last report time of it as string | "N/A"),' +
+    ' (value of result (it, bes property "Patch_Setu_Window_Update_Service") | "N/A"),' +
+    ' (operating system of it | "N/A"))' +
+    ` of ${computers}`;
+}
+
+const afterEq = (s) => {
+  const str = String(s || "").trim();
+  const idx = str.indexOf("=");
+  return idx >= 0 ? str.slice(idx + 1).trim() : str;
+};
+const parseDiskGB = (s) => {
+  const m = String(s || "").match(/(\d+(?:\.\d+)?)\s*GB/i);
+  return m ? Number(m[1]) : null;
+};
+
+function parseHealthTuple(parts) {
+  const [serverStr, diskStr, ipStr, lastReportTime, serviceStatus, osStr] = parts;
+  const diskPretty = afterEq(diskStr) || "N/A";
+  return {
+    server: afterEq(serverStr) || "N/A",
+    disk: diskPretty,
+    diskGB: parseDiskGB(diskPretty),
+    ip: afterEq(ipStr) || "N/A",
+    lastReportTime: lastReportTime || "N/A",
+    serviceStatus: serviceStatus || "N/A",
+    os: osStr || "N/A",
+    raw: parts,
+  };
+}
+
+/** Current thresholds from CONFIG. */
+function healthRules() {
+  const { diskThresholdGB, lastReportValue, lastReportUnit, checkServiceStatus } = CONFIG;
+  return {
+    diskThresholdGB: Number(diskThresholdGB),
+    lastReportValue,
+    lastReportUnit,
+    thresholdMs: getThresholdMilliseconds(lastReportValue, lastReportUnit),
+    checkServiceStatus: !!checkServiceStatus,
+  };
+}
+
+/** Issues for one parsed row; empty array means healthy. */
+function healthIssues(r, rules, userRole = "Admin") {
+  const issues = [];
+  const diskBad = r.diskGB != null && r.diskGB <= rules.diskThresholdGB;
+  const timeBad = isTimeUnhealthy(r.lastReportTime, rules.thresholdMs);
+
+  if (diskBad) issues.push(`Low Disk (${r.diskGB}GB)`);
+  if (timeBad) issues.push("Not Reporting");
+
+  const isWindows = String(r.os).toLowerCase().includes("win");
+
+  // Service status check is skipped for EUC users (prevents inflated error counts)
+  if (rules.checkServiceStatus && isWindows && userRole !== 'EUC' && r.serviceStatus.toLowerCase() !== "running") {
+    issues.push(`Service ${r.serviceStatus} (Window Update)`);
+  }
+  return issues;
+}
+
+/**
+ * Pre-flight readiness for a group's members, decided by policy:
+ *   off     - not evaluated
+ *   warn    - report only
+ *   block   - refuse the trigger if any member is unhealthy
+ *   exclude - leave unhealthy members out of the action (refused if none are left)
+ */
+async function runPreflight(ctx, { groupName, policy, userRole }) {
+  const effective = PREFLIGHT_POLICIES.includes(policy) ? policy : (CONFIG.preflightPolicy || "warn");
+  const report = {
+    policy: effective,
+    checkedAt: new Date().toISOString(),
+    total: 0, ready: 0, unhealthy: 0,
+    blocked: false,
+    excluded: [],
+    servers: [],
+  };
+  if (effective === "off") return report;
+
+  const rules = healthRules();
+  let tuples;
+  try {
+    tuples = await bigfixClient(ctx).queryRows(
+      healthRelevance(`members of bes computer group whose (name of it = "${relevanceString(groupName)}")`)
+    );
+  } catch (e) {
+    report.error = `Pre-flight query failed: ${e.message}`;
+    report.blocked = effective === "block";
+    if (report.blocked) report.message = report.error;
+    return report;
+  }
+
+  report.rules = { diskThresholdGB: rules.diskThresholdGB, lastReport: `${rules.lastReportValue} ${rules.lastReportUnit}`, checkServiceStatus: rules.checkServiceStatus };
+  report.servers = tuples.map(parseHealthTuple).map(r => {
+    const issues = healthIssues(r, rules, userRole);
+    return { server: r.server, os: r.os, disk: r.disk, lastReportTime: r.lastReportTime, serviceStatus: r.serviceStatus, ready: issues.length === 0, issues };
+  });
+  report.total = report.servers.length;
+  report.ready = report.servers.filter(s => s.ready).length;
+  report.unhealthy = report.total - report.ready;
+
+  const unhealthy = report.servers.filter(s => !s.ready).map(s => s.server);
+  if (effective === "block" && unhealthy.length) {
+    report.blocked = true;
+    report.message = `${unhealthy.length} of ${report.total} servers failed pre-flight: ${unhealthy.slice(0, 10).join(", ")}${unhealthy.length > 10 ? ", ..." : ""}`;
+  } else if (effective === "exclude" && unhealthy.length) {
+    report.excluded = unhealthy;
+    report.servers.forEach(s => { if (!s.ready) s.excluded = true; });
+    if (report.ready === 0) {
+      report.blocked = true;
+      report.message = `All ${report.total} servers failed pre-flight; nothing left to patch.`;
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  PREFLIGHT_POLICIES,
+  getThresholdMilliseconds,
+  isTimeUnhealthy,
+  healthRelevance,
+  parseHealthTuple,
+  healthRules,
+  healthIssues,
+  runPreflight,
+};
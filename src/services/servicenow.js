@@ -0,0 +1,227 @@
+// src/services/servicenow.js
+// ServiceNow: change requests (lookup/validation with the planned work window, affected CIs,
+// standard changes, work notes + attachments) and incidents. `serviceNowProvider` is its
+// change-provider implementation (see changeProvider.js).
+const https = require("https");
+const axios = require("axios");
+
+const NOT_FOUND = { ok: false, code: "NOT_FOUND_OR_FORBIDDEN", message: "Change Request doesn't exist or user doesn't have required privileges." };
+
+function snConnection(ctx) {
+  const { SN_URL, SN_USER, SN_PASSWORD, SN_ALLOW_SELF_SIGNED } = ctx.servicenow || {};
+  let base = (SN_URL || "").replace(/\/+$/, "");
+  if (/\/api\/now$/i.test(base)) base = base.replace(/\/api\/now$/i, "");
+  if (!base || !SN_USER || !SN_PASSWORD) return null;
+  return {
+    base,
+    auth: { username: SN_USER, password: SN_PASSWORD },
+    httpsAgent: new https.Agent({ rejectUnauthorized: !(String(SN_ALLOW_SELF_SIGNED).toLowerCase() === "true") }),
+  };
+}
+
+async function snCall(ctx, { method, path, data, headers }) {
+  const conn = snConnection(ctx);
+  if (!conn) throw new Error("ServiceNow env not configured");
+  const resp = await axios({
+    method, url: `${conn.base}${path}`, data,
+    httpsAgent: conn.httpsAgent, auth: conn.auth,
+    headers: { Accept: "application/json", ...(headers || {}) },
+    timeout: 30000,
+    validateStatus: () => true,
+  });
+  if (resp.status >= 300) {
+    const detail = resp.data?.error?.message || resp.statusText || "";
+    throw new Error(`ServiceNow ${method.toUpperCase()} ${path.split("?")[0]} failed: HTTP ${resp.status} ${detail}`.trim());
+  }
+  return resp.data?.result;
+}
+
+// sysparm_display_value=all gives { value, display_value }; `value` of a date is UTC "YYYY-MM-DD HH:mm:ss"
+const displayOf = (f) => (f && typeof f === "object" ? f.display_value : f) ?? "";
+const valueOf = (f) => (f && typeof f === "object" ? f.value : f) ?? "";
+
+// CMDB names are often FQDNs while BigFix reports the short host name (or the other way round)
+const hostKeys = (name) => {
+  const n = String(name || "").trim().toLowerCase();
+  return [n, n.split(".")[0]];
+};
+
+function parseSnDateTime(v) {
+  const m = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/.exec(String(v || "").trim());
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s] = m.map(Number);
+  return new Date(Date.UTC(y, mo - 1, d, h, mi, s)).toISOString();
+}
+
+/**
+ * Look up change `number`: ok only at Implement. `record` carries display values (as shown in
+ * ServiceNow), `window` the planned work_start/work_end as UTC ISO (null when not set).
+ */
+async function lookupChange(ctx, number) {
+  const conn = snConnection(ctx);
+  if (!conn) return { ok: false, code: "CONFIG", message: "ServiceNow env not configured" };
+  const resp = await axios.get(`${conn.base}/api/now/table/change_request`, {
+    params: {
+      sysparm_query: `number=${number}`,
+      sysparm_fields: "sys_id,number,state,stage,approval,work_start,work_end,cmdb_ci",
+      sysparm_display_value: "all",
+    },
+    httpsAgent: conn.httpsAgent, auth: conn.auth,
+    headers: { Accept: "application/json" },
+    timeout: 30000,
+    validateStatus: () => true,
+  });
+  if (resp.status === 401 || resp.status === 403) return NOT_FOUND;
+  let result = resp?.data?.result;
+  if (Array.isArray(result)) { /* ok */ }
+  else if (result && typeof result === "object") { result = [result]; }
+  else { result = []; }
+  if (result.length === 0) return NOT_FOUND;
+
+  const raw = result[0] || {};
+  const record = {
+    sys_id: valueOf(raw.sys_id), number: displayOf(raw.number), state: String(displayOf(raw.state)).trim(),
+    stage: displayOf(raw.stage), approval: displayOf(raw.approval),
+    work_start: displayOf(raw.work_start), work_end: displayOf(raw.work_end), cmdb_ci: displayOf(raw.cmdb_ci),
+  };
+  const window = { start: parseSnDateTime(valueOf(raw.work_start)), end: parseSnDateTime(valueOf(raw.work_end)) };
+  const hasWindow = !!(window.start || window.end);
+
+  if (!/^implement$/i.test(record.state)) {
+    return { ok: false, code: "NOT_IMPLEMENT", message: "Change Request is not at Implement stage.", id: record.sys_id, record, window: hasWindow ? window : null };
+  }
+  return { ok: true, exists: true, implement: true, id: record.sys_id, record, window: hasWindow ? window : null };
+}
+
+/** Names of the CHG's affected CIs: the task_ci list plus the change's own cmdb_ci. */
+async function getChangeCis(ctx, record) {
+  const rows = await snCall(ctx, {
+    method: "get",
+    path: `/api/now/table/task_ci?sysparm_query=task=${encodeURIComponent(record.sys_id)}&sysparm_fields=ci_item&sysparm_display_value=true&sysparm_limit=10000`,
+  });
+  const names = (rows || []).map(r => displayOf(r.ci_item)).filter(Boolean);
+  if (record.cmdb_ci) names.push(record.cmdb_ci);
+  return [...new Set(names.map(n => String(n).trim()))];
+}
+
+// UTC "YYYY-MM-DD HH:mm:ss", the internal format ServiceNow reads date/time values in
+const toSnDateTime = (iso) => new Date(iso).toISOString().slice(0, 19).replace("T", " ");
+
+/** Create a change from standard change template `templateId`; `fields` are change_request columns. */
+async function createStandardChange(ctx, templateId, fields) {
+  const result = await snCall(ctx, {
+    method: "post",
+    path: `/api/sn_chg_rest/change/standard/${encodeURIComponent(templateId)}`,
+    data: fields,
+    headers: { "Content-Type": "application/json" },
+  });
+  return { sysId: valueOf(result?.sys_id), number: displayOf(result?.number), state: displayOf(result?.state) };
+}
+
+/** cmdb_ci sys_ids for computer `names`; names are matched on the full and the short host name. */
+async function findCis(ctx, names) {
+  if (!names.length) return { matched: [], missing: [] };
+  const keys = [...new Set(names.flatMap(hostKeys))];
+  const rows = await snCall(ctx, {
+    method: "get",
+    path: `/api/now/table/cmdb_ci?sysparm_query=${encodeURIComponent(`nameIN${keys.join(",")}`)}&sysparm_fields=sys_id,name&sysparm_limit=10000`,
+  });
+  const byKey = new Map();
+  for (const r of rows || []) for (const k of hostKeys(r.name)) if (!byKey.has(k)) byKey.set(k, { sysId: r.sys_id, name: r.name });
+  const matched = [];
+  const missing = [];
+  for (const n of names) {
+    const ci = hostKeys(n).map(k => byKey.get(k)).find(Boolean);
+    if (ci) matched.push({ computer: n, ...ci });
+    else missing.push(n);
+  }
+  return { matched, missing };
+}
+
+/** Associate CIs as affected CIs of the change. */
+async function addAffectedCis(ctx, sysId, ciSysIds) {
+  if (!ciSysIds.length) return;
+  await snCall(ctx, {
+    method: "post",
+    path: `/api/sn_chg_rest/change/${encodeURIComponent(sysId)}/ci`,
+    data: { cmdb_ci_sys_ids: ciSysIds.join(","), association_type: "affected" },
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Walk a new standard change Scheduled → Implement. The template's state model decides whether
+ * that is allowed; a refused step is reported, not thrown ({ ok, state, error }).
+ */
+async function moveToImplement(ctx, sysId) {
+  let state = null;
+  for (const [value, label] of [["-2", "Scheduled"], ["-1", "Implement"]]) {
+    try {
+      const result = await snCall(ctx, {
+        method: "patch",
+        path: `/api/sn_chg_rest/change/standard/${encodeURIComponent(sysId)}`,
+        data: { state: value },
+        headers: { "Content-Type": "application/json" },
+      });
+      state = displayOf(result?.state) || label;
+    } catch (e) {
+      return { ok: false, state, error: `Could not move the change to ${label}: ${e.message}` };
+    }
+  }
+  return { ok: /^implement$/i.test(state), state };
+}
+
+/**
+ * Create an incident. Reference fields (assignment_group, cmdb_ci) are given by name and resolved
+ * by ServiceNow. Returns { number, sysId }.
+ */
+async function createIncident(ctx, fields) {
+  const result = await snCall(ctx, {
+    method: "post",
+    path: "/api/now/table/incident?sysparm_input_display_value=true&sysparm_fields=sys_id,number",
+    data: fields,
+    headers: { "Content-Type": "application/json" },
+  });
+  return { number: result?.number, sysId: result?.sys_id };
+}
+
+/** Append a work note to the change request with `sysId`. */
+async function addChangeWorkNote(ctx, sysId, text) {
+  await snCall(ctx, {
+    method: "patch",
+    path: `/api/now/table/change_request/${encodeURIComponent(sysId)}`,
+    data: { work_notes: text },
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/** Attach a file (the results CSV) to the change request with `sysId`. */
+async function attachToChange(ctx, sysId, fileName, content, contentType = "text/csv") {
+  const query = `table_name=change_request&table_sys_id=${encodeURIComponent(sysId)}&file_name=${encodeURIComponent(fileName)}`;
+  const result = await snCall(ctx, {
+    method: "post",
+    path: `/api/now/attachment/file?${query}`,
+    data: Buffer.from(String(content), "utf8"),
+    headers: { "Content-Type": contentType },
+  });
+  return result?.sys_id || null;
+}
+
+const serviceNowProvider = {
+  name: "servicenow",
+  label: "ServiceNow",
+  numberHint: "a change number starting with CHG",
+  isChangeNumber: (number) => /^CHG/i.test(String(number || "").trim()),
+  configured: (ctx) => !!snConnection(ctx),
+  validate: lookupChange,
+  getWindow: async (ctx, number) => (await lookupChange(ctx, number)).window || null,
+  addNote: addChangeWorkNote,
+  attachFile: attachToChange,
+  getAffectedCis: getChangeCis,
+};
+
+module.exports = {
+  snConnection, hostKeys, lookupChange,
+  getChangeCis, toSnDateTime, createStandardChange, findCis, addAffectedCis, moveToImplement, createIncident,
+  addChangeWorkNote, attachToChange, serviceNowProvider,
+};
@@ -0,0 +1,150 @@
+// src/services/triggerGuards.js
+// Replay protection for the trigger routes: Idempotency-Key handling and open-duplicate detection.
+const crypto = require("crypto");
+const { sql, getPool } = require("../db/mssql");
+const { bigfixClient } = require("./bigfix");
+const { isDryRun } = require("../utils/http");
+
+const KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const DUPLICATE_LOOKBACK_DAYS = 14;
+// BigFix is asked about at most this many of the newest matches
+const MAX_DUPLICATE_CANDIDATES = 10;
+
+const requestHash = (req) =>
+  crypto.createHash("sha256").update(`${req.method} ${req.path}\n${JSON.stringify(req.body || {})}`).digest("hex");
+
+/**
+ * Express middleware. With an `Idempotency-Key` header, the first request runs and its
+ * response is stored; a replay with the same key gets that stored response back instead of
+ * triggering again. 5xx responses, and responses that never went through res.json (a thrown
+ * handler, the error handler, res.send), are not kept, so a failed attempt can be retried.
+ * Dry runs have no side effects and pass straight through.
+ */
+function idempotent() {
+  return async (req, res, next) => {
+    const key = String(req.get("Idempotency-Key") || "").trim();
+    if (!key || isDryRun(req)) return next();
+    if (key.length > 255) return res.status(400).json({ ok: false, error: "Idempotency-Key must be at most 255 characters" });
+
+    const route = req.path;
+    const hash = requestHash(req);
+    let pool;
+    try {
+      pool = await getPool();
+      await pool.request()
+        .input("Key", sql.NVarChar(255), key)
+        .input("Route", sql.NVarChar(255), route)
+        .input("Hash", sql.Char(64), hash)
+        .query("INSERT INTO dbo.IdempotencyKey (IdemKey, Route, RequestHash, Status, CreatedAt) VALUES (@Key, @Route, @Hash, 'pending', SYSUTCDATETIME())");
+    } catch (e) {
+      if (e.number !== 2627 && e.number !== 2601) {
+        // Without the DB we can't dedupe; let the trigger run rather than block patching
+        console.warn(`[Idempotency] key store unavailable, continuing without it:`, e.message);
+        return next();
+      }
+
+      const r = await pool.request().input("Key", sql.NVarChar(255), key)
+        .query("SELECT Route, RequestHash, Status, ResponseStatus, ResponseBody FROM dbo.IdempotencyKey WHERE IdemKey = @Key");
+      const row = r.recordset[0];
+      if (!row) return next(); // expired between the insert and the read
+      if (row.Route !== route || row.RequestHash !== hash) {
+        return res.status(422).json({ ok: false, code: "IDEMPOTENCY_KEY_REUSED", error: "Idempotency-Key was already used for a different request" });
+      }
+      if (row.Status !== "done") {
+        return res.status(409).json({ ok: false, code: "IDEMPOTENCY_IN_PROGRESS", error: "A request with this Idempotency-Key is still in progress" });
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(row.ResponseStatus).json(JSON.parse(row.ResponseBody));
+    }
+
+    // First time for this key: remember whatever the handler answers
+    let settled = false;
+    const release = () => {
+      if (settled) return;
+      settled = true;
+      pool.request().input("Key", sql.NVarChar(255), key).query("DELETE FROM dbo.IdempotencyKey WHERE IdemKey = @Key")
+        .catch(e => console.warn(`[Idempotency] failed to release key ${key}:`, e.message));
+    };
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode;
+      if (status >= 500 || settled) {
+        release();
+      } else {
+        settled = true;
+        pool.request()
+          .input("Key", sql.NVarChar(255), key)
+          .input("Status", sql.Int, status)
+          .input("Body", sql.NVarChar(sql.MAX), JSON.stringify(body))
+          .query("UPDATE dbo.IdempotencyKey SET Status = 'done', ResponseStatus = @Status, ResponseBody = @Body, CompletedAt = SYSUTCDATETIME() WHERE IdemKey = @Key")
+          .catch(e => console.warn(`[Idempotency] failed to store response for key ${key}:`, e.message));
+      }
+      return json(body);
+    };
+    // Answered some other way (or the client went away first): free the key for a retry
+    res.on("finish", release);
+    res.on("close", release);
+    try {
+      await next();
+    } catch (e) {
+      release();
+      throw e;
+    }
+  };
+}
+
+/** Drop keys past their TTL; run hourly by startIdempotencyCleanup. */
+async function cleanupIdempotencyKeys() {
+  try {
+    const pool = await getPool();
+    const r = await pool.request()
+      .input("Ttl", sql.Int, KEY_TTL_HOURS)
+      .query("DELETE FROM dbo.IdempotencyKey WHERE CreatedAt < DATEADD(hour, -@Ttl, SYSUTCDATETIME())");
+    if (r.rowsAffected?.[0]) console.log(`[Idempotency] Cleanup: Deleted ${r.rowsAffected[0]} keys older than ${KEY_TTL_HOURS} hours.`);
+  } catch (e) {
+    console.warn("[Idempotency] Cleanup failed:", e.message);
+  }
+}
+
+function startIdempotencyCleanup() {
+  setInterval(cleanupIdempotencyKeys, 3_600_000);
+}
+
+/**
+ * Newest orchestrator action for the same baseline + group that BigFix still reports as Open.
+ * Stopped / superseded / past-end actions are skipped without asking BigFix.
+ */
+async function findOpenDuplicate(ctx, { baselineName, groupName }) {
+  const pool = await getPool();
+  // Filtered in SQL; playbook / rollback actions (kind) are not deployments, and no (or an
+  // unparseable) plannedEnd counts as still open
+  const r = await pool.request()
+    .input("Days", sql.Int, DUPLICATE_LOOKBACK_DAYS)
+    .input("Baseline", sql.NVarChar(4000), String(baselineName || ""))
+    .input("Group", sql.NVarChar(4000), String(groupName || ""))
+    .input("Max", sql.Int, MAX_DUPLICATE_CANDIDATES)
+    .query(`SELECT TOP (@Max) ActionID, Metadata, CreatedAt FROM dbo.ActionHistory
+            WHERE CreatedAt > DATEADD(day, -@Days, SYSUTCDATETIME())
+              AND JSON_VALUE(Metadata, '$.baselineName') = @Baseline AND JSON_VALUE(Metadata, '$.groupName') = @Group
+              AND JSON_VALUE(Metadata, '$.kind') IS NULL
+              AND JSON_VALUE(Metadata, '$.stoppedAt') IS NULL AND JSON_VALUE(Metadata, '$.supersededBy') IS NULL
+              AND ISNULL(TRY_CONVERT(DATETIME2, JSON_VALUE(Metadata, '$.plannedEnd'), 127), '9999-12-31') > SYSUTCDATETIME()
+            ORDER BY CreatedAt DESC`);
+
+  const candidates = r.recordset.map(row => {
+    let m = {};
+    try { m = JSON.parse(row.Metadata || "{}"); } catch { /* ids are enough */ }
+    return { actionId: String(row.ActionID), stage: m.stage, triggeredBy: m.triggeredBy, createdAt: row.CreatedAt };
+  });
+
+  const client = bigfixClient(ctx);
+  for (const c of candidates) {
+    try {
+      const { state } = await client.getActionStatus(c.actionId);
+      if (state === "open") return c;
+    } catch { /* gone from BigFix → not a duplicate */ }
+  }
+  return null;
+}
+
+module.exports = { idempotent, findOpenDuplicate, cleanupIdempotencyKeys, startIdempotencyCleanup };
@@ -346,7 +346,29 @@ const vcenterClient = (ctx) => {
     } catch (e) { return { ok: false, vmId, error: e.message }; }
   }
 
-  return { resolveTargets, createSnapshot, getTasksStatus, getRestInventory, cloneVm };
+  // --- REVERT: find the named snapshot in the VM's tree, then revert to it ---
+  async function revertToSnapshot(vmId, snapshotName) {
+    try {
+      const { propertyCollector } = await connectAndLogin();
+      const lookup = await postSoap(`<urn:RetrievePropertiesEx><urn:_this type="PropertyCollector">${propertyCollector}</urn:_this><urn:specSet><urn:propSet><urn:type>VirtualMachine</urn:type><urn:pathSet>snapshot.rootSnapshotList</urn:pathSet></urn:propSet><urn:objectSet><urn:obj type="VirtualMachine">${vmId}</urn:obj><urn:skip>false</urn:skip></urn:objectSet></urn:specSet><urn:options></urn:options></urn:RetrievePropertiesEx>`);
+      if (lookup.error) throw new Error(lookup.error);
+
+      // VirtualMachineSnapshotTree: <snapshot> MoRef, then <vm>, then <name>; the newest match wins
+      const nodeRe = /<(?:\w+:)?snapshot type="VirtualMachineSnapshot">([^<]+)<\/(?:\w+:)?snapshot>\s*<(?:\w+:)?vm[^>]*>[^<]*<\/(?:\w+:)?vm>\s*<(?:\w+:)?name>([^<]*)<\//gi;
+      let snapshotId = null;
+      let m;
+      while ((m = nodeRe.exec(lookup.data)) !== null) {
+        if (m[2].trim() === String(snapshotName).trim()) snapshotId = m[1];
+      }
+      if (!snapshotId) throw new Error(`Snapshot "${snapshotName}" not found on ${vmId}`);
+
+      const res = await postSoap(`<urn:RevertToSnapshot_Task><urn:_this type="VirtualMachineSnapshot">${snapshotId}</urn:_this><urn:suppressPowerOn>false</urn:suppressPowerOn></urn:RevertToSnapshot_Task>`);
+      if (res.error) throw new Error(res.error);
+      return { ok: true, vmId, snapshotId, taskId: extractVal(res.data, "returnval") };
+    } catch (e) { return { ok: false, vmId, error: e.message }; }
+  }
+
+  return { resolveTargets, createSnapshot, revertToSnapshot, getTasksStatus, getRestInventory, cloneVm };
 };
 
 module.exports = { vcenterClient };
\ No newline at end of file
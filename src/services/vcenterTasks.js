@@ -0,0 +1,76 @@
+// src/services/vcenterTasks.js
+// vCenter task states for the SnapshotHistory rows queued by snapshot / clone / revert. The watcher
+// polls the open ones server-side, so snapshot.completed fires whether or not a UI is watching.
+const { sql, getPool } = require("../db/mssql");
+const { vcenterClient } = require("./vcenter");
+const { emitEvent } = require("./webhooks");
+
+// A task vCenter no longer knows about stays "queued"; stop asking after a day
+const MAX_TASK_AGE_HOURS = 24;
+const TASKS_PER_TICK = 100;
+
+/**
+ * Fetch the state of `taskIds` and store it on their SnapshotHistory rows. Returns { taskId: state }
+ * (completed | failed | queued | running | unknown). A snapshot task is reported as snapshot.completed
+ * by whichever poll first moves its row to completed.
+ */
+async function refreshTasks(client, pool, taskIds) {
+  const statuses = await client.getTasksStatus(taskIds);
+  const simple = {};
+  for (const [tid, info] of Object.entries(statuses)) {
+    const st = info.state === 'success' ? 'completed' : info.state === 'error' ? 'failed' : info.state;
+    simple[tid] = st;
+    if (st === 'unknown') continue;
+
+    const req = pool.request().input('T', sql.NVarChar(100), tid).input('S', sql.NVarChar(50), st);
+    let q = "UPDATE dbo.SnapshotHistory SET Status=@S";
+    if (info.error) { req.input('E', sql.NVarChar(sql.MAX), info.error); q += ", Error=@E"; }
+    const upd = await req.query(q + " OUTPUT INSERTED.VmId, INSERTED.VmName, INSERTED.SnapshotName, INSERTED.Type, DELETED.Status AS PrevStatus WHERE TaskId=@T");
+    for (const row of upd.recordset || []) {
+      if (st === 'completed' && row.Type === 'Snapshot' && row.PrevStatus !== 'completed') {
+        emitEvent("snapshot.completed", { vmId: row.VmId, vmName: row.VmName, snapshotName: row.SnapshotName, taskId: tid });
+      }
+    }
+  }
+  return simple;
+}
+
+/** Task IDs of the recent rows still waiting on vCenter (clones without a task store the string "null"). */
+async function openTaskIds(pool) {
+  const r = await pool.request()
+    .input('Hours', sql.Int, MAX_TASK_AGE_HOURS)
+    .input('Limit', sql.Int, TASKS_PER_TICK)
+    .query(`SELECT DISTINCT TOP (@Limit) TaskId FROM dbo.SnapshotHistory
+            WHERE Status IN ('queued', 'running') AND TaskId IS NOT NULL AND TaskId <> 'null'
+              AND CreatedAt >= DATEADD(hour, -@Hours, SYSUTCDATETIME())`);
+  return r.recordset.map(row => row.TaskId);
+}
+
+/** One watcher tick; resolves with the number of tasks looked up. */
+async function pollOpenTasks(vcenterCtx) {
+  const pool = await getPool();
+  const taskIds = await openTaskIds(pool);
+  if (!taskIds.length) return 0;
+  await refreshTasks(vcenterClient(vcenterCtx), pool, taskIds);
+  return taskIds.length;
+}
+
+function startVcenterTaskWatcher(vcenterCtx, { intervalMs = 60_000 } = {}) {
+  if (!(vcenterCtx.VCENTER_URL || vcenterCtx.vcenter?.VCENTER_URL)) return;
+  const pollMs = Math.max(10_000, Number(intervalMs) || 60_000);
+  let running = false;
+  setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await pollOpenTasks(vcenterCtx);
+    } catch (e) {
+      console.warn("[VCenterTasks] watcher error:", e?.message || e);
+    } finally {
+      running = false;
+    }
+  }, pollMs);
+  console.log(`[VCenterTasks] Task watcher started. Polling every ${pollMs}ms.`);
+}
+
+module.exports = { refreshTasks, pollOpenTasks, startVcenterTaskWatcher };
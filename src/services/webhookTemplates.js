@@ -0,0 +1,176 @@
+// src/services/webhookTemplates.js
+// Webhook event catalogue: the JSON schema of the event envelope (format "json"), and the
+// Teams (Adaptive Card) / Slack (Block Kit) messages the same events are rendered as.
+
+const WEBHOOK_EVENTS = {
+  "action.triggered": "A baseline action was posted to BigFix",
+  "action.expired": "A deployment's action expired; its results are final",
+  "stage.promoted": "A pipeline stage was promoted (gate passed or forced)",
+  "health.threshold_breached": "Pre-flight found servers over the health thresholds",
+  "snapshot.completed": "A vCenter snapshot finished",
+};
+// Sent by POST /api/webhooks/:id/test only
+const TEST_EVENT = "webhook.test";
+
+const WEBHOOK_FORMATS = ["json", "teams", "slack"];
+
+const str = { type: "string" };
+const strOrNull = { type: ["string", "null"] };
+
+/** JSON Schema (draft 2020-12) of the body posted in format "json", per event type. */
+const EVENT_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: "urn:bigfix-patch-orchestrator:webhook-event:v1",
+  title: "Patch Orchestrator webhook event",
+  type: "object",
+  required: ["id", "type", "version", "occurredAt", "source", "data"],
+  properties: {
+    id: { ...str, description: "Unique event id; the same on every delivery attempt" },
+    type: { enum: [...Object.keys(WEBHOOK_EVENTS), TEST_EVENT] },
+    version: { const: 1 },
+    occurredAt: { ...str, format: "date-time" },
+    source: { const: "bigfix-patch-orchestrator" },
+    data: { type: "object" },
+  },
+  allOf: [
+    {
+      if: { properties: { type: { const: "action.triggered" } } },
+      then: { properties: { data: {
+        type: "object",
+        required: ["actionId", "stage", "baselineName", "groupName"],
+        properties: {
+          actionId: str, stage: str, title: str, baselineName: str, groupName: str, triggeredBy: strOrNull,
+          plannedStart: strOrNull, effectiveStart: strOrNull, effectiveEnd: strOrNull, timeZone: strOrNull,
+          chgNumber: strOrNull, batchId: strOrNull,
+          excludedComputers: { type: "array", items: str },
+        },
+      } } },
+    },
+    {
+      if: { properties: { type: { const: "action.expired" } } },
+      then: { properties: { data: {
+        type: "object",
+        required: ["actionId", "stage", "baselineName", "groupName", "results"],
+        properties: {
+          actionId: str, stage: str, baselineName: str, groupName: str, chgNumber: strOrNull, batchId: strOrNull,
+          results: {
+            type: "object",
+            properties: { total: { type: "integer" }, succeeded: { type: "integer" }, failed: { type: "integer" }, failedServers: { type: "array", items: str } },
+          },
+        },
+      } } },
+    },
+    {
+      if: { properties: { type: { const: "stage.promoted" } } },
+      then: { properties: { data: {
+        type: "object",
+        required: ["pipelineId", "pipelineName", "stage", "stageIndex", "baselineName", "actionId"],
+        properties: {
+          pipelineId: { type: "integer" }, pipelineName: str, stage: str, stageIndex: { type: "integer" },
+          baselineName: str, actionId: str, previousActionId: strOrNull,
+          forced: { type: "boolean" }, requestedBy: strOrNull, gateReasons: { type: "array", items: str },
+        },
+      } } },
+    },
+    {
+      if: { properties: { type: { const: "health.threshold_breached" } } },
+      then: { properties: { data: {
+        type: "object",
+        required: ["groupName", "policy", "total", "unhealthy", "servers"],
+        properties: {
+          groupName: str, stage: strOrNull, baselineName: strOrNull, policy: str, blocked: { type: "boolean" },
+          total: { type: "integer" }, unhealthy: { type: "integer" }, rules: { type: "object" },
+          servers: { type: "array", items: { type: "object", properties: { server: str, issues: { type: "array", items: str } } } },
+        },
+      } } },
+    },
+    {
+      if: { properties: { type: { const: "snapshot.completed" } } },
+      then: { properties: { data: {
+        type: "object",
+        required: ["vmId", "vmName", "snapshotName"],
+        properties: { vmId: str, vmName: str, snapshotName: str, taskId: strOrNull },
+      } } },
+    },
+  ],
+};
+
+/* ------------------------- cards ------------------------- */
+function summaryOf(event) {
+  const d = event.data || {};
+  switch (event.type) {
+    case "action.triggered":
+      return {
+        title: `${d.stage} action ${d.actionId} triggered`,
+        text: `${d.baselineName} on ${d.groupName}`,
+        facts: [["Triggered by", d.triggeredBy], ["Window", d.effectiveEnd ? `${d.effectiveStart} – ${d.effectiveEnd} (UTC)` : null], ["Change", d.chgNumber], ["Excluded", d.excludedComputers?.length ? d.excludedComputers.join(", ") : null]],
+      };
+    case "action.expired":
+      return {
+        title: `${d.stage} action ${d.actionId} expired`,
+        text: `${d.baselineName} on ${d.groupName}: ${d.results?.succeeded ?? 0} of ${d.results?.total ?? 0} results succeeded`,
+        facts: [["Failed", d.results?.failed ? `${d.results.failed} (${(d.results.failedServers || []).slice(0, 10).join(", ")})` : "0"], ["Change", d.chgNumber]],
+      };
+    case "stage.promoted":
+      return {
+        title: `Pipeline ${d.pipelineName}: promoted to ${d.stage}${d.forced ? " (forced)" : ""}`,
+        text: `${d.baselineName} → action ${d.actionId}`,
+        facts: [["Requested by", d.requestedBy], ["Previous action", d.previousActionId], ["Gate overridden", d.forced ? (d.gateReasons || []).join("; ") : null]],
+      };
+    case "health.threshold_breached":
+      return {
+        title: `${d.unhealthy} of ${d.total} servers in ${d.groupName} failed pre-flight`,
+        text: d.blocked ? "The trigger was refused." : `Policy: ${d.policy}`,
+        facts: (d.servers || []).slice(0, 10).map(s => [s.server, (s.issues || []).join(", ")]),
+      };
+    case "snapshot.completed":
+      return { title: `Snapshot ${d.snapshotName} completed`, text: `VM ${d.vmName}`, facts: [["VM id", d.vmId], ["Task", d.taskId]] };
+    default:
+      return { title: `Webhook test from Patch Orchestrator`, text: d.message || "", facts: [] };
+  }
+}
+
+const factList = (facts) => facts.filter(([, v]) => v != null && v !== "").map(([k, v]) => [k, String(v)]);
+
+function teamsCard(event) {
+  const s = summaryOf(event);
+  return {
+    type: "message",
+    attachments: [{
+      contentType: "application/vnd.microsoft.card.adaptive",
+      content: {
+        $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+        type: "AdaptiveCard",
+        version: "1.4",
+        body: [
+          { type: "TextBlock", text: s.title, weight: "Bolder", size: "Medium", wrap: true },
+          { type: "TextBlock", text: s.text, wrap: true, spacing: "Small" },
+          { type: "FactSet", facts: factList(s.facts).map(([title, value]) => ({ title, value })) },
+          { type: "TextBlock", text: `${event.type} · ${event.occurredAt}`, isSubtle: true, size: "Small", wrap: true },
+        ],
+      },
+    }],
+  };
+}
+
+function slackMessage(event) {
+  const s = summaryOf(event);
+  const facts = factList(s.facts);
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: s.title.slice(0, 150) } },
+    { type: "section", text: { type: "mrkdwn", text: s.text || " " } },
+  ];
+  // A section holds at most 10 fields
+  if (facts.length) blocks.push({ type: "section", fields: facts.slice(0, 10).map(([k, v]) => ({ type: "mrkdwn", text: `*${k}*\n${v}` })) });
+  blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `${event.type} · ${event.occurredAt}` }] });
+  return { text: s.title, blocks };
+}
+
+/** Request body for a webhook in `format`. */
+function renderEvent(format, event) {
+  if (format === "teams") return teamsCard(event);
+  if (format === "slack") return slackMessage(event);
+  return event;
+}
+
+module.exports = { WEBHOOK_EVENTS, TEST_EVENT, WEBHOOK_FORMATS, EVENT_SCHEMA, renderEvent };
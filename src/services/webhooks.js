@@ -0,0 +1,323 @@
+// src/services/webhooks.js
+// Outbound webhooks: admins register endpoints (dbo.Webhook) with the events they want; every
+// event becomes one row per subscriber in dbo.WebhookDelivery, which the worker posts (HMAC-signed
+// when the webhook has a secret) and retries with backoff until it is delivered or dead.
+const crypto = require("crypto");
+const axios = require("axios");
+const { CONFIG } = require("../state/store");
+const { sql, getPool } = require("../db/mssql");
+const { WEBHOOK_EVENTS, TEST_EVENT, WEBHOOK_FORMATS, renderEvent } = require("./webhookTemplates");
+const { classifyStatus } = require("./resultStatus");
+
+const DELIVERY_STATES = ["pending", "sending", "delivered", "failed", "dead"];
+const MAX_ATTEMPTS = 6;
+const BACKOFF_BASE_MS = 30_000;
+const BACKOFF_MAX_MS = 3_600_000;
+const LEASE_SECONDS = 60;
+const DELIVERIES_PER_TICK = 50;
+const REQUEST_TIMEOUT_MS = 10_000;
+const MAX_LOGGED_BODY = 2000;
+
+/* ---------------------- registrations ---------------------- */
+/** Validate + normalize a webhook from the request body; `existing` keeps its secret unless replaced. */
+function normalizeWebhook(w, existing = null) {
+  const name = String(w?.name || "").trim();
+  if (!name) return { error: "name is required" };
+  const url = String(w.url || "").trim();
+  let parsed;
+  try { parsed = new URL(url); } catch { return { error: "url must be an absolute http(s) URL" }; }
+  if (!/^https?:$/.test(parsed.protocol)) return { error: "url must be an absolute http(s) URL" };
+
+  const events = Array.isArray(w.events) ? [...new Set(w.events.map(e => String(e).trim()))] : [];
+  if (!events.length) return { error: "events must be a non-empty array (or [\"*\"] for all events)" };
+  const unknown = events.filter(e => e !== "*" && !WEBHOOK_EVENTS[e]);
+  if (unknown.length) return { error: `Unknown events: ${unknown.join(", ")}. Known: ${Object.keys(WEBHOOK_EVENTS).join(", ")}` };
+
+  const format = String(w.format || "json").toLowerCase();
+  if (!WEBHOOK_FORMATS.includes(format)) return { error: `format must be one of: ${WEBHOOK_FORMATS.join(", ")}` };
+
+  // secret: omitted keeps the current one (a new json webhook gets one), "" removes it, true rotates it
+  let secret = existing?.secret || null;
+  if (w.secret === true || (w.secret === undefined && !existing && format === "json")) secret = crypto.randomBytes(32).toString("hex");
+  else if (w.secret !== undefined) secret = String(w.secret || "") || null;
+
+  return {
+    webhook: {
+      name, url, format, secret,
+      events: events.includes("*") ? ["*"] : events,
+      enabled: w.enabled === undefined ? true : ["true", "1", "yes", "on", true, 1].includes(String(w.enabled).toLowerCase()),
+    },
+  };
+}
+
+function toWebhook(row) {
+  let events = [];
+  try { events = JSON.parse(row.Events || "[]"); } catch { /* keep empty */ }
+  return {
+    id: row.Id, name: row.Name, url: row.Url, format: row.Format, events, enabled: !!row.Enabled,
+    secret: row.Secret || null, ownerRole: row.CreatedByRole, createdAt: row.CreatedAt, updatedAt: row.UpdatedAt,
+  };
+}
+
+/** The webhook as returned by the API: the secret is only shown when it is created or rotated. */
+const publicWebhook = ({ secret, ...hook }) => ({ ...hook, signed: !!secret });
+
+async function loadWebhook(id, pool) {
+  pool = pool || await getPool();
+  const r = await pool.request().input('Id', sql.Int, Number(id))
+    .query("SELECT Id, Name, Url, Secret, Events, Format, Enabled, CreatedByRole, CreatedAt, UpdatedAt FROM dbo.Webhook WHERE Id = @Id");
+  return r.recordset.length ? toWebhook(r.recordset[0]) : null;
+}
+
+async function listWebhooks(pool) {
+  pool = pool || await getPool();
+  const r = await pool.request().query("SELECT Id, Name, Url, Secret, Events, Format, Enabled, CreatedByRole, CreatedAt, UpdatedAt FROM dbo.Webhook ORDER BY Name");
+  return r.recordset.map(toWebhook);
+}
+
+const subscribes = (hook, type) => hook.enabled && (hook.events.includes("*") || hook.events.includes(type));
+
+/* ------------------------- events -------------------------- */
+function buildEvent(type, data) {
+  return { id: crypto.randomUUID(), type, version: 1, occurredAt: new Date().toISOString(), source: "bigfix-patch-orchestrator", data: data || {} };
+}
+
+async function insertDelivery(pool, hook, event) {
+  const r = await pool.request()
+    .input('WebhookId', sql.Int, hook.id)
+    .input('EventId', sql.NVarChar(64), event.id)
+    .input('EventType', sql.NVarChar(100), event.type)
+    .input('Payload', sql.NVarChar(sql.MAX), JSON.stringify(event))
+    .query(`INSERT INTO dbo.WebhookDelivery (WebhookId, EventId, EventType, Payload, State, NextRunAt, CreatedAt, UpdatedAt)
+            OUTPUT INSERTED.Id
+            VALUES (@WebhookId, @EventId, @EventType, @Payload, 'pending', SYSUTCDATETIME(), SYSUTCDATETIME(), SYSUTCDATETIME())`);
+  return r.recordset[0]?.Id;
+}
+
+/**
+ * Queue event `type` for every enabled webhook subscribed to it. Throws on DB errors (for callers
+ * that retry, like the post-patch job); returns the number of deliveries queued.
+ */
+async function queueEvent(type, data) {
+  if (!WEBHOOK_EVENTS[type]) throw new Error(`Unknown webhook event: ${type}`);
+  const pool = await getPool();
+  const hooks = (await listWebhooks(pool)).filter(h => subscribes(h, type));
+  if (!hooks.length) return 0;
+
+  const event = buildEvent(type, data);
+  for (const hook of hooks) await insertDelivery(pool, hook, event);
+  setImmediate(() => { runDeliveries().catch(e => console.warn("[Webhooks] delivery run failed:", e.message)); });
+  return hooks.length;
+}
+
+/** Fire-and-forget variant for request handlers: an event never fails the request that raised it. */
+function emitEvent(type, data) {
+  return queueEvent(type, data).catch(e => {
+    console.warn(`[Webhooks] FAILED to queue ${type}:`, e.message);
+    return 0;
+  });
+}
+
+/** Whether any enabled webhook wants `type` (lets the post-patch watcher skip actions nobody follows). */
+async function hasSubscribers(type, pool) {
+  return (await listWebhooks(pool)).some(h => subscribes(h, type));
+}
+
+/* --------------------- event payloads ---------------------- */
+/** action.triggered data from the metadata saved to ActionHistory. */
+const actionTriggeredData = (m) => ({
+  actionId: String(m.id), stage: m.stage, title: m.title, baselineName: m.baselineName, groupName: m.groupName,
+  triggeredBy: m.triggeredBy || null, plannedStart: m.plannedStart || null, effectiveStart: m.effectiveStart || null,
+  effectiveEnd: m.effectiveEnd || null, timeZone: m.timeZone || null, chgNumber: m.chgNumber || null, batchId: m.batchId || null,
+  excludedComputers: m.excludedComputers || [],
+});
+
+/** action.expired data: the deployment plus a summary of its final results. */
+function actionExpiredData(actionId, entry, resultRows) {
+  const rows = (resultRows || []).filter(r => r.server && r.server !== "N/A");
+  const failed = rows.filter(r => classifyStatus(r.status) === "failed");
+  return {
+    actionId: String(actionId), stage: entry.stage, baselineName: entry.baselineName, groupName: entry.groupName,
+    chgNumber: entry.chgNumber || null, batchId: entry.batchId || null,
+    results: {
+      total: rows.length,
+      succeeded: rows.filter(r => classifyStatus(r.status) === "succeeded").length,
+      failed: failed.length,
+      failedServers: [...new Set(failed.map(r => r.server))],
+    },
+  };
+}
+
+/** health.threshold_breached for a pre-flight report with unhealthy servers (nothing otherwise). */
+function emitHealthBreach(preflight, { groupName, stage, baselineName } = {}) {
+  if (!preflight?.unhealthy) return Promise.resolve(0);
+  return emitEvent("health.threshold_breached", {
+    groupName, stage: stage || null, baselineName: baselineName || null,
+    policy: preflight.policy, blocked: !!preflight.blocked, total: preflight.total, unhealthy: preflight.unhealthy,
+    rules: preflight.rules || {},
+    servers: preflight.servers.filter(s => !s.ready).map(s => ({ server: s.server, issues: s.issues })),
+  });
+}
+
+/* ------------------------ delivery ------------------------- */
+/** Hex HMAC-SHA256 over "<timestamp>.<body>"; receivers recompute it with the shared secret. */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/** POST one event to `hook`; never throws. Returns { ok, status, body, error, durationMs }. */
+async function postEvent(hook, event, deliveryId) {
+  const body = JSON.stringify(renderEvent(hook.format, event));
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "BigFix-Patch-Orchestrator-Webhooks/1",
+    "X-Orchestrator-Event": event.type,
+    "X-Orchestrator-Event-Id": event.id,
+    "X-Orchestrator-Delivery": String(deliveryId ?? ""),
+    "X-Orchestrator-Timestamp": String(timestamp),
+  };
+  if (hook.secret) headers["X-Orchestrator-Signature"] = `sha256=${signPayload(hook.secret, timestamp, body)}`;
+
+  const started = Date.now();
+  try {
+    const resp = await axios.post(hook.url, body, {
+      headers, timeout: REQUEST_TIMEOUT_MS, maxRedirects: 0,
+      responseType: "text", transformResponse: (d) => d,
+      validateStatus: () => true,
+    });
+    const ok = resp.status >= 200 && resp.status < 300;
+    return { ok, status: resp.status, body: String(resp.data ?? "").slice(0, MAX_LOGGED_BODY), error: ok ? null : `HTTP ${resp.status}`, durationMs: Date.now() - started };
+  } catch (e) {
+    return { ok: false, status: null, body: null, error: e.code ? `${e.code}: ${e.message}` : e.message, durationMs: Date.now() - started };
+  }
+}
+
+/** Take the next due delivery (or one stuck in "sending" past its lease); null when idle. */
+async function claimDelivery(pool) {
+  const r = await pool.request()
+    .input('Lease', sql.Int, LEASE_SECONDS)
+    .query(`
+      WITH next AS (
+        SELECT TOP (1) * FROM dbo.WebhookDelivery WITH (UPDLOCK, READPAST, ROWLOCK)
+        WHERE (State IN ('pending', 'failed') AND NextRunAt <= SYSUTCDATETIME())
+           OR (State = 'sending' AND LeaseUntil < SYSUTCDATETIME())
+        ORDER BY NextRunAt
+      )
+      UPDATE next SET State = 'sending', LeaseUntil = DATEADD(second, @Lease, SYSUTCDATETIME()), UpdatedAt = SYSUTCDATETIME()
+      OUTPUT INSERTED.Id, INSERTED.WebhookId, INSERTED.Payload, INSERTED.Attempts`);
+  return r.recordset[0] || null;
+}
+
+async function recordAttempt(pool, delivery, result) {
+  const attempts = delivery.Attempts + 1;
+  const dead = !result.ok && attempts >= MAX_ATTEMPTS;
+  const state = result.ok ? "delivered" : dead ? "dead" : "failed";
+  const delayMs = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempts - 1));
+  await pool.request()
+    .input('Id', sql.Int, delivery.Id)
+    .input('State', sql.NVarChar(20), state)
+    .input('Attempts', sql.Int, attempts)
+    .input('Status', sql.Int, result.status)
+    .input('Body', sql.NVarChar(sql.MAX), result.body)
+    .input('Error', sql.NVarChar(sql.MAX), result.error)
+    .input('Duration', sql.Int, result.durationMs)
+    .input('Delay', sql.Int, Math.ceil(delayMs / 1000))
+    .query(`UPDATE dbo.WebhookDelivery SET State = @State, Attempts = @Attempts, ResponseStatus = @Status, ResponseBody = @Body,
+              LastError = @Error, DurationMs = @Duration, LeaseUntil = NULL, UpdatedAt = SYSUTCDATETIME(),
+              DeliveredAt = CASE WHEN @State = 'delivered' THEN SYSUTCDATETIME() ELSE DeliveredAt END,
+              NextRunAt = CASE WHEN @State = 'failed' THEN DATEADD(second, @Delay, SYSUTCDATETIME()) ELSE NextRunAt END
+            WHERE Id = @Id`);
+  return { state, attempts };
+}
+
+async function deliverOne(pool, delivery, hooks) {
+  let event;
+  try { event = JSON.parse(delivery.Payload); } catch { event = null; }
+  const hook = hooks.get(delivery.WebhookId) || await loadWebhook(delivery.WebhookId, pool);
+  if (hook) hooks.set(hook.id, hook);
+
+  const result = !event ? { ok: false, status: null, body: null, error: "Stored payload is not valid JSON", durationMs: 0 }
+    : !hook ? { ok: false, status: null, body: null, error: "Webhook was deleted", durationMs: 0 }
+    : !hook.enabled ? { ok: false, status: null, body: null, error: "Webhook is disabled", durationMs: 0 }
+    : await postEvent(hook, event, delivery.Id);
+  // Nothing to retry against a bad payload / missing or disabled webhook
+  if (!event || !hook || !hook.enabled) delivery.Attempts = MAX_ATTEMPTS - 1;
+
+  const { state, attempts } = await recordAttempt(pool, delivery, result);
+  if (state !== "delivered") {
+    console.warn(`[Webhooks] Delivery ${delivery.Id} (${event?.type || "?"} → ${hook?.name || delivery.WebhookId}) ${state} after attempt ${attempts}: ${result.error}`);
+  }
+}
+
+let deliveriesRunning = false;
+/** Post every due delivery; a second call while one is running is a no-op. */
+async function runDeliveries() {
+  if (deliveriesRunning) return;
+  deliveriesRunning = true;
+  try {
+    const pool = await getPool();
+    const hooks = new Map();
+    for (let n = 0; n < DELIVERIES_PER_TICK; n++) {
+      const delivery = await claimDelivery(pool);
+      if (!delivery) break;
+      await deliverOne(pool, delivery, hooks);
+    }
+  } finally {
+    deliveriesRunning = false;
+  }
+}
+
+/** Send a test event to `hook` right away; logged like any other delivery. */
+async function sendTestEvent(hook, { triggeredBy } = {}) {
+  const pool = await getPool();
+  const event = buildEvent(TEST_EVENT, { message: `Test event for webhook "${hook.name}"`, triggeredBy: triggeredBy || null });
+  const id = await insertDelivery(pool, hook, event);
+  await pool.request().input('Id', sql.Int, id).query("UPDATE dbo.WebhookDelivery SET State = 'sending', LeaseUntil = DATEADD(second, 60, SYSUTCDATETIME()) WHERE Id = @Id");
+  const result = await postEvent(hook, event, id);
+  // A test is sent once; a failure is final
+  await recordAttempt(pool, { Id: id, Attempts: result.ok ? 0 : MAX_ATTEMPTS - 1 }, result);
+  return { deliveryId: id, event, ...result };
+}
+
+/** Queue a delivery (dead, failed or delivered) again with a fresh set of attempts. */
+async function redeliver(id) {
+  const pool = await getPool();
+  const r = await pool.request()
+    .input('Id', sql.Int, Number(id))
+    .query(`UPDATE dbo.WebhookDelivery SET State = 'pending', Attempts = 0, NextRunAt = SYSUTCDATETIME(), LeaseUntil = NULL, UpdatedAt = SYSUTCDATETIME()
+            WHERE Id = @Id AND State IN ('dead', 'failed', 'delivered')`);
+  const queued = (r.rowsAffected?.[0] || 0) > 0;
+  if (queued) setImmediate(() => { runDeliveries().catch(e => console.warn("[Webhooks] delivery run failed:", e.message)); });
+  return queued;
+}
+
+async function cleanupDeliveries() {
+  const retentionDays = Number(CONFIG.postpatchRetentionDays || 30);
+  if (retentionDays <= 0) return;
+  try {
+    const pool = await getPool();
+    const r = await pool.request()
+      .input('RetentionDays', sql.Int, retentionDays)
+      .query("DELETE FROM dbo.WebhookDelivery WHERE State IN ('delivered', 'dead') AND CreatedAt < DATEADD(day, -@RetentionDays, SYSUTCDATETIME())");
+    if (r.rowsAffected?.[0]) console.log(`[Webhooks] Cleanup: Deleted ${r.rowsAffected[0]} deliveries older than ${retentionDays} days.`);
+  } catch (e) {
+    console.warn("[Webhooks] Cleanup failed:", e.message);
+  }
+}
+
+function startWebhookWorker({ intervalMs = 30_000 } = {}) {
+  const pollMs = Math.max(5_000, Number(intervalMs) || 30_000);
+  setInterval(() => {
+    runDeliveries().catch(e => console.warn("[Webhooks] worker error:", e?.message || e));
+  }, pollMs);
+  setInterval(cleanupDeliveries, 3_600_000);
+  console.log(`[Webhooks] Delivery worker started. Polling every ${pollMs}ms.`);
+}
+
+module.exports = {
+  DELIVERY_STATES,
+  normalizeWebhook, publicWebhook, loadWebhook, listWebhooks,
+  queueEvent, emitEvent, hasSubscribers, actionTriggeredData, actionExpiredData, emitHealthBreach,
+  signPayload, sendTestEvent, redeliver, startWebhookWorker,
+};
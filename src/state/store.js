@@ -14,7 +14,27 @@ const CONFIG = {
   checkServiceStatus: false,
   // New flags
   snapshotVM: false, 
-  cloneVM: false
+  cloneVM: false,
+  // Pre-flight readiness on triggers: off | warn | block | exclude
+  preflightPolicy: "warn",
+  // PatchSchedule windows on triggers: off | warn | refuse | defer
+  maintenanceWindowPolicy: "warn",
+  maintenanceWindowHours: 4,
+  // Zone the PatchSchedule dates/times are written in (IANA name, DST-aware)
+  maintenanceWindowTimeZone: "UTC",
+  // Change validation / write-back: servicenow | jsm (Jira Service Management)
+  changeProvider: "servicenow",
+  // Post-patch job attempts before it is dead-lettered
+  postPatchMaxAttempts: 5,
+  // Patch window outside the CHG's work_start..work_end: off | reject | clamp
+  chgWindowPolicy: "reject",
+  // Group members that aren't affected CIs on the CHG: off | warn | block | trim
+  chgCiPolicy: "warn",
+  // ServiceNow incidents for failed servers after an action expires: off | per-server | per-action
+  incidentMode: "off",
+  // Owning role of the BigFix group → ServiceNow assignment group (fallback: incidentDefaultAssignmentGroup)
+  incidentAssignmentGroups: {},
+  incidentDefaultAssignmentGroup: ""
 };
 
 module.exports = { actionStore, CONFIG };
\ No newline at end of file
@@ -13,7 +13,12 @@ function escapeHtml(s) {
     .replace(/>/g, "&gt;");
 }
 
+/** ?dryRun=true (or body.dryRun) → preview only, nothing is posted. */
+function isDryRun(req) {
+  const v = req.query?.dryRun ?? req.body?.dryRun;
+  return ["true", "1", "yes", "on"].includes(String(v).toLowerCase());
+}
 
 
 
-module.exports = { joinUrl, toLowerSafe, splitEmails, escapeHtml };
+module.exports = { joinUrl, toLowerSafe, splitEmails, escapeHtml, isDryRun };
@@ -0,0 +1,207 @@
+// src/utils/time.js
+// Patch-window / schedule helpers shared by the trigger routes.
+
+function getPatchWindowMs(patchWindow) {
+  if (patchWindow && typeof patchWindow === "object") {
+    const d = Number(patchWindow.days) || 0;
+    const h = Number(patchWindow.hours) || 0;
+    const m = Number(patchWindow.minutes) || 0;
+    return d * 86400000 + h * 3600000 + m * 60000;
+  }
+  const legacyHours = Number(patchWindow);
+  if (Number.isFinite(legacyHours) && legacyHours > 0) {
+    return legacyHours * 3600000;
+  }
+  return 0;
+}
+
+function msToXSDuration(ms) {
+  if (!Number.isFinite(ms) || ms === 0) return "PT0S";
+  const neg = ms < 0;
+  let t = Math.abs(ms);
+  const totalSeconds = Math.floor(t / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  let rem = totalSeconds % 86400;
+  const hours = Math.floor(rem / 3600);
+  rem = rem % 3600;
+  const minutes = Math.floor(rem / 60);
+  const seconds = rem % 60;
+  let out = "";
+  if (days) out += `${days}D`;
+  const timeParts = [];
+  if (hours) timeParts.push(`${hours}H`);
+  if (minutes) timeParts.push(`${minutes}M`);
+  if (seconds) timeParts.push(`${seconds}S`);
+  if (timeParts.length) out += `T${timeParts.join("")}`;
+  else if (!days) out = "T0S";
+  return (neg ? "-" : "") + "P" + out;
+}
+
+function localUtcOffsetMs() {
+  const offsetMin = new Date().getTimezoneOffset();
+  return -offsetMin * 60000;
+}
+
+const isOffsetZone = (tz) => /^(UTC|GMT|Z)$/i.test(tz) || /^[+-]\d{2}:?\d{2}$/.test(tz);
+
+/** Canonical IANA name for `tz` (e.g. "Europe/Berlin"), or null if the runtime doesn't know it. */
+function resolveTimeZone(tz) {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: String(tz).trim() }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+/** Wall-clock fields of instant `ms` in IANA zone `timeZone`. */
+function zonedFields(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return { year: get("year"), month: get("month"), day: get("day"), hour: get("hour"), minute: get("minute"), second: get("second") };
+}
+
+/** UTC offset of `timeZone` at instant `ms`, DST included. */
+function zoneOffsetMs(timeZone, ms) {
+  const f = zonedFields(ms, timeZone);
+  return Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Instant for a wall-clock time in `timeZone`. Times skipped by a DST jump resolve
+ * forward; repeated times resolve to the first occurrence.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const before = wall - zoneOffsetMs(timeZone, wall - 86400000);
+  const after = wall - zoneOffsetMs(timeZone, wall + 86400000);
+  const matches = (ms) => zoneOffsetMs(timeZone, ms) === wall - ms;
+  if (matches(before)) return before;
+  if (matches(after)) return after;
+  return before; // in the gap: the pre-jump offset lands just after it
+}
+
+/**
+ * Parse an absolute time. A value without its own zone designator is read in `timeZone`:
+ * "UTC", an offset like "+05:30", or an IANA name like "Europe/Berlin" (DST-aware).
+ * Without either, server local time. Returns { date } or { error }.
+ */
+function parseZonedTime(value, timeZone, label = "time") {
+  let s = String(value || "").trim();
+  if (!s) return { error: `${label} is empty` };
+
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(s) && /T/.test(s);
+  if (!hasZone && timeZone) {
+    const tz = String(timeZone).trim();
+    if (/^(UTC|GMT|Z)$/i.test(tz)) s += "Z";
+    else if (/^[+-]\d{2}:?\d{2}$/.test(tz)) s += tz.replace(/^([+-]\d{2})(\d{2})$/, "$1:$2");
+    else {
+      const zone = resolveTimeZone(tz);
+      if (!zone) return { error: `Unknown timeZone: ${timeZone}. Use an IANA name like "Europe/Berlin", "UTC" or an offset like "+05:30".` };
+      const m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(s);
+      if (!m) return { error: `Invalid ${label}: ${value}. Expected YYYY-MM-DDTHH:mm[:ss].` };
+      const [, year, month, day, hour, minute, sec] = m.map(x => Number(x || 0));
+      return { date: new Date(zonedTimeToUtc({ year, month, day, hour, minute, second: sec }, zone)) };
+    }
+  }
+
+  const date = new Date(s);
+  if (Number.isNaN(date.getTime())) return { error: `Invalid ${label}: ${value}` };
+  return { date };
+}
+
+const parseStartAt = (startAt, timeZone) => parseZonedTime(startAt, timeZone, "startAt");
+
+/**
+ * `start` + `patchWindow`. In an IANA zone, whole days are calendar days (same wall-clock
+ * time, so a 1-day window over a DST change is 23 or 25 hours); hours and minutes are elapsed time.
+ */
+function addPatchWindow(startMs, patchWindow, timeZone) {
+  const zone = timeZone && !isOffsetZone(String(timeZone).trim()) ? resolveTimeZone(timeZone) : null;
+  const days = patchWindow && typeof patchWindow === "object" ? Number(patchWindow.days) || 0 : 0;
+  if (!zone || !days) return startMs + getPatchWindowMs(patchWindow);
+
+  const f = zonedFields(startMs, zone);
+  const shifted = zonedTimeToUtc({ ...f, day: f.day + days }, zone);
+  return shifted + getPatchWindowMs({ ...patchWindow, days: 0 });
+}
+
+/** Short "2026-10-20 02:00 CEST" rendering of an instant in `timeZone` (for mails and logs). */
+function formatInZone(value, timeZone) {
+  const zone = resolveTimeZone(timeZone);
+  if (!zone) return new Date(value).toUTCString();
+  return new Intl.DateTimeFormat("sv-SE", {
+    timeZone: zone, year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", timeZoneName: "short",
+  }).format(new Date(value));
+}
+
+/**
+ * Start/end for a BES action: a duration (`patchWindow`, from `startAt` or now) or an
+ * absolute `endAt`. With a `timeZone` or `endAt` the window is anchored: the action gets
+ * absolute UTC times (startDateTime/endDateTime), so it no longer depends on the clock of
+ * the host this runs on. Otherwise offsets keep the existing convention of subtracting the
+ * server's UTC offset, since actions are posted with UseUTCTime.
+ * Returns { startOffset, endOffset, plannedStart, plannedEnd, effectiveStart, effectiveEnd, ... } or { error }.
+ */
+function buildActionWindow({ patchWindow, startAt, endAt, timeZone, now = Date.now() }) {
+  let start = null;
+  if (startAt) {
+    const parsed = parseZonedTime(startAt, timeZone, "startAt");
+    if (parsed.error) return { error: parsed.error };
+    if (parsed.date.getTime() <= now) return { error: `startAt (${parsed.date.toISOString()}) is in the past.` };
+    start = parsed.date;
+  }
+
+  let end;
+  if (endAt) {
+    const parsed = parseZonedTime(endAt, timeZone, "endAt");
+    if (parsed.error) return { error: parsed.error };
+    end = parsed.date;
+  } else {
+    if (getPatchWindowMs(patchWindow) <= 0) return { error: "Patch Window duration must be greater than zero." };
+    end = new Date(addPatchWindow(start ? start.getTime() : now, patchWindow, timeZone));
+  }
+
+  let zone = null;
+  if (timeZone) {
+    const tz = String(timeZone).trim();
+    zone = isOffsetZone(tz) ? tz.toUpperCase() : resolveTimeZone(tz);
+    if (!zone) return { error: `Unknown timeZone: ${timeZone}` };
+  }
+  return windowBetween(start, end, now, { absolute: !!(zone || endAt), timeZone: zone });
+}
+
+// BES xs:dateTime without a zone designator; read as UTC because actions use UseUTCTime
+const toBesDateTime = (ms) => new Date(ms).toISOString().slice(0, 19);
+
+/** Same as buildActionWindow but for absolute start (optional) / end dates. */
+function windowBetween(start, end, now = Date.now(), { absolute = false, timeZone = null } = {}) {
+  const tzMs = localUtcOffsetMs();
+  const startMs = start ? new Date(start).getTime() : null;
+  const endMs = new Date(end).getTime();
+  if (!(endMs > (startMs ?? now))) return { error: "End time must be after the start time." };
+
+  const window = {
+    startOffset: startMs != null ? msToXSDuration(startMs - now - tzMs) : null,
+    endOffset: msToXSDuration(endMs - now - tzMs),
+    plannedStart: startMs != null ? new Date(startMs).toISOString() : null,
+    plannedEnd: new Date(endMs).toISOString(),
+    effectiveStart: new Date(startMs ?? now).toISOString(),
+    effectiveEnd: new Date(endMs).toISOString(),
+    timeZone,
+  };
+  if (absolute) {
+    window.startDateTime = startMs != null ? toBesDateTime(startMs) : null;
+    window.endDateTime = toBesDateTime(endMs);
+  }
+  return window;
+}
+
+module.exports = {
+  getPatchWindowMs, msToXSDuration, localUtcOffsetMs,
+  resolveTimeZone, zonedTimeToUtc, parseZonedTime, parseStartAt, formatInZone,
+  buildActionWindow, windowBetween,
+};
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeActionSettings } = require("../src/bigfix/actionSettings");
+const { buildBaselineActionXml } = require("../src/bigfix/actionXml");
+
+const settingsOf = (xml) => /<Settings>([\s\S]*)<\/Settings>/.exec(xml)[1];
+
+test("normalizeActionSettings returns { settings } (null when nothing was given)", () => {
+  assert.deepEqual(normalizeActionSettings(undefined), { settings: null });
+  assert.deepEqual(normalizeActionSettings({}), { settings: null });
+  const { settings, error } = normalizeActionSettings({ retry: 3 });
+  assert.equal(error, undefined);
+  assert.deepEqual(settings.retry, { count: 3, waitForReboot: false, wait: "PT1H" });
+});
+
+test("normalizeActionSettings rejects invalid options", () => {
+  assert.match(normalizeActionSettings([]).error, /must be an object/);
+  assert.match(normalizeActionSettings({ restart: { mode: "sometimes" } }).error, /restart\.mode/);
+  assert.match(normalizeActionSettings({ restart: { mode: "prompt" } }).error, /restart\.deadline is required/);
+  assert.match(normalizeActionSettings({ runBetween: { start: "22:00", end: "22:00" } }).error, /must differ/);
+  assert.match(normalizeActionSettings({ retry: { count: 0 } }).error, /retry\.count/);
+});
+
+test("normalized settings render into the baseline action <Settings>", () => {
+  // Same destructure the trigger routes use
+  const { settings: actionSettings, error } = normalizeActionSettings({
+    restart: { mode: "defer", deadline: { hours: 4 } },
+    message: { title: "Patching", text: "Save your work" },
+    runBetween: { start: "22:00", end: "4:00", days: ["Sat", "sunday"] },
+    retry: { count: 2, wait: "reboot" },
+    reapply: { limit: 3, interval: { hours: 1 } },
+    stagger: { minutes: 30 },
+  });
+  assert.equal(error, undefined);
+
+  const xml = settingsOf(buildBaselineActionXml({
+    siteName: "Patches", fixletId: "42", customRelevance: "true", title: "BPS_Test_Pilot",
+    endOffset: "P1D", actionSettings,
+  }));
+  assert.match(xml, /<PreActionShowUI>true<\/PreActionShowUI><PreAction>/);
+  assert.match(xml, /Save your work/);
+  assert.match(xml, /<HasTimeRange>true<\/HasTimeRange><TimeRange><StartTime>22:00:00<\/StartTime><EndTime>04:00:00<\/EndTime><\/TimeRange>/);
+  assert.match(xml, /<HasEndTime>true<\/HasEndTime><EndDateTimeLocalOffset>P1D<\/EndDateTimeLocalOffset>/);
+  assert.match(xml, /<DayOfWeekConstraint><Sun>true<\/Sun><Mon>false<\/Mon>.*<Sat>true<\/Sat><\/DayOfWeekConstraint>/);
+  assert.match(xml, /<Reapply>true<\/Reapply><HasReapplyLimit>true<\/HasReapplyLimit><ReapplyLimit>3<\/ReapplyLimit><HasReapplyInterval>true<\/HasReapplyInterval><ReapplyInterval>PT1H<\/ReapplyInterval>/);
+  assert.match(xml, /<HasRetry>true<\/HasRetry><RetryCount>2<\/RetryCount><RetryWait ByPolicy="true">PT1H<\/RetryWait>/);
+  assert.match(xml, /<HasTemporalDistribution>true<\/HasTemporalDistribution><TemporalDistribution>PT30M<\/TemporalDistribution>/);
+  assert.match(xml, /<PostActionBehavior Behavior="Restart">/);
+});
+
+test("without actionSettings only the window is rendered", () => {
+  const xml = settingsOf(buildBaselineActionXml({ siteName: "Patches", fixletId: "42", customRelevance: "true", title: "T", endOffset: "PT4H" }));
+  assert.equal(xml, "<HasEndTime>true</HasEndTime><EndDateTimeLocalOffset>PT4H</EndDateTimeLocalOffset><UseUTCTime>true</UseUTCTime>");
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+// The Sandbox trigger is the stage trigger without a change record; record what it is asked to do
+const calls = [];
+let outcome = { status: 200, payload: { ok: true, actionId: "501" } };
+require("../src/routes/pilot").runStageTrigger = async (req, ctx, body, opts) => {
+  calls.push({ body, opts });
+  return typeof outcome === "function" ? outcome() : outcome;
+};
+const { attachActionsRoutes } = require("../src/routes/actions");
+
+const app = express();
+app.use(express.json());
+attachActionsRoutes(app, { smtp: {} });
+
+let server, base;
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, () => { base = `http://127.0.0.1:${server.address().port}`; resolve(); });
+}));
+test.after(() => server.close());
+
+test.beforeEach(() => {
+  calls.length = 0;
+  outcome = { status: 200, payload: { ok: true, actionId: "501" } };
+});
+
+const trigger = async (body, query = "") => {
+  const r = await fetch(`${base}/api/actions${query}`, {
+    method: "POST", headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ baselineName: "2026-10 CU", groupName: "Lab", ...body }),
+  });
+  return { status: r.status, body: await r.json() };
+};
+
+test("a Sandbox trigger runs the stage gates with no CHG", async () => {
+  const r = await trigger({ patchWindow: 4, chgNumber: "CHG0012345", requireChg: true, autoMail: "false" });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.actionId, "501");
+  assert.equal(r.body.preMail, false);
+  const { body, opts } = calls[0];
+  assert.equal(opts.environment, "Sandbox");
+  assert.equal(opts.dryRun, false);
+  assert.equal(opts.isForced, undefined);
+  assert.equal(body.requireChg, false);
+  assert.equal(body.chgNumber, undefined);
+  assert.equal(body.autoMail, false);
+});
+
+test("legacy patch window fields and dry runs are passed on", async () => {
+  await trigger({ endOffsetHours: 6 }, "?dryRun=true");
+  assert.equal(calls[0].body.patchWindow, 6);
+  assert.equal(calls[0].opts.dryRun, true);
+});
+
+test("a gate refusal or a failed trigger is returned as-is", async () => {
+  outcome = { status: 409, payload: { ok: false, code: "DUPLICATE_ACTION", error: "Action 7 for this baseline and group is still open." } };
+  const refused = await trigger({ patchWindow: 2 });
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.code, "DUPLICATE_ACTION");
+
+  outcome = () => { throw Object.assign(new Error("Baseline not found: 2026-10 CU"), { status: 404 }); };
+  const missing = await trigger({ patchWindow: 2 });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error, "Baseline not found: 2026-10 CU");
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+// dbo.ActionBatch in memory
+const db = require("../src/db/mssql");
+const batches = [];
+db.getPool = async () => ({
+  request() {
+    const inputs = {};
+    const req = {
+      input(name, _type, value) { inputs[name] = value; return req; },
+      async query(q) {
+        if (q.startsWith("INSERT INTO dbo.ActionBatch")) {
+          batches.push({ BatchId: inputs.BatchId, Items: JSON.parse(inputs.Items) });
+          return { rowsAffected: [1] };
+        }
+        throw new Error(`unexpected query: ${q}`);
+      },
+    };
+    return req;
+  },
+});
+
+// A stage trigger whose gates refuse the groups named in `refuse`; posts get increasing action IDs
+const calls = [];
+let refuse = {};
+let openDuplicates = {};
+require("../src/routes/pilot").runStageTrigger = async (req, ctx, body, opts) => {
+  calls.push({ groupName: body.groupName, dryRun: opts.dryRun });
+  const r = refuse[body.groupName];
+  if (r) return { status: 409, payload: { ok: false, code: r.code, error: r.error } };
+  if (opts.dryRun) return { status: 200, payload: { ok: true, dryRun: true, computerCount: 2, duplicateOf: openDuplicates[body.groupName] || null } };
+  return { status: 200, payload: { ok: true, actionId: 1000 + calls.length } };
+};
+const { attachBatchRoutes } = require("../src/routes/batches");
+
+const app = express();
+app.use(express.json());
+attachBatchRoutes(app, {});
+
+let server, base;
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, () => { base = `http://127.0.0.1:${server.address().port}`; resolve(); });
+}));
+test.after(() => server.close());
+
+test.beforeEach(() => {
+  calls.length = 0;
+  batches.length = 0;
+  refuse = {};
+  openDuplicates = {};
+});
+
+const bulk = async (body, query = "") => {
+  const r = await fetch(`${base}/api/actions/bulk${query}`, {
+    method: "POST", headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ stage: "Sandbox", patchWindow: 2, triggeredBy: "alice", ...body }),
+  });
+  return { status: r.status, body: await r.json() };
+};
+const items = [
+  { baselineName: "2026-10 CU", groupName: "Web" },
+  { baselineName: "2026-10 CU", groupName: "App" },
+  { baselineName: "2026-10 CU", groupName: "Db" },
+];
+
+test("every item is dry-run before the first one is posted", async () => {
+  const r = await bulk({ items });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.posted, 3);
+  assert.deepEqual(calls.map(c => c.dryRun), [true, true, true, false, false, false]);
+  assert.equal(batches.length, 1);
+  assert.deepEqual(batches[0].Items.map(i => i.status), ["posted", "posted", "posted"]);
+});
+
+test("one item failing a stage gate in the dry run stops the whole batch", async () => {
+  refuse.App = { code: "PREFLIGHT_FAILED", error: "2 of 4 servers are not ready" };
+  const r = await bulk({ items });
+  assert.equal(r.status, 409);
+  assert.equal(r.body.code, "BATCH_BLOCKED");
+  assert.deepEqual(r.body.errors, ["2026-10 CU / App: 2 of 4 servers are not ready"]);
+  assert.ok(calls.every(c => c.dryRun));
+  assert.equal(batches.length, 0);
+});
+
+test("an open duplicate blocks the batch unless allowDuplicate is set", async () => {
+  openDuplicates.Db = { actionId: "77" };
+  const r = await bulk({ items });
+  assert.equal(r.status, 409);
+  assert.deepEqual(r.body.errors, ["2026-10 CU / Db: Action 77 for this baseline and group is still open."]);
+  assert.equal(batches.length, 0);
+
+  const allowed = await bulk({ items, allowDuplicate: true });
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.body.posted, 3);
+});
+
+test("a dry-run batch only previews", async () => {
+  refuse.Web = { code: "OUTSIDE_MAINTENANCE_WINDOW", error: "Outside the maintenance window" };
+  const r = await bulk({ items }, "?dryRun=true");
+  assert.equal(r.status, 200);
+  assert.equal(r.body.ok, false);
+  assert.equal(r.body.failed, 1);
+  assert.deepEqual(r.body.items.map(i => i.status), ["failed", "preview", "preview"]);
+  assert.ok(calls.every(c => c.dryRun));
+});
+
+test("malformed or repeated pairs are refused before any dry run", async () => {
+  const r = await bulk({ items: [...items, { baselineName: "2026-10 CU", groupName: "web" }, { groupName: "x" }] });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.code, "BATCH_INVALID");
+  assert.equal(r.body.errors.length, 2);
+  assert.equal(calls.length, 0);
+});
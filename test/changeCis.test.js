@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const bigfix = require("../src/services/bigfix");
+let members = [];
+bigfix.bigfixClient = () => ({ getGroupMembers: async () => members });
+const { checkChangeCis } = require("../src/services/changeProvider");
+
+test.beforeEach(() => {
+  members = [
+    { id: 1, name: "web01" },
+    { id: 2, name: "DB01.corp.local" },
+    { id: 3, name: "app07" },
+  ];
+});
+
+// CMDB names may be FQDNs where BigFix reports short names, and the other way round
+const cis = ["WEB01.corp.local", "db01"];
+
+test("warn reports members that aren't affected CIs without blocking", async () => {
+  const report = await checkChangeCis({}, { cis, groupName: "G", policy: "warn" });
+  assert.deepEqual(report.covered, ["web01", "DB01.corp.local"]);
+  assert.deepEqual(report.missing, ["app07"]);
+  assert.equal(report.blocked, false);
+  assert.match(report.message, /1 of 3 servers in G are not affected CIs on the change: app07/);
+});
+
+test("block refuses the trigger when a member is missing", async () => {
+  const report = await checkChangeCis({}, { cis, groupName: "G", policy: "block" });
+  assert.equal(report.blocked, true);
+  assert.deepEqual(report.missing, ["app07"]);
+});
+
+test("trim narrows the action to the covered members", async () => {
+  const report = await checkChangeCis({}, { cis, groupName: "G", policy: "trim" });
+  assert.equal(report.blocked, false);
+  assert.equal(report.trimmed, true);
+  assert.deepEqual(report.targets, [{ id: 1, name: "web01" }, { id: 2, name: "DB01.corp.local" }]);
+});
+
+test("trim blocks when no member is covered", async () => {
+  const report = await checkChangeCis({}, { cis: ["other01"], groupName: "G", policy: "trim" });
+  assert.equal(report.blocked, true);
+  assert.match(report.message, /nothing left to patch/);
+});
+
+test("a provider without CIs is skipped; a lookup error only blocks outside warn", async () => {
+  const skipped = await checkChangeCis({}, { cis: { unsupported: true, provider: "Jira" }, groupName: "G", policy: "block" });
+  assert.equal(skipped.unsupported, true);
+  assert.equal(skipped.blocked, false);
+
+  const failed = { error: "401 Unauthorized" };
+  assert.equal((await checkChangeCis({}, { cis: failed, groupName: "G", policy: "warn" })).blocked, false);
+  const blocked = await checkChangeCis({}, { cis: failed, groupName: "G", policy: "block" });
+  assert.equal(blocked.blocked, true);
+  assert.match(blocked.message, /Affected CI lookup failed: 401 Unauthorized/);
+});
+
+test("all members covered leaves the report clean", async () => {
+  members = members.slice(0, 2);
+  const report = await checkChangeCis({}, { cis, groupName: "G", policy: "block" });
+  assert.equal(report.blocked, false);
+  assert.equal(report.message, undefined);
+  assert.equal(report.total, 2);
+});
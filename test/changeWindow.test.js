@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { applyChangeWindow } = require("../src/services/changeProvider");
+const { buildActionWindow } = require("../src/utils/time");
+
+const now = Date.parse("2026-05-04T08:00:00Z");
+const chg = { start: "2026-05-04T10:00:00Z", end: "2026-05-04T14:00:00Z" };
+// 09:00–15:00 UTC: starts before and ends after the change window
+const wide = () => buildActionWindow({ startAt: "2026-05-04T09:00:00Z", patchWindow: { hours: 6 }, timeZone: "UTC", now });
+
+test("a window inside the change window passes unchanged", () => {
+  const window = buildActionWindow({ startAt: "2026-05-04T11:00:00Z", patchWindow: { hours: 2 }, timeZone: "UTC", now });
+  const fit = applyChangeWindow(window, chg, { policy: "reject", now });
+  assert.equal(fit.blocked, undefined);
+  assert.equal(fit.window, window);
+  assert.equal(fit.changeWindow.clamped, false);
+});
+
+test("reject refuses a window that leaves the change window", () => {
+  const fit = applyChangeWindow(wide(), chg, { policy: "reject", now });
+  assert.equal(fit.blocked, true);
+  assert.match(fit.message, /starts before the change window 2026-05-04T10:00:00Z – 2026-05-04T14:00:00Z/);
+  assert.deepEqual(fit.changeWindow.requested, { start: "2026-05-04T09:00:00.000Z", end: "2026-05-04T15:00:00.000Z" });
+
+  const late = buildActionWindow({ startAt: "2026-05-04T12:00:00Z", patchWindow: { hours: 4 }, timeZone: "UTC", now });
+  assert.match(applyChangeWindow(late, chg, { policy: "reject", now }).message, /ends after/);
+});
+
+test("clamp narrows the window to the overlap with absolute times", () => {
+  const fit = applyChangeWindow(wide(), chg, { policy: "clamp", now });
+  assert.equal(fit.blocked, undefined);
+  assert.equal(fit.changeWindow.clamped, true);
+  assert.equal(fit.window.effectiveStart, "2026-05-04T10:00:00.000Z");
+  assert.equal(fit.window.effectiveEnd, "2026-05-04T14:00:00.000Z");
+  assert.ok(fit.window.startDateTime && fit.window.endDateTime);
+});
+
+test("clamp keeps an immediate start and only moves the end", () => {
+  const window = buildActionWindow({ patchWindow: { hours: 6 }, timeZone: "UTC", now: Date.parse("2026-05-04T11:00:00Z") });
+  const fit = applyChangeWindow(window, chg, { policy: "clamp", now: Date.parse("2026-05-04T11:00:00Z") });
+  assert.equal(fit.window.plannedStart, null);
+  assert.equal(fit.window.effectiveEnd, "2026-05-04T14:00:00.000Z");
+});
+
+test("clamp refuses a change window that has already closed", () => {
+  const after = Date.parse("2026-05-04T15:00:00Z");
+  const window = buildActionWindow({ patchWindow: { hours: 2 }, timeZone: "UTC", now: after });
+  const fit = applyChangeWindow(window, chg, { policy: "clamp", now: after });
+  assert.equal(fit.blocked, true);
+  assert.match(fit.message, /already closed/);
+});
+
+test("clamp refuses a window that doesn't overlap the change window", () => {
+  const window = buildActionWindow({ startAt: "2026-05-04T15:00:00Z", patchWindow: { hours: 1 }, timeZone: "UTC", now });
+  const fit = applyChangeWindow(window, chg, { policy: "clamp", now });
+  assert.equal(fit.blocked, true);
+  assert.match(fit.message, /doesn't overlap/);
+});
+
+test("off, or a CHG without a window, skips the check", () => {
+  assert.deepEqual(applyChangeWindow(wide(), chg, { policy: "off", now }).changeWindow, null);
+  assert.deepEqual(applyChangeWindow(wide(), null, { policy: "reject", now }).changeWindow, null);
+});
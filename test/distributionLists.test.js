@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// dbo.DistributionList in memory
+const db = require("../src/db/mssql");
+let lists = [];
+let failLookup = false;
+db.getPool = async () => ({
+  request() {
+    return {
+      input() { return this; },
+      async query(q) {
+        if (failLookup) throw new Error("Login failed");
+        if (q.includes("FROM dbo.DistributionList")) return { recordset: lists };
+        throw new Error(`unexpected query: ${q}`);
+      },
+    };
+  },
+});
+const { normalizeList, resolveRecipients } = require("../src/mail/distributionLists");
+
+const list = (Name, { to = "", cc = "", bcc = "", stages = [], roles = [], enabled = true } = {}) => ({
+  Id: lists.length + 1, Name, ToAddresses: to, CcAddresses: cc, BccAddresses: bcc,
+  Stages: JSON.stringify(stages), Roles: JSON.stringify(roles), Enabled: enabled ? 1 : 0,
+});
+const smtp = { SMTP_TO: "env-to@example.com", SMTP_CC: "env-cc@example.com", SMTP_BCC: "" };
+
+test.beforeEach(() => {
+  failLookup = false;
+  lists = [
+    list("Pilot Ops", { to: "pilot@example.com,ops@example.com", cc: "lead@example.com", stages: ["Pilot"] }),
+    list("Prod Ops", { to: "prod@example.com,ops@example.com", stages: ["Production"], roles: ["Windows"] }),
+    list("Managers", { to: "mgr@example.com", bcc: "audit@example.com" }),
+    list("Retired", { to: "old@example.com", enabled: false }),
+  ];
+});
+
+test("addresses on the request win over lists and env, field by field", async () => {
+  const r = await resolveRecipients({ stage: "Pilot", explicit: { emailTo: "me@example.com; you@example.com" }, smtp });
+  assert.deepEqual(r.to, ["me@example.com", "you@example.com"]);
+  assert.deepEqual(r.cc, ["lead@example.com"]); // not given: still from the matching lists
+  assert.equal(r.source, "request");
+});
+
+test("without request addresses every enabled list for the stage and role is used, de-duplicated", async () => {
+  const r = await resolveRecipients({ stage: "production", role: "Windows", smtp });
+  assert.deepEqual(r.lists, ["Prod Ops", "Managers"]);
+  assert.deepEqual(r.to, ["prod@example.com", "ops@example.com", "mgr@example.com"]);
+  assert.deepEqual(r.cc, []);
+  assert.deepEqual(r.bcc, ["audit@example.com"]);
+  assert.equal(r.source, "lists");
+
+  // A list scoped to a role is skipped for other roles
+  assert.deepEqual((await resolveRecipients({ stage: "Production", role: "Linux", smtp })).lists, ["Managers"]);
+});
+
+test("named lists replace the stage / role match; disabled lists are never used", async () => {
+  const r = await resolveRecipients({ stage: "Production", role: "Windows", names: "pilot ops, Retired", smtp });
+  assert.deepEqual(r.lists, ["Pilot Ops"]);
+  assert.deepEqual(r.to, ["pilot@example.com", "ops@example.com"]);
+});
+
+test("no matching list (or a failed lookup) falls back to the SMTP env recipients", async () => {
+  lists = [lists[0]];
+  const r = await resolveRecipients({ stage: "Sandbox", smtp });
+  assert.deepEqual(r, { to: ["env-to@example.com"], cc: ["env-cc@example.com"], bcc: [], lists: [], source: "env" });
+
+  failLookup = true;
+  assert.equal((await resolveRecipients({ stage: "Pilot", smtp })).source, "env");
+});
+
+test("normalizeList needs a name and at least one valid address", () => {
+  assert.equal(normalizeList({ to: "a@example.com" }).error, "name is required");
+  assert.match(normalizeList({ name: "x" }).error, /at least one address/);
+  assert.match(normalizeList({ name: "x", to: "not-an-address" }).error, /Invalid email addresses: not-an-address/);
+  assert.deepEqual(normalizeList({ name: " Ops ", to: ["a@example.com"], stages: "Pilot, Production", enabled: "false" }).list, {
+    name: "Ops", to: ["a@example.com"], cc: [], bcc: [], stages: ["Pilot", "Production"], roles: [], enabled: false,
+  });
+});
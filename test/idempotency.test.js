@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+// In-memory dbo.IdempotencyKey behind the mssql pool the middleware uses
+const db = require("../src/db/mssql");
+const keys = new Map();
+db.getPool = async () => ({
+  request() {
+    const inputs = {};
+    const req = {
+      input(name, _type, value) { inputs[name] = value; return req; },
+      async query(q) {
+        if (q.startsWith("INSERT INTO dbo.IdempotencyKey")) {
+          if (keys.has(inputs.Key)) throw Object.assign(new Error("duplicate key"), { number: 2627 });
+          keys.set(inputs.Key, { Route: inputs.Route, RequestHash: inputs.Hash, Status: "pending" });
+          return { rowsAffected: [1] };
+        }
+        if (q.startsWith("SELECT Route")) return { recordset: keys.has(inputs.Key) ? [keys.get(inputs.Key)] : [] };
+        if (q.startsWith("UPDATE dbo.IdempotencyKey")) {
+          Object.assign(keys.get(inputs.Key), { Status: "done", ResponseStatus: inputs.Status, ResponseBody: inputs.Body });
+          return { rowsAffected: [1] };
+        }
+        if (q.startsWith("DELETE FROM dbo.IdempotencyKey WHERE IdemKey")) {
+          keys.delete(inputs.Key);
+          return { rowsAffected: [1] };
+        }
+        throw new Error(`unexpected query: ${q}`);
+      },
+    };
+    return req;
+  },
+});
+const { idempotent } = require("../src/services/triggerGuards");
+
+let calls = 0;
+const app = express();
+app.use(express.json());
+app.post("/trigger", idempotent(), (req, res) => {
+  calls++;
+  res.json({ ok: true, actionId: String(1000 + calls) });
+});
+app.post("/throws", idempotent(), async () => {
+  calls++;
+  throw new Error("boom");
+});
+app.post("/sends", idempotent(), (req, res) => {
+  calls++;
+  res.status(200).send("plain");
+});
+app.post("/fails", idempotent(), (req, res) => {
+  calls++;
+  res.status(502).json({ ok: false, error: "BigFix down" });
+});
+// Keep Express's default handler quiet
+app.use((err, req, res, _next) => res.status(500).send(err.message));
+
+let server, base;
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, () => { base = `http://127.0.0.1:${server.address().port}`; resolve(); });
+}));
+test.after(() => server.close());
+test.beforeEach(() => { calls = 0; keys.clear(); });
+
+const post = (path, body, key) => fetch(`${base}${path}`, {
+  method: "POST",
+  headers: { "Content-Type": "application/json", ...(key ? { "Idempotency-Key": key } : {}) },
+  body: JSON.stringify(body),
+});
+// The key is released / stored after the response went out
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test("a replay with the same key gets the stored response without triggering again", async () => {
+  const first = await post("/trigger", { baselineName: "B" }, "k1");
+  assert.equal(first.status, 200);
+  assert.deepEqual(await first.json(), { ok: true, actionId: "1001" });
+  await settle();
+
+  const replay = await post("/trigger", { baselineName: "B" }, "k1");
+  assert.equal(replay.status, 200);
+  assert.equal(replay.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(await replay.json(), { ok: true, actionId: "1001" });
+  assert.equal(calls, 1);
+});
+
+test("the same key with a different body is rejected", async () => {
+  await post("/trigger", { baselineName: "B" }, "k2");
+  await settle();
+  const other = await post("/trigger", { baselineName: "C" }, "k2");
+  assert.equal(other.status, 422);
+  assert.equal((await other.json()).code, "IDEMPOTENCY_KEY_REUSED");
+  assert.equal(calls, 1);
+});
+
+test("a key still pending answers 409", async () => {
+  keys.set("k3", { Route: "/trigger", RequestHash: "x", Status: "pending" });
+  const r = await post("/trigger", {}, "k3");
+  assert.equal(r.status, 422); // different hash wins over pending
+  const hash = require("crypto").createHash("sha256").update(`POST /trigger\n${JSON.stringify({})}`).digest("hex");
+  keys.set("k3", { Route: "/trigger", RequestHash: hash, Status: "pending" });
+  const busy = await post("/trigger", {}, "k3");
+  assert.equal(busy.status, 409);
+  assert.equal((await busy.json()).code, "IDEMPOTENCY_IN_PROGRESS");
+  assert.equal(calls, 0);
+});
+
+test("a handler that throws releases the key so a retry runs", async () => {
+  const r = await post("/throws", {}, "k4");
+  assert.equal(r.status, 500);
+  await settle();
+  assert.equal(keys.has("k4"), false);
+  await post("/throws", {}, "k4");
+  assert.equal(calls, 2);
+});
+
+test("a response sent without res.json releases the key", async () => {
+  await (await post("/sends", {}, "k5")).text();
+  await settle();
+  assert.equal(keys.has("k5"), false);
+});
+
+test("5xx responses are not stored", async () => {
+  assert.equal((await post("/fails", {}, "k6")).status, 502);
+  await settle();
+  assert.equal(keys.has("k6"), false);
+  await post("/fails", {}, "k6");
+  assert.equal(calls, 2);
+});
+
+test("without a key or on a dry run the middleware stays out of the way", async () => {
+  await post("/trigger", {}, null);
+  await post("/trigger", { dryRun: true }, "k7");
+  await post("/trigger", { dryRun: true }, "k7");
+  assert.equal(calls, 3);
+  assert.equal(keys.size, 0);
+});
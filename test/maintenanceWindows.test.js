@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Run as if the host were far from UTC: windows must not follow host time
+process.env.TZ = "Pacific/Auckland";
+
+const db = require("../src/db/mssql");
+const bigfix = require("../src/services/bigfix");
+let scheduleRows = [];
+db.getPool = async () => ({
+  request: () => ({ query: async () => ({ recordset: scheduleRows }) }),
+});
+bigfix.bigfixClient = () => ({ query: async () => ["web01.corp.local", "db01"] });
+
+const { CONFIG } = require("../src/state/store");
+const { checkMaintenanceWindows, parseTimeRange } = require("../src/services/maintenanceWindows");
+
+test.beforeEach(() => {
+  CONFIG.maintenanceWindowHours = 4;
+  CONFIG.maintenanceWindowTimeZone = "UTC";
+});
+
+test("parseTimeRange reads single times, am/pm and ranges across midnight", () => {
+  assert.deepEqual(parseTimeRange("02:00", 4), { startMin: 120, durationMin: 240 });
+  assert.deepEqual(parseTimeRange("2:30 PM", 1), { startMin: 870, durationMin: 60 });
+  assert.deepEqual(parseTimeRange("22:00 - 02:00", 4), { startMin: 1320, durationMin: 240 });
+  assert.equal(parseTimeRange("tbd", 4), null);
+});
+
+test("schedule times are read in UTC by default, not host time", async () => {
+  scheduleRows = [{ ServerName: "WEB01", Day: 10, MonthIndex: 2, Year: 2026, Time: "02:00" }];
+  const report = await checkMaintenanceWindows({}, { groupName: "G", at: "2026-03-10T03:00:00Z", policy: "warn" });
+  assert.deepEqual(report.inWindow, [
+    { server: "web01.corp.local", window: { start: "2026-03-10T02:00:00.000Z", end: "2026-03-10T06:00:00.000Z" } },
+  ]);
+  assert.deepEqual(report.unscheduled, ["db01"]);
+});
+
+test("schedule times follow the configured zone across a DST change", async () => {
+  CONFIG.maintenanceWindowTimeZone = "Europe/Berlin";
+  scheduleRows = [
+    { ServerName: "web01", Day: 28, MonthIndex: 2, Year: 2026, Time: "22:00" }, // CET, UTC+1
+    { ServerName: "web01", Day: 29, MonthIndex: 2, Year: 2026, Time: "22:00" }, // CEST, UTC+2
+  ];
+  const report = await checkMaintenanceWindows({}, { groupName: "G", at: "2026-03-29T00:00:00Z", policy: "warn" });
+  assert.deepEqual(report.inWindow[0].window, { start: "2026-03-28T21:00:00.000Z", end: "2026-03-29T01:00:00.000Z" });
+  const later = await checkMaintenanceWindows({}, { groupName: "G", at: "2026-03-29T12:00:00Z", policy: "warn" });
+  assert.equal(later.outOfWindow[0].nextWindow.start, "2026-03-29T20:00:00.000Z");
+});
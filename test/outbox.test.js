@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// dbo.EmailOutbox in memory; `due` / `leaseExpired` stand in for NextRunAt / LeaseUntil being in the past
+const db = require("../src/db/mssql");
+let rows = new Map();
+db.getPool = async () => ({
+  request() {
+    const inputs = {};
+    const req = {
+      input(name, _type, value) { inputs[name] = value; return req; },
+      async query(q) {
+        if (q.startsWith("INSERT INTO dbo.EmailOutbox")) {
+          const Id = rows.size + 1;
+          rows.set(Id, {
+            Id, TemplateKey: inputs.TemplateKey, FromAddress: inputs.From, ToAddresses: inputs.To, CcAddresses: inputs.Cc, BccAddresses: inputs.Bcc,
+            Lists: inputs.Lists, Subject: inputs.Subject, Html: inputs.Html, TextBody: inputs.Text, AttachmentName: inputs.AttachmentName,
+            Attachment: inputs.Attachment, State: inputs.State, Attempts: 0, LeaseSeconds: inputs.Lease,
+          });
+          return { recordset: [{ Id }] };
+        }
+        if (q.startsWith("UPDATE dbo.EmailOutbox SET State = @State, Attempts = @Attempts")) {
+          Object.assign(rows.get(inputs.Id), {
+            State: inputs.State, Attempts: inputs.Attempts, MessageId: inputs.MessageId, LastError: inputs.Error,
+            RetryInSeconds: inputs.State === "failed" ? inputs.Delay : null, due: false, leaseExpired: false,
+          });
+          return { rowsAffected: [1] };
+        }
+        if (q.includes("WITH next AS")) {
+          const row = [...rows.values()].find(r => (r.State === "failed" && r.due) || (r.State === "sending" && r.leaseExpired));
+          if (!row) return { recordset: [] };
+          Object.assign(row, { State: "sending", leaseExpired: false });
+          return { recordset: [{ ...row }] };
+        }
+        throw new Error(`unexpected query: ${q}`);
+      },
+    };
+    return req;
+  },
+});
+
+// SMTP: each send takes the next queued outcome (true = accepted, a string = that error)
+const transports = [];
+const outcomes = [];
+require("nodemailer").createTransport = (opts) => {
+  transports.push(opts);
+  return {
+    async sendMail(mail) {
+      const outcome = outcomes.length ? outcomes.shift() : true;
+      if (outcome !== true) throw Object.assign(new Error(outcome), { response: `421 ${outcome}` });
+      return { messageId: `<${mail.subject}@test>`, response: "250 OK", accepted: [mail.to], rejected: [] };
+    },
+  };
+};
+const { LEASE_SECONDS, deliverMail, runOutbox } = require("../src/mail/outbox");
+
+const smtp = { SMTP_HOST: "smtp.example.com", SMTP_PORT: "25" };
+const message = (subject) => ({ from: "patching@example.com", to: ["ops@example.com"], cc: [], bcc: [], subject, html: "<p>done</p>" });
+
+test.beforeEach(() => {
+  rows = new Map();
+  transports.length = 0;
+  outcomes.length = 0;
+});
+
+test("SMTP timeouts add up to less than the lease, so the worker never re-sends a message still being sent", async () => {
+  await deliverMail(smtp, message("Sent"));
+  const { connectionTimeout, greetingTimeout, socketTimeout } = transports[0];
+  assert.ok(connectionTimeout + greetingTimeout + socketTimeout < LEASE_SECONDS * 1000);
+  assert.equal(rows.get(1).LeaseSeconds, LEASE_SECONDS);
+});
+
+test("a delivered message goes from sending to sent with its SMTP message ID", async () => {
+  const info = await deliverMail(smtp, message("Sent"));
+  assert.equal(info.outboxId, 1);
+  assert.equal(info.messageId, "<Sent@test>");
+  assert.equal(rows.get(1).State, "sent");
+  assert.equal(rows.get(1).Attempts, 1);
+});
+
+test("a failed send is kept for the worker, which retries with backoff until it is sent", async () => {
+  outcomes.push("Service not available");
+  await assert.rejects(deliverMail(smtp, message("Retry")), (e) => e.outboxId === 1 && e.willRetry === true);
+  assert.equal(rows.get(1).State, "failed");
+  assert.equal(rows.get(1).RetryInSeconds, 60);
+
+  await runOutbox(smtp); // not due yet
+  assert.equal(rows.get(1).Attempts, 1);
+
+  rows.get(1).due = true;
+  outcomes.push("Service not available");
+  await runOutbox(smtp);
+  assert.equal(rows.get(1).State, "failed");
+  assert.equal(rows.get(1).RetryInSeconds, 120);
+
+  rows.get(1).due = true;
+  await runOutbox(smtp);
+  assert.equal(rows.get(1).State, "sent");
+  assert.equal(rows.get(1).Attempts, 3);
+});
+
+test("a message is dead after the last attempt", async () => {
+  outcomes.push(...Array(5).fill("Mailbox unavailable"));
+  await assert.rejects(deliverMail(smtp, message("Dead")));
+  for (let n = 0; n < 4; n++) {
+    rows.get(1).due = true;
+    await runOutbox(smtp);
+  }
+  assert.equal(rows.get(1).State, "dead");
+  assert.equal(rows.get(1).Attempts, 5);
+  assert.equal(rows.get(1).LastError, "Mailbox unavailable");
+
+  rows.get(1).due = true;
+  await runOutbox(smtp); // dead messages are not claimed again
+  assert.equal(rows.get(1).Attempts, 5);
+});
+
+test("a message left in sending by a crashed process is picked up once its lease runs out", async () => {
+  await deliverMail(smtp, message("Orphan"));
+  rows.get(1).State = "sending"; // as if the process died before recording the outcome
+  await runOutbox(smtp);
+  assert.equal(rows.get(1).State, "sending");
+
+  rows.get(1).leaseExpired = true;
+  await runOutbox(smtp);
+  assert.equal(rows.get(1).State, "sent");
+});
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+// dbo.PromotionPipeline / dbo.PromotionHistory in memory
+const db = require("../src/db/mssql");
+let history = [];
+const PIPELINE = {
+  Id: 7, Name: "Monthly", CreatedByRole: "Admin", CreatedAt: new Date(), UpdatedAt: new Date(),
+  Stages: JSON.stringify([
+    { name: "Pilot", groupName: "Pilot Servers", patchWindow: 2, requireChg: false, gate: { minSuccessRate: 0, minBakeHours: 0 } },
+    { name: "Production", groupName: "Prod Servers", patchWindow: 2, requireChg: false, gate: { minSuccessRate: 90, minBakeHours: 24 } },
+  ]),
+};
+db.getPool = async () => ({
+  request() {
+    const inputs = {};
+    const req = {
+      input(name, _type, value) { inputs[name] = value; return req; },
+      async query(q) {
+        if (q.includes("FROM dbo.PromotionPipeline WHERE Id")) return { recordset: inputs.Id === PIPELINE.Id ? [PIPELINE] : [] };
+        if (q.includes("FROM dbo.PromotionHistory")) {
+          const rows = history
+            .filter(h => h.PipelineId === inputs.PipelineId && h.StageIndex === inputs.StageIndex && h.BaselineName === inputs.Baseline)
+            .filter(h => ["promoted", "forced"].includes(h.Outcome) && h.ActionID != null)
+            .filter(h => !q.includes("@ActionID") || h.ActionID === inputs.ActionID)
+            .sort((a, b) => b.CreatedAt - a.CreatedAt);
+          return { recordset: rows.slice(0, 1) };
+        }
+        if (q.startsWith("INSERT INTO dbo.PromotionHistory")) {
+          history.push({ PipelineId: inputs.PipelineId, StageIndex: inputs.StageIndex, BaselineName: inputs.BaselineName, ActionID: inputs.ActionID, Outcome: inputs.Outcome, Forced: inputs.Forced, CreatedAt: new Date() });
+          return { rowsAffected: [1] };
+        }
+        throw new Error(`unexpected query: ${q}`);
+      },
+    };
+    return req;
+  },
+});
+
+// BigFix results per action, and a stage trigger that only records what it was asked to do
+const results = new Map();
+require("../src/services/bigfix").bigfixClient = () => ({ getActionResults: async (id) => results.get(Number(id)) || [] });
+require("../src/services/webhooks").emitEvent = async () => 0;
+const triggered = [];
+require("../src/routes/pilot").runStageTrigger = async (req, ctx, body, opts) => {
+  triggered.push({ body, opts });
+  return { status: 200, payload: { ok: true, actionId: "900" } };
+};
+const { attachPipelineRoutes } = require("../src/routes/pipelines");
+
+const app = express();
+app.use(express.json());
+attachPipelineRoutes(app, {});
+
+let server, base;
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, () => { base = `http://127.0.0.1:${server.address().port}`; resolve(); });
+}));
+test.after(() => server.close());
+
+const daysAgo = (d) => new Date(Date.now() - d * 86400000);
+const pilotRun = (actionId, extra = {}) => ({ PipelineId: 7, StageIndex: 0, BaselineName: "2026-10 CU", ActionID: actionId, Outcome: "promoted", CreatedAt: daysAgo(2), ...extra });
+const rows = (...statuses) => statuses.map((status, i) => ({ server: `srv${i}`, status }));
+
+test.beforeEach(() => {
+  history = [];
+  triggered.length = 0;
+  results.clear();
+});
+
+const promote = async (body) => {
+  const r = await fetch(`${base}/api/pipelines/7/promote`, {
+    method: "POST", headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ stage: "Production", baselineName: "2026-10 CU", ...body }),
+  });
+  return { status: r.status, body: await r.json() };
+};
+
+test("the gate passes on the previous stage's latest promotion; pending restart counts as applied", async () => {
+  history.push(pilotRun(100));
+  results.set(100, rows("Fixed", "The action executed successfully.", "Pending Restart", "Fixed", "Fixed", "Fixed", "Fixed", "Fixed", "Fixed", "Fixed"));
+  const r = await promote({});
+  assert.equal(r.status, 200);
+  assert.equal(r.body.gate.passed, true);
+  assert.equal(r.body.gate.previousActionId, "100");
+  assert.equal(r.body.gate.successRate, 100);
+  assert.equal(triggered.length, 1);
+  assert.equal(triggered[0].body.groupName, "Prod Servers");
+  assert.equal(history.at(-1).Outcome, "promoted");
+});
+
+test("a low success rate or a short bake time refuses the promotion", async () => {
+  history.push(pilotRun(100, { CreatedAt: daysAgo(0.5) }));
+  results.set(100, rows("Fixed", "The action failed."));
+  const r = await promote({});
+  assert.equal(r.status, 409);
+  assert.equal(r.body.code, "GATE_FAILED");
+  assert.equal(r.body.reasons.length, 2);
+  assert.match(r.body.reasons[0], /Success rate 50% is below the required 90%/);
+  assert.match(r.body.reasons[1], /Bake time .* below the required 24h/);
+  assert.equal(triggered.length, 0);
+  assert.equal(history.at(-1).Outcome, "refused");
+});
+
+test("an explicit previousActionId must be a promotion of the previous stage for this baseline", async () => {
+  history.push(pilotRun(100));
+  history.push(pilotRun(200, { BaselineName: "2026-09 CU" }));
+  history.push(pilotRun(300, { StageIndex: 1 }));
+  history.push(pilotRun(400, { PipelineId: 8 }));
+  history.push(pilotRun(500, { Outcome: "refused" }));
+  for (const id of [200, 300, 400, 500, 600]) {
+    results.set(id, rows("Fixed"));
+    const r = await promote({ previousActionId: id });
+    assert.equal(r.status, 409, `action ${id}`);
+    assert.match(r.body.reasons[0], new RegExp(`Action ${id} is not a promotion of stage "Pilot"`));
+  }
+  assert.equal(triggered.length, 0);
+});
+
+test("an explicit previousActionId that matches is gated on its own results", async () => {
+  history.push(pilotRun(100));
+  history.push(pilotRun(101, { CreatedAt: daysAgo(1.5) }));
+  results.set(100, rows("The action failed."));
+  results.set(101, rows("Fixed"));
+  const r = await promote({ previousActionId: "101" });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.gate.previousActionId, "101");
+});
+
+test("forcing past a failed gate is recorded as forced", async () => {
+  results.set(100, rows("Fixed"));
+  assert.equal((await promote({ force: true, previousActionId: 100 })).status, 400); // needs triggeredBy
+
+  const r = await promote({ force: true, previousActionId: 100, triggeredBy: "alice" });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.forced, true);
+  assert.equal(triggered[0].opts.metadata.pipeline.forcedBy, "alice");
+  assert.equal(history.at(-1).Outcome, "forced");
+  assert.equal(history.at(-1).Forced, 1);
+});
+
+test("the first stage has no gate", async () => {
+  const r = await promote({ stage: "Pilot" });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.gate, null);
+});
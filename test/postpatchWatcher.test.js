@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// dbo.ActionHistory / dbo.PostPatchJob / dbo.EmailOutbox in memory
+const db = require("../src/db/mssql");
+let history = new Map();
+let jobs = [];
+let outbox = new Map();
+db.getPool = async () => ({
+  request() {
+    const inputs = {};
+    const req = {
+      input(name, _type, value) { inputs[name] = value; return req; },
+      async query(q) {
+        if (q.includes("SELECT h.ActionID, h.Metadata FROM dbo.ActionHistory h")) {
+          assert.match(q, /j\.BatchId = /); // batch members with a job are filtered in SQL
+          const batchOf = (row) => { try { return JSON.parse(row.Metadata).batchId; } catch { return undefined; } };
+          const rows = [...history.values()].filter(h => !h.PostMailSent
+            && !jobs.some(j => j.ActionID === h.ActionID || (j.BatchId && j.BatchId === batchOf(h))));
+          return { recordset: rows };
+        }
+        if (q.includes("FROM dbo.ActionHistory WHERE ActionID = @ActionID")) {
+          const row = history.get(inputs.ActionID);
+          return { recordset: row ? [row] : [] };
+        }
+        if (q.startsWith("UPDATE dbo.ActionHistory SET PostMailSent = 1")) {
+          history.get(inputs.ActionID).PostMailSent = 1;
+          return { rowsAffected: [1] };
+        }
+        if (q.startsWith("IF NOT EXISTS (SELECT 1 FROM dbo.PostPatchJob")) {
+          if (!jobs.some(j => j.JobKey === inputs.JobKey)) {
+            jobs.push({ Id: jobs.length + 1, JobKey: inputs.JobKey, ActionID: inputs.ActionID, BatchId: inputs.BatchId, State: "pending", Steps: null });
+          }
+          return { rowsAffected: [1] };
+        }
+        if (q.startsWith("UPDATE dbo.PostPatchJob")) {
+          const job = jobs.find(j => j.Id === inputs.Id);
+          if (inputs.Steps !== undefined) job.Steps = inputs.Steps;
+          if (q.includes("State = 'done'")) job.State = "done";
+          if (inputs.State) Object.assign(job, { State: inputs.State, LastError: inputs.Error });
+          return { rowsAffected: [1] };
+        }
+        if (q.startsWith("INSERT INTO dbo.EmailOutbox")) {
+          const id = outbox.size + 1;
+          outbox.set(id, { Id: id, State: inputs.State, Subject: inputs.Subject });
+          return { recordset: [{ Id: id }] };
+        }
+        if (q.startsWith("UPDATE dbo.EmailOutbox")) {
+          Object.assign(outbox.get(inputs.Id), { State: "dead", LastError: inputs.Error });
+          return { rowsAffected: [1] };
+        }
+        throw new Error(`unexpected query: ${q}`);
+      },
+    };
+    return req;
+  },
+});
+
+const webhooks = require("../src/services/webhooks");
+webhooks.hasSubscribers = async () => false;
+webhooks.queueEvent = async () => 0;
+
+// The post-patch mail: records its outbox message, then whatever `sendBehaviour` does
+const sent = [];
+let sendBehaviour = async () => ({ outboxId: 1 });
+require("../src/mail/transport").sendPostPatchMail = async (smtp, fields) => {
+  await fields.onStored?.(1);
+  sent.push(fields.actionId);
+  return sendBehaviour();
+};
+
+const { CONFIG } = require("../src/state/store");
+const { deliverMail } = require("../src/mail/outbox");
+const { enqueuePending, runJob } = require("../src/services/postpatchWatcher");
+
+const action = (id, metadata) => ({ ActionID: id, Metadata: typeof metadata === "string" ? metadata : JSON.stringify(metadata), PostMailSent: 0, CreatedAt: new Date() });
+const client = {
+  getActionStatus: async () => ({ state: "expired", text: "" }),
+  getActionResults: async () => [{ server: "srv1", status: "Fixed" }],
+};
+const claimed = (row) => ({ id: row.Id, key: row.JobKey, actionId: row.ActionID, batchId: row.BatchId, attempts: 0, steps: JSON.parse(row.Steps || "{}") });
+
+test.beforeEach(() => {
+  history = new Map();
+  jobs = [];
+  outbox = new Map();
+  sent.length = 0;
+  sendBehaviour = async () => ({ outboxId: 1 });
+  CONFIG.postPatchMail = true;
+});
+
+test("actions that need no follow-up are marked handled instead of being rescanned", async () => {
+  history.set(1, action(1, { preMail: true }));
+  history.set(2, action(2, { preMail: false }));
+  history.set(3, action(3, "{not json"));
+  history.set(4, action(4, { batchId: "b1" }));
+  history.set(5, action(5, { batchId: "b1" }));
+
+  const pool = await db.getPool();
+  await enqueuePending(pool);
+  assert.deepEqual(jobs.map(j => j.JobKey), ["action:1", "batch:b1"]);
+  assert.equal(history.get(2).PostMailSent, 1);
+  assert.equal(history.get(3).PostMailSent, 1);
+  assert.equal(history.get(1).PostMailSent, 0);
+
+  // The next tick sees nothing new: no extra jobs and nothing left to mark
+  await enqueuePending(pool);
+  assert.equal(jobs.length, 2);
+});
+
+test("the mail step is saved with its outbox message before the send, so a re-claimed job does not mail twice", async () => {
+  history.set(1, action(1, { preMail: true, stage: "Pilot" }));
+  const pool = await db.getPool();
+  await enqueuePending(pool);
+
+  // The send dies after the outbox stored the message (the process would have crashed here)
+  sendBehaviour = async () => { throw new Error("socket closed"); };
+  await runJob({ smtp: {} }, client, pool, claimed(jobs[0]), 60_000);
+  assert.equal(jobs[0].State, "failed");
+  const steps = JSON.parse(jobs[0].Steps);
+  assert.equal(steps.mailOutboxId, 1);
+  assert.ok(steps.mail);
+
+  sendBehaviour = async () => ({ outboxId: 2 });
+  await runJob({ smtp: {} }, client, pool, claimed(jobs[0]), 60_000);
+  assert.deepEqual(sent, ["1"]);
+  assert.equal(jobs[0].State, "done");
+  assert.equal(history.get(1).PostMailSent, 1);
+});
+
+test("deliverMail does not send a message whose owner could not record it", async () => {
+  const message = { from: "a@example.com", to: ["b@example.com"], cc: [], bcc: [], subject: "Results", html: "<p>x</p>" };
+  await assert.rejects(
+    deliverMail({}, message, { onStored: async () => { throw new Error("Lost the lease on job action:1"); } }),
+    /Lost the lease/,
+  );
+  assert.equal(outbox.get(1).State, "dead");
+  assert.match(outbox.get(1).LastError, /^Not sent: Lost the lease/);
+});
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { classifyStatus, isApplied, isFailed, summarizeResults } = require("../src/services/resultStatus");
+
+test("classifyStatus reads BigFix detailed statuses", () => {
+  assert.equal(classifyStatus("The action executed successfully."), "succeeded");
+  assert.equal(classifyStatus("Fixed"), "succeeded");
+  assert.equal(classifyStatus("Completed"), "succeeded");
+  assert.equal(classifyStatus("Pending Restart"), "pendingRestart");
+  assert.equal(classifyStatus("Pending Downtime"), "pendingRestart");
+  assert.equal(classifyStatus("The action failed."), "failed");
+  assert.equal(classifyStatus("Download failed"), "failed");
+  assert.equal(classifyStatus("Error"), "failed");
+  assert.equal(classifyStatus("Completed with errors"), "failed");
+  assert.equal(classifyStatus("Not Relevant"), "other");
+  assert.equal(classifyStatus("Waiting"), "other");
+  assert.equal(classifyStatus(undefined), "other");
+});
+
+test("applied = succeeded or pending restart; failed is never applied", () => {
+  assert.equal(isApplied("The action executed successfully."), true);
+  assert.equal(isApplied("Pending Restart"), true);
+  assert.equal(isApplied("The action failed."), false);
+  assert.equal(isFailed("The action failed."), true);
+  assert.equal(isFailed("Fixed"), false);
+});
+
+test("summarizeResults counts every row exactly once", () => {
+  const rows = ["Fixed", "The action executed successfully.", "Pending Restart", "The action failed.", "Waiting"].map(status => ({ status }));
+  assert.deepEqual(summarizeResults(rows), { total: 5, succeeded: 2, failed: 1, pendingRestart: 1, other: 1 });
+  assert.deepEqual(summarizeResults(null), { total: 0, succeeded: 0, failed: 0, pendingRestart: 0, other: 0 });
+});
+
+test("every row the results mail counts as succeeded is a success for the promotion gate", () => {
+  const statuses = ["Fixed", "The action executed successfully.", "Completed", "Pending Restart", "The action failed.", "Waiting", "Not Relevant"];
+  const counts = summarizeResults(statuses.map(status => ({ status })));
+  const gateSuccess = statuses.filter(isApplied).length;
+  assert.ok(gateSuccess >= counts.succeeded);
+  assert.equal(gateSuccess, counts.succeeded + counts.pendingRestart);
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Anchored windows must not depend on the host's zone
+process.env.TZ = "America/Los_Angeles";
+
+const { zonedTimeToUtc, parseZonedTime, buildActionWindow } = require("../src/utils/time");
+
+const iso = (ms) => new Date(ms).toISOString();
+
+test("zonedTimeToUtc follows the zone's DST offset", () => {
+  assert.equal(iso(zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 2 }, "Europe/Berlin")), "2026-01-15T01:00:00.000Z");
+  assert.equal(iso(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 2 }, "Europe/Berlin")), "2026-07-15T00:00:00.000Z");
+  assert.equal(iso(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 2 }, "UTC")), "2026-07-15T02:00:00.000Z");
+});
+
+test("a time skipped by spring-forward resolves forward", () => {
+  // 2026-03-29 02:30 doesn't exist in Berlin; it lands on 03:30 CEST
+  assert.equal(iso(zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }, "Europe/Berlin")), "2026-03-29T01:30:00.000Z");
+});
+
+test("a time repeated by fall-back resolves to the first occurrence", () => {
+  // 2026-10-25 02:30 happens twice in Berlin; the CEST one comes first
+  assert.equal(iso(zonedTimeToUtc({ year: 2026, month: 10, day: 25, hour: 2, minute: 30 }, "Europe/Berlin")), "2026-10-25T00:30:00.000Z");
+});
+
+test("parseZonedTime reads zone-less values in the given zone and keeps explicit offsets", () => {
+  assert.equal(parseZonedTime("2026-07-01T22:00", "Europe/Berlin").date.toISOString(), "2026-07-01T20:00:00.000Z");
+  assert.equal(parseZonedTime("2026-07-01T22:00", "+05:30").date.toISOString(), "2026-07-01T16:30:00.000Z");
+  assert.equal(parseZonedTime("2026-07-01T22:00Z", "Europe/Berlin").date.toISOString(), "2026-07-01T22:00:00.000Z");
+  assert.match(parseZonedTime("2026-07-01T22:00", "Mars/Olympus").error, /Unknown timeZone/);
+});
+
+test("a one-day window over a DST change keeps the wall-clock end time", () => {
+  const now = Date.parse("2026-03-01T00:00:00Z");
+  const spring = buildActionWindow({ startAt: "2026-03-28T22:00", patchWindow: { days: 1 }, timeZone: "Europe/Berlin", now });
+  assert.equal(spring.effectiveStart, "2026-03-28T21:00:00.000Z");
+  assert.equal(spring.effectiveEnd, "2026-03-29T20:00:00.000Z"); // 23 hours
+  assert.equal(spring.startDateTime, "2026-03-28T21:00:00");
+  assert.equal(spring.endDateTime, "2026-03-29T20:00:00");
+  assert.equal(spring.timeZone, "Europe/Berlin");
+
+  const hours = buildActionWindow({ startAt: "2026-03-28T22:00", patchWindow: { hours: 24 }, timeZone: "Europe/Berlin", now });
+  assert.equal(hours.effectiveEnd, "2026-03-29T21:00:00.000Z"); // hours are elapsed time
+});
+
+test("buildActionWindow rejects a start in the past and an end before the start", () => {
+  const now = Date.parse("2026-03-01T00:00:00Z");
+  assert.match(buildActionWindow({ startAt: "2026-02-01T00:00", patchWindow: 2, timeZone: "UTC", now }).error, /in the past/);
+  assert.match(buildActionWindow({ startAt: "2026-03-02T10:00", endAt: "2026-03-02T09:00", timeZone: "UTC", now }).error, /End time must be after/);
+});
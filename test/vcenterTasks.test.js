@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// dbo.SnapshotHistory in memory
+const db = require("../src/db/mssql");
+let rows = [];
+db.getPool = async () => ({
+  request() {
+    const inputs = {};
+    const req = {
+      input(name, _type, value) { inputs[name] = value; return req; },
+      async query(q) {
+        if (q.includes("SELECT DISTINCT TOP (@Limit) TaskId FROM dbo.SnapshotHistory")) {
+          const open = rows.filter(r => ["queued", "running"].includes(r.Status) && r.TaskId && r.TaskId !== "null");
+          return { recordset: [...new Set(open.map(r => r.TaskId))].map(TaskId => ({ TaskId })) };
+        }
+        if (q.startsWith("UPDATE dbo.SnapshotHistory SET Status=@S")) {
+          const recordset = [];
+          for (const row of rows.filter(r => r.TaskId === inputs.T)) {
+            recordset.push({ VmId: row.VmId, VmName: row.VmName, SnapshotName: row.SnapshotName, Type: row.Type, PrevStatus: row.Status });
+            row.Status = inputs.S;
+            if (inputs.E) row.Error = inputs.E;
+          }
+          return { recordset };
+        }
+        throw new Error(`unexpected query: ${q}`);
+      },
+    };
+    return req;
+  },
+});
+
+// vCenter answers with whatever state the test gave each task
+let taskStates = {};
+const lookedUp = [];
+require("../src/services/vcenter").vcenterClient = () => ({
+  getTasksStatus: async (ids) => {
+    lookedUp.push(...ids);
+    return Object.fromEntries(ids.map(id => [id, taskStates[id] || { state: "unknown" }]));
+  },
+});
+const events = [];
+require("../src/services/webhooks").emitEvent = (type, data) => { events.push({ type, data }); return Promise.resolve(1); };
+const { pollOpenTasks } = require("../src/services/vcenterTasks");
+
+const row = (TaskId, Type, Status = "queued") => ({ VmId: `vm-${TaskId}`, VmName: `srv-${TaskId}`, SnapshotName: "pre-patch", Type, TaskId, Status });
+const vcenterCtx = { vcenter: { VCENTER_URL: "https://vc.example.com" } };
+
+test.beforeEach(() => {
+  rows = [];
+  taskStates = {};
+  lookedUp.length = 0;
+  events.length = 0;
+});
+
+test("the watcher reports a snapshot task once it finishes, with no client polling", async () => {
+  rows.push(row("task-1", "Snapshot"), row("task-2", "Clone"), row("task-3", "Snapshot", "completed"), row("null", "Clone"));
+  taskStates = { "task-1": { state: "running" }, "task-2": { state: "success" } };
+
+  assert.equal(await pollOpenTasks(vcenterCtx), 2);
+  assert.deepEqual(lookedUp, ["task-1", "task-2"]);
+  assert.equal(rows[0].Status, "running");
+  assert.equal(rows[1].Status, "completed");
+  assert.equal(events.length, 0); // clones are not snapshots
+
+  taskStates["task-1"] = { state: "success" };
+  await pollOpenTasks(vcenterCtx);
+  assert.equal(rows[0].Status, "completed");
+  assert.deepEqual(events, [{ type: "snapshot.completed", data: { vmId: "vm-task-1", vmName: "srv-task-1", snapshotName: "pre-patch", taskId: "task-1" } }]);
+
+  // Nothing is open any more
+  assert.equal(await pollOpenTasks(vcenterCtx), 0);
+  assert.equal(events.length, 1);
+});
+
+test("failed tasks keep their error and tasks vCenter does not know stay open", async () => {
+  rows.push(row("task-4", "Snapshot"), row("task-5", "Snapshot"));
+  taskStates = { "task-4": { state: "error", error: "Insufficient disk space" } };
+  await pollOpenTasks(vcenterCtx);
+  assert.equal(rows[0].Status, "failed");
+  assert.equal(rows[0].Error, "Insufficient disk space");
+  assert.equal(rows[1].Status, "queued");
+  assert.equal(events.length, 0);
+});
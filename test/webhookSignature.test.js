@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+
+// dbo.WebhookDelivery writes go nowhere; the insert hands back delivery 42
+const db = require("../src/db/mssql");
+db.getPool = async () => ({
+  request() {
+    const req = {
+      input() { return req; },
+      async query() { return { recordset: [{ Id: 42 }], rowsAffected: [1] }; },
+    };
+    return req;
+  },
+});
+const { signPayload, sendTestEvent } = require("../src/services/webhooks");
+
+test("signPayload is a hex HMAC-SHA256 over \"<timestamp>.<body>\"", () => {
+  assert.equal(signPayload("s3cret", 1700000000, '{"a":1}'), "1698a50bc74d1ff1db85c4e0a5297c2ad9fdba245d5737cdb789e4cc6e098940");
+  assert.notEqual(signPayload("s3cret", 1700000001, '{"a":1}'), signPayload("s3cret", 1700000000, '{"a":1}'));
+});
+
+test("a receiver can verify the signature from the raw body and timestamp header", async () => {
+  let received;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => { received = { headers: req.headers, body }; res.end("ok"); });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const hook = { id: 1, name: "recv", format: "json", secret: "s3cret", url: `http://127.0.0.1:${server.address().port}/hook` };
+    const result = await sendTestEvent(hook, { triggeredBy: "tester" });
+    assert.equal(result.ok, true);
+    assert.equal(result.deliveryId, 42);
+
+    const { headers, body } = received;
+    const expected = crypto.createHmac("sha256", "s3cret").update(`${headers["x-orchestrator-timestamp"]}.${body}`).digest("hex");
+    assert.equal(headers["x-orchestrator-signature"], `sha256=${expected}`);
+    assert.equal(headers["x-orchestrator-event"], "webhook.test");
+    assert.equal(JSON.parse(body).type, "webhook.test");
+  } finally {
+    server.close();
+  }
+});
+
+test("a webhook without a secret is sent unsigned", async () => {
+  let headers;
+  const server = http.createServer((req, res) => { headers = req.headers; req.resume(); req.on("end", () => res.end("ok")); });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  try {
+    await sendTestEvent({ id: 2, name: "open", format: "json", url: `http://127.0.0.1:${server.address().port}/` });
+    assert.equal(headers["x-orchestrator-signature"], undefined);
+    assert.ok(headers["x-orchestrator-timestamp"]);
+  } finally {
+    server.close();
+  }
+});